@@ -13,12 +13,26 @@ const ConfigurationManager = require("./src/config");
 const ChromeLauncher = require("./src/chrome-launcher");
 const BrowserController = require("./src/browser-controller");
 const PageMonitor = require("./src/page-monitor");
+const HttpPageMonitor = require("./src/http-page-monitor");
 const ChangeDetector = require("./src/change-detector");
 const SlackNotifier = require("./src/slack-notifier");
+const DiscordNotifier = require("./src/discord-notifier");
+const TeamsNotifier = require("./src/teams-notifier");
+const EmailNotifier = require("./src/email-notifier");
+const TelegramNotifier = require("./src/telegram-notifier");
+const WebhookNotifier = require("./src/webhook-notifier");
+const { createNotifiers } = require("./src/notifier-registry");
 const StateManager = require("./src/state-manager");
+const WatchDaemon = require("./src/watch-daemon");
+const { getTargetId } = require("./src/target-id");
+const { runPool } = require("./src/worker-pool");
+const { getDomain } = require("./src/change-format");
 const Logger = require("./src/logger");
 const { ErrorHandler } = require("./src/error-handler");
 
+// Exit code when another run holds the state lock (EX_TEMPFAIL from sysexits.h)
+const LOCKED_EXIT_CODE = 75;
+
 /**
  * Main monitoring workflow orchestration class
  */
@@ -28,9 +42,19 @@ class MonitoringWorkflow {
     this.chromeLauncher = new ChromeLauncher();
     this.browserController = new BrowserController();
     this.pageMonitor = new PageMonitor();
+    this.httpPageMonitor = new HttpPageMonitor();
     this.changeDetector = new ChangeDetector();
     this.stateManager = new StateManager();
     this.slackNotifier = null;
+    this.discordNotifier = null;
+    this.teamsNotifier = null;
+    this.emailNotifier = null;
+    this.telegramNotifier = null;
+    this.webhookNotifiers = [];
+    this.namedNotifiers = [];
+    // Settings given on the command line, taking precedence over the
+    // configuration file
+    this.overrides = {};
     this.logger = new Logger();
     this.errorHandler = new ErrorHandler();
 
@@ -42,6 +66,16 @@ class MonitoringWorkflow {
       errors: [],
       configPath: null,
       slackWebhook: null,
+      discordWebhook: null,
+      teamsWebhook: null,
+      dataDir: null,
+      lockTimeout: 0,
+      screenshotBaseUrl: null,
+      notificationMode: "per_change",
+      digestGroupBy: "domain",
+      failureThreshold: ConfigurationManager.DEFAULT_FAILURE_THRESHOLD,
+      concurrency: ConfigurationManager.DEFAULT_CONCURRENCY,
+      domainConcurrency: ConfigurationManager.DEFAULT_DOMAIN_CONCURRENCY,
     };
   }
 
@@ -49,14 +83,38 @@ class MonitoringWorkflow {
    * Initialize the monitoring workflow with configuration
    * @param {string} configPath - Path to configuration file
    * @param {string} slackWebhook - Optional Slack webhook URL
+   * @param {Object} options - Optional settings
+   * @param {string} options.discordWebhook - Discord webhook URL overriding the
+   *   config file
+   * @param {string} options.teamsWebhook - Teams webhook URL overriding the
+   *   config file
+   * @param {string} options.dataDir - Data directory overriding the config file
+   * @param {number} options.lockTimeout - Milliseconds to wait for a concurrent
+   *   run to release the state lock (default: 0, fail immediately)
    */
-  async initialize(configPath, slackWebhook) {
+  async initialize(configPath, slackWebhook, options = {}) {
     this.session.configPath = configPath;
     this.session.slackWebhook = slackWebhook;
+    this.session.discordWebhook = options.discordWebhook || null;
+    this.session.teamsWebhook = options.teamsWebhook || null;
+    this.session.dataDir = options.dataDir || null;
+    this.session.lockTimeout = options.lockTimeout || 0;
+    this.overrides = {
+      slackWebhook,
+      discordWebhook: options.discordWebhook,
+      teamsWebhook: options.teamsWebhook,
+      dataDir: options.dataDir,
+    };
 
     if (slackWebhook) {
       this.slackNotifier = new SlackNotifier(slackWebhook);
     }
+    if (options.discordWebhook) {
+      this.discordNotifier = new DiscordNotifier(options.discordWebhook);
+    }
+    if (options.teamsWebhook) {
+      this.teamsNotifier = new TeamsNotifier(options.teamsWebhook);
+    }
   }
 
   /**
@@ -64,34 +122,9 @@ class MonitoringWorkflow {
    * @returns {Promise<Object>} Session results
    */
   async execute() {
-    let config = null;
-
     try {
-      this.logger.info("Loading configuration...");
-      config = await this.configManager.loadConfig(this.session.configPath);
-      const targets = this.configManager.getTargets(config);
-      this.logger.success(`Loaded ${targets.length} monitoring targets`);
-
-      // Use slack webhook from config if not provided via CLI
-      if (!this.session.slackWebhook) {
-        const configSlackWebhook = this.configManager.getSlackWebhook(config);
-        if (configSlackWebhook) {
-          this.session.slackWebhook = configSlackWebhook;
-          this.slackNotifier = new SlackNotifier(configSlackWebhook);
-          this.logger.info("Using Slack webhook from configuration file");
-        }
-      }
-
-      this.logger.info("Launching Chrome browser...");
-      const debugUrl = await this.chromeLauncher.launch();
-      this.logger.success(`Chrome launched with debug URL: ${debugUrl}`);
-
-      this.logger.info("Connecting to browser...");
-      await this.browserController.connect(debugUrl);
-      this.logger.success("Browser connection established");
-
-      this.logger.info("Starting monitoring loop...");
-      await this.processMonitoringTargets(targets);
+      const { targets } = await this.loadConfiguration();
+      await this.checkTargets(targets);
 
       this.logger.success("Monitoring completed successfully");
       return this.session;
@@ -131,87 +164,249 @@ class MonitoringWorkflow {
   }
 
   /**
-   * Process all monitoring targets sequentially with error isolation
-   * @param {Array} targets - Array of monitoring targets
+   * Load the configuration file and set up the notifiers and settings of the
+   * session from it. Called again when the watch mode reloads the
+   * configuration, replacing the notifiers of the previous configuration.
+   * @returns {Promise<Object>} {config, targets}: the normalized
+   *   configuration and its monitoring targets
    */
-  async processMonitoringTargets(targets) {
-    const changes = [];
+  async loadConfiguration() {
+    this.logger.info("Loading configuration...");
+    const config = await this.configManager.loadConfig(this.session.configPath);
+    const configuredTargets = this.configManager.getTargets(config);
+    this.logger.success(
+      `Loaded ${configuredTargets.length} monitoring targets`
+    );
 
-    // Step 1: Process all targets and collect changes
-    for (let i = 0; i < targets.length; i++) {
-      const entry = targets[i];
+    // Close the notifiers of a previously loaded configuration
+    this.closeNotifiers();
+
+    // Use slack webhook from config if not provided via CLI
+    if (!this.overrides.slackWebhook) {
+      const configSlackWebhook = this.configManager.getSlackWebhook(config);
+      this.session.slackWebhook = configSlackWebhook || null;
+      this.slackNotifier = null;
+      if (configSlackWebhook) {
+        this.slackNotifier = new SlackNotifier(configSlackWebhook);
+        this.logger.info("Using Slack webhook from configuration file");
+      }
+    }
+
+    // Use discord webhook from config if not provided via CLI
+    if (!this.overrides.discordWebhook) {
+      const configDiscordWebhook = this.configManager.getDiscordWebhook(config);
+      this.session.discordWebhook = configDiscordWebhook || null;
+      this.discordNotifier = null;
+      if (configDiscordWebhook) {
+        this.discordNotifier = new DiscordNotifier(configDiscordWebhook);
+        this.logger.info("Using Discord webhook from configuration file");
+      }
+    }
+
+    // Use teams webhook from config if not provided via CLI
+    if (!this.overrides.teamsWebhook) {
+      const configTeamsWebhook = this.configManager.getTeamsWebhook(config);
+      this.session.teamsWebhook = configTeamsWebhook || null;
+      this.teamsNotifier = null;
+      if (configTeamsWebhook) {
+        this.teamsNotifier = new TeamsNotifier(configTeamsWebhook);
+        this.logger.info("Using Teams webhook from configuration file");
+      }
+    }
+
+    // Email notifications are only configured in the config file
+    const emailSettings = this.configManager.getEmailSettings(config);
+    this.emailNotifier = null;
+    if (emailSettings) {
+      this.emailNotifier = new EmailNotifier(emailSettings);
       this.logger.info(
-        `Processing target ${i + 1}/${targets.length}: ${entry.url}`
+        `Email notifications: Enabled (${emailSettings.mode || "per_change"})`
       );
+    }
 
-      try {
-        const result = await this.processMonitoringTarget(entry);
-        this.session.results.push(result);
+    // Telegram chats are configured globally or per target
+    const telegramSettings = this.configManager.getTelegramSettings(config);
+    this.telegramNotifier = null;
+    if (
+      telegramSettings ||
+      configuredTargets.some((target) => target.telegram)
+    ) {
+      this.telegramNotifier = new TelegramNotifier(telegramSettings);
+      this.logger.info("Telegram notifications: Enabled");
+    }
 
-        if (result.hasChanged) {
-          changes.push(result);
-          this.logger.success(`Change detected for ${entry.url}`);
-        } else {
-          this.logger.info(`No change for ${entry.url}`);
-        }
-      } catch (error) {
-        // Isolate errors - continue processing other targets (graceful degradation)
-        const categorizedError = this.errorHandler.handleError(error, {
-          type: "target",
-          operation: "processMonitoringTarget",
-          entry,
-        });
+    // Generic webhooks are only configured in the config file
+    this.webhookNotifiers = this.configManager
+      .getWebhooks(config)
+      .map((settings) => new WebhookNotifier(settings));
+    if (this.webhookNotifiers.length > 0) {
+      this.logger.info(
+        `Webhook notifications: ${this.webhookNotifiers
+          .map((notifier) => notifier.getName())
+          .join(", ")}`
+      );
+    }
 
-        const errorResult = {
-          entry: entry,
-          hasChanged: false,
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          errorType: categorizedError.type,
-          severity: categorizedError.severity,
-        };
+    // Named notifiers only get the changes of targets that list them
+    this.namedNotifiers = createNotifiers(
+      this.configManager.getNotifierDefinitions(config)
+    );
+    if (this.namedNotifiers.length > 0) {
+      this.logger.info(
+        `Named notifiers: ${this.namedNotifiers
+          .map(({ name }) => name)
+          .join(", ")}`
+      );
+    }
 
-        this.session.results.push(errorResult);
-        this.session.errors.push({
-          type: categorizedError.type,
-          message: error.message,
-          entry: entry,
-          timestamp: new Date(),
-          details: error,
-          severity: categorizedError.severity,
-        });
+    // Send one message per change, or one digest per run
+    const notificationSettings =
+      this.configManager.getNotificationSettings(config);
+    this.session.notificationMode = notificationSettings.mode;
+    this.session.digestGroupBy = notificationSettings.groupBy;
+    if (notificationSettings.mode === "digest") {
+      this.logger.info(
+        `Notification mode: digest (grouped by ${notificationSettings.groupBy})`
+      );
+    }
 
-        this.logger.failure(
-          `Error processing ${entry.url}: ${categorizedError.userMessage}`
-        );
+    // Report targets failing this many runs in a row as broken
+    this.session.failureThreshold =
+      this.configManager.getFailureThreshold(config);
+
+    // Check several targets at the same time, in pages of one browser
+    const { concurrency, domainConcurrency } =
+      this.configManager.getConcurrency(config);
+    this.session.concurrency = concurrency;
+    this.session.domainConcurrency = domainConcurrency;
+
+    // Use data directory from config if not provided via CLI
+    this.session.dataDir =
+      this.overrides.dataDir ||
+      this.configManager.getDataDir(config, this.session.configPath);
+    this.stateManager.setDataDir(this.session.dataDir);
+    this.session.screenshotBaseUrl =
+      this.configManager.getScreenshotBaseUrl(config) || null;
+
+    return { config, targets: configuredTargets };
+  }
 
-        // Continue processing other targets unless it's a critical workflow error
-        if (this.errorHandler.shouldStopWorkflow(categorizedError)) {
-          throw error;
-        }
-      }
+  /**
+   * Check targets of the loaded configuration, launching Chrome unless it
+   * is still running from an earlier check
+   * @param {Array<Object>} configuredTargets - Targets of the configuration
+   */
+  async checkTargets(configuredTargets) {
+    // Hold the state lock while checking, so overlapping runs cannot
+    // interleave their state updates
+    await this.stateManager.acquireLock({
+      timeout: this.session.lockTimeout,
+    });
+
+    // Notifications earlier runs could not deliver go out before new checks
+    await this.deliverQueuedNotifications();
+
+    // Take the last observed values from the state file, not the config
+    const targets = await this.stateManager.loadTargets(configuredTargets);
+
+    // Targets fetched over HTTP need no browser
+    if (targets.some((entry) => usesBrowser(entry))) {
+      await this.connectBrowser();
+    }
+
+    this.logger.info("Starting monitoring loop...");
+    await this.processMonitoringTargets(targets);
+  }
+
+  /**
+   * Launch Chrome and connect to it, unless already connected
+   */
+  async connectBrowser() {
+    if (this.browserController.isConnectedToBrowser()) {
+      return;
     }
+    // Chrome left running without a connection, e.g. after it crashed
+    if (this.chromeLauncher.isRunning()) {
+      await this.chromeLauncher.terminate();
+    }
+
+    this.logger.info("Launching Chrome browser...");
+    const debugUrl = await this.chromeLauncher.launch();
+    this.logger.success(`Chrome launched with debug URL: ${debugUrl}`);
+
+    this.logger.info("Connecting to browser...");
+    await this.browserController.connect(debugUrl);
+    this.logger.success("Browser connection established");
+  }
 
-    // Step 2: Send notifications for all changes before updating state
-    if (changes.length > 0 && this.slackNotifier) {
+  /**
+   * Process all monitoring targets with error isolation, up to the
+   * configured number of pages at a time and per domain. Targets on the
+   * same page are extracted from a single load of it. Results keep the
+   * order of the targets.
+   * @param {Array} targets - Array of monitoring targets
+   */
+  async processMonitoringTargets(targets) {
+    const { concurrency, domainConcurrency } = this.session;
+    if (concurrency > 1) {
       this.logger.info(
-        `Sending notifications for ${changes.length} changes...`
+        `Checking up to ${concurrency} targets at a time, ${domainConcurrency} per domain`
       );
-      await this.sendNotificationsForChanges(changes);
     }
 
-    // Step 3: Update configuration with changes after notifications are sent
-    if (changes.length > 0) {
+    // Step 1: Process all targets, collecting the results even when a
+    // critical error stops the run
+    const results = [];
+    try {
+      await runPool(
+        this.groupTargetsByPage(targets),
+        (group) => this.checkPageGroup(group, targets.length, results),
+        {
+          concurrency,
+          getKey: (group) => getDomain(group[0].entry.url),
+          keyConcurrency: domainConcurrency,
+        }
+      );
+    } finally {
+      this.session.results.push(...results.filter(Boolean));
+    }
+    const changes = results.filter((result) => result.hasChanged);
+
+    // Record every check in the history, including failed ones
+    await this.recordHistory(results);
+
+    // Track targets failing run after run, and those working again
+    const statusRecords = await this.trackFailureStreaks(results);
+
+    // Step 2: Send notifications before updating state, skipping changes
+    // whose alert condition did not trigger
+    const notifiableChanges = changes.filter(
+      (change) => change.shouldNotify !== false
+    );
+    const undelivered = [];
+    if (statusRecords.length > 0 && this.getNotifiers().length > 0) {
+      undelivered.push(
+        ...(await this.sendTargetStatusNotifications(statusRecords))
+      );
+    }
+    if (notifiableChanges.length > 0 && this.getNotifiers().length > 0) {
       this.logger.info(
-        `Updating configuration with ${changes.length} changes...`
+        `Sending notifications for ${notifiableChanges.length} changes...`
+      );
+      undelivered.push(
+        ...(await this.sendNotificationsForChanges(notifiableChanges))
       );
+    }
+    if (undelivered.length > 0) {
+      await this.queueNotifications(undelivered);
+    }
+
+    // Step 3: Update the state file with changes after notifications are sent
+    if (changes.length > 0) {
+      this.logger.info(`Updating state with ${changes.length} changes...`);
       try {
-        await this.stateManager.updateAndPersist(
-          this.session.configPath,
-          targets,
-          changes
-        );
-        this.logger.success("Configuration updated successfully");
+        await this.stateManager.updateAndPersist(targets, changes);
+        this.logger.success("State updated successfully");
       } catch (error) {
         const categorizedError = this.errorHandler.handleError(error, {
           type: "persistence",
@@ -227,7 +422,7 @@ class MonitoringWorkflow {
         });
 
         this.logger.failure(
-          `Error updating configuration: ${categorizedError.userMessage}`
+          `Error updating state: ${categorizedError.userMessage}`
         );
         throw error; // This is critical - fail the workflow if we can't persist
       }
@@ -235,28 +430,443 @@ class MonitoringWorkflow {
   }
 
   /**
-   * Process a single monitoring target
+   * Group the targets extracted from the same page with the same engine,
+   * or from the same request to a JSON API, so it is loaded once for all of
+   * them. Screenshot targets always load their own page, as they wait for
+   * the page to load completely.
+   * @param {Array<Object>} targets - Monitoring targets
+   * @returns {Array<Array<Object>>} Groups of {entry, index}, in the order
+   *   of their first target
+   */
+  groupTargetsByPage(targets) {
+    const groups = [];
+    const groupsByPage = new Map();
+
+    targets.forEach((entry, index) => {
+      const target = { entry, index };
+      if (entry.type === "screenshot") {
+        groups.push([target]);
+        return;
+      }
+
+      const pageKey =
+        entry.type === "json"
+          ? JSON.stringify(["json", entry.url, getRequestOptions(entry)])
+          : `${entry.engine || "browser"} ${entry.url}`;
+      if (groupsByPage.has(pageKey)) {
+        groupsByPage.get(pageKey).push(target);
+      } else {
+        const group = [target];
+        groupsByPage.set(pageKey, group);
+        groups.push(group);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Process the targets of one page, loading it once when it has several
+   * targets. Errors loading the page are reported for each of its targets.
+   * @param {Array<Object>} group - Targets {entry, index} of the page
+   * @param {number} total - Number of targets in the run
+   * @param {Array<Object>} results - Results of the run, by target index
+   * @returns {Promise<void>}
+   * @throws {Error} Critical errors that should stop the workflow
+   */
+  async checkPageGroup(group, total, results) {
+    if (group.length === 1) {
+      const { entry, index } = group[0];
+      results[index] = await this.checkTarget(entry, index, total);
+      return;
+    }
+
+    const first = group[0].entry;
+    const { url } = first;
+    this.logger.info(`Loading ${url} once for ${group.length} targets`);
+
+    // Pages fetched over HTTP are parsed documents or JSON responses
+    // instead of browser pages
+    let page = null;
+    let loading;
+    if (first.type === "json") {
+      loading = this.httpPageMonitor.fetchJson(url, getRequestOptions(first));
+    } else if (first.engine === "http") {
+      loading = this.httpPageMonitor.fetchDocument(url);
+    } else {
+      loading = (async () => {
+        page = await this.browserController.createPage();
+        await this.pageMonitor.navigate(page, url);
+      })();
+    }
+
+    try {
+      for (const { entry, index } of group) {
+        results[index] = await this.checkTarget(
+          entry,
+          index,
+          total,
+          async () => {
+            // The browser page is only set once loading has resolved
+            const loaded = await loading;
+            const extractedValue = await this.extractLoadedTarget(
+              entry,
+              page,
+              loaded
+            );
+            return this.detectTargetChange(page, entry, extractedValue);
+          }
+        );
+      }
+    } finally {
+      if (page) {
+        await this.browserController.closePage(page);
+      }
+    }
+  }
+
+  /**
+   * Extract the value of a target from its page loaded by checkPageGroup()
+   * @param {Object} entry - Configuration entry
+   * @param {Page|null} page - Browser page of browser targets
+   * @param {*} loaded - Parsed document of http targets, or the response of
+   *   JSON targets
+   * @returns {Promise<string|string[]>} Extracted value
+   */
+  async extractLoadedTarget(entry, page, loaded) {
+    const options = { extract: entry.extract, multiple: entry.multiple };
+
+    if (entry.type === "json") {
+      return this.httpPageMonitor.extractJsonPath(
+        loaded,
+        entry.url,
+        entry.json_path,
+        options
+      );
+    }
+    if (entry.engine === "http") {
+      return this.httpPageMonitor.extractFromDocument(
+        loaded,
+        entry.url,
+        entry.css_selector,
+        options
+      );
+    }
+    return this.pageMonitor.extractFromPage(
+      page,
+      entry.url,
+      entry.css_selector,
+      options
+    );
+  }
+
+  /**
+   * Process one monitoring target, isolating its errors from the other
+   * targets
+   * @param {Object} entry - Configuration entry
+   * @param {number} index - Position of the target in the run
+   * @param {number} total - Number of targets in the run
+   * @param {Function} [process] - Returns the processing result of the
+   *   target; loads its own page by default
+   * @returns {Promise<Object>} Processing result, or error result
+   * @throws {Error} Critical errors that should stop the workflow
+   */
+  async checkTarget(
+    entry,
+    index,
+    total,
+    process = () => this.processMonitoringTarget(entry)
+  ) {
+    this.logger.info(`Processing target ${index + 1}/${total}: ${entry.url}`);
+
+    try {
+      const result = await process();
+
+      if (result.hasChanged) {
+        if (result.baseline) {
+          this.logger.info(`Baseline recorded for ${entry.url}`);
+        } else if (result.shouldNotify === false) {
+          this.logger.info(
+            `Change detected for ${entry.url} (alert condition not met, no notification)`
+          );
+        } else {
+          this.logger.success(`Change detected for ${entry.url}`);
+        }
+      } else {
+        this.logger.info(`No change for ${entry.url}`);
+      }
+      return result;
+    } catch (error) {
+      // Isolate errors - continue processing other targets (graceful degradation)
+      const categorizedError = this.errorHandler.handleError(error, {
+        type: "target",
+        operation: "processMonitoringTarget",
+        entry,
+      });
+
+      this.session.errors.push({
+        type: categorizedError.type,
+        message: error.message,
+        entry: entry,
+        timestamp: new Date(),
+        details: error,
+        severity: categorizedError.severity,
+      });
+
+      this.logger.failure(
+        `Error processing ${entry.url}: ${categorizedError.userMessage}`
+      );
+
+      const errorResult = {
+        entry: entry,
+        hasChanged: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        errorType: categorizedError.type,
+        severity: categorizedError.severity,
+        userMessage: categorizedError.userMessage,
+        suggestions: categorizedError.suggestions,
+      };
+
+      // Continue processing other targets unless it's a critical workflow error
+      if (this.errorHandler.shouldStopWorkflow(categorizedError)) {
+        this.session.results.push(errorResult);
+        throw error;
+      }
+
+      return errorResult;
+    }
+  }
+
+  /**
+   * Queue undelivered notifications in the outbox, so the next run retries
+   * them. Failing to queue them fails the run before the state is updated,
+   * so the changes are detected and notified again by the next run.
+   * @param {Array<Object>} notifications - Undelivered notifications
+   */
+  async queueNotifications(notifications) {
+    try {
+      await this.stateManager.getOutboxStore().add(notifications);
+      this.logger.warn(
+        `Queued ${notifications.length} undelivered notifications for the next run`
+      );
+    } catch (error) {
+      const categorizedError = this.errorHandler.handleError(error, {
+        type: "persistence",
+        operation: "queueNotifications",
+      });
+
+      this.session.errors.push({
+        type: categorizedError.type,
+        message: error.message,
+        timestamp: new Date(),
+        details: error,
+        severity: categorizedError.severity,
+      });
+
+      this.logger.failure(
+        `Error queuing undelivered notifications: ${categorizedError.userMessage}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Retry the notifications that earlier runs could not deliver. Those that
+   * fail again stay queued; those of notifiers that are no longer configured
+   * or that were queued too long ago are dropped. An outbox file that cannot
+   * be loaded is moved aside rather than failing every run.
+   */
+  async deliverQueuedNotifications() {
+    const outboxStore = this.stateManager.getOutboxStore();
+    let queued;
+    try {
+      queued = await outboxStore.load();
+    } catch (error) {
+      const corruptPath = await outboxStore.moveAside();
+      this.logger.warn(
+        `Undelivered notifications were lost, moved the outbox to ${corruptPath}: ${error.message}`
+      );
+      return;
+    }
+    if (queued.length === 0) {
+      return;
+    }
+
+    this.logger.info(`Retrying ${queued.length} undelivered notifications...`);
+    const notifiers = this.getNotifiers();
+    const remaining = [];
+
+    for (const notification of queued) {
+      const route = notifiers.find(
+        ({ name }) => name === notification.notifier
+      );
+      if (
+        !route ||
+        (notification.status &&
+          typeof route.notifier.sendTargetStatus !== "function")
+      ) {
+        this.logger.warn(
+          `Dropping undelivered notification for ${notification.notifier}, which is no longer configured`
+        );
+        continue;
+      }
+      if (outboxStore.isExpired(notification)) {
+        this.logger.warn(
+          `Dropping ${notification.notifier} notification queued at ${notification.queued_at}`
+        );
+        continue;
+      }
+
+      const sent = await this.deliverQueuedNotification(route, notification);
+      if (!sent) {
+        remaining.push({
+          ...notification,
+          attempts: notification.attempts + 1,
+        });
+      }
+    }
+
+    await outboxStore.save(remaining);
+    this.logger.info(
+      `Outbox: ${queued.length - remaining.length} delivered or dropped, ${
+        remaining.length
+      } still queued`
+    );
+  }
+
+  /**
+   * Send a notification from the outbox the way it was first sent
+   * @param {Object} route - Notifier {name, notifier}
+   * @param {Object} notification - Queued notification
+   * @returns {Promise<boolean>} True if the notification was sent
+   */
+  async deliverQueuedNotification({ name, notifier }, notification) {
+    const { changes, digest, status } = notification;
+
+    if (status) {
+      return this.deliverNotification(
+        name,
+        `${status.status} target ${status.entry.url}`,
+        () => notifier.sendTargetStatus(status),
+        status.entry
+      );
+    }
+    if (digest) {
+      return this.deliverNotification(name, `${changes.length} changes`, () =>
+        notifier.sendDigest(changes, { groupBy: notification.group_by })
+      );
+    }
+    return this.deliverNotification(
+      name,
+      changes[0].entry.url,
+      () => notifier.sendChangeNotification(changes[0]),
+      changes[0].entry
+    );
+  }
+
+  /**
+   * Create the outbox entry of a notification that could not be delivered
+   * @param {string} name - Name of the notifier
+   * @param {Object} content - What to send: {digest, group_by, changes} for
+   *   changes, or {status} for a target status
+   * @returns {Object} Notification to queue
+   */
+  createQueuedNotification(name, content) {
+    return {
+      notifier: name,
+      ...content,
+      queued_at: new Date().toISOString(),
+      attempts: 1,
+    };
+  }
+
+  /**
+   * Append check results to the history without failing the run
+   * @param {Array} results - Results of the processed targets
+   */
+  async recordHistory(results) {
+    try {
+      await this.stateManager.recordChecks(results);
+    } catch (error) {
+      // History is an audit trail - losing it must not lose the change itself
+      this.logger.warn(`Error recording check history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the failure streaks of the checked targets without failing the run
+   * @param {Array} results - Results of the processed targets
+   * @returns {Promise<Array<Object>>} Targets that broke or recovered
+   */
+  async trackFailureStreaks(results) {
+    try {
+      const statusRecords = await this.stateManager.updateFailureStreaks(
+        results,
+        this.session.failureThreshold
+      );
+      for (const { status, entry, failureCount } of statusRecords) {
+        if (status === "broken") {
+          this.logger.failure(
+            `${entry.url} is broken: failed ${failureCount} runs in a row`
+          );
+        } else {
+          this.logger.success(
+            `${entry.url} recovered after ${failureCount} failed runs`
+          );
+        }
+      }
+      return statusRecords;
+    } catch (error) {
+      // Streaks only drive alerts - losing them must not lose the changes
+      this.logger.warn(`Error tracking failure streaks: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Process a single monitoring target, in its own browser page or fetched
+   * over HTTP for JSON targets and targets with engine "http"
    * @param {Object} entry - Configuration entry
    * @returns {Promise<Object>} Processing result
    */
   async processMonitoringTarget(entry) {
+    if (entry.type === "json") {
+      const extractedValue = await this.httpPageMonitor.fetchAndExtractJson(
+        entry.url,
+        entry.json_path,
+        { ...getRequestOptions(entry), multiple: entry.multiple }
+      );
+      return this.changeDetector.processEntry(entry, extractedValue);
+    }
+    if (entry.engine === "http") {
+      const extractedValue = await this.httpPageMonitor.fetchAndExtract(
+        entry.url,
+        entry.css_selector,
+        { extract: entry.extract, multiple: entry.multiple }
+      );
+      return this.changeDetector.processEntry(entry, extractedValue);
+    }
+
     let page = null;
 
     try {
       // Create a new page for this target
       page = await this.browserController.createPage();
 
+      if (entry.type === "screenshot") {
+        return await this.processScreenshotTarget(page, entry);
+      }
+
       // Navigate and extract content
       const extractedValue = await this.pageMonitor.navigateAndExtract(
         page,
         entry.url,
-        entry.css_selector
+        entry.css_selector,
+        { extract: entry.extract, multiple: entry.multiple }
       );
 
-      // Detect changes
-      const result = this.changeDetector.processEntry(entry, extractedValue);
-
-      return result;
+      return await this.detectTargetChange(page, entry, extractedValue);
     } finally {
       // Always clean up the page
       if (page) {
@@ -266,53 +876,307 @@ class MonitoringWorkflow {
   }
 
   /**
-   * Send notifications for all detected changes with error isolation
+   * Detect a change of the value extracted for a target, capturing change
+   * screenshots from its page when enabled
+   * @param {Page} page - Loaded page of the target
+   * @param {Object} entry - Configuration entry
+   * @param {string|string[]} extractedValue - Extracted value
+   * @returns {Promise<Object>} Processing result
+   */
+  async detectTargetChange(page, entry, extractedValue) {
+    const result = this.changeDetector.processEntry(entry, extractedValue);
+
+    if (entry.screenshot_on_change && result.hasChanged) {
+      result.screenshots = await this.captureChangeScreenshots(
+        page,
+        entry,
+        result
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Take the screenshot of a visual target and compare it to its baseline
+   * @param {Page} page - Playwright page for this target
+   * @param {Object} entry - Configuration entry with type "screenshot"
+   * @returns {Promise<Object>} Processing result
+   */
+  async processScreenshotTarget(page, entry) {
+    const screenshot = await this.pageMonitor.navigateAndScreenshot(
+      page,
+      entry.url,
+      entry.css_selector
+    );
+
+    const settings = entry.screenshot || {};
+    const comparison = await this.stateManager
+      .getScreenshotStore()
+      .compare(getTargetId(entry), screenshot, {
+        pixelThreshold: settings.pixel_threshold,
+      });
+
+    return this.changeDetector.processScreenshot(entry, comparison);
+  }
+
+  /**
+   * Capture the element of a changed target and pair it with the screenshot
+   * from its previous change. A failed capture is logged and does not fail
+   * the target.
+   * @param {Page} page - Page the value was extracted from
+   * @param {Object} entry - Monitoring target
+   * @param {Object} result - Change detection result
+   * @returns {Promise<Object|null>} Screenshots {before, after}, each with path
+   *   and url (null without a screenshot_base_url), or null if the capture failed
+   */
+  async captureChangeScreenshots(page, entry, result) {
+    try {
+      const screenshotStore = this.stateManager.getScreenshotStore();
+      const targetId = getTargetId(entry);
+      const describe = (filePath) => ({
+        path: filePath,
+        url: screenshotStore.getPublicUrl(
+          filePath,
+          this.session.screenshotBaseUrl
+        ),
+      });
+
+      const beforePath = await screenshotStore.getLatestChangeScreenshot(
+        targetId
+      );
+      const screenshot = await this.pageMonitor.captureScreenshot(
+        page,
+        entry.css_selector
+      );
+      const afterPath = await screenshotStore.saveChangeScreenshot(
+        targetId,
+        screenshot,
+        result.timestamp || new Date().toISOString()
+      );
+
+      return {
+        before: beforePath ? describe(beforePath) : null,
+        after: describe(afterPath),
+      };
+    } catch (error) {
+      this.logger.warn(
+        `Could not capture change screenshot for ${entry.url}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get the notifiers configured for this run, followed by the named
+   * notifiers, which are flagged as such
+   * @returns {Array<Object>} Notifiers as {name, notifier, named}
+   */
+  getNotifiers() {
+    const notifiers = [];
+    if (this.slackNotifier) {
+      notifiers.push({ name: "Slack", notifier: this.slackNotifier });
+    }
+    if (this.discordNotifier) {
+      notifiers.push({ name: "Discord", notifier: this.discordNotifier });
+    }
+    if (this.teamsNotifier) {
+      notifiers.push({ name: "Teams", notifier: this.teamsNotifier });
+    }
+    if (this.emailNotifier) {
+      notifiers.push({ name: "Email", notifier: this.emailNotifier });
+    }
+    if (this.telegramNotifier) {
+      notifiers.push({ name: "Telegram", notifier: this.telegramNotifier });
+    }
+    for (const notifier of this.webhookNotifiers) {
+      notifiers.push({ name: notifier.getName(), notifier });
+    }
+    for (const { name, notifier } of this.namedNotifiers) {
+      notifiers.push({ name, notifier, named: true });
+    }
+    return notifiers;
+  }
+
+  /**
+   * Check whether a change or target status goes to a notifier: targets with
+   * a notify list only go to the named notifiers it lists, all others to the
+   * notifiers of the configuration, and notifiers with an accepts(record)
+   * method only get the records they accept, e.g. those of targets with a
+   * Telegram chat
+   * @param {Object} route - Notifier {name, notifier, named}
+   * @param {Object} record - Change or target status with the entry
+   * @returns {boolean} True if the notifier gets the record
+   */
+  isRoutedTo({ name, notifier, named }, record) {
+    const { notify } = record.entry;
+    return (
+      (notify ? Boolean(named) && notify.includes(name) : !named) &&
+      (!notifier.accepts || notifier.accepts(record))
+    );
+  }
+
+  /**
+   * Send notifications that targets broke or recovered to every notifier
+   * supporting them, routed like the changes of the targets. They are sent
+   * right away in digest mode too.
+   * @param {Array<Object>} statusRecords - Target statuses
+   * @returns {Promise<Array<Object>>} Notifications that could not be
+   *   delivered, to queue in the outbox
+   */
+  async sendTargetStatusNotifications(statusRecords) {
+    const undelivered = [];
+
+    for (const statusRecord of statusRecords) {
+      for (const route of this.getNotifiers()) {
+        const { name, notifier } = route;
+        if (
+          typeof notifier.sendTargetStatus !== "function" ||
+          !this.isRoutedTo(route, statusRecord)
+        ) {
+          continue;
+        }
+
+        const sent = await this.deliverNotification(
+          name,
+          `${statusRecord.status} target ${statusRecord.entry.url}`,
+          () => notifier.sendTargetStatus(statusRecord),
+          statusRecord.entry
+        );
+        if (!sent) {
+          undelivered.push(
+            this.createQueuedNotification(name, { status: statusRecord })
+          );
+        }
+      }
+    }
+
+    return undelivered;
+  }
+
+  /**
+   * Send notifications for all detected changes with error isolation. Each
+   * change goes to every notifier it is routed to (see isRoutedTo), except
+   * digest notifiers, which get all changes at once; in digest mode, every
+   * notifier that supports digests is one, and only urgent targets are
+   * notified per change.
    * @param {Array} changes - Array of change records
+   * @returns {Promise<Array<Object>>} Notifications that could not be
+   *   delivered, to queue in the outbox
    */
   async sendNotificationsForChanges(changes) {
     let successCount = 0;
     let failureCount = 0;
+    const undelivered = [];
+
+    const notifiers = this.getNotifiers();
+    const count = (sent) => (sent ? successCount++ : failureCount++);
+
+    // In digest mode, notifiers that support digests get one message per
+    // run; urgent targets are still notified of each change right away
+    const sendsDigest = (notifier) =>
+      notifier.mode === "digest" ||
+      (this.session.notificationMode === "digest" &&
+        typeof notifier.sendDigest === "function");
+    const inDigest = (notifier, change) =>
+      sendsDigest(notifier) && !change.entry.urgent;
 
     for (const change of changes) {
-      try {
-        const sent = await this.slackNotifier.sendChangeNotification(change);
-        if (sent) {
-          successCount++;
-          this.logger.success(`Notification sent for ${change.entry.url}`);
-        } else {
-          failureCount++;
-          this.logger.warn(`Notification failed for ${change.entry.url}`);
+      // Fan out to every notifier; a failing channel does not stop the others
+      for (const route of notifiers) {
+        const { name, notifier } = route;
+        if (inDigest(notifier, change) || !this.isRoutedTo(route, change)) {
+          continue;
         }
-      } catch (notificationError) {
-        failureCount++;
-        // Log notification errors but continue processing other notifications (graceful degradation)
-        const categorizedError = this.errorHandler.handleError(
-          notificationError,
-          {
-            type: "notification",
-            operation: "sendChangeNotification",
-            entry: change.entry,
-          }
+        const sent = await this.deliverNotification(
+          name,
+          change.entry.url,
+          () => notifier.sendChangeNotification(change),
+          change.entry
         );
+        count(sent);
+        if (!sent) {
+          undelivered.push(
+            this.createQueuedNotification(name, {
+              digest: false,
+              changes: [change],
+            })
+          );
+        }
+      }
+    }
 
-        this.session.errors.push({
-          type: categorizedError.type,
-          message: notificationError.message,
-          entry: change.entry,
-          timestamp: new Date(),
-          details: notificationError,
-          severity: categorizedError.severity,
-        });
-
-        this.logger.failure(
-          `Failed to send notification for ${change.entry.url}: ${categorizedError.userMessage}`
+    for (const route of notifiers) {
+      const { name, notifier } = route;
+      const digestChanges = changes.filter(
+        (change) => inDigest(notifier, change) && this.isRoutedTo(route, change)
+      );
+      if (digestChanges.length > 0) {
+        const sent = await this.deliverNotification(
+          name,
+          `${digestChanges.length} changes`,
+          () =>
+            notifier.sendDigest(digestChanges, {
+              groupBy: this.session.digestGroupBy,
+            })
         );
+        count(sent);
+        if (!sent) {
+          undelivered.push(
+            this.createQueuedNotification(name, {
+              digest: true,
+              group_by: this.session.digestGroupBy,
+              changes: digestChanges,
+            })
+          );
+        }
       }
     }
 
     this.logger.info(
       `Notification summary: ${successCount} sent, ${failureCount} failed`
     );
+    return undelivered;
+  }
+
+  /**
+   * Deliver one notification, recording failures in the session instead of
+   * throwing. The notifiers log whether it was sent themselves.
+   * @param {string} name - Notifier name for log messages
+   * @param {string} subject - What the notification is about, e.g. the URL
+   * @param {Function} send - Sends the notification, resolving to true on success
+   * @param {Object} [entry] - Monitoring target the notification is about
+   * @returns {Promise<boolean>} True if the notification was sent
+   */
+  async deliverNotification(name, subject, send, entry) {
+    try {
+      return await send();
+    } catch (notificationError) {
+      // Log notification errors but continue processing other notifications (graceful degradation)
+      const categorizedError = this.errorHandler.handleError(
+        notificationError,
+        {
+          type: "notification",
+          operation: "sendChangeNotification",
+          notifier: name,
+          entry,
+        }
+      );
+
+      this.session.errors.push({
+        type: categorizedError.type,
+        message: notificationError.message,
+        entry,
+        timestamp: new Date(),
+        details: notificationError,
+        severity: categorizedError.severity,
+      });
+
+      this.logger.failure(
+        `Failed to send ${name} notification for ${subject}: ${categorizedError.userMessage}`
+      );
+      return false;
+    }
   }
 
   /**
@@ -321,6 +1185,21 @@ class MonitoringWorkflow {
   async cleanup() {
     this.logger.info("Cleaning up resources...");
 
+    await this.closeBrowser();
+    this.closeNotifiers();
+
+    try {
+      // Release the state lock last, once nothing writes state anymore
+      await this.stateManager.releaseLock();
+    } catch (error) {
+      this.logger.warn(`Error releasing state lock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disconnect from the browser and terminate Chrome
+   */
+  async closeBrowser() {
     try {
       // Disconnect from browser
       if (this.browserController.isConnectedToBrowser()) {
@@ -342,6 +1221,17 @@ class MonitoringWorkflow {
     }
   }
 
+  /**
+   * Close the SMTP connections of email notifiers
+   */
+  closeNotifiers() {
+    for (const { notifier } of this.getNotifiers()) {
+      if (typeof notifier.close === "function") {
+        notifier.close();
+      }
+    }
+  }
+
   /**
    * Get session summary
    * @returns {Object} Session summary
@@ -369,6 +1259,28 @@ class MonitoringWorkflow {
   }
 }
 
+/**
+ * Whether a target is checked in Chrome, rather than fetched over HTTP
+ * @param {Object} entry - Configuration entry
+ * @returns {boolean} True for browser targets
+ */
+function usesBrowser(entry) {
+  return entry.type !== "json" && entry.engine !== "http";
+}
+
+/**
+ * Get the request options of a JSON target
+ * @param {Object} entry - Configuration entry with type "json"
+ * @returns {Object} Request options {method, headers, body}
+ */
+function getRequestOptions(entry) {
+  return {
+    method: (entry.method || "GET").toUpperCase(),
+    headers: entry.headers,
+    body: entry.body,
+  };
+}
+
 // Global workflow instance for signal handling
 let globalWorkflow = null;
 let isShuttingDown = false;
@@ -427,6 +1339,20 @@ function setupSignalHandlers() {
   });
 }
 
+/**
+ * Run the watch mode until the process is stopped by a signal. SIGHUP
+ * reloads the configuration right away.
+ * @param {MonitoringWorkflow} workflow - Initialized workflow
+ * @param {Logger} logger - Logger of the CLI
+ */
+async function runWatchDaemon(workflow, logger) {
+  const daemon = new WatchDaemon(workflow);
+  process.on("SIGHUP", () => daemon.requestReload());
+
+  logger.info("Starting watch mode, press Ctrl+C to stop...");
+  await daemon.start();
+}
+
 async function main() {
   const cli = new CLIController();
   const workflow = new MonitoringWorkflow();
@@ -448,7 +1374,15 @@ async function main() {
       process.exit(result.exitCode);
     }
 
-    const { inputPath, slackWebhook } = result.args;
+    const {
+      inputPath,
+      slackWebhook,
+      discordWebhook,
+      teamsWebhook,
+      dataDir,
+      lockTimeout,
+      watch,
+    } = result.args;
 
     logger.info("Starting monitoring process...");
     logger.info(`Configuration file: ${inputPath}`);
@@ -457,9 +1391,26 @@ async function main() {
     } else {
       logger.info("Slack notifications: Disabled");
     }
+    if (discordWebhook) {
+      logger.info("Discord notifications: Enabled");
+    }
+    if (teamsWebhook) {
+      logger.info("Teams notifications: Enabled");
+    }
 
     // Initialize and execute monitoring workflow
-    await workflow.initialize(inputPath, slackWebhook);
+    await workflow.initialize(inputPath, slackWebhook, {
+      discordWebhook,
+      teamsWebhook,
+      dataDir,
+      lockTimeout,
+    });
+
+    if (watch) {
+      await runWatchDaemon(workflow, logger);
+      return;
+    }
+
     await workflow.execute();
 
     // Display session summary
@@ -491,6 +1442,12 @@ async function main() {
     // Exit with appropriate code: 0 for success, 1 for errors
     process.exit(summary.criticalErrors > 0 ? 1 : 0);
   } catch (error) {
+    if (error.code === "ELOCKED") {
+      logger.warn(`Skipping run: ${error.message}`);
+      globalWorkflow = null;
+      process.exit(LOCKED_EXIT_CODE);
+    }
+
     logger.failure(`Error during monitoring process: ${error.message}`);
 
     // Display session summary even on failure
@@ -520,4 +1477,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main, MonitoringWorkflow };
+module.exports = { main, MonitoringWorkflow, LOCKED_EXIT_CODE };
@@ -0,0 +1,82 @@
+/**
+ * Alert conditions evaluated against extracted values, deciding whether a
+ * detected change is worth a notification
+ */
+
+const { parseNumber } = require("./number-parser");
+
+/**
+ * Supported condition types for the `alert_when` option of a monitoring target
+ */
+const CONDITION_TYPES = ["contains", "not_contains", "matches", "number"];
+
+/**
+ * Supported operators for number conditions
+ */
+const NUMBER_OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+/**
+ * Evaluate an alert condition against a single extracted value
+ * @param {Object} condition - Condition, e.g. {type: "contains", value: "In stock"}
+ * @param {string} value - Extracted value
+ * @param {Object} [options] - Evaluation options
+ * @param {string} [options.decimalSeparator] - Force "." or "," when parsing numbers
+ * @returns {boolean} True if the value satisfies the condition
+ */
+function evaluateValue(condition, value, options = {}) {
+  if (value == null) {
+    return false;
+  }
+
+  const text = String(value);
+
+  switch (condition.type) {
+    case "contains":
+      return text.includes(condition.value);
+    case "not_contains":
+      return !text.includes(condition.value);
+    case "matches":
+      return new RegExp(condition.pattern, condition.flags).test(text);
+    case "number": {
+      const number = parseNumber(text, options);
+      return (
+        number !== null &&
+        NUMBER_OPERATORS[condition.operator](number, condition.value)
+      );
+    }
+    default:
+      throw new Error(`Unsupported alert condition type "${condition.type}"`);
+  }
+}
+
+/**
+ * Evaluate an alert condition against an extracted value or list of values.
+ * A list satisfies the condition when any of its items does, except for
+ * not_contains which must hold for every item.
+ * @param {Object} condition - Condition to evaluate
+ * @param {string|string[]} value - Extracted value or list of values
+ * @param {Object} [options] - Evaluation options (see evaluateValue)
+ * @returns {boolean} True if the value satisfies the condition
+ */
+function evaluateCondition(condition, value, options = {}) {
+  if (Array.isArray(value)) {
+    return condition.type === "not_contains"
+      ? value.every((item) => evaluateValue(condition, item, options))
+      : value.some((item) => evaluateValue(condition, item, options));
+  }
+
+  return evaluateValue(condition, value, options);
+}
+
+module.exports = {
+  CONDITION_TYPES,
+  NUMBER_OPERATORS,
+  evaluateCondition,
+};
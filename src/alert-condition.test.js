@@ -0,0 +1,63 @@
+const { evaluateCondition } = require("./alert-condition");
+
+describe("alert-condition", () => {
+  describe("evaluateCondition", () => {
+    test("should evaluate contains conditions", () => {
+      const condition = { type: "contains", value: "In stock" };
+
+      expect(evaluateCondition(condition, "In stock now")).toBe(true);
+      expect(evaluateCondition(condition, "Sold out")).toBe(false);
+    });
+
+    test("should evaluate not_contains conditions", () => {
+      const condition = { type: "not_contains", value: "Sold out" };
+
+      expect(evaluateCondition(condition, "Available")).toBe(true);
+      expect(evaluateCondition(condition, "Sold out")).toBe(false);
+    });
+
+    test("should evaluate regular expression conditions", () => {
+      const condition = { type: "matches", pattern: "v\\d+\\.\\d+" };
+
+      expect(evaluateCondition(condition, "Release v2.10")).toBe(true);
+      expect(evaluateCondition(condition, "Release candidate")).toBe(false);
+      expect(
+        evaluateCondition({ ...condition, pattern: "beta", flags: "i" }, "BETA")
+      ).toBe(true);
+    });
+
+    test("should evaluate number conditions on parsed values", () => {
+      const condition = { type: "number", operator: "<", value: 100 };
+
+      expect(evaluateCondition(condition, "$99.99")).toBe(true);
+      expect(evaluateCondition(condition, "$1,099.99")).toBe(false);
+      expect(evaluateCondition(condition, "Call for price")).toBe(false);
+      expect(
+        evaluateCondition(condition, "99,99 €", { decimalSeparator: "," })
+      ).toBe(true);
+    });
+
+    test("should treat missing values as not meeting the condition", () => {
+      expect(
+        evaluateCondition({ type: "not_contains", value: "x" }, null)
+      ).toBe(false);
+    });
+
+    test("should evaluate lists item by item", () => {
+      const jobs = ["Backend Engineer", "Designer"];
+
+      expect(
+        evaluateCondition({ type: "contains", value: "Engineer" }, jobs)
+      ).toBe(true);
+      expect(
+        evaluateCondition({ type: "not_contains", value: "Engineer" }, jobs)
+      ).toBe(false);
+    });
+
+    test("should throw for unsupported condition types", () => {
+      expect(() => evaluateCondition({ type: "equals" }, "value")).toThrow(
+        'Unsupported alert condition type "equals"'
+      );
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Crash-safe file writes: content is written to a temporary file next to the
+ * target, flushed to disk and then renamed over the target, so readers only
+ * ever see the old or the new content, never a partial write
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Atomically replace a file with new content
+ * @param {string} filePath - Path of the file to write
+ * @param {string|Buffer} content - New file content
+ * @param {string} [encoding] - Encoding of string content (default: utf8)
+ * @returns {Promise<void>}
+ * @throws {Error} If the temporary file cannot be written or renamed
+ */
+async function writeFileAtomic(filePath, content, encoding = "utf8") {
+  // The temporary file must live in the same directory, as rename is only
+  // atomic within a file system
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto
+      .randomBytes(4)
+      .toString("hex")}.tmp`
+  );
+
+  let handle = null;
+  try {
+    handle = await fs.open(tempPath, "w");
+    await handle.writeFile(content, encoding);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,38 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+
+describe("writeFileAtomic", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "atomic-write-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should replace the file content without leaving temporary files", async () => {
+    const filePath = path.join(tempDir, "state.json");
+    await fs.writeFile(filePath, "old");
+
+    await writeFileAtomic(filePath, "new");
+
+    expect(await fs.readFile(filePath, "utf8")).toBe("new");
+    expect(await fs.readdir(tempDir)).toEqual(["state.json"]);
+  });
+
+  test("should keep the old content and clean up when the rename fails", async () => {
+    // Renaming a file over a non-empty directory always fails
+    const filePath = path.join(tempDir, "target");
+    await fs.mkdir(filePath);
+    await fs.writeFile(path.join(filePath, "keep"), "old");
+
+    await expect(writeFileAtomic(filePath, "new")).rejects.toThrow();
+
+    expect(await fs.readdir(tempDir)).toEqual(["target"]);
+    expect(await fs.readFile(path.join(filePath, "keep"), "utf8")).toBe("old");
+  });
+});
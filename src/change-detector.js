@@ -1,3 +1,7 @@
+const { parseNumber } = require("./number-parser");
+const { evaluateCondition } = require("./alert-condition");
+const { normalizeValue } = require("./text-normalizer");
+
 /**
  * ChangeDetector class for comparing extracted values with stored values
  * and creating change records with metadata
@@ -5,8 +9,8 @@
 class ChangeDetector {
   /**
    * Detects if a change occurred between current and stored values
-   * @param {string} currentValue - The newly extracted value
-   * @param {string} storedValue - The previously stored value
+   * @param {string|string[]} currentValue - The newly extracted value
+   * @param {string|string[]} storedValue - The previously stored value
    * @returns {boolean} True if values are different, false otherwise
    */
   detectChange(currentValue, storedValue) {
@@ -19,6 +23,12 @@ class ChangeDetector {
       return true;
     }
 
+    // Compare lists item by item for targets monitoring multiple elements
+    if (Array.isArray(currentValue) || Array.isArray(storedValue)) {
+      const diff = this.diffLists(storedValue, currentValue);
+      return diff.added.length > 0 || diff.removed.length > 0 || diff.reordered;
+    }
+
     // Compare trimmed string values to handle whitespace differences
     const trimmedCurrent = String(currentValue).trim();
     const trimmedStored = String(storedValue).trim();
@@ -26,17 +36,71 @@ class ChangeDetector {
     return trimmedCurrent !== trimmedStored;
   }
 
+  /**
+   * Computes which items were added to or removed from a list, and whether
+   * the items present in both lists changed their relative order
+   * @param {string[]|string} oldList - The previously stored list
+   * @param {string[]|string} newList - The newly extracted list
+   * @returns {Object} Diff with added, removed and reordered fields
+   */
+  diffLists(oldList, newList) {
+    const toItems = (value) => {
+      if (value == null) {
+        return [];
+      }
+      return (Array.isArray(value) ? value : [value]).map((item) =>
+        String(item).trim()
+      );
+    };
+    const oldItems = toItems(oldList);
+    const newItems = toItems(newList);
+
+    // Count occurrences so duplicate items are matched one-to-one
+    const countItems = (items) => {
+      const counts = new Map();
+      items.forEach((item) => counts.set(item, (counts.get(item) || 0) + 1));
+      return counts;
+    };
+    const takeUnmatched = (items, otherCounts) => {
+      const remaining = new Map(otherCounts);
+      const kept = [];
+      const unmatched = [];
+      items.forEach((item) => {
+        if (remaining.get(item) > 0) {
+          remaining.set(item, remaining.get(item) - 1);
+          kept.push(item);
+        } else {
+          unmatched.push(item);
+        }
+      });
+      return { kept, unmatched };
+    };
+
+    const newSide = takeUnmatched(newItems, countItems(oldItems));
+    const oldSide = takeUnmatched(oldItems, countItems(newItems));
+
+    const reordered = oldSide.kept.some(
+      (item, index) => item !== newSide.kept[index]
+    );
+
+    return {
+      added: newSide.unmatched,
+      removed: oldSide.unmatched,
+      reordered,
+    };
+  }
+
   /**
    * Creates a change record with metadata for detected changes
    * @param {Object} entry - The configuration entry being monitored
-   * @param {string} oldValue - The previous stored value
-   * @param {string} newValue - The newly extracted value
-   * @returns {Object} Change record with metadata
+   * @param {string|string[]} oldValue - The previous stored value
+   * @param {string|string[]} newValue - The newly extracted value
+   * @returns {Object} Change record with metadata (and listDiff for list targets)
    */
   createChangeRecord(entry, oldValue, newValue) {
     const timestamp = new Date();
 
-    return {
+    const record = {
       url: entry.url,
       css_selector: entry.css_selector,
       oldValue: oldValue,
@@ -46,28 +110,206 @@ class ChangeDetector {
       entry: entry,
       hasChanged: true,
     };
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      record.listDiff = this.diffLists(oldValue, newValue);
+    }
+
+    return record;
   }
 
   /**
-   * Processes a monitoring entry and returns change detection result
-   * @param {Object} entry - Configuration entry with url, css_selector, current_value
-   * @param {string} extractedValue - The value extracted from the page
-   * @returns {Object} Change detection result
+   * Compares two values as numbers and decides whether the difference is
+   * significant according to the target's compare settings
+   * @param {string} currentValue - The newly extracted value, e.g. "$1,199.00"
+   * @param {string} storedValue - The previously stored value
+   * @param {Object} [compare] - Compare settings of the target
+   * @param {number} [compare.threshold] - Minimum absolute delta to report
+   * @param {number} [compare.threshold_percent] - Minimum percentage delta to report
+   * @param {string} [compare.direction] - "increase", "decrease" or "any" (default)
+   * @param {number} [compare.below] - Only report when the value drops below this number
+   * @param {number} [compare.above] - Only report when the value rises above this number
+   * @param {string} [compare.decimal_separator] - Force "." or "," as decimal separator
+   * @returns {Object} Result with hasChanged and numeric details (oldNumber, newNumber, delta, percentChange)
+   * @throws {Error} If no number can be parsed from the current value
    */
-  processEntry(entry, extractedValue) {
-    const hasChanged = this.detectChange(extractedValue, entry.current_value);
+  compareNumbers(currentValue, storedValue, compare = {}) {
+    const parseOptions = { decimalSeparator: compare.decimal_separator };
+    const newNumber = parseNumber(currentValue, parseOptions);
+    const oldNumber = parseNumber(storedValue, parseOptions);
 
-    if (!hasChanged) {
+    if (newNumber === null) {
+      throw new Error(
+        `Failed to extract a number from value "${currentValue}"`
+      );
+    }
+
+    // Without a previous number there is nothing to measure against, so the
+    // first parsable value is always reported
+    if (oldNumber === null) {
       return {
-        entry: entry,
-        hasChanged: false,
-        oldValue: entry.current_value,
-        newValue: extractedValue,
-        timestamp: new Date().toISOString(),
+        hasChanged: true,
+        numeric: { oldNumber, newNumber, delta: null, percentChange: null },
       };
     }
 
-    return this.createChangeRecord(entry, entry.current_value, extractedValue);
+    const delta = newNumber - oldNumber;
+    const percentChange =
+      oldNumber !== 0 ? (delta / Math.abs(oldNumber)) * 100 : null;
+    const numeric = { oldNumber, newNumber, delta, percentChange };
+
+    const checks = [delta !== 0];
+    if (compare.direction === "increase") {
+      checks.push(delta > 0);
+    } else if (compare.direction === "decrease") {
+      checks.push(delta < 0);
+    }
+    if (compare.threshold !== undefined) {
+      checks.push(Math.abs(delta) >= compare.threshold);
+    }
+    if (compare.threshold_percent !== undefined) {
+      checks.push(
+        percentChange === null ||
+          Math.abs(percentChange) >= compare.threshold_percent
+      );
+    }
+    if (compare.below !== undefined) {
+      checks.push(newNumber < compare.below && oldNumber >= compare.below);
+    }
+    if (compare.above !== undefined) {
+      checks.push(newNumber > compare.above && oldNumber <= compare.above);
+    }
+
+    return { hasChanged: checks.every(Boolean), numeric };
+  }
+
+  /**
+   * Decides whether a detected change should trigger a notification. Without
+   * an alert condition every change does; with one, only changes where the
+   * condition goes from unmet to met do.
+   * @param {Object} entry - Configuration entry, optionally with alert_when
+   * @param {string|string[]} oldValue - The previous stored value
+   * @param {string|string[]} newValue - The newly extracted value
+   * @returns {Object} Result with shouldNotify, and conditionMet when a condition is set
+   */
+  evaluateAlert(entry, oldValue, newValue) {
+    if (!entry.alert_when) {
+      return { shouldNotify: true };
+    }
+
+    const options = {
+      decimalSeparator: entry.compare && entry.compare.decimal_separator,
+    };
+    const conditionMet = evaluateCondition(entry.alert_when, newValue, options);
+    const previouslyMet = evaluateCondition(
+      entry.alert_when,
+      oldValue,
+      options
+    );
+
+    return { shouldNotify: conditionMet && !previouslyMet, conditionMet };
+  }
+
+  /**
+   * Processes a monitoring entry and returns change detection result
+   * @param {Object} entry - Configuration entry with url, css_selector, current_value
+   * @param {string|string[]} rawValue - The value extracted from the page
+   * @returns {Object} Change detection result (with numeric details for number
+   *   targets). newValue holds the normalized value and rawValue the value as
+   *   extracted. shouldNotify tells whether the change is worth a notification.
+   *   Targets without a current_value get a baseline result that is stored
+   *   but not notified.
+   */
+  processEntry(entry, rawValue) {
+    // Normalize before comparing, so the normalized value is also what gets stored
+    const extractedValue = normalizeValue(rawValue, entry.normalize);
+    const isBaseline = entry.current_value === undefined;
+    let hasChanged;
+    let numeric;
+
+    if (isBaseline) {
+      hasChanged = true;
+    } else if (entry.compare && entry.compare.type === "number") {
+      ({ hasChanged, numeric } = this.compareNumbers(
+        extractedValue,
+        entry.current_value,
+        entry.compare
+      ));
+    } else {
+      hasChanged = this.detectChange(extractedValue, entry.current_value);
+    }
+
+    const result = hasChanged
+      ? {
+          ...this.createChangeRecord(
+            entry,
+            entry.current_value,
+            extractedValue
+          ),
+          ...(isBaseline
+            ? { shouldNotify: false, baseline: true }
+            : this.evaluateAlert(entry, entry.current_value, extractedValue)),
+        }
+      : {
+          entry: entry,
+          hasChanged: false,
+          shouldNotify: false,
+          oldValue: entry.current_value,
+          newValue: extractedValue,
+          timestamp: new Date().toISOString(),
+        };
+
+    result.rawValue = rawValue;
+    if (numeric) {
+      result.numeric = numeric;
+    }
+
+    return result;
+  }
+
+  /**
+   * Processes the screenshot comparison of a visual monitoring target
+   * @param {Object} entry - Configuration entry with type "screenshot"
+   * @param {Object} comparison - Comparison from ScreenshotStore.compare
+   * @returns {Object} Change detection result. oldValue and newValue hold the
+   *   image hashes; visual holds the changed-pixel percentage and image
+   *   paths. A target without a baseline image gets a baseline result that
+   *   is stored but not notified.
+   */
+  processScreenshot(entry, comparison) {
+    const tolerance = (entry.screenshot && entry.screenshot.tolerance) || 0;
+    const isBaseline = !comparison.hasBaseline;
+    const hasChanged = isBaseline || comparison.changedPercent > tolerance;
+
+    const result = hasChanged
+      ? {
+          ...this.createChangeRecord(
+            entry,
+            comparison.baselineHash,
+            comparison.currentHash
+          ),
+          shouldNotify: !isBaseline,
+          ...(isBaseline ? { baseline: true } : {}),
+        }
+      : {
+          entry: entry,
+          hasChanged: false,
+          shouldNotify: false,
+          oldValue: comparison.baselineHash,
+          newValue: comparison.currentHash,
+          timestamp: new Date().toISOString(),
+        };
+
+    return {
+      ...result,
+      visual: {
+        changedPercent: comparison.changedPercent,
+        changedPixels: comparison.changedPixels,
+        totalPixels: comparison.totalPixels,
+        tolerance,
+        paths: comparison.paths,
+      },
+    };
   }
 }
 
@@ -175,6 +175,326 @@ describe("ChangeDetector", () => {
       expect(result.old_value).toBe("old content");
       expect(result.new_value).toBe("  new content  ");
     });
+
+    test("should record a baseline without notifying when no value is known", () => {
+      const entry = {
+        url: "https://example.com",
+        css_selector: "#price",
+        alert_when: { type: "contains", value: "$" },
+      };
+
+      const result = changeDetector.processEntry(entry, "$18.49");
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.baseline).toBe(true);
+      expect(result.shouldNotify).toBe(false);
+      expect(result.newValue).toBe("$18.49");
+    });
+  });
+
+  describe("list targets", () => {
+    test("should report added and removed items", () => {
+      const diff = changeDetector.diffLists(
+        ["Job A", "Job B", "Job C"],
+        ["Job A", "Job C", "Job D"]
+      );
+
+      expect(diff).toEqual({
+        added: ["Job D"],
+        removed: ["Job B"],
+        reordered: false,
+      });
+    });
+
+    test("should detect reordering of the same items", () => {
+      const diff = changeDetector.diffLists(["a", "b", "c"], ["c", "a", "b"]);
+
+      expect(diff).toEqual({ added: [], removed: [], reordered: true });
+      expect(
+        changeDetector.detectChange(["c", "a", "b"], ["a", "b", "c"])
+      ).toBe(true);
+    });
+
+    test("should match duplicate items one-to-one", () => {
+      const diff = changeDetector.diffLists(["x", "x"], ["x", "x", "x"]);
+
+      expect(diff).toEqual({ added: ["x"], removed: [], reordered: false });
+    });
+
+    test("should not report a change for identical lists", () => {
+      expect(changeDetector.detectChange(["a", " b "], ["a", "b"])).toBe(false);
+    });
+
+    test("should include the list diff in change records", () => {
+      const entry = {
+        url: "https://example.com/jobs",
+        css_selector: ".job-title",
+        current_value: ["Engineer"],
+        multiple: true,
+      };
+
+      const result = changeDetector.processEntry(entry, [
+        "Engineer",
+        "Designer",
+      ]);
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.oldValue).toEqual(["Engineer"]);
+      expect(result.newValue).toEqual(["Engineer", "Designer"]);
+      expect(result.listDiff).toEqual({
+        added: ["Designer"],
+        removed: [],
+        reordered: false,
+      });
+    });
+  });
+
+  describe("number targets", () => {
+    const numberEntry = (current_value, compare = {}) => ({
+      url: "https://example.com/product",
+      css_selector: "#price",
+      current_value,
+      compare: { type: "number", ...compare },
+    });
+
+    test("should compare parsed numbers instead of strings", () => {
+      const result = changeDetector.processEntry(
+        numberEntry("$1,299.00"),
+        "$1299"
+      );
+
+      expect(result.hasChanged).toBe(false);
+      expect(result.numeric).toMatchObject({
+        oldNumber: 1299,
+        newNumber: 1299,
+        delta: 0,
+      });
+    });
+
+    test("should report parsed numbers and delta on change", () => {
+      const result = changeDetector.processEntry(
+        numberEntry("$1,000.00"),
+        "$877.00"
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.numeric.oldNumber).toBe(1000);
+      expect(result.numeric.newNumber).toBe(877);
+      expect(result.numeric.delta).toBe(-123);
+      expect(result.numeric.percentChange).toBeCloseTo(-12.3);
+    });
+
+    test("should ignore changes below the absolute threshold", () => {
+      const entry = numberEntry("100", { threshold: 5 });
+
+      expect(changeDetector.processEntry(entry, "103").hasChanged).toBe(false);
+      expect(changeDetector.processEntry(entry, "95").hasChanged).toBe(true);
+    });
+
+    test("should ignore changes below the percentage threshold", () => {
+      const entry = numberEntry("1.000,00 €", { threshold_percent: 10 });
+
+      expect(changeDetector.processEntry(entry, "950,00 €").hasChanged).toBe(
+        false
+      );
+      expect(changeDetector.processEntry(entry, "1.100,00 €").hasChanged).toBe(
+        true
+      );
+    });
+
+    test("should only report moves in the configured direction", () => {
+      const entry = numberEntry("$50", { direction: "decrease" });
+
+      expect(changeDetector.processEntry(entry, "$55").hasChanged).toBe(false);
+      expect(changeDetector.processEntry(entry, "$45").hasChanged).toBe(true);
+    });
+
+    test("should report when the value drops below a limit", () => {
+      expect(
+        changeDetector.processEntry(numberEntry("520", { below: 500 }), "499")
+          .hasChanged
+      ).toBe(true);
+      expect(
+        changeDetector.processEntry(numberEntry("520", { below: 500 }), "510")
+          .hasChanged
+      ).toBe(false);
+      expect(
+        changeDetector.processEntry(numberEntry("480", { below: 500 }), "470")
+          .hasChanged
+      ).toBe(false);
+    });
+
+    test("should report the first parsable value", () => {
+      const result = changeDetector.processEntry(numberEntry(""), "$10");
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.numeric).toEqual({
+        oldNumber: null,
+        newNumber: 10,
+        delta: null,
+        percentChange: null,
+      });
+    });
+
+    test("should throw when no number can be parsed", () => {
+      expect(() =>
+        changeDetector.processEntry(numberEntry("$10"), "Sold out")
+      ).toThrow('Failed to extract a number from value "Sold out"');
+    });
+  });
+
+  describe("alert conditions", () => {
+    const alertEntry = (current_value, alert_when) => ({
+      url: "https://example.com/product",
+      css_selector: "#availability",
+      current_value,
+      alert_when,
+    });
+
+    test("should notify on every change without a condition", () => {
+      const result = changeDetector.processEntry(
+        alertEntry("old", undefined),
+        "new"
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.shouldNotify).toBe(true);
+    });
+
+    test("should notify when the condition becomes true", () => {
+      const result = changeDetector.processEntry(
+        alertEntry("Sold out", { type: "contains", value: "In stock" }),
+        "In stock - ships today"
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.shouldNotify).toBe(true);
+      expect(result.conditionMet).toBe(true);
+    });
+
+    test("should not notify when the condition was already true", () => {
+      const result = changeDetector.processEntry(
+        alertEntry("In stock - 5 left", {
+          type: "contains",
+          value: "In stock",
+        }),
+        "In stock - 4 left"
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.shouldNotify).toBe(false);
+      expect(result.conditionMet).toBe(true);
+    });
+
+    test("should not notify when the condition is not met", () => {
+      const result = changeDetector.processEntry(
+        alertEntry("$120", { type: "number", operator: "<", value: 100 }),
+        "$110"
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.shouldNotify).toBe(false);
+      expect(result.conditionMet).toBe(false);
+    });
+
+    test("should not notify for unchanged values", () => {
+      const result = changeDetector.processEntry(
+        alertEntry("v1.2", { type: "matches", pattern: "v\\d+\\.\\d+" }),
+        "v1.2"
+      );
+
+      expect(result.hasChanged).toBe(false);
+      expect(result.shouldNotify).toBe(false);
+    });
+  });
+
+  describe("normalization", () => {
+    test("should compare and store the normalized value", () => {
+      const entry = {
+        url: "https://example.com/news",
+        css_selector: ".headline",
+        current_value: "big news",
+        normalize: [
+          { type: "ignore", patterns: ["\\d+ minutes ago"] },
+          { type: "lowercase" },
+          { type: "collapse_whitespace" },
+        ],
+      };
+
+      const unchanged = changeDetector.processEntry(
+        entry,
+        "Big   News 5 minutes ago"
+      );
+      const changed = changeDetector.processEntry(entry, "Other News");
+
+      expect(unchanged.hasChanged).toBe(false);
+      expect(changed.hasChanged).toBe(true);
+      expect(changed.newValue).toBe("other news");
+      expect(changed.rawValue).toBe("Other News");
+    });
+  });
+
+  describe("screenshot targets", () => {
+    const entry = {
+      type: "screenshot",
+      url: "https://example.com",
+      css_selector: "#chart",
+      screenshot: { tolerance: 1 },
+    };
+    const comparison = (overrides) => ({
+      hasBaseline: true,
+      changedPixels: 50,
+      totalPixels: 1000,
+      changedPercent: 5,
+      baselineHash: "sha256:old",
+      currentHash: "sha256:new",
+      paths: { baseline: "b.png", current: "c.png", diff: "d.png" },
+      ...overrides,
+    });
+
+    test("should report changes above the tolerance", () => {
+      const result = changeDetector.processScreenshot(entry, comparison());
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.shouldNotify).toBe(true);
+      expect(result.oldValue).toBe("sha256:old");
+      expect(result.newValue).toBe("sha256:new");
+      expect(result.visual).toEqual({
+        changedPercent: 5,
+        changedPixels: 50,
+        totalPixels: 1000,
+        tolerance: 1,
+        paths: { baseline: "b.png", current: "c.png", diff: "d.png" },
+      });
+    });
+
+    test("should ignore changes within the tolerance", () => {
+      const result = changeDetector.processScreenshot(
+        entry,
+        comparison({ changedPixels: 5, changedPercent: 0.5 })
+      );
+
+      expect(result.hasChanged).toBe(false);
+      expect(result.shouldNotify).toBe(false);
+      expect(result.visual.changedPercent).toBe(0.5);
+    });
+
+    test("should record a baseline for the first screenshot", () => {
+      const result = changeDetector.processScreenshot(
+        entry,
+        comparison({
+          hasBaseline: false,
+          changedPixels: null,
+          totalPixels: null,
+          changedPercent: null,
+          baselineHash: null,
+        })
+      );
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.baseline).toBe(true);
+      expect(result.shouldNotify).toBe(false);
+    });
   });
 
   describe("edge cases", () => {
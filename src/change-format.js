@@ -0,0 +1,378 @@
+/**
+ * Formatting of change details shared by the notifiers
+ */
+
+/**
+ * Format the delta of a numeric change, e.g. "↓ 12.3% (-160)"
+ * @param {Object} numeric - Numeric details with delta and percentChange
+ * @returns {string} Formatted change
+ */
+function formatNumericChange(numeric) {
+  const { delta, percentChange } = numeric;
+  const arrow = delta > 0 ? "↑" : delta < 0 ? "↓" : "→";
+  const signedDelta = `${delta > 0 ? "+" : ""}${Number(delta.toFixed(2))}`;
+
+  if (percentChange === null) {
+    return `${arrow} ${signedDelta}`;
+  }
+
+  return `${arrow} ${Math.abs(percentChange).toFixed(1)}% (${signedDelta})`;
+}
+
+/**
+ * Format the changed-pixel percentage of a visual change, e.g.
+ * "3.14% of pixels changed (tolerance 0.5%)"
+ * @param {Object} visual - Visual details with changedPercent and tolerance
+ * @returns {string} Formatted change
+ */
+function formatVisualChange(visual) {
+  const percent = Number(visual.changedPercent.toFixed(2));
+  return (
+    `${percent}% of pixels changed` +
+    (visual.tolerance > 0 ? ` (tolerance ${visual.tolerance}%)` : "")
+  );
+}
+
+/**
+ * Shorten text to a maximum length, marking the cut with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Text of at most maxLength characters
+ */
+function truncate(text, maxLength) {
+  const value = String(text);
+  if (value.length <= maxLength) {
+    return value;
+  }
+  return `${value.slice(0, maxLength - 1)}…`;
+}
+
+/**
+ * Upper bound of the line comparison table; larger values are shown as
+ * entirely removed and added instead of being diffed
+ */
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Diff two values line by line using their longest common subsequence
+ * @param {*} oldValue - Previous value
+ * @param {*} newValue - New value
+ * @returns {Array<Object>} Diff lines {type: "same"|"removed"|"added", text}, in order
+ */
+function diffLines(oldValue, newValue) {
+  const toLines = (value) =>
+    value === null || value === undefined ? [] : String(value).split("\n");
+  const oldLines = toLines(oldValue);
+  const newLines = toLines(newValue);
+
+  if ((oldLines.length + 1) * (newLines.length + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map((text) => ({ type: "removed", text })),
+      ...newLines.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lengths[i][j] is the length of the longest common subsequence of
+  // oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+    new Array(newLines.length + 1).fill(0)
+  );
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      lines.push({ type: "same", text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", text: oldLines[i++] });
+    } else {
+      lines.push({ type: "added", text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) {
+    lines.push({ type: "removed", text: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    lines.push({ type: "added", text: newLines[j++] });
+  }
+
+  return lines;
+}
+
+/**
+ * Prefixes marking the lines of a text diff
+ */
+const DIFF_PREFIXES = { removed: "- ", added: "+ ", same: "  " };
+
+/**
+ * Get the diff of a change: the removed and added items of a list change,
+ * otherwise the line diff of the old and new values
+ * @param {Object} changeRecord - The change detection result
+ * @param {number} [maxValueLength] - Length values are shortened to before diffing
+ * @returns {Array<Object>} Diff lines {type, text}
+ */
+function getChangeDiff(changeRecord, maxValueLength = Infinity) {
+  if (changeRecord.listDiff) {
+    return [
+      ...changeRecord.listDiff.removed.map((text) => ({
+        type: "removed",
+        text,
+      })),
+      ...changeRecord.listDiff.added.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  const limit = (value) =>
+    value === undefined || value === null
+      ? value
+      : truncate(value, maxValueLength);
+  return diffLines(limit(changeRecord.oldValue), limit(changeRecord.newValue));
+}
+
+/**
+ * Format diff lines as text, e.g. "- old\n+ new"
+ * @param {Array<Object>} lines - Diff lines {type, text}
+ * @returns {string} Diff text
+ */
+function formatDiffText(lines) {
+  return lines.map(({ type, text }) => DIFF_PREFIXES[type] + text).join("\n");
+}
+
+/**
+ * Format a count with its noun, e.g. "1 change" or "3 changes"
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Formatted count
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Get the name of the digest group of a change: the host name of its URL,
+ * or the tag of its target
+ * @param {Object} changeRecord - The change detection result
+ * @param {string} groupBy - "domain" or "tag"
+ * @returns {string} Group name
+ */
+function getDigestGroup(changeRecord, groupBy) {
+  const { entry } = changeRecord;
+
+  if (groupBy === "tag") {
+    return entry.tag || "Untagged";
+  }
+  return getDomain(entry.url);
+}
+
+/**
+ * Get the domain of a URL
+ * @param {string} url - URL of a target
+ * @returns {string} Host name, or the URL itself if it cannot be parsed
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Describe what is extracted from the page of a target in notifications
+ * @param {Object} entry - Monitoring target
+ * @returns {string} CSS selector, JSON path of JSON targets, or
+ *   "(full page)" for screenshots of full pages
+ */
+function describeSelector(entry) {
+  return entry.css_selector || entry.json_path || "(full page)";
+}
+
+/**
+ * Group the changes of a digest by domain or tag, in order of their first
+ * change
+ * @param {Array<Object>} changes - Change detection results
+ * @param {string} [groupBy="domain"] - "domain" or "tag"
+ * @returns {Array<Object>} Groups {name, changes}
+ */
+function groupChanges(changes, groupBy = "domain") {
+  const groups = new Map();
+
+  for (const change of changes) {
+    const name = getDigestGroup(change, groupBy);
+    if (!groups.has(name)) {
+      groups.set(name, { name, changes: [] });
+    }
+    groups.get(name).changes.push(change);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Summarize the changes of a digest, e.g. "15 changes across 3 domains"
+ * @param {Array<Object>} changes - Change detection results
+ * @param {string} [groupBy="domain"] - "domain" or "tag"
+ * @returns {string} Summary
+ */
+function formatDigestSummary(changes, groupBy = "domain") {
+  return `${pluralize(changes.length, "change")} across ${pluralize(
+    groupChanges(changes, groupBy).length,
+    groupBy
+  )}`;
+}
+
+/**
+ * Summarize a change on one line for digests, e.g. "$19.99 → $18.49" or
+ * "2 added, 1 removed"
+ * @param {Object} changeRecord - The change detection result
+ * @param {number} [maxValueLength=100] - Length values are shortened to
+ * @returns {string} Summary
+ */
+function summarizeChange(changeRecord, maxValueLength = 100) {
+  if (changeRecord.visual) {
+    return formatVisualChange(changeRecord.visual);
+  }
+
+  if (changeRecord.listDiff) {
+    const { added, removed } = changeRecord.listDiff;
+    const parts = [];
+    if (added.length > 0) {
+      parts.push(`${added.length} added`);
+    }
+    if (removed.length > 0) {
+      parts.push(`${removed.length} removed`);
+    }
+    return parts.length > 0 ? parts.join(", ") : "order changed";
+  }
+
+  const oneLine = (value) =>
+    value === undefined || value === null || value === ""
+      ? "(empty)"
+      : truncate(String(value).replace(/\s+/g, " ").trim(), maxValueLength);
+  const summary = `${oneLine(changeRecord.oldValue)} → ${oneLine(
+    changeRecord.newValue
+  )}`;
+
+  if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+    return `${summary} (${formatNumericChange(changeRecord.numeric)})`;
+  }
+  return summary;
+}
+
+/**
+ * Join the entries of a digest up to a maximum length; entries that do not
+ * fit are replaced with a note of how many were left out
+ * @param {string[]} entries - Entries, one per change
+ * @param {number} maxLength - Maximum length of the result
+ * @param {Function} [formatNote] - Formats the note for a number of left out entries
+ * @param {string} [separator="\n"] - Separator between entries
+ * @returns {string} Joined entries
+ */
+function joinEntries(
+  entries,
+  maxLength,
+  formatNote = (count) => `… ${pluralize(count, "more change")}`,
+  separator = "\n"
+) {
+  const all = entries.join(separator);
+  if (all.length <= maxLength) {
+    return all;
+  }
+
+  // Keep room for the note about the entries after the current one
+  let text = "";
+  for (let index = 0; index < entries.length; index++) {
+    const next = text ? `${text}${separator}${entries[index]}` : entries[index];
+    const note = `${separator}${formatNote(entries.length - index - 1)}`;
+    if (next.length + note.length > maxLength) {
+      const omitted = formatNote(entries.length - index);
+      return text ? `${text}${separator}${omitted}` : omitted;
+    }
+    text = next;
+  }
+
+  return text;
+}
+
+/**
+ * Describe a target status notification: its title, and a summary of the
+ * failure streak that made the target broken or that just ended
+ * @param {Object} statusRecord - Target status {status, entry, failureCount,
+ *   failingSince, error, timestamp}; status is "broken" or "recovered"
+ * @returns {Object} Description {title, summary}
+ */
+function describeTargetStatus(statusRecord) {
+  const { failureCount, failingSince } = statusRecord;
+  const since = new Date(failingSince).toISOString();
+
+  if (statusRecord.status === "broken") {
+    return {
+      title: "🚨 Target Broken",
+      summary: `Failing for ${pluralize(
+        failureCount,
+        "consecutive run"
+      )} since ${since}`,
+    };
+  }
+  return {
+    title: "✅ Target Recovered",
+    summary: `Working again after ${pluralize(
+      failureCount,
+      "failed run"
+    )} since ${since}`,
+  };
+}
+
+/**
+ * Format the error of a broken target as "Label: value" lines followed by
+ * the suggestions of the error handler
+ * @param {Object} error - Categorized error {type, message, userMessage,
+ *   suggestions}
+ * @param {number} [maxLength=500] - Length the error message is shortened to
+ * @returns {string[]} Lines, e.g. ["Error: ...", "Details: ...", "Suggestions:", "• ..."]
+ */
+function formatTargetError(error, maxLength = 500) {
+  const lines = [`Error: ${error.userMessage || error.message}`];
+
+  if (error.message && error.message !== error.userMessage) {
+    lines.push(`Details: ${truncate(error.message, maxLength)}`);
+  }
+  if (error.suggestions && error.suggestions.length > 0) {
+    lines.push(
+      "Suggestions:",
+      ...error.suggestions.map((suggestion) => `• ${suggestion}`)
+    );
+  }
+
+  return lines;
+}
+
+module.exports = {
+  DIFF_PREFIXES,
+  formatNumericChange,
+  formatVisualChange,
+  truncate,
+  diffLines,
+  getChangeDiff,
+  formatDiffText,
+  pluralize,
+  getDomain,
+  describeSelector,
+  groupChanges,
+  formatDigestSummary,
+  summarizeChange,
+  joinEntries,
+  describeTargetStatus,
+  formatTargetError,
+};
@@ -0,0 +1,205 @@
+const {
+  diffLines,
+  formatDiffText,
+  getChangeDiff,
+  formatNumericChange,
+  formatVisualChange,
+  truncate,
+  groupChanges,
+  formatDigestSummary,
+  summarizeChange,
+  joinEntries,
+  describeTargetStatus,
+  formatTargetError,
+  getDomain,
+  describeSelector,
+} = require("./change-format");
+
+describe("change-format", () => {
+  test("should format numeric deltas with direction and percentage", () => {
+    expect(formatNumericChange({ delta: -160, percentChange: -12.31 })).toBe(
+      "↓ 12.3% (-160)"
+    );
+    expect(formatNumericChange({ delta: 5, percentChange: null })).toBe("↑ +5");
+    expect(formatNumericChange({ delta: 0, percentChange: 0 })).toBe(
+      "→ 0.0% (0)"
+    );
+  });
+
+  test("should format visual changes with the tolerance if set", () => {
+    expect(formatVisualChange({ changedPercent: 3.14159, tolerance: 0 })).toBe(
+      "3.14% of pixels changed"
+    );
+    expect(formatVisualChange({ changedPercent: 1, tolerance: 0.5 })).toBe(
+      "1% of pixels changed (tolerance 0.5%)"
+    );
+  });
+
+  test("should truncate long text with an ellipsis", () => {
+    expect(truncate("short", 10)).toBe("short");
+    expect(truncate("a longer text", 5)).toBe("a lo…");
+    expect(truncate(42, 5)).toBe("42");
+  });
+
+  test("should diff values line by line", () => {
+    expect(diffLines("a\nb\nc", "a\nx\nc")).toEqual([
+      { type: "same", text: "a" },
+      { type: "removed", text: "b" },
+      { type: "added", text: "x" },
+      { type: "same", text: "c" },
+    ]);
+    expect(diffLines("$19.99", "$18.49")).toEqual([
+      { type: "removed", text: "$19.99" },
+      { type: "added", text: "$18.49" },
+    ]);
+  });
+
+  test("should diff missing values as empty", () => {
+    expect(diffLines(undefined, "first")).toEqual([
+      { type: "added", text: "first" },
+    ]);
+    expect(diffLines(null, null)).toEqual([]);
+  });
+
+  test("should diff the values or list items of a change", () => {
+    expect(
+      formatDiffText(getChangeDiff({ oldValue: "a\nb", newValue: "a\nc" }))
+    ).toBe("  a\n- b\n+ c");
+    expect(
+      getChangeDiff({
+        oldValue: "Job A\nJob B",
+        newValue: "Job B\nJob C",
+        listDiff: { added: ["Job C"], removed: ["Job A"], reordered: false },
+      })
+    ).toEqual([
+      { type: "removed", text: "Job A" },
+      { type: "added", text: "Job C" },
+    ]);
+    expect(getChangeDiff({ oldValue: "abcdef", newValue: "x" }, 4)).toEqual([
+      { type: "removed", text: "abc…" },
+      { type: "added", text: "x" },
+    ]);
+  });
+
+  test("should get the domain of a URL", () => {
+    expect(getDomain("https://shop.example.com/item?id=1")).toBe(
+      "shop.example.com"
+    );
+    expect(getDomain("not a url")).toBe("not a url");
+  });
+
+  test("should describe the selector, JSON path or full page of a target", () => {
+    expect(describeSelector({ css_selector: "#price" })).toBe("#price");
+    expect(describeSelector({ type: "json", json_path: "$.version" })).toBe(
+      "$.version"
+    );
+    expect(describeSelector({ type: "screenshot" })).toBe("(full page)");
+  });
+
+  describe("target status", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should describe broken and recovered targets", () => {
+      expect(describeTargetStatus(brokenRecord())).toEqual({
+        title: "🚨 Target Broken",
+        summary:
+          "Failing for 3 consecutive runs since 2025-07-25T13:30:00.000Z",
+      });
+      expect(
+        describeTargetStatus({ ...brokenRecord(), status: "recovered" })
+      ).toEqual({
+        title: "✅ Target Recovered",
+        summary:
+          "Working again after 3 failed runs since 2025-07-25T13:30:00.000Z",
+      });
+    });
+
+    test("should list the error, its details and the suggestions", () => {
+      expect(formatTargetError(brokenRecord().error)).toEqual([
+        "Error: The CSS selector did not match any element.",
+        "Details: Element not found: #price",
+        "Suggestions:",
+        "• Verify the CSS selector in your browser",
+      ]);
+      expect(
+        formatTargetError({ message: "Timeout", userMessage: "Timeout" })
+      ).toEqual(["Error: Timeout"]);
+    });
+  });
+
+  describe("digests", () => {
+    const change = (url, tag) => ({
+      entry: { url, css_selector: "#a", tag },
+      oldValue: "old",
+      newValue: "new",
+    });
+
+    test("should group changes by domain or tag in order", () => {
+      const changes = [
+        change("https://b.test/1", "pricing"),
+        change("https://a.test/1"),
+        change("https://b.test/2", "jobs"),
+      ];
+
+      expect(
+        groupChanges(changes).map(({ name, changes }) => [name, changes.length])
+      ).toEqual([
+        ["b.test", 2],
+        ["a.test", 1],
+      ]);
+      expect(groupChanges(changes, "tag").map(({ name }) => name)).toEqual([
+        "pricing",
+        "Untagged",
+        "jobs",
+      ]);
+      expect(formatDigestSummary(changes)).toBe("3 changes across 2 domains");
+      expect(formatDigestSummary(changes.slice(0, 1), "tag")).toBe(
+        "1 change across 1 tag"
+      );
+    });
+
+    test("should summarize a change on one line", () => {
+      expect(
+        summarizeChange({ oldValue: "a\n  b", newValue: "", entry: {} })
+      ).toBe("a b → (empty)");
+      expect(
+        summarizeChange({
+          oldValue: "$10",
+          newValue: "$12",
+          numeric: { delta: 2, percentChange: 20 },
+        })
+      ).toBe("$10 → $12 (↑ 20.0% (+2))");
+      expect(
+        summarizeChange({
+          listDiff: { added: ["x", "y"], removed: ["z"], reordered: false },
+        })
+      ).toBe("2 added, 1 removed");
+      expect(summarizeChange({ oldValue: "abcdef", newValue: "x" }, 4)).toBe(
+        "abc… → x"
+      );
+    });
+
+    test("should join entries up to a length with a note", () => {
+      const long = ["a".repeat(30), "b".repeat(30)];
+
+      expect(joinEntries(["aaa", "bbb"], 7)).toBe("aaa\nbbb");
+      expect(joinEntries(long, 50)).toBe(`${long[0]}\n… 1 more change`);
+      expect(joinEntries(long, 20)).toBe("… 2 more changes");
+      expect(
+        joinEntries(["aaaa", "bbbb", "cccc"], 10, (count) => `+${count}`)
+      ).toBe("aaaa\n+2");
+    });
+  });
+});
@@ -10,6 +10,7 @@ const fs = require("fs").promises;
 const path = require("path");
 const Logger = require("./logger");
 const { ErrorHandler } = require("./error-handler");
+const { isDiscordWebhookUrl } = require("./config");
 
 class CLIController {
   constructor() {
@@ -27,7 +28,12 @@ class CLIController {
     try {
       const args = yargs(hideBin(argv))
         .usage(
-          "Usage: $0 [--input <config-file>] [--slack-webhook <webhook-url>]"
+          "Usage: $0 [watch] [--input <config-file>] [--slack-webhook <webhook-url>] [--discord-webhook <webhook-url>] [--teams-webhook <webhook-url>]"
+        )
+        .command("$0", "Check all targets once")
+        .command(
+          "watch",
+          "Keep running and check each target on its interval or cron schedule, reloading the config file when it changes"
         )
         .option("input", {
           alias: "i",
@@ -43,6 +49,31 @@ class CLIController {
             "Slack webhook URL for notifications (can also be set via SLACK_WEBHOOK_URL environment variable)",
           requiresArg: true,
         })
+        .option("discord-webhook", {
+          type: "string",
+          describe:
+            "Discord webhook URL for notifications (can also be set via DISCORD_WEBHOOK_URL environment variable)",
+          requiresArg: true,
+        })
+        .option("teams-webhook", {
+          type: "string",
+          describe:
+            "Microsoft Teams webhook URL for notifications (can also be set via TEAMS_WEBHOOK_URL environment variable)",
+          requiresArg: true,
+        })
+        .option("data-dir", {
+          alias: "d",
+          type: "string",
+          describe:
+            "Directory for check history and other data (defaults to data_dir from the config file, or a data directory next to it)",
+          requiresArg: true,
+        })
+        .option("lock-timeout", {
+          type: "number",
+          describe:
+            "Seconds to wait for a concurrent run to finish before exiting with code 75 (default: 0, exit immediately)",
+          requiresArg: true,
+        })
         .help("help")
         .alias("help", "h")
         .version("1.0.0")
@@ -64,11 +95,19 @@ class CLIController {
           "$0 --input config.json",
           "Monitor with Slack webhook from config file"
         )
+        .example(
+          "$0 --discord-webhook https://discord.com/api/webhooks/...",
+          "Monitor with Discord notifications via CLI"
+        )
+        .example(
+          "$0 watch --input config.json",
+          "Check each target on its own schedule until stopped"
+        )
         .epilog(
           `
 Configuration Format:
   The config file can be either:
-  • Object format: {"slack_webhook": "...", "targets": [...]}
+  • Object format: {"slack_webhook": "...", "discord_webhook": "...", "teams_webhook": "...", "targets": [...]}
   • Legacy array format: [{"url": "...", "css_selector": "...", ...}]
 
 System Requirements:
@@ -80,6 +119,7 @@ System Requirements:
 Exit Codes:
   0   Success - monitoring completed without critical errors
   1   Error - critical errors occurred during monitoring
+  75  Locked - another run holds the state lock (see --lock-timeout)
   130 Interrupted - process was interrupted by SIGINT (Ctrl+C)
   143 Terminated - process was terminated by SIGTERM
 
@@ -106,6 +146,9 @@ For more information, visit: https://github.com/your-repo/web-element-change-det
   async validateArgs(args) {
     const validatedArgs = { ...args };
 
+    // Run as a daemon with the watch command
+    validatedArgs.watch = Boolean(args._ && args._[0] === "watch");
+
     // Use config.json as default if no input file specified
     const inputFile = args.input || "config.json";
 
@@ -126,6 +169,22 @@ For more information, visit: https://github.com/your-repo/web-element-change-det
       );
     }
 
+    // Resolve data directory if given on the command line
+    if (args["data-dir"]) {
+      validatedArgs.dataDir = path.resolve(args["data-dir"]);
+    }
+
+    // Convert the lock timeout to milliseconds
+    if (args["lock-timeout"] !== undefined) {
+      const lockTimeout = args["lock-timeout"];
+      if (!Number.isFinite(lockTimeout) || lockTimeout < 0) {
+        throw new Error(
+          `Invalid lock timeout: ${lockTimeout}. Must be a non-negative number of seconds.`
+        );
+      }
+      validatedArgs.lockTimeout = lockTimeout * 1000;
+    }
+
     // Handle Slack webhook URL - prioritize command line argument over environment variable
     const slackWebhook = args["slack-webhook"] || process.env.SLACK_WEBHOOK_URL;
 
@@ -138,6 +197,31 @@ For more information, visit: https://github.com/your-repo/web-element-change-det
       validatedArgs.slackWebhook = slackWebhook;
     }
 
+    // Handle Discord webhook URL - prioritize command line argument over environment variable
+    const discordWebhook =
+      args["discord-webhook"] || process.env.DISCORD_WEBHOOK_URL;
+
+    if (discordWebhook) {
+      if (!this.isValidDiscordWebhookUrl(discordWebhook)) {
+        throw new Error(
+          `Invalid Discord webhook URL: ${discordWebhook}. Must be a valid HTTPS Discord webhook URL.`
+        );
+      }
+      validatedArgs.discordWebhook = discordWebhook;
+    }
+
+    // Handle Teams webhook URL - prioritize command line argument over environment variable
+    const teamsWebhook = args["teams-webhook"] || process.env.TEAMS_WEBHOOK_URL;
+
+    if (teamsWebhook) {
+      if (!this.isValidTeamsWebhookUrl(teamsWebhook)) {
+        throw new Error(
+          `Invalid Teams webhook URL: ${teamsWebhook}. Must be a valid HTTPS Teams incoming webhook or workflow URL.`
+        );
+      }
+      validatedArgs.teamsWebhook = teamsWebhook;
+    }
+
     return validatedArgs;
   }
 
@@ -159,6 +243,36 @@ For more information, visit: https://github.com/your-repo/web-element-change-det
     }
   }
 
+  /**
+   * Validate Discord webhook URL format, the same way as the configuration
+   * @param {string} url - URL to validate
+   * @returns {boolean} True if valid webhook URL
+   */
+  isValidDiscordWebhookUrl(url) {
+    return isDiscordWebhookUrl(url);
+  }
+
+  /**
+   * Validate Teams webhook URL format: incoming webhooks on office.com or
+   * Power Automate workflow URLs
+   * @param {string} url - URL to validate
+   * @returns {boolean} True if valid webhook URL
+   */
+  isValidTeamsWebhookUrl(url) {
+    try {
+      const parsedUrl = new URL(url);
+      return (
+        parsedUrl.protocol === "https:" &&
+        (parsedUrl.hostname.endsWith(".webhook.office.com") ||
+          parsedUrl.hostname === "outlook.office.com" ||
+          parsedUrl.hostname.endsWith(".logic.azure.com") ||
+          parsedUrl.hostname.endsWith(".api.powerplatform.com"))
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Display usage information
    */
@@ -64,6 +64,34 @@ describe("CLIController", () => {
       expect(args["slack-webhook"]).toBe("https://hooks.slack.com/test");
     });
 
+    it("should parse data-dir argument with alias", () => {
+      const argv = ["node", "script.js", "-d", "/var/lib/detect-change"];
+      const args = cli.parseArgs(argv);
+
+      expect(args["data-dir"]).toBe("/var/lib/detect-change");
+    });
+
+    it("should parse discord-webhook argument", () => {
+      const argv = [
+        "node",
+        "script.js",
+        "--discord-webhook",
+        "https://discord.com/api/webhooks/123/token",
+      ];
+      const args = cli.parseArgs(argv);
+
+      expect(args["discord-webhook"]).toBe(
+        "https://discord.com/api/webhooks/123/token"
+      );
+    });
+
+    it("should parse lock-timeout argument", () => {
+      const argv = ["node", "script.js", "--lock-timeout", "30"];
+      const args = cli.parseArgs(argv);
+
+      expect(args["lock-timeout"]).toBe(30);
+    });
+
     it("should throw error when input argument is missing", () => {
       const argv = ["node", "script.js"];
 
@@ -152,6 +180,57 @@ describe("CLIController", () => {
       );
     });
 
+    it("should take the discord webhook from the command line or environment", async () => {
+      process.env.DISCORD_WEBHOOK_URL =
+        "https://discord.com/api/webhooks/1/env-test";
+
+      const fromEnv = await cli.validateArgs({ input: "test-config.json" });
+      const fromCli = await cli.validateArgs({
+        input: "test-config.json",
+        "discord-webhook": "https://discord.com/api/webhooks/2/cli-test",
+      });
+
+      expect(fromEnv.discordWebhook).toBe(
+        "https://discord.com/api/webhooks/1/env-test"
+      );
+      expect(fromCli.discordWebhook).toBe(
+        "https://discord.com/api/webhooks/2/cli-test"
+      );
+    });
+
+    it("should throw error for invalid discord webhook URL", async () => {
+      const args = {
+        input: "test-config.json",
+        "discord-webhook": "https://hooks.slack.com/services/test",
+      };
+
+      await expect(cli.validateArgs(args)).rejects.toThrow(
+        "Invalid Discord webhook URL"
+      );
+    });
+
+    it("should resolve the data directory when provided", async () => {
+      const args = { input: "test-config.json", "data-dir": "./data" };
+      const validated = await cli.validateArgs(args);
+
+      expect(validated.dataDir).toBe(path.resolve("./data"));
+    });
+
+    it("should convert the lock timeout to milliseconds", async () => {
+      const args = { input: "test-config.json", "lock-timeout": 1.5 };
+      const validated = await cli.validateArgs(args);
+
+      expect(validated.lockTimeout).toBe(1500);
+    });
+
+    it("should throw error for a negative lock timeout", async () => {
+      const args = { input: "test-config.json", "lock-timeout": -1 };
+
+      await expect(cli.validateArgs(args)).rejects.toThrow(
+        "Invalid lock timeout: -1"
+      );
+    });
+
     it("should work without slack webhook", async () => {
       const args = { input: "test-config.json" };
       const validated = await cli.validateArgs(args);
@@ -210,6 +289,74 @@ describe("CLIController", () => {
     });
   });
 
+  describe("isValidDiscordWebhookUrl", () => {
+    it("should validate Discord webhook URLs", () => {
+      expect(
+        cli.isValidDiscordWebhookUrl(
+          "https://discord.com/api/webhooks/123456/abcdef"
+        )
+      ).toBe(true);
+      expect(
+        cli.isValidDiscordWebhookUrl(
+          "https://discordapp.com/api/webhooks/123456/abcdef"
+        )
+      ).toBe(true);
+      expect(
+        cli.isValidDiscordWebhookUrl(
+          "http://discord.com/api/webhooks/123456/abcdef"
+        )
+      ).toBe(false);
+      expect(
+        cli.isValidDiscordWebhookUrl("https://discord.com/channels/123")
+      ).toBe(false);
+      expect(
+        cli.isValidDiscordWebhookUrl(
+          "https://discord.com.example.com/api/webhooks/1/x"
+        )
+      ).toBe(false);
+      expect(
+        cli.isValidDiscordWebhookUrl(
+          "https://evil.discord.com/api/webhooks/1/x"
+        )
+      ).toBe(false);
+      expect(cli.isValidDiscordWebhookUrl("not-a-url")).toBe(false);
+    });
+  });
+
+  describe("isValidTeamsWebhookUrl", () => {
+    it("should validate Teams incoming webhook and workflow URLs", () => {
+      expect(
+        cli.isValidTeamsWebhookUrl(
+          "https://contoso.webhook.office.com/webhookb2/abc/IncomingWebhook/def"
+        )
+      ).toBe(true);
+      expect(
+        cli.isValidTeamsWebhookUrl(
+          "https://prod-12.westeurope.logic.azure.com:443/workflows/abc/triggers/manual/paths/invoke"
+        )
+      ).toBe(true);
+      expect(
+        cli.isValidTeamsWebhookUrl(
+          "http://contoso.webhook.office.com/webhookb2/abc"
+        )
+      ).toBe(false);
+      expect(
+        cli.isValidTeamsWebhookUrl("https://hooks.slack.com/services/test")
+      ).toBe(false);
+    });
+
+    it("should take the teams webhook from the environment", async () => {
+      process.env.TEAMS_WEBHOOK_URL =
+        "https://contoso.webhook.office.com/webhookb2/env";
+
+      const validated = await cli.validateArgs({ input: "test-config.json" });
+
+      expect(validated.teamsWebhook).toBe(
+        "https://contoso.webhook.office.com/webhookb2/env"
+      );
+    });
+  });
+
   describe("handleError", () => {
     let consoleSpy;
 
@@ -280,6 +427,26 @@ describe("CLIController", () => {
       expect(result.args.slackWebhook).toBe("https://hooks.slack.com/test");
     });
 
+    it("should run once unless the watch command is given", async () => {
+      const once = await cli.run([
+        "node",
+        "script.js",
+        "-i",
+        "test-config.json",
+      ]);
+      const watch = await cli.run([
+        "node",
+        "script.js",
+        "watch",
+        "-i",
+        "test-config.json",
+      ]);
+
+      expect(once.args.watch).toBe(false);
+      expect(watch.success).toBe(true);
+      expect(watch.args.watch).toBe(true);
+    });
+
     it("should return error result for invalid arguments", async () => {
       const argv = ["node", "script.js"]; // Missing required input
       const result = await cli.run(argv);
@@ -2,6 +2,174 @@ const fs = require("fs").promises;
 const path = require("path");
 const Logger = require("./logger");
 const { ErrorHandler } = require("./error-handler");
+const { EXTRACT_TYPES } = require("./page-monitor");
+const { CONDITION_TYPES, NUMBER_OPERATORS } = require("./alert-condition");
+const { NORMALIZE_STEP_TYPES } = require("./text-normalizer");
+const { writeFileAtomic } = require("./atomic-write");
+const { findPlaceholders } = require("./template");
+const { METHODS, PLACEHOLDERS, getWebhookName } = require("./webhook-notifier");
+const { NOTIFIER_TYPES } = require("./notifier-registry");
+const {
+  DEFAULT_INTERVAL,
+  DEFAULT_JITTER,
+  parseDuration,
+  parseCron,
+} = require("./schedule");
+const { parseJsonPath } = require("./json-path");
+
+/**
+ * Supported monitoring target types. Text targets (the default) compare the
+ * extracted value; screenshot targets compare images pixel by pixel; JSON
+ * targets compare a value of a JSON API response.
+ */
+const TARGET_TYPES = ["text", "screenshot", "json"];
+
+/**
+ * Fields each target type requires, and fields of other target types it
+ * does not support. Screenshot targets without a selector capture the full
+ * page; JSON targets are always requested over HTTP.
+ */
+const TARGET_TYPE_FIELDS = {
+  text: { required: ["url", "css_selector"], unsupported: [] },
+  screenshot: {
+    required: ["url"],
+    unsupported: [
+      "current_value",
+      "extract",
+      "multiple",
+      "compare",
+      "normalize",
+      "alert_when",
+      "screenshot_on_change",
+    ],
+  },
+  json: {
+    required: ["url", "json_path"],
+    unsupported: ["css_selector", "engine", "extract", "screenshot_on_change"],
+  },
+};
+
+/**
+ * Fields only allowed for targets of one type, with that type
+ */
+const TYPE_SPECIFIC_FIELDS = {
+  screenshot: "screenshot",
+  json_path: "json",
+  method: "json",
+  headers: "json",
+  body: "json",
+};
+
+/**
+ * Engines loading the pages of targets: Chrome (the default), or plain HTTP
+ * requests whose HTML is parsed without running scripts
+ */
+const ENGINES = ["browser", "http"];
+
+/**
+ * Hostnames Discord serves webhooks from
+ */
+const DISCORD_HOSTNAMES = [
+  "discord.com",
+  "discordapp.com",
+  "canary.discord.com",
+  "ptb.discord.com",
+];
+
+/**
+ * Check whether a URL is a Discord webhook URL: an HTTPS URL on one of the
+ * Discord hostnames, under /api/webhooks/
+ * @param {string|URL} url - URL to check
+ * @returns {boolean} True if the URL is a Discord webhook URL
+ */
+function isDiscordWebhookUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    return (
+      parsedUrl.protocol === "https:" &&
+      DISCORD_HOSTNAMES.includes(parsedUrl.hostname) &&
+      parsedUrl.pathname.startsWith("/api/webhooks/")
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Email notification modes: one email per change, or one digest per run
+ */
+const EMAIL_MODES = ["per_change", "digest"];
+
+/**
+ * Notification modes of a run: one message per change, or one digest per
+ * notifier, and how digests group their changes
+ */
+const NOTIFICATION_MODES = ["per_change", "digest"];
+const DIGEST_GROUPS = ["domain", "tag"];
+
+/**
+ * Domains Teams serves webhooks from: incoming webhooks of Office 365
+ * connectors and webhooks of Power Automate workflows
+ */
+const TEAMS_HOSTNAME_SUFFIXES = [
+  "webhook.office.com",
+  "outlook.office.com",
+  "logic.azure.com",
+  "api.powerplatform.com",
+];
+
+/**
+ * Services notified through a webhook URL, by notifier type, with the check
+ * whether a parsed URL belongs to the service
+ */
+const WEBHOOK_SERVICES = {
+  slack: {
+    service: "Slack",
+    isServiceUrl: (url) => url.hostname.includes("slack.com"),
+  },
+  discord: {
+    service: "Discord",
+    isServiceUrl: isDiscordWebhookUrl,
+  },
+  teams: {
+    service: "Teams",
+    isServiceUrl: (url) =>
+      TEAMS_HOSTNAME_SUFFIXES.some(
+        (suffix) =>
+          url.hostname === suffix || url.hostname.endsWith(`.${suffix}`)
+      ),
+  },
+};
+
+/**
+ * Names of named notifiers, e.g. "pricing-slack"
+ */
+const NOTIFIER_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Names of the notifiers of the top-level settings, e.g. slack_webhook,
+ * which webhooks and named notifiers cannot use
+ */
+const BUILT_IN_NOTIFIER_NAMES = [
+  "Slack",
+  "Discord",
+  "Teams",
+  "Email",
+  "Telegram",
+];
+
+/**
+ * Consecutive failed runs after which a target is reported as broken; a
+ * failure_threshold of 0 turns broken and recovered notifications off
+ */
+const DEFAULT_FAILURE_THRESHOLD = 3;
+
+/**
+ * Targets checked at the same time by default, and at most per domain, so
+ * that a site never gets more than one page load at a time unless raised
+ */
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_DOMAIN_CONCURRENCY = 1;
 
 /**
  * ConfigurationManager handles loading, saving, and validating JSON configuration files
@@ -93,8 +261,9 @@ class ConfigurationManager {
       // Convert to JSON with proper formatting
       const jsonContent = JSON.stringify(config, null, 2);
 
-      // Write to file
-      await fs.writeFile(filePath, jsonContent, "utf8");
+      // Write to a temporary file and rename it, so a crash mid-write
+      // cannot leave a truncated configuration behind
+      await writeFileAtomic(filePath, jsonContent);
     } catch (error) {
       if (error.code === "EACCES") {
         const configError = new Error(
@@ -137,6 +306,7 @@ class ConfigurationManager {
     if (Array.isArray(config)) {
       // Legacy format: array of monitoring targets
       this.validateTargetsArray(config);
+      this.validateNotifyReferences(config);
     } else if (config && typeof config === "object") {
       // New format: object with targets and optional settings
       this.validateConfigObject(config);
@@ -160,30 +330,144 @@ class ConfigurationManager {
 
     this.validateTargetsArray(config.targets);
 
-    // Validate optional slack_webhook field
-    if (config.slack_webhook !== undefined) {
-      if (typeof config.slack_webhook !== "string") {
-        throw new Error("slack_webhook must be a string");
+    // Validate optional notification webhook fields
+    for (const [type, { service, isServiceUrl }] of Object.entries(
+      WEBHOOK_SERVICES
+    )) {
+      this.validateWebhookField(
+        config,
+        `${type}_webhook`,
+        service,
+        isServiceUrl
+      );
+    }
+
+    // Validate optional email notification settings
+    if (config.email !== undefined) {
+      this.validateEmail(config.email);
+    }
+
+    // Validate optional Telegram settings
+    if (config.telegram !== undefined) {
+      this.validateTelegram(config.telegram);
+    }
+
+    // Validate optional generic webhooks
+    if (config.webhooks !== undefined) {
+      if (!Array.isArray(config.webhooks)) {
+        throw new Error("webhooks must be an array");
+      }
+      config.webhooks.forEach((webhook, index) => {
+        try {
+          this.validateGenericWebhook(webhook);
+        } catch (error) {
+          throw new Error(
+            `Invalid webhook at index ${index}: ${error.message}`
+          );
+        }
+      });
+    }
+
+    // Validate optional named notifiers and the targets routed to them
+    if (config.notifiers !== undefined) {
+      this.validateNotifiers(config.notifiers);
+    }
+    this.validateNotifierNames(config);
+    this.validateNotifyReferences(config.targets, config.notifiers);
+
+    // Validate optional notification mode
+    if (
+      config.notification_mode !== undefined &&
+      !NOTIFICATION_MODES.includes(config.notification_mode)
+    ) {
+      throw new Error(
+        `Invalid notification_mode: ${
+          config.notification_mode
+        }. Must be one of: ${NOTIFICATION_MODES.join(", ")}`
+      );
+    }
+    if (
+      config.digest_group_by !== undefined &&
+      !DIGEST_GROUPS.includes(config.digest_group_by)
+    ) {
+      throw new Error(
+        `Invalid digest_group_by: ${
+          config.digest_group_by
+        }. Must be one of: ${DIGEST_GROUPS.join(", ")}`
+      );
+    }
+
+    // Validate optional number of failed runs before a target is broken
+    if (
+      config.failure_threshold !== undefined &&
+      (!Number.isInteger(config.failure_threshold) ||
+        config.failure_threshold < 0)
+    ) {
+      throw new Error("failure_threshold must be a non-negative integer");
+    }
+
+    // Validate optional number of targets checked at the same time
+    ["concurrency", "domain_concurrency"].forEach((field) => {
+      if (
+        config[field] !== undefined &&
+        (!Number.isInteger(config[field]) || config[field] < 1)
+      ) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+    });
+
+    // Validate optional default schedule and jitter of the watch mode
+    this.validateSchedule(config, "");
+    if (config.jitter !== undefined && parseDuration(config.jitter) === null) {
+      throw new Error("jitter must be a duration such as 30s, 15m, 6h or 1d");
+    }
+
+    // Validate optional data_dir field
+    if (config.data_dir !== undefined) {
+      if (
+        typeof config.data_dir !== "string" ||
+        config.data_dir.trim().length === 0
+      ) {
+        throw new Error("data_dir must be a non-empty string");
       }
-      if (config.slack_webhook.trim().length === 0) {
-        throw new Error("slack_webhook cannot be empty");
+    }
+
+    // Validate optional screenshot_base_url field
+    if (config.screenshot_base_url !== undefined) {
+      if (typeof config.screenshot_base_url !== "string") {
+        throw new Error("screenshot_base_url must be a string");
       }
-      // Validate webhook URL format
       try {
-        const url = new URL(config.slack_webhook);
-        if (url.protocol !== "https:") {
-          throw new Error("slack_webhook must be an HTTPS URL");
-        }
-        if (!url.hostname.includes("slack.com")) {
-          throw new Error("slack_webhook must be a valid Slack webhook URL");
+        const url = new URL(config.screenshot_base_url);
+        if (url.protocol !== "https:" && url.protocol !== "http:") {
+          throw new Error("screenshot_base_url must be an HTTP(S) URL");
         }
       } catch (urlError) {
-        throw new Error(`Invalid slack_webhook URL: ${urlError.message}`);
+        throw new Error(`Invalid screenshot_base_url: ${urlError.message}`);
       }
     }
 
     // Check for unexpected fields
-    const allowedFields = ["targets", "slack_webhook"];
+    const allowedFields = [
+      "targets",
+      "slack_webhook",
+      "discord_webhook",
+      "teams_webhook",
+      "email",
+      "telegram",
+      "webhooks",
+      "notifiers",
+      "notification_mode",
+      "digest_group_by",
+      "failure_threshold",
+      "concurrency",
+      "domain_concurrency",
+      "interval",
+      "cron",
+      "jitter",
+      "data_dir",
+      "screenshot_base_url",
+    ];
     const extraFields = Object.keys(config).filter(
       (key) => !allowedFields.includes(key)
     );
@@ -194,6 +478,457 @@ class ConfigurationManager {
     }
   }
 
+  /**
+   * Validate the check schedule of the watch mode, given as interval or cron
+   * @param {Object} settings - Configuration or target with the optional
+   *   interval and cron fields
+   * @param {string} prefix - Prefix of error messages, e.g. "Field "
+   * @throws {Error} If the schedule is invalid
+   */
+  validateSchedule(settings, prefix) {
+    if (settings.interval !== undefined && settings.cron !== undefined) {
+      throw new Error(`${prefix}interval and cron cannot be used together`);
+    }
+    if (settings.interval !== undefined && !parseDuration(settings.interval)) {
+      throw new Error(
+        `${prefix}interval must be a duration such as 30s, 15m, 6h or 1d`
+      );
+    }
+    if (settings.cron !== undefined) {
+      // Throws naming the expression and what is wrong with it
+      parseCron(settings.cron);
+    }
+  }
+
+  /**
+   * Validate the named notifier definitions of the configuration
+   * @param {*} notifiers - Definitions by name, e.g.
+   *   {"ops-email": {type: "email", host, from, to}}
+   * @throws {Error} If a name or definition is invalid
+   */
+  validateNotifiers(notifiers) {
+    if (
+      !notifiers ||
+      typeof notifiers !== "object" ||
+      Array.isArray(notifiers)
+    ) {
+      throw new Error("notifiers must be an object of definitions by name");
+    }
+
+    for (const [name, definition] of Object.entries(notifiers)) {
+      if (!NOTIFIER_NAME_PATTERN.test(name)) {
+        throw new Error(
+          `Invalid notifier name: ${name}. Names may only contain letters, digits, ".", "_" and "-"`
+        );
+      }
+      try {
+        this.validateNotifierDefinition(definition);
+      } catch (error) {
+        throw new Error(`Invalid notifier ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check that webhooks and named notifiers have unique names, as changes
+   * are routed and queued in the outbox by notifier name
+   * @param {Object} config - Configuration object
+   * @throws {Error} If a name is taken by a built-in or another notifier
+   */
+  validateNotifierNames(config) {
+    const names = [
+      ...(config.webhooks || []).map((webhook) => getWebhookName(webhook)),
+      ...Object.keys(config.notifiers || {}),
+    ];
+    const seen = new Set();
+
+    for (const name of names) {
+      if (BUILT_IN_NOTIFIER_NAMES.includes(name)) {
+        throw new Error(
+          `Notifier name ${name} is reserved. Reserved names: ${BUILT_IN_NOTIFIER_NAMES.join(
+            ", "
+          )}`
+        );
+      }
+      if (seen.has(name)) {
+        throw new Error(
+          `Duplicate notifier name: ${name}. Webhooks and named notifiers need distinct names`
+        );
+      }
+      seen.add(name);
+    }
+  }
+
+  /**
+   * Validate a named notifier definition: its type and the settings of the
+   * type, which are those of the matching top-level field
+   * @param {*} definition - Definition, e.g. {type: "slack", webhook_url}
+   * @throws {Error} If the definition is invalid
+   */
+  validateNotifierDefinition(definition) {
+    if (
+      !definition ||
+      typeof definition !== "object" ||
+      Array.isArray(definition)
+    ) {
+      throw new Error("Notifier definition must be an object");
+    }
+    if (!NOTIFIER_TYPES.includes(definition.type)) {
+      throw new Error(
+        `Invalid notifier type: ${
+          definition.type
+        }. Must be one of: ${NOTIFIER_TYPES.join(", ")}`
+      );
+    }
+
+    const { type, ...settings } = definition;
+
+    if (WEBHOOK_SERVICES[type]) {
+      if (settings.webhook_url === undefined) {
+        throw new Error("Missing required field: webhook_url");
+      }
+      const { service, isServiceUrl } = WEBHOOK_SERVICES[type];
+      this.validateWebhookField(settings, "webhook_url", service, isServiceUrl);
+
+      const extraFields = Object.keys(settings).filter(
+        (key) => key !== "webhook_url"
+      );
+      if (extraFields.length > 0) {
+        throw new Error(
+          `Unexpected ${type} notifier fields: ${extraFields.join(", ")}`
+        );
+      }
+    } else if (type === "email") {
+      this.validateEmail(settings);
+    } else if (type === "telegram") {
+      this.validateTelegram(settings);
+      if (settings.chat_id === undefined) {
+        throw new Error("Missing required field: telegram.chat_id");
+      }
+    } else {
+      this.validateGenericWebhook(settings);
+    }
+  }
+
+  /**
+   * Check that the notifiers targets route their changes to are defined
+   * @param {Array<Object>} targets - Validated monitoring targets
+   * @param {Object} [notifiers] - Named notifier definitions
+   * @throws {Error} If a target names an unknown notifier
+   */
+  validateNotifyReferences(targets, notifiers = {}) {
+    targets.forEach((entry, index) => {
+      const unknown = (entry.notify || []).filter(
+        (name) => !Object.prototype.hasOwnProperty.call(notifiers, name)
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Invalid target entry at index ${index}: Unknown notifiers: ${unknown.join(
+            ", "
+          )}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Validate an optional webhook URL field of the configuration
+   * @param {Object} config - Configuration object
+   * @param {string} field - Name of the webhook field, e.g. "slack_webhook"
+   * @param {string} service - Service name used in error messages
+   * @param {Function} isServiceUrl - Check whether a parsed URL belongs to the service
+   * @throws {Error} If the webhook URL is invalid
+   */
+  validateWebhookField(config, field, service, isServiceUrl) {
+    const value = config[field];
+    if (value === undefined) {
+      return;
+    }
+
+    if (typeof value !== "string") {
+      throw new Error(`${field} must be a string`);
+    }
+    if (value.trim().length === 0) {
+      throw new Error(`${field} cannot be empty`);
+    }
+    // Validate webhook URL format
+    try {
+      const url = new URL(value);
+      if (url.protocol !== "https:") {
+        throw new Error(`${field} must be an HTTPS URL`);
+      }
+      if (!isServiceUrl(url)) {
+        throw new Error(`${field} must be a valid ${service} webhook URL`);
+      }
+    } catch (urlError) {
+      throw new Error(`Invalid ${field} URL: ${urlError.message}`);
+    }
+  }
+
+  /**
+   * Validate Telegram settings, of the configuration or of a target
+   * @param {*} telegram - Settings, e.g. {bot_token, chat_id}
+   * @param {boolean} [isTarget] - Whether the settings belong to a target,
+   *   which must name a chat and cannot change the API server
+   * @throws {Error} If the settings are invalid
+   */
+  validateTelegram(telegram, isTarget = false) {
+    if (!telegram || typeof telegram !== "object" || Array.isArray(telegram)) {
+      throw new Error("telegram must be an object");
+    }
+
+    if (telegram.bot_token !== undefined) {
+      if (
+        typeof telegram.bot_token !== "string" ||
+        !/^\d+:[\w-]+$/.test(telegram.bot_token)
+      ) {
+        throw new Error(
+          "Field telegram.bot_token must be a bot token such as 123456:ABC-DEF"
+        );
+      }
+    }
+
+    if (telegram.chat_id === undefined) {
+      if (isTarget) {
+        throw new Error("Missing required field: telegram.chat_id");
+      }
+    } else if (
+      !Number.isInteger(telegram.chat_id) &&
+      !(
+        typeof telegram.chat_id === "string" &&
+        /^(-?\d+|@\w+)$/.test(telegram.chat_id)
+      )
+    ) {
+      throw new Error(
+        "Field telegram.chat_id must be a chat ID or an @channel username"
+      );
+    }
+
+    if (telegram.api_url !== undefined) {
+      let url;
+      try {
+        url = new URL(telegram.api_url);
+      } catch (urlError) {
+        throw new Error(`Invalid telegram.api_url: ${telegram.api_url}`);
+      }
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new Error("Field telegram.api_url must be an HTTP(S) URL");
+      }
+    }
+
+    const allowedFields = isTarget
+      ? ["bot_token", "chat_id"]
+      : ["bot_token", "chat_id", "api_url"];
+    const extraFields = Object.keys(telegram).filter(
+      (key) => !allowedFields.includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected telegram fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Validate a generic webhook of the webhooks list
+   * @param {*} webhook - Webhook, e.g. {url, method, headers, body}
+   * @throws {Error} If the webhook is invalid
+   */
+  validateGenericWebhook(webhook) {
+    if (!webhook || typeof webhook !== "object" || Array.isArray(webhook)) {
+      throw new Error("Webhook must be an object");
+    }
+
+    if (
+      webhook.name !== undefined &&
+      (typeof webhook.name !== "string" || webhook.name.trim().length === 0)
+    ) {
+      throw new Error("Field name must be a non-empty string");
+    }
+
+    if (typeof webhook.url !== "string" || webhook.url.trim().length === 0) {
+      throw new Error("Field url must be a non-empty string");
+    }
+    // Check the URL with placeholders filled in, e.g. "https://x/?q={{url}}"
+    const exampleUrl = webhook.url.replace(/\{\{[^}]*\}\}/g, "x");
+    try {
+      const url = new URL(exampleUrl);
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new Error("Field url must be an HTTP(S) URL");
+      }
+    } catch (urlError) {
+      throw new Error(`Invalid url: ${urlError.message}`);
+    }
+
+    this.validateRequest(webhook, "POST");
+
+    const unknownPlaceholders = findPlaceholders([
+      webhook.url,
+      webhook.headers,
+      webhook.body,
+    ]).filter((name) => !PLACEHOLDERS.includes(name));
+    if (unknownPlaceholders.length > 0) {
+      throw new Error(
+        `Unknown placeholders: ${unknownPlaceholders
+          .map((name) => `{{${name}}}`)
+          .join(", ")}. Available placeholders: ${PLACEHOLDERS.join(", ")}`
+      );
+    }
+
+    const allowedFields = ["name", "url", "method", "headers", "body"];
+    const extraFields = Object.keys(webhook).filter(
+      (key) => !allowedFields.includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected webhook fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Validate the method, headers and body of an HTTP request, of a webhook
+   * or a JSON target
+   * @param {Object} request - Object with optional method, headers and body
+   * @param {string} defaultMethod - Method used without a method field
+   * @throws {Error} If the request settings are invalid
+   */
+  validateRequest(request, defaultMethod) {
+    if (request.method !== undefined && typeof request.method !== "string") {
+      throw new Error("Field method must be a string");
+    }
+    const method = (request.method || defaultMethod).toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new Error(
+        `Invalid method: ${request.method}. Must be one of: ${METHODS.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (request.headers !== undefined) {
+      if (
+        !request.headers ||
+        typeof request.headers !== "object" ||
+        Array.isArray(request.headers) ||
+        !Object.values(request.headers).every(
+          (value) => typeof value === "string"
+        )
+      ) {
+        throw new Error("Field headers must be an object of strings");
+      }
+    }
+
+    if (request.body !== undefined) {
+      if (
+        request.body === null ||
+        !["string", "object"].includes(typeof request.body)
+      ) {
+        throw new Error("Field body must be a string, an object or an array");
+      }
+      if (method === "GET") {
+        throw new Error("Field body cannot be used with the GET method");
+      }
+    }
+  }
+
+  /**
+   * Validate the SMTP email notification settings
+   * @param {*} email - Settings, e.g. {host, port, from, to, mode}
+   * @throws {Error} If the settings are invalid
+   */
+  validateEmail(email) {
+    if (!email || typeof email !== "object" || Array.isArray(email)) {
+      throw new Error("email must be an object");
+    }
+
+    const isAddress = (value) =>
+      typeof value === "string" &&
+      (/^[^\s@<>]+@[^\s@<>]+$/.test(value.trim()) ||
+        // Allow display names, e.g. "Monitor <monitor@example.com>"
+        /<[^\s@<>]+@[^\s@<>]+>\s*$/.test(value));
+
+    if (typeof email.host !== "string" || email.host.trim().length === 0) {
+      throw new Error("Field email.host must be a non-empty string");
+    }
+    if (
+      email.port !== undefined &&
+      (!Number.isInteger(email.port) || email.port < 1 || email.port > 65535)
+    ) {
+      throw new Error("Field email.port must be a port number (1-65535)");
+    }
+    for (const field of ["secure", "require_tls"]) {
+      if (email[field] !== undefined && typeof email[field] !== "boolean") {
+        throw new Error(`Field email.${field} must be a boolean`);
+      }
+    }
+
+    if (email.auth !== undefined) {
+      const auth = email.auth;
+      if (!auth || typeof auth !== "object" || Array.isArray(auth)) {
+        throw new Error("Field email.auth must be an object");
+      }
+      if (typeof auth.user !== "string" || auth.user.trim().length === 0) {
+        throw new Error("Field email.auth.user must be a non-empty string");
+      }
+      if (auth.pass !== undefined && typeof auth.pass !== "string") {
+        throw new Error("Field email.auth.pass must be a string");
+      }
+      const extraAuthFields = Object.keys(auth).filter(
+        (key) => !["user", "pass"].includes(key)
+      );
+      if (extraAuthFields.length > 0) {
+        throw new Error(
+          `Unexpected email.auth fields found: ${extraAuthFields.join(", ")}`
+        );
+      }
+    }
+
+    if (!isAddress(email.from)) {
+      throw new Error("Field email.from must be an email address");
+    }
+    const recipients = Array.isArray(email.to) ? email.to : [email.to];
+    if (recipients.length === 0 || !recipients.every(isAddress)) {
+      throw new Error(
+        "Field email.to must be an email address or a non-empty array of email addresses"
+      );
+    }
+
+    if (
+      email.subject_prefix !== undefined &&
+      typeof email.subject_prefix !== "string"
+    ) {
+      throw new Error("Field email.subject_prefix must be a string");
+    }
+    if (email.mode !== undefined && !EMAIL_MODES.includes(email.mode)) {
+      throw new Error(
+        `Invalid email mode: ${email.mode}. Must be one of: ${EMAIL_MODES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const allowedFields = [
+      "host",
+      "port",
+      "secure",
+      "require_tls",
+      "auth",
+      "from",
+      "to",
+      "subject_prefix",
+      "mode",
+    ];
+    const extraFields = Object.keys(email).filter(
+      (key) => !allowedFields.includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected email fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
   /**
    * Validate array of monitoring targets
    * @param {Array} targets - Array of monitoring targets to validate
@@ -219,17 +954,31 @@ class ConfigurationManager {
       }
     });
 
-    // Check for duplicate entries (same URL + selector combination)
+    // Check for duplicate entries (same type + URL + selector or JSON path
+    // combination)
     const seen = new Set();
     targets.forEach((entry, index) => {
-      const key = `${entry.url}|${entry.css_selector}`;
+      const selector = entry.css_selector || entry.json_path;
+      const key = `${entry.type || "text"}|${entry.url}|${selector}`;
       if (seen.has(key)) {
         throw new Error(
-          `Duplicate monitoring target at index ${index}: ${entry.url} with selector ${entry.css_selector}`
+          `Duplicate monitoring target at index ${index}: ${entry.url} with selector ${selector}`
         );
       }
       seen.add(key);
     });
+
+    // Check for duplicate explicit target IDs, which key the stored state
+    const seenIds = new Set();
+    targets.forEach((entry, index) => {
+      if (entry.id === undefined) {
+        return;
+      }
+      if (seenIds.has(entry.id)) {
+        throw new Error(`Duplicate target id at index ${index}: ${entry.id}`);
+      }
+      seenIds.add(entry.id);
+    });
   }
 
   /**
@@ -242,17 +991,110 @@ class ConfigurationManager {
       throw new Error("Entry must be an object");
     }
 
-    // Check required fields
-    const requiredFields = ["url", "css_selector", "current_value"];
-    for (const field of requiredFields) {
+    // Validate optional list mode first, since it decides the expected
+    // type of current_value
+    if (entry.multiple !== undefined && typeof entry.multiple !== "boolean") {
+      throw new Error("Field multiple must be a boolean");
+    }
+    if (
+      entry.screenshot_on_change !== undefined &&
+      typeof entry.screenshot_on_change !== "boolean"
+    ) {
+      throw new Error("Field screenshot_on_change must be a boolean");
+    }
+
+    // Validate optional target type, which decides the other fields
+    if (entry.type !== undefined && !TARGET_TYPES.includes(entry.type)) {
+      throw new Error(
+        `Invalid target type: ${
+          entry.type
+        }. Must be one of: ${TARGET_TYPES.join(", ")}`
+      );
+    }
+    const type = entry.type || "text";
+    const isScreenshot = type === "screenshot";
+
+    // Validate optional engine; screenshots need a browser to render pages
+    if (entry.engine !== undefined && !ENGINES.includes(entry.engine)) {
+      throw new Error(
+        `Invalid engine: ${entry.engine}. Must be one of: ${ENGINES.join(", ")}`
+      );
+    }
+    if (
+      entry.engine === "http" &&
+      (isScreenshot || entry.screenshot_on_change)
+    ) {
+      throw new Error(
+        'Screenshots are not supported for targets with engine "http"'
+      );
+    }
+
+    // Check the fields of the target type
+    const { required, unsupported } = TARGET_TYPE_FIELDS[type];
+    for (const field of required) {
       if (!(field in entry)) {
         throw new Error(`Missing required field: ${field}`);
       }
-      if (typeof entry[field] !== "string") {
+    }
+    for (const field of ["url", "css_selector", "json_path"]) {
+      if (field in entry && typeof entry[field] !== "string") {
         throw new Error(`Field ${field} must be a string`);
       }
     }
 
+    const unsupportedFields = unsupported.filter(
+      (field) => entry[field] !== undefined
+    );
+    if (unsupportedFields.length > 0) {
+      throw new Error(
+        `Fields not supported for ${type} targets: ${unsupportedFields.join(
+          ", "
+        )}`
+      );
+    }
+    for (const [field, fieldType] of Object.entries(TYPE_SPECIFIC_FIELDS)) {
+      if (entry[field] !== undefined && type !== fieldType) {
+        throw new Error(
+          `Field ${field} is only allowed for targets with type "${fieldType}"`
+        );
+      }
+    }
+
+    // Validate optional screenshot comparison settings
+    if (entry.screenshot !== undefined) {
+      this.validateScreenshot(entry.screenshot);
+    }
+
+    // Validate the JSON path and request of JSON targets
+    if (type === "json") {
+      parseJsonPath(entry.json_path);
+      this.validateRequest(entry, "GET");
+    }
+
+    // Validate optional baseline value. Observed values live in the state
+    // file; current_value only seeds it for targets without stored state.
+    if (entry.current_value !== undefined) {
+      if (entry.multiple) {
+        if (
+          !Array.isArray(entry.current_value) ||
+          entry.current_value.some((item) => typeof item !== "string")
+        ) {
+          throw new Error(
+            "Field current_value must be an array of strings when multiple is true"
+          );
+        }
+      } else if (typeof entry.current_value !== "string") {
+        throw new Error("Field current_value must be a string");
+      }
+    }
+
+    // Validate optional stable target ID
+    if (entry.id !== undefined) {
+      if (typeof entry.id !== "string" || entry.id.trim().length === 0) {
+        throw new Error("Field id must be a non-empty string");
+      }
+    }
+
     // Validate URL format
     try {
       new URL(entry.url);
@@ -261,12 +1103,105 @@ class ConfigurationManager {
     }
 
     // Validate CSS selector is not empty
-    if (entry.css_selector.trim().length === 0) {
+    if (
+      entry.css_selector !== undefined &&
+      entry.css_selector.trim().length === 0
+    ) {
       throw new Error("CSS selector cannot be empty");
     }
 
+    // Validate optional extraction mode
+    if (entry.extract !== undefined) {
+      this.validateExtract(entry.extract);
+    }
+
+    // Validate optional comparison mode
+    if (entry.compare !== undefined) {
+      if (entry.multiple) {
+        throw new Error("Field compare is not supported for multiple targets");
+      }
+      this.validateCompare(entry.compare);
+    }
+
+    // Validate optional normalization pipeline
+    if (entry.normalize !== undefined) {
+      this.validateNormalize(entry.normalize);
+    }
+
+    // Validate optional alert condition
+    if (entry.alert_when !== undefined) {
+      this.validateAlertCondition(entry.alert_when);
+    }
+
+    // Validate optional Telegram chat of the target
+    if (entry.telegram !== undefined) {
+      this.validateTelegram(entry.telegram, true);
+    }
+
+    // Validate optional notifiers the target's changes are routed to
+    if (
+      entry.notify !== undefined &&
+      (!Array.isArray(entry.notify) ||
+        entry.notify.length === 0 ||
+        entry.notify.some(
+          (name) => typeof name !== "string" || name.trim().length === 0
+        ))
+    ) {
+      throw new Error(
+        "Field notify must be a non-empty array of notifier names"
+      );
+    }
+
+    // Validate optional digest tag and urgency of the target
+    if (
+      entry.tag !== undefined &&
+      (typeof entry.tag !== "string" || entry.tag.trim().length === 0)
+    ) {
+      throw new Error("Field tag must be a non-empty string");
+    }
+    if (entry.urgent !== undefined && typeof entry.urgent !== "boolean") {
+      throw new Error("Field urgent must be a boolean");
+    }
+
+    // Validate optional number of failed runs before the target is broken
+    if (
+      entry.failure_threshold !== undefined &&
+      (!Number.isInteger(entry.failure_threshold) ||
+        entry.failure_threshold < 0)
+    ) {
+      throw new Error("Field failure_threshold must be a non-negative integer");
+    }
+
+    // Validate optional check schedule of the watch mode
+    this.validateSchedule(entry, "Field ");
+
     // Check for unexpected fields
-    const allowedFields = ["url", "css_selector", "current_value"];
+    const allowedFields = [
+      "id",
+      "type",
+      "engine",
+      "url",
+      "css_selector",
+      "json_path",
+      "method",
+      "headers",
+      "body",
+      "current_value",
+      "extract",
+      "multiple",
+      "compare",
+      "alert_when",
+      "normalize",
+      "screenshot",
+      "screenshot_on_change",
+      "telegram",
+      "notify",
+      "tag",
+      "urgent",
+      "failure_threshold",
+      "interval",
+      "cron",
+    ];
     const extraFields = Object.keys(entry).filter(
       (key) => !allowedFields.includes(key)
     );
@@ -275,6 +1210,325 @@ class ConfigurationManager {
     }
   }
 
+  /**
+   * Validate the screenshot comparison settings of a visual monitoring target
+   * @param {*} screenshot - Settings, e.g. {tolerance: 0.5, pixel_threshold: 0.1}
+   * @throws {Error} If the settings are invalid
+   */
+  validateScreenshot(screenshot) {
+    if (
+      !screenshot ||
+      typeof screenshot !== "object" ||
+      Array.isArray(screenshot)
+    ) {
+      throw new Error("Field screenshot must be an object");
+    }
+
+    if (
+      screenshot.tolerance !== undefined &&
+      (typeof screenshot.tolerance !== "number" ||
+        screenshot.tolerance < 0 ||
+        screenshot.tolerance > 100)
+    ) {
+      throw new Error(
+        "Field screenshot.tolerance must be a percentage between 0 and 100"
+      );
+    }
+
+    if (
+      screenshot.pixel_threshold !== undefined &&
+      (typeof screenshot.pixel_threshold !== "number" ||
+        screenshot.pixel_threshold < 0 ||
+        screenshot.pixel_threshold > 1)
+    ) {
+      throw new Error(
+        "Field screenshot.pixel_threshold must be a number between 0 and 1"
+      );
+    }
+
+    const extraFields = Object.keys(screenshot).filter(
+      (key) => !["tolerance", "pixel_threshold"].includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected screenshot fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Validate the extraction mode of a monitoring target
+   * @param {*} extract - Extraction mode, e.g. {type: "attribute", name: "href"}
+   * @throws {Error} If extraction mode is invalid
+   */
+  validateExtract(extract) {
+    if (!extract || typeof extract !== "object" || Array.isArray(extract)) {
+      throw new Error("Field extract must be an object");
+    }
+
+    if (!EXTRACT_TYPES.includes(extract.type)) {
+      throw new Error(
+        `Invalid extract type: ${
+          extract.type
+        }. Must be one of: ${EXTRACT_TYPES.join(", ")}`
+      );
+    }
+
+    if (extract.type === "attribute") {
+      if (
+        typeof extract.name !== "string" ||
+        extract.name.trim().length === 0
+      ) {
+        throw new Error("Attribute extraction requires a non-empty name");
+      }
+    } else if (extract.name !== undefined) {
+      throw new Error(
+        "Field extract.name is only allowed for attribute extraction"
+      );
+    }
+
+    const extraFields = Object.keys(extract).filter(
+      (key) => !["type", "name"].includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected extract fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Validate the comparison mode of a monitoring target
+   * @param {*} compare - Comparison mode, e.g. {type: "number", threshold_percent: 5}
+   * @throws {Error} If comparison mode is invalid
+   */
+  validateCompare(compare) {
+    if (!compare || typeof compare !== "object" || Array.isArray(compare)) {
+      throw new Error("Field compare must be an object");
+    }
+
+    const compareTypes = ["text", "number"];
+    if (!compareTypes.includes(compare.type)) {
+      throw new Error(
+        `Invalid compare type: ${
+          compare.type
+        }. Must be one of: ${compareTypes.join(", ")}`
+      );
+    }
+
+    const numberFields = ["threshold", "threshold_percent", "below", "above"];
+    const allowedFields =
+      compare.type === "number"
+        ? ["type", "direction", "decimal_separator", ...numberFields]
+        : ["type"];
+    const extraFields = Object.keys(compare).filter(
+      (key) => !allowedFields.includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected compare fields found: ${extraFields.join(", ")}`
+      );
+    }
+
+    numberFields.forEach((field) => {
+      if (
+        compare[field] !== undefined &&
+        (typeof compare[field] !== "number" || !Number.isFinite(compare[field]))
+      ) {
+        throw new Error(`Field compare.${field} must be a number`);
+      }
+    });
+
+    ["threshold", "threshold_percent"].forEach((field) => {
+      if (compare[field] < 0) {
+        throw new Error(`Field compare.${field} cannot be negative`);
+      }
+    });
+
+    const directions = ["increase", "decrease", "any"];
+    if (
+      compare.direction !== undefined &&
+      !directions.includes(compare.direction)
+    ) {
+      throw new Error(
+        `Invalid compare.direction: ${
+          compare.direction
+        }. Must be one of: ${directions.join(", ")}`
+      );
+    }
+
+    if (
+      compare.decimal_separator !== undefined &&
+      ![".", ","].includes(compare.decimal_separator)
+    ) {
+      throw new Error('Field compare.decimal_separator must be "." or ","');
+    }
+  }
+
+  /**
+   * Validate the normalization pipeline of a monitoring target
+   * @param {*} steps - Ordered normalization steps, e.g. [{type: "lowercase"}]
+   * @throws {Error} If a normalization step is invalid
+   */
+  validateNormalize(steps) {
+    if (!Array.isArray(steps)) {
+      throw new Error("Field normalize must be an array of steps");
+    }
+
+    const validatePattern = (pattern, field, index, flags) => {
+      if (typeof pattern !== "string" || pattern.length === 0) {
+        throw new Error(
+          `Field normalize[${index}].${field} must be a non-empty string`
+        );
+      }
+      try {
+        new RegExp(pattern, flags);
+      } catch (regexError) {
+        throw new Error(
+          `Invalid normalize[${index}].${field}: ${regexError.message}`
+        );
+      }
+    };
+
+    steps.forEach((step, index) => {
+      if (!step || typeof step !== "object" || Array.isArray(step)) {
+        throw new Error(`Field normalize[${index}] must be an object`);
+      }
+      if (!NORMALIZE_STEP_TYPES.includes(step.type)) {
+        throw new Error(
+          `Invalid normalize[${index}] type: ${
+            step.type
+          }. Must be one of: ${NORMALIZE_STEP_TYPES.join(", ")}`
+        );
+      }
+
+      let allowedFields = ["type"];
+      switch (step.type) {
+        case "replace":
+          allowedFields = ["type", "pattern", "replacement", "flags"];
+          validatePattern(step.pattern, "pattern", index, step.flags);
+          if (
+            step.replacement !== undefined &&
+            typeof step.replacement !== "string"
+          ) {
+            throw new Error(
+              `Field normalize[${index}].replacement must be a string`
+            );
+          }
+          break;
+        case "extract":
+          allowedFields = ["type", "pattern", "group", "flags"];
+          validatePattern(step.pattern, "pattern", index, step.flags);
+          if (
+            step.group !== undefined &&
+            (!Number.isInteger(step.group) || step.group < 0)
+          ) {
+            throw new Error(
+              `Field normalize[${index}].group must be a non-negative integer`
+            );
+          }
+          break;
+        case "ignore":
+          allowedFields = ["type", "patterns"];
+          if (!Array.isArray(step.patterns) || step.patterns.length === 0) {
+            throw new Error(
+              `Field normalize[${index}].patterns must be a non-empty array`
+            );
+          }
+          step.patterns.forEach((pattern) =>
+            validatePattern(pattern, "patterns", index)
+          );
+          break;
+      }
+
+      const extraFields = Object.keys(step).filter(
+        (key) => !allowedFields.includes(key)
+      );
+      if (extraFields.length > 0) {
+        throw new Error(
+          `Unexpected normalize[${index}] fields found: ${extraFields.join(
+            ", "
+          )}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Validate the alert condition of a monitoring target
+   * @param {*} condition - Alert condition, e.g. {type: "contains", value: "In stock"}
+   * @throws {Error} If alert condition is invalid
+   */
+  validateAlertCondition(condition) {
+    if (
+      !condition ||
+      typeof condition !== "object" ||
+      Array.isArray(condition)
+    ) {
+      throw new Error("Field alert_when must be an object");
+    }
+
+    if (!CONDITION_TYPES.includes(condition.type)) {
+      throw new Error(
+        `Invalid alert_when type: ${
+          condition.type
+        }. Must be one of: ${CONDITION_TYPES.join(", ")}`
+      );
+    }
+
+    let allowedFields;
+    switch (condition.type) {
+      case "contains":
+      case "not_contains":
+        allowedFields = ["type", "value"];
+        if (typeof condition.value !== "string" || condition.value === "") {
+          throw new Error("Field alert_when.value must be a non-empty string");
+        }
+        break;
+      case "matches":
+        allowedFields = ["type", "pattern", "flags"];
+        if (typeof condition.pattern !== "string") {
+          throw new Error("Field alert_when.pattern must be a string");
+        }
+        try {
+          new RegExp(condition.pattern, condition.flags);
+        } catch (regexError) {
+          throw new Error(`Invalid alert_when.pattern: ${regexError.message}`);
+        }
+        break;
+      case "number":
+        allowedFields = ["type", "operator", "value"];
+        if (
+          !Object.prototype.hasOwnProperty.call(
+            NUMBER_OPERATORS,
+            condition.operator
+          )
+        ) {
+          throw new Error(
+            `Invalid alert_when.operator: ${
+              condition.operator
+            }. Must be one of: ${Object.keys(NUMBER_OPERATORS).join(", ")}`
+          );
+        }
+        if (
+          typeof condition.value !== "number" ||
+          !Number.isFinite(condition.value)
+        ) {
+          throw new Error("Field alert_when.value must be a number");
+        }
+        break;
+    }
+
+    const extraFields = Object.keys(condition).filter(
+      (key) => !allowedFields.includes(key)
+    );
+    if (extraFields.length > 0) {
+      throw new Error(
+        `Unexpected alert_when fields found: ${extraFields.join(", ")}`
+      );
+    }
+  }
+
   /**
    * Normalize configuration to object format
    * @param {Array|Object} config - Configuration in either format
@@ -310,6 +1564,146 @@ class ConfigurationManager {
   getSlackWebhook(config) {
     return config.slack_webhook;
   }
+
+  /**
+   * Get discord webhook from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {string|undefined} Discord webhook URL or undefined
+   */
+  getDiscordWebhook(config) {
+    return config.discord_webhook;
+  }
+
+  /**
+   * Get teams webhook from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {string|undefined} Teams webhook URL or undefined
+   */
+  getTeamsWebhook(config) {
+    return config.teams_webhook;
+  }
+
+  /**
+   * Get the email notification settings from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object|undefined} Email settings or undefined
+   */
+  getEmailSettings(config) {
+    return config.email;
+  }
+
+  /**
+   * Get the Telegram settings from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object|undefined} Telegram settings or undefined
+   */
+  getTelegramSettings(config) {
+    return config.telegram;
+  }
+
+  /**
+   * Get the named notifier definitions from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object} Definitions by notifier name, empty if none are defined
+   */
+  getNotifierDefinitions(config) {
+    return config.notifiers || {};
+  }
+
+  /**
+   * Get how changes of a run are notified
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object} Settings {mode, groupBy}, defaulting to one message per
+   *   change and digests grouped by domain
+   */
+  getNotificationSettings(config) {
+    return {
+      mode: config.notification_mode || "per_change",
+      groupBy: config.digest_group_by || "domain",
+    };
+  }
+
+  /**
+   * Get the number of consecutive failed runs after which a target is
+   * reported as broken; targets can override it
+   * @param {Object} config - Normalized configuration object
+   * @returns {number} Threshold, 0 if broken targets are not reported
+   */
+  getFailureThreshold(config) {
+    return config.failure_threshold !== undefined
+      ? config.failure_threshold
+      : DEFAULT_FAILURE_THRESHOLD;
+  }
+
+  /**
+   * Get how many targets are checked at the same time
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object} Settings {concurrency, domainConcurrency}: targets
+   *   checked at a time, overall and per domain
+   */
+  getConcurrency(config) {
+    return {
+      concurrency: config.concurrency || DEFAULT_CONCURRENCY,
+      domainConcurrency:
+        config.domain_concurrency || DEFAULT_DOMAIN_CONCURRENCY,
+    };
+  }
+
+  /**
+   * Get the default check schedule and the jitter of the watch mode;
+   * targets can override the schedule
+   * @param {Object} config - Normalized configuration object
+   * @returns {Object} Settings {interval, cron, jitter}, with jitter in
+   *   milliseconds and checks every hour by default
+   */
+  getWatchSettings(config) {
+    return {
+      interval: config.cron ? undefined : config.interval || DEFAULT_INTERVAL,
+      cron: config.cron,
+      jitter: parseDuration(config.jitter || DEFAULT_JITTER),
+    };
+  }
+
+  /**
+   * Get the generic webhooks from configuration
+   * @param {Object} config - Normalized configuration object
+   * @returns {Array<Object>} Webhooks, empty if none are configured
+   */
+  getWebhooks(config) {
+    return config.webhooks || [];
+  }
+
+  /**
+   * Get the URL the data directory is served from, used to link screenshots
+   * in notifications
+   * @param {Object} config - Normalized configuration object
+   * @returns {string|undefined} Base URL or undefined
+   */
+  getScreenshotBaseUrl(config) {
+    return config.screenshot_base_url;
+  }
+
+  /**
+   * Get the data directory from configuration, resolved against the
+   * configuration file location. Defaults to a "data" directory next to it.
+   * @param {Object} config - Normalized configuration object
+   * @param {string} configPath - Path to the configuration file
+   * @returns {string} Absolute path of the data directory
+   */
+  getDataDir(config, configPath) {
+    return path.resolve(path.dirname(configPath), config.data_dir || "data");
+  }
 }
 
+ConfigurationManager.TARGET_TYPES = TARGET_TYPES;
+ConfigurationManager.ENGINES = ENGINES;
+ConfigurationManager.EMAIL_MODES = EMAIL_MODES;
+ConfigurationManager.NOTIFICATION_MODES = NOTIFICATION_MODES;
+ConfigurationManager.DIGEST_GROUPS = DIGEST_GROUPS;
+ConfigurationManager.NOTIFIER_TYPES = NOTIFIER_TYPES;
+ConfigurationManager.DEFAULT_FAILURE_THRESHOLD = DEFAULT_FAILURE_THRESHOLD;
+ConfigurationManager.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+ConfigurationManager.DEFAULT_DOMAIN_CONCURRENCY = DEFAULT_DOMAIN_CONCURRENCY;
+ConfigurationManager.isDiscordWebhookUrl = isDiscordWebhookUrl;
+
 module.exports = ConfigurationManager;
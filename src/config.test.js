@@ -252,15 +252,36 @@ describe("ConfigurationManager", () => {
       expect(() => configManager.validateEntry(entryMissingSelector)).toThrow(
         "Missing required field: css_selector"
       );
+    });
+
+    test("should accept entry without current_value", () => {
+      const entryWithoutValue = {
+        url: "https://example.com",
+        css_selector: "#price",
+      };
+
+      expect(() =>
+        configManager.validateEntry(entryWithoutValue)
+      ).not.toThrow();
+    });
 
-      const entryMissingValue = {
+    test("should validate optional target IDs", () => {
+      const entry = {
         url: "https://example.com",
         css_selector: "#price",
+        id: "product-price",
       };
 
-      expect(() => configManager.validateEntry(entryMissingValue)).toThrow(
-        "Missing required field: current_value"
+      expect(() => configManager.validateEntry(entry)).not.toThrow();
+      expect(() => configManager.validateEntry({ ...entry, id: " " })).toThrow(
+        "Field id must be a non-empty string"
       );
+      expect(() =>
+        configManager.validateTargetsArray([
+          entry,
+          { ...entry, css_selector: "#other" },
+        ])
+      ).toThrow("Duplicate target id at index 1: product-price");
     });
 
     test("should reject entry with non-string fields", () => {
@@ -364,5 +385,1032 @@ describe("ConfigurationManager", () => {
         expect(() => configManager.validateEntry(entry)).not.toThrow();
       });
     });
+
+    test("should accept supported extraction modes", () => {
+      const extracts = [
+        { type: "text" },
+        { type: "innerText" },
+        { type: "innerHTML" },
+        { type: "outerHTML" },
+        { type: "value" },
+        { type: "attribute", name: "href" },
+      ];
+
+      extracts.forEach((extract) => {
+        const entry = {
+          url: "https://example.com",
+          css_selector: "#test",
+          current_value: "test",
+          extract,
+        };
+        expect(() => configManager.validateEntry(entry)).not.toThrow();
+      });
+    });
+
+    test("should reject unknown extraction types", () => {
+      const entry = {
+        url: "https://example.com",
+        css_selector: "#test",
+        current_value: "test",
+        extract: { type: "pixels" },
+      };
+
+      expect(() => configManager.validateEntry(entry)).toThrow(
+        "Invalid extract type: pixels"
+      );
+    });
+
+    test("should require an attribute name for attribute extraction", () => {
+      const entry = {
+        url: "https://example.com",
+        css_selector: "a",
+        current_value: "/download",
+        extract: { type: "attribute" },
+      };
+
+      expect(() => configManager.validateEntry(entry)).toThrow(
+        "Attribute extraction requires a non-empty name"
+      );
+    });
+
+    test("should accept a list of values for multiple targets", () => {
+      const entry = {
+        url: "https://example.com/jobs",
+        css_selector: ".job-title",
+        current_value: ["Engineer", "Designer"],
+        multiple: true,
+      };
+
+      expect(() => configManager.validateEntry(entry)).not.toThrow();
+    });
+
+    test("should reject a string current_value for multiple targets", () => {
+      const entry = {
+        url: "https://example.com/jobs",
+        css_selector: ".job-title",
+        current_value: "Engineer",
+        multiple: true,
+      };
+
+      expect(() => configManager.validateEntry(entry)).toThrow(
+        "Field current_value must be an array of strings when multiple is true"
+      );
+    });
+
+    test("should reject a non-boolean multiple flag", () => {
+      const entry = {
+        url: "https://example.com/jobs",
+        css_selector: ".job-title",
+        current_value: "Engineer",
+        multiple: "yes",
+      };
+
+      expect(() => configManager.validateEntry(entry)).toThrow(
+        "Field multiple must be a boolean"
+      );
+    });
+
+    test("should accept numeric compare settings", () => {
+      const entry = {
+        url: "https://example.com",
+        css_selector: "#price",
+        current_value: "$19.99",
+        compare: {
+          type: "number",
+          threshold_percent: 5,
+          direction: "decrease",
+          below: 15,
+          decimal_separator: ".",
+        },
+      };
+
+      expect(() => configManager.validateEntry(entry)).not.toThrow();
+    });
+
+    test("should reject invalid compare settings", () => {
+      const entry = (compare) => ({
+        url: "https://example.com",
+        css_selector: "#price",
+        current_value: "$19.99",
+        compare,
+      });
+
+      expect(() =>
+        configManager.validateEntry(entry({ type: "date" }))
+      ).toThrow("Invalid compare type: date");
+      expect(() =>
+        configManager.validateEntry(entry({ type: "number", threshold: "5" }))
+      ).toThrow("Field compare.threshold must be a number");
+      expect(() =>
+        configManager.validateEntry(entry({ type: "number", direction: "up" }))
+      ).toThrow("Invalid compare.direction: up");
+      expect(() =>
+        configManager.validateEntry(entry({ type: "text", threshold: 1 }))
+      ).toThrow("Unexpected compare fields found: threshold");
+    });
+
+    test("should accept supported alert conditions", () => {
+      const conditions = [
+        { type: "contains", value: "In stock" },
+        { type: "not_contains", value: "Sold out" },
+        { type: "matches", pattern: "v\\d+\\.\\d+", flags: "i" },
+        { type: "number", operator: "<", value: 100 },
+      ];
+
+      conditions.forEach((alert_when) => {
+        const entry = {
+          url: "https://example.com",
+          css_selector: "#status",
+          current_value: "Sold out",
+          alert_when,
+        };
+        expect(() => configManager.validateEntry(entry)).not.toThrow();
+      });
+    });
+
+    test("should reject invalid alert conditions", () => {
+      const entry = (alert_when) => ({
+        url: "https://example.com",
+        css_selector: "#status",
+        current_value: "Sold out",
+        alert_when,
+      });
+
+      expect(() =>
+        configManager.validateEntry(entry({ type: "equals", value: "x" }))
+      ).toThrow("Invalid alert_when type: equals");
+      expect(() =>
+        configManager.validateEntry(entry({ type: "matches", pattern: "(" }))
+      ).toThrow("Invalid alert_when.pattern");
+      expect(() =>
+        configManager.validateEntry(
+          entry({ type: "number", operator: "=<", value: 1 })
+        )
+      ).toThrow("Invalid alert_when.operator: =<");
+      expect(() =>
+        configManager.validateEntry(
+          entry({ type: "number", operator: "toString", value: 1 })
+        )
+      ).toThrow("Invalid alert_when.operator: toString");
+      expect(() =>
+        configManager.validateEntry(entry({ type: "contains", value: "" }))
+      ).toThrow("Field alert_when.value must be a non-empty string");
+    });
+
+    test("should accept a normalization pipeline", () => {
+      const entry = {
+        url: "https://example.com",
+        css_selector: "#status",
+        current_value: "ok",
+        normalize: [
+          { type: "collapse_whitespace" },
+          { type: "lowercase" },
+          { type: "strip_digits" },
+          { type: "replace", pattern: "\\s*views", replacement: "" },
+          { type: "extract", pattern: "status: (\\w+)", group: 1 },
+          { type: "ignore", patterns: ["\\d+ minutes ago"] },
+        ],
+      };
+
+      expect(() => configManager.validateEntry(entry)).not.toThrow();
+    });
+
+    test("should reject invalid normalization steps", () => {
+      const entry = (normalize) => ({
+        url: "https://example.com",
+        css_selector: "#status",
+        current_value: "ok",
+        normalize,
+      });
+
+      expect(() =>
+        configManager.validateEntry(entry({ type: "lowercase" }))
+      ).toThrow("Field normalize must be an array of steps");
+      expect(() =>
+        configManager.validateEntry(entry([{ type: "uppercase" }]))
+      ).toThrow("Invalid normalize[0] type: uppercase");
+      expect(() =>
+        configManager.validateEntry(
+          entry([{ type: "lowercase" }, { type: "replace", pattern: "[" }])
+        )
+      ).toThrow("Invalid normalize[1].pattern");
+      expect(() =>
+        configManager.validateEntry(entry([{ type: "ignore", patterns: [] }]))
+      ).toThrow("Field normalize[0].patterns must be a non-empty array");
+    });
+  });
+
+  describe("screenshot targets", () => {
+    test("should accept element and full-page screenshot targets", () => {
+      expect(() =>
+        configManager.validateEntry({
+          type: "screenshot",
+          url: "https://example.com",
+          css_selector: "#banner",
+          screenshot: { tolerance: 0.5, pixel_threshold: 0.2 },
+        })
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateEntry({
+          type: "screenshot",
+          url: "https://example.com",
+        })
+      ).not.toThrow();
+    });
+
+    test("should still require a selector for text targets", () => {
+      expect(() =>
+        configManager.validateEntry({ url: "https://example.com" })
+      ).toThrow("Missing required field: css_selector");
+    });
+
+    test("should reject unknown target types", () => {
+      expect(() =>
+        configManager.validateEntry({
+          type: "video",
+          url: "https://example.com",
+          css_selector: "#player",
+        })
+      ).toThrow("Invalid target type: video");
+    });
+
+    test("should reject text-only fields on screenshot targets", () => {
+      expect(() =>
+        configManager.validateEntry({
+          type: "screenshot",
+          url: "https://example.com",
+          current_value: "x",
+          normalize: [{ type: "lowercase" }],
+        })
+      ).toThrow(
+        "Fields not supported for screenshot targets: current_value, normalize"
+      );
+    });
+
+    test("should validate screenshot settings", () => {
+      const entry = (screenshot) => ({
+        type: "screenshot",
+        url: "https://example.com",
+        screenshot,
+      });
+
+      expect(() =>
+        configManager.validateEntry(entry({ tolerance: 120 }))
+      ).toThrow("Field screenshot.tolerance must be a percentage");
+      expect(() =>
+        configManager.validateEntry(entry({ pixel_threshold: -1 }))
+      ).toThrow("Field screenshot.pixel_threshold must be a number");
+      expect(() =>
+        configManager.validateEntry(entry({ full_page: true }))
+      ).toThrow("Unexpected screenshot fields found: full_page");
+      expect(() =>
+        configManager.validateEntry({
+          url: "https://example.com",
+          css_selector: "#banner",
+          screenshot: {},
+        })
+      ).toThrow('only allowed for targets with type "screenshot"');
+    });
+
+    test("should allow a text and a screenshot target on the same element", () => {
+      expect(() =>
+        configManager.validateTargetsArray([
+          { url: "https://example.com", css_selector: "#banner" },
+          {
+            type: "screenshot",
+            url: "https://example.com",
+            css_selector: "#banner",
+          },
+        ])
+      ).not.toThrow();
+    });
+  });
+
+  describe("discord_webhook", () => {
+    const config = (discordWebhook) => ({
+      targets: [{ url: "https://example.com", css_selector: "#a" }],
+      discord_webhook: discordWebhook,
+    });
+
+    test("should accept Discord webhook URLs", () => {
+      const valid = config("https://discord.com/api/webhooks/123/token");
+
+      expect(() => configManager.validateConfig(valid)).not.toThrow();
+      expect(configManager.getDiscordWebhook(valid)).toBe(
+        "https://discord.com/api/webhooks/123/token"
+      );
+    });
+
+    test("should reject other URLs", () => {
+      expect(() =>
+        configManager.validateConfig(config("https://example.com/hook"))
+      ).toThrow("discord_webhook must be a valid Discord webhook URL");
+      expect(() =>
+        configManager.validateConfig(
+          config("http://discord.com/api/webhooks/123/token")
+        )
+      ).toThrow("discord_webhook must be an HTTPS URL");
+      expect(() => configManager.validateConfig(config(""))).toThrow(
+        "discord_webhook cannot be empty"
+      );
+    });
+  });
+
+  describe("teams_webhook", () => {
+    const config = (teamsWebhook) => ({
+      targets: [{ url: "https://example.com", css_selector: "#a" }],
+      teams_webhook: teamsWebhook,
+    });
+
+    test("should accept Teams incoming webhook and workflow URLs", () => {
+      const incoming = config(
+        "https://contoso.webhook.office.com/webhookb2/abc/IncomingWebhook/def"
+      );
+
+      expect(() => configManager.validateConfig(incoming)).not.toThrow();
+      expect(() =>
+        configManager.validateConfig(
+          config(
+            "https://prod-12.westeurope.logic.azure.com:443/workflows/abc/triggers/manual/paths/invoke"
+          )
+        )
+      ).not.toThrow();
+      expect(configManager.getTeamsWebhook(incoming)).toBe(
+        "https://contoso.webhook.office.com/webhookb2/abc/IncomingWebhook/def"
+      );
+    });
+
+    test("should reject other URLs", () => {
+      expect(() =>
+        configManager.validateConfig(config("https://hooks.slack.com/x"))
+      ).toThrow("teams_webhook must be a valid Teams webhook URL");
+      expect(() =>
+        configManager.validateConfig(config("https://evilwebhook.office.com/x"))
+      ).toThrow("teams_webhook must be a valid Teams webhook URL");
+    });
+  });
+
+  describe("email", () => {
+    const email = {
+      host: "smtp.example.com",
+      port: 587,
+      auth: { user: "monitor" },
+      from: "Web Monitor <monitor@example.com>",
+      to: ["team@example.com", "ops@example.com"],
+      mode: "digest",
+    };
+    const config = (settings) => ({
+      targets: [{ url: "https://example.com", css_selector: "#a" }],
+      email: settings,
+    });
+
+    test("should accept SMTP settings", () => {
+      expect(() => configManager.validateConfig(config(email))).not.toThrow();
+      expect(() =>
+        configManager.validateConfig(
+          config({
+            host: "localhost",
+            from: "a@example.com",
+            to: "b@example.com",
+          })
+        )
+      ).not.toThrow();
+      expect(configManager.getEmailSettings(config(email))).toBe(email);
+    });
+
+    test("should reject invalid settings", () => {
+      expect(() =>
+        configManager.validateConfig(config({ ...email, host: "" }))
+      ).toThrow("Field email.host must be a non-empty string");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, port: 70000 }))
+      ).toThrow("Field email.port must be a port number (1-65535)");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, secure: "yes" }))
+      ).toThrow("Field email.secure must be a boolean");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, auth: { pass: "x" } }))
+      ).toThrow("Field email.auth.user must be a non-empty string");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, from: "monitor" }))
+      ).toThrow("Field email.from must be an email address");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, to: [] }))
+      ).toThrow("Field email.to must be an email address");
+      expect(() =>
+        configManager.validateConfig(config({ ...email, mode: "weekly" }))
+      ).toThrow(
+        "Invalid email mode: weekly. Must be one of: per_change, digest"
+      );
+      expect(() =>
+        configManager.validateConfig(config({ ...email, password: "x" }))
+      ).toThrow("Unexpected email fields found: password");
+    });
+  });
+
+  describe("webhooks", () => {
+    const config = (webhooks) => ({
+      targets: [{ url: "https://example.com", css_selector: "#a" }],
+      webhooks,
+    });
+    const expectInvalid = (webhook, message) =>
+      expect(() => configManager.validateConfig(config([webhook]))).toThrow(
+        message
+      );
+
+    test("should accept generic webhooks with templates", () => {
+      const webhooks = [
+        { url: "https://n8n.example.com/webhook/abc" },
+        {
+          name: "ntfy",
+          url: "https://ntfy.sh/alerts",
+          method: "put",
+          headers: { Title: "Change on {{url}}" },
+          body: "{{oldValue}} -> {{newValue}}",
+        },
+        {
+          url: "http://homeassistant.local:8123/api/webhook/{{css_selector}}",
+          body: { text: "{{diff}}", at: ["{{timestamp}}"] },
+        },
+      ];
+
+      expect(() =>
+        configManager.validateConfig(config(webhooks))
+      ).not.toThrow();
+      expect(configManager.getWebhooks(config(webhooks))).toBe(webhooks);
+      expect(
+        configManager.getWebhooks({ targets: config([]).targets })
+      ).toEqual([]);
+    });
+
+    test("should reject invalid webhooks", () => {
+      expect(() =>
+        configManager.validateConfig(config({ url: "https://x.test" }))
+      ).toThrow("webhooks must be an array");
+      expectInvalid(
+        { url: "ftp://x.test" },
+        "Invalid webhook at index 0: Invalid url: Field url must be an HTTP(S) URL"
+      );
+      expectInvalid(
+        { url: "https://x.test", method: "DELETE" },
+        "Invalid method: DELETE. Must be one of: GET, POST, PUT, PATCH"
+      );
+      expectInvalid(
+        { url: "https://x.test", headers: { "X-Priority": 5 } },
+        "Field headers must be an object of strings"
+      );
+      expectInvalid(
+        { url: "https://x.test", method: "GET", body: "{{url}}" },
+        "Field body cannot be used with the GET method"
+      );
+      expectInvalid(
+        { url: "https://x.test", secret: "x" },
+        "Unexpected webhook fields found: secret"
+      );
+    });
+
+    test("should reject unknown placeholders", () => {
+      expectInvalid(
+        { url: "https://x.test", body: { text: "{{ new_value }}" } },
+        "Unknown placeholders: {{new_value}}. Available placeholders: event, url, css_selector, oldValue, newValue, timestamp, diff"
+      );
+    });
+  });
+
+  describe("telegram", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+    const config = (telegram, targetTelegram) => ({
+      targets: [
+        targetTelegram ? { ...target, telegram: targetTelegram } : target,
+      ],
+      telegram,
+    });
+
+    test("should accept Telegram settings of the config and of targets", () => {
+      const settings = {
+        bot_token: "123456:ABC-DEF_ghi",
+        chat_id: -1001234567890,
+        api_url: "http://localhost:8081",
+      };
+
+      expect(() =>
+        configManager.validateConfig(config(settings, { chat_id: "@alerts" }))
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateConfig(config(undefined, { chat_id: "-42" }))
+      ).not.toThrow();
+      expect(configManager.getTelegramSettings(config(settings))).toBe(
+        settings
+      );
+    });
+
+    test("should reject invalid Telegram settings", () => {
+      expect(() =>
+        configManager.validateConfig(config({ bot_token: "secret" }))
+      ).toThrow("Field telegram.bot_token must be a bot token");
+      expect(() =>
+        configManager.validateConfig(config({ chat_id: "alerts" }))
+      ).toThrow("Field telegram.chat_id must be a chat ID or an @channel");
+      expect(() =>
+        configManager.validateConfig(config({ api_url: "ftp://x.test" }))
+      ).toThrow("Field telegram.api_url must be an HTTP(S) URL");
+      expect(() =>
+        configManager.validateConfig(config(undefined, { bot_token: "1:a" }))
+      ).toThrow("Missing required field: telegram.chat_id");
+      expect(() =>
+        configManager.validateConfig(
+          config(undefined, { chat_id: 1, api_url: "https://x.test" })
+        )
+      ).toThrow("Unexpected telegram fields found: api_url");
+    });
+  });
+
+  describe("notifiers", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+    const notifiers = {
+      "pricing-slack": {
+        type: "slack",
+        webhook_url: "https://hooks.slack.com/services/T/B/X",
+      },
+      "ops-email": {
+        type: "email",
+        host: "smtp.example.com",
+        from: "monitor@example.com",
+        to: "ops@example.com",
+      },
+      "ops.telegram": { type: "telegram", chat_id: "@ops" },
+      ops_webhook: { type: "webhook", url: "https://ops.example.com/hook" },
+    };
+    const config = (definitions, notify) => ({
+      targets: [notify ? { ...target, notify } : target],
+      notifiers: definitions,
+    });
+
+    test("should accept named notifiers and targets routed to them", () => {
+      const valid = config(notifiers, ["pricing-slack", "ops-email"]);
+
+      expect(() => configManager.validateConfig(valid)).not.toThrow();
+      expect(configManager.getNotifierDefinitions(valid)).toBe(notifiers);
+      expect(configManager.getNotifierDefinitions({ targets: [] })).toEqual({});
+    });
+
+    test("should reject invalid notifier definitions", () => {
+      expect(() => configManager.validateConfig(config([]))).toThrow(
+        "notifiers must be an object of definitions by name"
+      );
+      expect(() =>
+        configManager.validateConfig(
+          config({ "ops team": notifiers["ops-email"] })
+        )
+      ).toThrow("Invalid notifier name: ops team");
+      expect(() =>
+        configManager.validateConfig(config({ pager: { type: "pager" } }))
+      ).toThrow(
+        "Invalid notifier pager: Invalid notifier type: pager. Must be one of: slack, discord, teams, email, telegram, webhook"
+      );
+      expect(() =>
+        configManager.validateConfig(config({ chat: { type: "slack" } }))
+      ).toThrow("Invalid notifier chat: Missing required field: webhook_url");
+      expect(() =>
+        configManager.validateConfig(
+          config({
+            chat: { type: "discord", webhook_url: "https://example.com/x" },
+          })
+        )
+      ).toThrow("webhook_url must be a valid Discord webhook URL");
+      expect(() =>
+        configManager.validateConfig(
+          config({
+            chat: {
+              ...notifiers["pricing-slack"],
+              channel: "#pricing",
+            },
+          })
+        )
+      ).toThrow("Unexpected slack notifier fields: channel");
+      expect(() =>
+        configManager.validateConfig(
+          config({ chat: { type: "telegram", bot_token: "1:a" } })
+        )
+      ).toThrow("Missing required field: telegram.chat_id");
+      expect(() =>
+        configManager.validateConfig(
+          config({ mail: { type: "email", host: "smtp.example.com" } })
+        )
+      ).toThrow("Invalid notifier mail:");
+    });
+
+    test("should reject targets routed to unknown notifiers", () => {
+      expect(() =>
+        configManager.validateConfig(config(notifiers, ["pricing-email"]))
+      ).toThrow(
+        "Invalid target entry at index 0: Unknown notifiers: pricing-email"
+      );
+      expect(() =>
+        configManager.validateConfig([{ ...target, notify: ["ops-email"] }])
+      ).toThrow("Unknown notifiers: ops-email");
+      expect(() => configManager.validateConfig(config(notifiers, []))).toThrow(
+        "Field notify must be a non-empty array of notifier names"
+      );
+    });
+
+    test("should reject notifier names that are already taken", () => {
+      const webhook = (settings) => ({
+        targets: [target],
+        webhooks: [{ url: "https://ops.example.com/hook", ...settings }],
+      });
+
+      expect(() =>
+        configManager.validateConfig(config({ Slack: notifiers["ops-email"] }))
+      ).toThrow(
+        "Notifier name Slack is reserved. Reserved names: Slack, Discord, Teams, Email, Telegram"
+      );
+      expect(() =>
+        configManager.validateConfig(webhook({ name: "Discord" }))
+      ).toThrow("Notifier name Discord is reserved");
+      expect(() =>
+        configManager.validateConfig({
+          ...webhook({ name: "ops_webhook" }),
+          notifiers,
+        })
+      ).toThrow("Duplicate notifier name: ops_webhook");
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          webhooks: [
+            { url: "https://ops.example.com/hook" },
+            { url: "https://ops.example.com/other", body: "{{diff}}" },
+          ],
+        })
+      ).toThrow("Duplicate notifier name: Webhook ops.example.com");
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          webhooks: [
+            { url: "https://ops.example.com/hook" },
+            { name: "ops-other", url: "https://ops.example.com/other" },
+          ],
+        })
+      ).not.toThrow();
+    });
+  });
+
+  describe("notification digest", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+
+    test("should accept a digest mode and default to per-change", () => {
+      const config = {
+        targets: [{ ...target, tag: "pricing", urgent: true }],
+        notification_mode: "digest",
+        digest_group_by: "tag",
+      };
+
+      expect(() => configManager.validateConfig(config)).not.toThrow();
+      expect(configManager.getNotificationSettings(config)).toEqual({
+        mode: "digest",
+        groupBy: "tag",
+      });
+      expect(configManager.getNotificationSettings({ targets: [] })).toEqual({
+        mode: "per_change",
+        groupBy: "domain",
+      });
+    });
+
+    test("should reject invalid digest settings", () => {
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          notification_mode: "weekly",
+        })
+      ).toThrow(
+        "Invalid notification_mode: weekly. Must be one of: per_change, digest"
+      );
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          digest_group_by: "path",
+        })
+      ).toThrow("Invalid digest_group_by: path. Must be one of: domain, tag");
+      expect(() =>
+        configManager.validateEntry({ ...target, tag: " " })
+      ).toThrow("Field tag must be a non-empty string");
+      expect(() =>
+        configManager.validateEntry({ ...target, urgent: "yes" })
+      ).toThrow("Field urgent must be a boolean");
+    });
+  });
+
+  describe("watch schedules", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+
+    test("should accept intervals, cron expressions and a jitter", () => {
+      const config = {
+        targets: [
+          { ...target, interval: "15m" },
+          { ...target, css_selector: "#b", cron: "0 7-22 * * *" },
+        ],
+        cron: "0 0,7,12,14,16,18,20,22 * * *",
+        jitter: "2m",
+      };
+
+      expect(() => configManager.validateConfig(config)).not.toThrow();
+      expect(configManager.getWatchSettings(config)).toEqual({
+        interval: undefined,
+        cron: "0 0,7,12,14,16,18,20,22 * * *",
+        jitter: 120000,
+      });
+    });
+
+    test("should check hourly with a jitter of 30 seconds by default", () => {
+      expect(configManager.getWatchSettings({ targets: [target] })).toEqual({
+        interval: "1h",
+        cron: undefined,
+        jitter: 30000,
+      });
+    });
+
+    test("should reject invalid schedules", () => {
+      expect(() =>
+        configManager.validateEntry({ ...target, interval: "15" })
+      ).toThrow("Field interval must be a duration such as 30s, 15m, 6h or 1d");
+      expect(() =>
+        configManager.validateEntry({ ...target, interval: "0m" })
+      ).toThrow("Field interval must be a duration");
+      expect(() =>
+        configManager.validateEntry({ ...target, cron: "0 25 * * *" })
+      ).toThrow('Invalid cron expression "0 25 * * *"');
+      expect(() =>
+        configManager.validateEntry({
+          ...target,
+          interval: "1h",
+          cron: "0 * * * *",
+        })
+      ).toThrow("Field interval and cron cannot be used together");
+      expect(() =>
+        configManager.validateConfig({ targets: [target], jitter: "soon" })
+      ).toThrow("jitter must be a duration such as 30s, 15m, 6h or 1d");
+    });
+  });
+
+  describe("engine", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+
+    test("should accept the browser and http engines", () => {
+      expect(() =>
+        configManager.validateEntry({ ...target, engine: "http" })
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateEntry({ ...target, engine: "browser" })
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateEntry({ ...target, engine: "curl" })
+      ).toThrow("Invalid engine: curl. Must be one of: browser, http");
+    });
+
+    test("should reject screenshots without a browser", () => {
+      expect(() =>
+        configManager.validateEntry({
+          url: "https://example.com",
+          type: "screenshot",
+          engine: "http",
+        })
+      ).toThrow('Screenshots are not supported for targets with engine "http"');
+      expect(() =>
+        configManager.validateEntry({
+          ...target,
+          engine: "http",
+          screenshot_on_change: true,
+        })
+      ).toThrow('Screenshots are not supported for targets with engine "http"');
+    });
+  });
+
+  describe("json targets", () => {
+    const target = {
+      type: "json",
+      url: "https://api.example.com/inventory",
+      json_path: "$.data.items[0].price",
+    };
+
+    test("should accept a JSON path instead of a selector, with a request", () => {
+      expect(() => configManager.validateEntry(target)).not.toThrow();
+      expect(() =>
+        configManager.validateEntry({
+          ...target,
+          method: "POST",
+          headers: { Authorization: "Bearer token" },
+          body: { query: "{ price }" },
+          multiple: true,
+          current_value: ["10"],
+        })
+      ).not.toThrow();
+    });
+
+    test("should require a valid JSON path", () => {
+      const { json_path, ...withoutPath } = target;
+
+      expect(() => configManager.validateEntry(withoutPath)).toThrow(
+        "Missing required field: json_path"
+      );
+      expect(() =>
+        configManager.validateEntry({ ...target, json_path: "data.price" })
+      ).toThrow('Invalid JSON path "data.price": it must start with $');
+    });
+
+    test("should reject fields of page targets", () => {
+      expect(() =>
+        configManager.validateEntry({ ...target, css_selector: "#price" })
+      ).toThrow("Fields not supported for json targets: css_selector");
+      expect(() =>
+        configManager.validateEntry({ ...target, engine: "http" })
+      ).toThrow("Fields not supported for json targets: engine");
+    });
+
+    test("should only allow request fields for JSON targets", () => {
+      expect(() =>
+        configManager.validateEntry({
+          url: "https://example.com",
+          css_selector: "#a",
+          method: "POST",
+        })
+      ).toThrow('Field method is only allowed for targets with type "json"');
+      expect(() =>
+        configManager.validateEntry({
+          url: "https://example.com",
+          css_selector: "#a",
+          json_path: "$.a",
+        })
+      ).toThrow('Field json_path is only allowed for targets with type "json"');
+    });
+
+    test("should validate the request like webhooks do", () => {
+      expect(() =>
+        configManager.validateEntry({ ...target, method: "DELETE" })
+      ).toThrow(
+        "Invalid method: DELETE. Must be one of: GET, POST, PUT, PATCH"
+      );
+      expect(() =>
+        configManager.validateEntry({ ...target, body: "{}" })
+      ).toThrow("Field body cannot be used with the GET method");
+    });
+
+    test("should tell JSON targets on the same URL apart by path", () => {
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target, { ...target, json_path: "$.version" }],
+        })
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateConfig({ targets: [target, target] })
+      ).toThrow(
+        "Duplicate monitoring target at index 1: https://api.example.com/inventory with selector $.data.items[0].price"
+      );
+    });
+  });
+
+  describe("concurrency", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+
+    test("should accept concurrency levels and default to one at a time", () => {
+      const config = {
+        targets: [target],
+        concurrency: 4,
+        domain_concurrency: 2,
+      };
+
+      expect(() => configManager.validateConfig(config)).not.toThrow();
+      expect(configManager.getConcurrency(config)).toEqual({
+        concurrency: 4,
+        domainConcurrency: 2,
+      });
+      expect(configManager.getConcurrency({ targets: [] })).toEqual({
+        concurrency: 1,
+        domainConcurrency: 1,
+      });
+    });
+
+    test("should reject concurrency levels that are not positive integers", () => {
+      expect(() =>
+        configManager.validateConfig({ targets: [target], concurrency: 0 })
+      ).toThrow("concurrency must be a positive integer");
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          domain_concurrency: "2",
+        })
+      ).toThrow("domain_concurrency must be a positive integer");
+    });
+  });
+
+  describe("failure_threshold", () => {
+    const target = { url: "https://example.com", css_selector: "#a" };
+
+    test("should accept a threshold and default to 3", () => {
+      const config = {
+        targets: [{ ...target, failure_threshold: 0 }],
+        failure_threshold: 5,
+      };
+
+      expect(() => configManager.validateConfig(config)).not.toThrow();
+      expect(configManager.getFailureThreshold(config)).toBe(5);
+      expect(configManager.getFailureThreshold({ targets: [] })).toBe(3);
+    });
+
+    test("should reject thresholds that are not non-negative integers", () => {
+      expect(() =>
+        configManager.validateConfig({
+          targets: [target],
+          failure_threshold: 1.5,
+        })
+      ).toThrow("failure_threshold must be a non-negative integer");
+      expect(() =>
+        configManager.validateEntry({ ...target, failure_threshold: -1 })
+      ).toThrow("Field failure_threshold must be a non-negative integer");
+    });
+  });
+
+  describe("change screenshots", () => {
+    const target = {
+      url: "https://example.com",
+      css_selector: "#price",
+    };
+
+    test("should accept screenshot_on_change on text targets", () => {
+      expect(() =>
+        configManager.validateEntry({ ...target, screenshot_on_change: true })
+      ).not.toThrow();
+      expect(() =>
+        configManager.validateEntry({ ...target, screenshot_on_change: "yes" })
+      ).toThrow("Field screenshot_on_change must be a boolean");
+      expect(() =>
+        configManager.validateEntry({
+          ...target,
+          type: "screenshot",
+          screenshot_on_change: true,
+        })
+      ).toThrow(
+        "Fields not supported for screenshot targets: screenshot_on_change"
+      );
+    });
+
+    test("should validate screenshot_base_url", () => {
+      const config = (screenshotBaseUrl) => ({
+        targets: [target],
+        screenshot_base_url: screenshotBaseUrl,
+      });
+
+      expect(() =>
+        configManager.validateConfig(config("https://monitor.example.com/data"))
+      ).not.toThrow();
+      expect(() => configManager.validateConfig(config("not a url"))).toThrow(
+        "Invalid screenshot_base_url"
+      );
+      expect(() =>
+        configManager.validateConfig(config("file:///var/lib/monitor"))
+      ).toThrow("screenshot_base_url must be an HTTP(S) URL");
+      expect(
+        configManager.getScreenshotBaseUrl(
+          config("https://monitor.example.com")
+        )
+      ).toBe("https://monitor.example.com");
+    });
+  });
+
+  describe("getDataDir", () => {
+    test("should default to a data directory next to the config file", () => {
+      expect(
+        configManager.getDataDir({ targets: [] }, "/etc/monitor/config.json")
+      ).toBe(path.resolve("/etc/monitor/data"));
+    });
+
+    test("should resolve data_dir relative to the config file", () => {
+      expect(
+        configManager.getDataDir(
+          { targets: [], data_dir: "../state" },
+          "/etc/monitor/config.json"
+        )
+      ).toBe(path.resolve("/etc/state"));
+      expect(
+        configManager.getDataDir(
+          { targets: [], data_dir: "/var/lib/monitor" },
+          "/etc/monitor/config.json"
+        )
+      ).toBe(path.resolve("/var/lib/monitor"));
+    });
+
+    test("should reject an empty data_dir", () => {
+      expect(() =>
+        configManager.validateConfig({
+          targets: [
+            {
+              url: "https://example.com",
+              css_selector: "#a",
+              current_value: "",
+            },
+          ],
+          data_dir: " ",
+        })
+      ).toThrow("data_dir must be a non-empty string");
+    });
   });
 });
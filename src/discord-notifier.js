@@ -0,0 +1,493 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const axios = require("axios");
+const NotifierBase = require("./notifier-base");
+const { withRetry, describeRetryReason } = require("./retry");
+const changeFormat = require("./change-format");
+
+// Embed colors
+const CHANGE_COLOR = 0xf1c40f;
+const OLD_VALUE_COLOR = 0xe74c3c;
+const NEW_VALUE_COLOR = 0x2ecc71;
+
+// Discord rejects embed field values longer than 1024 characters; the diff
+// code block adds 12 characters around the value
+const MAX_FIELD_VALUE_LENGTH = 1024;
+const MAX_DIFF_VALUE_LENGTH = MAX_FIELD_VALUE_LENGTH - 12;
+
+// Discord rejects embed descriptions longer than 4096 characters
+const MAX_DESCRIPTION_LENGTH = 4096;
+
+// Uploads above the limit of servers without boosts are rejected
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Build the multipart form data uploading an image with the JSON payload of
+ * a message. The body is built by hand, as Node 16 has no FormData or Blob.
+ * @param {Object} message - Message payload
+ * @param {Object} attachment - Image {name, data}
+ * @returns {Object} Request {body, contentType}
+ */
+function buildMultipartBody(message, attachment) {
+  const boundary = `----detect-change-${crypto
+    .randomBytes(12)
+    .toString("hex")}`;
+  const filename = attachment.name.replace(/["\r\n]/g, "");
+
+  return {
+    body: Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\n` +
+          'Content-Disposition: form-data; name="payload_json"\r\n' +
+          "Content-Type: application/json\r\n\r\n" +
+          `${JSON.stringify(message)}\r\n` +
+          `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name="files[0]"; filename="${filename}"\r\n` +
+          "Content-Type: image/png\r\n\r\n"
+      ),
+      attachment.data,
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
+
+/**
+ * DiscordNotifier handles sending change notifications to Discord via
+ * webhooks, as embeds with the old and new values color-coded
+ */
+class DiscordNotifier extends NotifierBase {
+  constructor(webhookUrl) {
+    super("Discord");
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Get the setting notifications cannot be sent without, if it is missing
+   * @returns {string|null} - "webhook URL" without one, else null
+   */
+  getMissingSetting() {
+    return this.webhookUrl ? null : "webhook URL";
+  }
+
+  /**
+   * Send a change notification to Discord
+   * @param {Object} changeRecord - The change detection result
+   * @param {Object} changeRecord.entry - Original configuration entry
+   * @param {string} changeRecord.oldValue - Previous stored value
+   * @param {string} changeRecord.newValue - Newly extracted value
+   * @param {string} changeRecord.timestamp - ISO timestamp of detection
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendChangeNotification(changeRecord) {
+    return this.send("change", changeRecord);
+  }
+
+  /**
+   * Send one message listing all changes of a run, grouped by domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {Object} [options] - Digest options
+   * @param {string} [options.groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<boolean>} - True if the digest was sent successfully
+   */
+  async sendDigest(changes, { groupBy = "domain" } = {}) {
+    return this.send("digest", changes, { groupBy });
+  }
+
+  /**
+   * Send a notification that a target broke after failing several runs in a
+   * row, or that it recovered
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
+
+  /**
+   * Format a target status into a Discord webhook payload with one embed,
+   * red for broken targets and green for recovered ones
+   * @param {Object} statusRecord - Target status
+   * @returns {Object} - Discord webhook payload
+   */
+  formatTargetStatus(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { title, summary } = changeFormat.describeTargetStatus(statusRecord);
+
+    const fields = [
+      {
+        name: "Selector",
+        value: changeFormat.truncate(
+          changeFormat.describeSelector(entry),
+          MAX_FIELD_VALUE_LENGTH
+        ),
+      },
+    ];
+
+    if (error) {
+      fields.push({
+        name: "Error",
+        value: changeFormat.truncate(
+          changeFormat
+            .formatTargetError(error)
+            .map((line) => line.replace(/^([^:•]+):/, "**$1:**"))
+            .join("\n"),
+          MAX_FIELD_VALUE_LENGTH
+        ),
+      });
+    }
+
+    return {
+      username: "Web Element Monitor",
+      embeds: [
+        {
+          title,
+          url: entry.url,
+          description: changeFormat.truncate(
+            `${entry.url}\n${summary}`,
+            MAX_DESCRIPTION_LENGTH
+          ),
+          color:
+            statusRecord.status === "broken"
+              ? OLD_VALUE_COLOR
+              : NEW_VALUE_COLOR,
+          fields,
+          timestamp: new Date(timestamp).toISOString(),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Format the changes of a run into a Discord webhook payload with one
+   * embed listing the changes of each domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {string} [groupBy="domain"] - "domain" or "tag"
+   * @returns {Object} - Discord webhook payload
+   */
+  formatDigest(changes, groupBy = "domain") {
+    const summary = `**${changeFormat.formatDigestSummary(changes, groupBy)}**`;
+
+    const entries = [];
+    for (const group of changeFormat.groupChanges(changes, groupBy)) {
+      group.changes.forEach((change, index) => {
+        const line = this.formatDigestLine(change);
+        entries.push(
+          index === 0
+            ? `\n**${group.name}** (${group.changes.length})\n${line}`
+            : line
+        );
+      });
+    }
+
+    return {
+      username: "Web Element Monitor",
+      embeds: [
+        {
+          title: "🔔 Change Digest",
+          description: `${summary}\n${changeFormat.joinEntries(
+            entries,
+            MAX_DESCRIPTION_LENGTH - summary.length - 1
+          )}`,
+          color: CHANGE_COLOR,
+          timestamp: new Date(
+            changes[changes.length - 1].timestamp
+          ).toISOString(),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Format a change as one digest line: the URL, the selector and a summary
+   * of the change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string} - Formatted line
+   */
+  formatDigestLine(changeRecord) {
+    const { entry } = changeRecord;
+    // Backticks would end the code span of the selector
+    const selector = changeFormat
+      .truncate(changeFormat.describeSelector(entry), 200)
+      .replace(/`/g, "'");
+
+    return `• ${changeFormat.truncate(
+      entry.url,
+      200
+    )} \`${selector}\`: ${changeFormat.summarizeChange(changeRecord)}`;
+  }
+
+  /**
+   * Format a change record into a Discord webhook payload with one embed
+   * @param {Object} changeRecord - The change detection result
+   * @param {Object} [attachment] - Image uploaded with the message {name}
+   * @returns {Object} - Discord webhook payload
+   */
+  formatMessage(changeRecord, attachment = null) {
+    const { entry, oldValue, newValue, timestamp } = changeRecord;
+
+    const fields = [
+      {
+        name: "Selector",
+        value: changeFormat.truncate(
+          changeFormat.describeSelector(entry),
+          MAX_FIELD_VALUE_LENGTH
+        ),
+      },
+    ];
+
+    if (changeRecord.visual) {
+      fields.push({
+        name: "Visual change",
+        value: changeFormat.formatVisualChange(changeRecord.visual),
+      });
+    } else if (changeRecord.listDiff) {
+      fields.push({
+        name: "Items",
+        value: this.formatDiffBlock(this.formatListDiff(changeRecord.listDiff)),
+      });
+    } else {
+      fields.push({
+        name: "Change",
+        value: this.formatDiffBlock([`- ${oldValue}`, `+ ${newValue}`]),
+      });
+    }
+
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      fields.push({
+        name: "Delta",
+        value: changeFormat.formatNumericChange(changeRecord.numeric),
+        inline: true,
+      });
+    }
+
+    const screenshots = changeRecord.screenshots;
+    if (screenshots && screenshots.before) {
+      fields.push({
+        name: "Before",
+        value: screenshots.before.url || screenshots.before.path,
+      });
+    }
+
+    const embed = {
+      title: "🔔 Change Detected",
+      url: entry.url,
+      description: changeFormat.truncate(entry.url, 4096),
+      color: this.getColor(changeRecord),
+      fields,
+      timestamp: new Date(timestamp).toISOString(),
+    };
+
+    // Prefer the uploaded file, then a served URL of the screenshot
+    const after = screenshots && screenshots.after;
+    if (attachment) {
+      embed.image = { url: `attachment://${attachment.name}` };
+    } else if (after && after.url) {
+      embed.image = { url: after.url };
+    } else if (after) {
+      fields.push({ name: "After", value: after.path });
+    }
+
+    return {
+      username: "Web Element Monitor",
+      embeds: [embed],
+    };
+  }
+
+  /**
+   * Pick the embed color: red when a value disappeared, green when one
+   * appeared, yellow for any other change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {number} - Embed color
+   */
+  getColor(changeRecord) {
+    if (changeRecord.listDiff) {
+      const { added, removed } = changeRecord.listDiff;
+      if (added.length === 0 && removed.length > 0) {
+        return OLD_VALUE_COLOR;
+      }
+      if (removed.length === 0 && added.length > 0) {
+        return NEW_VALUE_COLOR;
+      }
+    }
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      if (changeRecord.numeric.delta < 0) {
+        return OLD_VALUE_COLOR;
+      }
+      if (changeRecord.numeric.delta > 0) {
+        return NEW_VALUE_COLOR;
+      }
+    }
+    return CHANGE_COLOR;
+  }
+
+  /**
+   * Format the added and removed items of a list change as diff lines
+   * @param {Object} listDiff - Diff with added, removed and reordered fields
+   * @returns {string[]} - Diff lines
+   */
+  formatListDiff(listDiff) {
+    const lines = [
+      ...listDiff.added.map((item) => `+ ${item}`),
+      ...listDiff.removed.map((item) => `- ${item}`),
+    ];
+
+    if (lines.length === 0 && listDiff.reordered) {
+      lines.push("  Order changed (no items added or removed)");
+    }
+
+    return lines;
+  }
+
+  /**
+   * Wrap lines in a diff code block, which Discord renders with removed
+   * lines in red and added lines in green
+   * @param {string[]} lines - Lines starting with "- " or "+ "
+   * @returns {string} - Code block within the embed field limit
+   */
+  formatDiffBlock(lines) {
+    const content = changeFormat.truncate(
+      lines.join("\n").replace(/```/g, "'''"),
+      MAX_DIFF_VALUE_LENGTH
+    );
+    return `\`\`\`diff\n${content}\n\`\`\``;
+  }
+
+  /**
+   * Load the image to upload with a notification: the diff image of a visual
+   * change, or the screenshot taken on a change if it is not served by URL
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Promise<Object|null>} - Attachment {name, data}, or null if there
+   *   is no image or it cannot be uploaded
+   */
+  async loadAttachment(changeRecord) {
+    let filePath = null;
+    if (changeRecord.visual && changeRecord.visual.paths) {
+      filePath = changeRecord.visual.paths.diff;
+    } else if (
+      changeRecord.screenshots &&
+      changeRecord.screenshots.after &&
+      !changeRecord.screenshots.after.url
+    ) {
+      filePath = changeRecord.screenshots.after.path;
+    }
+
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      const data = await fs.readFile(filePath);
+      if (data.length > MAX_ATTACHMENT_BYTES) {
+        this.logger.warn(
+          `Image ${filePath} is too large to upload to Discord (${data.length} bytes)`
+        );
+        return null;
+      }
+      return { name: path.basename(filePath), data };
+    } catch (error) {
+      this.logger.warn(
+        `Could not read image ${filePath} for Discord: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Format the payload of a notification. Change notifications upload the
+   * local screenshot of the change with the message.
+   * @param {string} kind - "change", "digest" or "status"
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @param {Object} options - Formatting options, e.g. {groupBy} of digests
+   * @returns {Promise<Object>} - Payload {message, attachment}
+   */
+  async format(kind, record, options) {
+    if (kind !== "change") {
+      return { message: super.format(kind, record, options), attachment: null };
+    }
+
+    const attachment = await this.loadAttachment(record);
+    return { message: this.formatMessage(record, attachment), attachment };
+  }
+
+  /**
+   * Deliver a formatted payload
+   * @param {Object} payload - Payload {message, attachment}
+   * @returns {Promise<boolean>} - True if webhook sent successfully
+   */
+  deliver({ message, attachment }) {
+    return this.sendWebhook(message, attachment);
+  }
+
+  /**
+   * Send a webhook request to Discord
+   * @param {Object} message - The formatted message payload
+   * @param {Object} [attachment] - Image to upload {name, data}
+   * @returns {Promise<boolean>} - True if webhook sent successfully
+   */
+  async sendWebhook(message, attachment = null) {
+    let body = message;
+    let contentType = "application/json";
+    if (attachment) {
+      // Files are uploaded as multipart form data with the JSON payload
+      ({ body, contentType } = buildMultipartBody(message, attachment));
+    }
+
+    try {
+      const response = await withRetry(
+        () =>
+          axios.post(this.webhookUrl, body, {
+            headers: { "Content-Type": contentType },
+            timeout: 10000, // 10 second timeout
+          }),
+        {
+          ...this.retryOptions,
+          onRetry: (error, retry, delay) =>
+            this.logger.warn(
+              `Discord webhook failed with ${describeRetryReason(
+                error
+              )}, retry ${retry} in ${delay}ms`
+            ),
+        }
+      );
+
+      // Discord webhooks return 204 No Content for success
+      return response.status >= 200 && response.status < 300;
+    } catch (error) {
+      if (error.response) {
+        // HTTP error response
+        const httpError = new Error(
+          `Discord webhook failed with status ${
+            error.response.status
+          }: ${JSON.stringify(error.response.data)}`
+        );
+        this.logger.error(
+          `Discord webhook HTTP error: ${error.response.status}`,
+          {
+            status: error.response.status,
+            data: error.response.data,
+          }
+        );
+        throw httpError;
+      } else if (error.request) {
+        // Network error
+        const networkError = new Error("Network error sending Discord webhook");
+        this.logger.error("Discord webhook network error", {
+          request: error.request,
+        });
+        throw networkError;
+      } else {
+        // Other error
+        const webhookError = new Error(
+          `Discord webhook error: ${error.message}`
+        );
+        this.logger.error(`Discord webhook general error: ${error.message}`);
+        throw webhookError;
+      }
+    }
+  }
+}
+
+module.exports = DiscordNotifier;
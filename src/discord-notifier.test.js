@@ -0,0 +1,345 @@
+const fs = require("fs").promises;
+const os = require("os");
+const http = require("http");
+const path = require("path");
+const axios = require("axios");
+const DiscordNotifier = require("./discord-notifier");
+
+/**
+ * Split a multipart/form-data body into its parts by name
+ * @param {string} contentType - Content-Type header with the boundary
+ * @param {Buffer} body - Request body
+ * @returns {Object} Parts {headers, data} by field name
+ */
+function parseMultipart(contentType, body) {
+  const boundary = /boundary=(.+)$/.exec(contentType)[1];
+  const parts = {};
+  const text = body.toString("latin1");
+  for (const section of text.split(`--${boundary}`).slice(1, -1)) {
+    const headerEnd = section.indexOf("\r\n\r\n");
+    const headers = section.slice(2, headerEnd);
+    const name = /name="([^"]+)"/.exec(headers)[1];
+    parts[name] = {
+      headers,
+      data: Buffer.from(section.slice(headerEnd + 4, -2), "latin1"),
+    };
+  }
+  return parts;
+}
+
+describe("DiscordNotifier", () => {
+  const webhookUrl = "https://discord.com/api/webhooks/123/token";
+  let discordNotifier;
+  let changeRecord;
+
+  beforeEach(() => {
+    discordNotifier = new DiscordNotifier(webhookUrl);
+    changeRecord = {
+      entry: {
+        url: "https://example.com/product",
+        css_selector: "#price",
+      },
+      oldValue: "$19.99",
+      newValue: "$18.49",
+      timestamp: "2025-07-25T15:30:00.000Z",
+    };
+
+    jest.spyOn(axios, "post").mockResolvedValue({ status: 204 });
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  describe("formatMessage", () => {
+    test("should format a change as an embed linking the URL", () => {
+      const message = discordNotifier.formatMessage(changeRecord);
+
+      expect(message.username).toBe("Web Element Monitor");
+      expect(message.embeds).toHaveLength(1);
+      const [embed] = message.embeds;
+      expect(embed.title).toBe("🔔 Change Detected");
+      expect(embed.url).toBe("https://example.com/product");
+      expect(embed.timestamp).toBe("2025-07-25T15:30:00.000Z");
+      expect(embed.fields).toEqual([
+        { name: "Selector", value: "#price" },
+        { name: "Change", value: "```diff\n- $19.99\n+ $18.49\n```" },
+      ]);
+    });
+
+    test("should color numeric changes by direction", () => {
+      const decrease = discordNotifier.formatMessage({
+        ...changeRecord,
+        numeric: { delta: -1.5, percentChange: -7.5 },
+      });
+      const increase = discordNotifier.formatMessage({
+        ...changeRecord,
+        numeric: { delta: 1.5, percentChange: 7.5 },
+      });
+
+      expect(decrease.embeds[0].color).toBe(0xe74c3c);
+      expect(decrease.embeds[0].fields).toContainEqual({
+        name: "Delta",
+        value: "↓ 7.5% (-1.5)",
+        inline: true,
+      });
+      expect(increase.embeds[0].color).toBe(0x2ecc71);
+      expect(discordNotifier.formatMessage(changeRecord).embeds[0].color).toBe(
+        0xf1c40f
+      );
+    });
+
+    test("should list added and removed items of list targets", () => {
+      const message = discordNotifier.formatMessage({
+        ...changeRecord,
+        listDiff: { added: ["Job C"], removed: ["Job A"], reordered: false },
+      });
+
+      expect(message.embeds[0].fields[1]).toEqual({
+        name: "Items",
+        value: "```diff\n+ Job C\n- Job A\n```",
+      });
+    });
+
+    test("should keep long values within the field limit", () => {
+      const message = discordNotifier.formatMessage({
+        ...changeRecord,
+        oldValue: "a".repeat(2000),
+        newValue: "b```",
+      });
+
+      const value = message.embeds[0].fields[1].value;
+      expect(value.length).toBeLessThanOrEqual(1024);
+      expect(value.endsWith("…\n```")).toBe(true);
+    });
+
+    test("should show visual changes and screenshots", () => {
+      const visual = discordNotifier.formatMessage({
+        ...changeRecord,
+        visual: { changedPercent: 2.5, tolerance: 1 },
+      });
+      expect(visual.embeds[0].fields[1]).toEqual({
+        name: "Visual change",
+        value: "2.5% of pixels changed (tolerance 1%)",
+      });
+
+      const served = discordNotifier.formatMessage({
+        ...changeRecord,
+        screenshots: {
+          before: { path: "/data/1.png", url: "https://m.example.com/1.png" },
+          after: { path: "/data/2.png", url: "https://m.example.com/2.png" },
+        },
+      });
+      expect(served.embeds[0].image).toEqual({
+        url: "https://m.example.com/2.png",
+      });
+      expect(served.embeds[0].fields).toContainEqual({
+        name: "Before",
+        value: "https://m.example.com/1.png",
+      });
+
+      const uploaded = discordNotifier.formatMessage(changeRecord, {
+        name: "diff.png",
+      });
+      expect(uploaded.embeds[0].image).toEqual({
+        url: "attachment://diff.png",
+      });
+    });
+  });
+
+  describe("formatDigest", () => {
+    test("should list the changes of each domain in one embed", () => {
+      const message = discordNotifier.formatDigest([
+        changeRecord,
+        {
+          ...changeRecord,
+          entry: { url: "https://shop.test/a", css_selector: "a[title=`x`]" },
+        },
+      ]);
+
+      expect(message.embeds).toHaveLength(1);
+      expect(message.embeds[0].title).toBe("🔔 Change Digest");
+      expect(message.embeds[0].description).toBe(
+        [
+          "**2 changes across 2 domains**",
+          "",
+          "**example.com** (1)",
+          "• https://example.com/product `#price`: $19.99 → $18.49",
+          "",
+          "**shop.test** (1)",
+          "• https://shop.test/a `a[title='x']`: $19.99 → $18.49",
+        ].join("\n")
+      );
+    });
+
+    test("should stay within the embed description limit", () => {
+      const changes = Array.from({ length: 500 }, () => changeRecord);
+
+      const { description } = discordNotifier.formatDigest(changes).embeds[0];
+
+      expect(description.length).toBeLessThanOrEqual(4096);
+      expect(description).toMatch(/… \d+ more changes$/);
+    });
+
+    test("should send the digest as one webhook request", async () => {
+      expect(
+        await discordNotifier.sendDigest([changeRecord, changeRecord])
+      ).toBe(true);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("formatTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should format a broken target as a red embed", () => {
+      const [embed] = discordNotifier.formatTargetStatus(brokenRecord()).embeds;
+
+      expect(embed).toMatchObject({
+        title: "🚨 Target Broken",
+        url: "https://example.com/product",
+        color: 0xe74c3c,
+        timestamp: "2025-07-25T15:30:00.000Z",
+      });
+      expect(embed.fields).toEqual([
+        { name: "Selector", value: "#price" },
+        {
+          name: "Error",
+          value: [
+            "**Error:** The CSS selector did not match any element.",
+            "**Details:** Element not found: #price",
+            "**Suggestions:**",
+            "• Verify the CSS selector in your browser",
+          ].join("\n"),
+        },
+      ]);
+    });
+
+    test("should send the alert to the webhook", async () => {
+      const sent = await discordNotifier.sendTargetStatus({
+        ...brokenRecord(),
+        status: "recovered",
+        error: undefined,
+      });
+
+      expect(sent).toBe(true);
+      expect(axios.post.mock.calls[0][1].embeds[0].title).toBe(
+        "✅ Target Recovered"
+      );
+    });
+  });
+
+  describe("sendChangeNotification", () => {
+    test("should post the embed as JSON", async () => {
+      const result = await discordNotifier.sendChangeNotification(changeRecord);
+
+      expect(result).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(
+        webhookUrl,
+        discordNotifier.formatMessage(changeRecord),
+        expect.objectContaining({
+          headers: { "Content-Type": "application/json" },
+        })
+      );
+    });
+
+    test("should upload a local change screenshot", async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "discord-"));
+      const screenshotPath = path.join(tempDir, "after.png");
+      await fs.writeFile(screenshotPath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+      // Send the upload to a local server, to check the body Discord receives
+      axios.post.mockRestore();
+      const received = [];
+      const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on("data", (chunk) => chunks.push(chunk));
+        request.on("end", () => {
+          received.push({
+            contentType: request.headers["content-type"],
+            body: Buffer.concat(chunks),
+          });
+          response.writeHead(204);
+          response.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      let result;
+      try {
+        discordNotifier.webhookUrl = `http://127.0.0.1:${
+          server.address().port
+        }/api/webhooks/123/token`;
+        result = await discordNotifier.sendChangeNotification({
+          ...changeRecord,
+          screenshots: {
+            before: null,
+            after: { path: screenshotPath, url: null },
+          },
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+
+      expect(result).toBe(true);
+      expect(received).toHaveLength(1);
+      const parts = parseMultipart(received[0].contentType, received[0].body);
+      expect(Object.keys(parts)).toEqual(["payload_json", "files[0]"]);
+      expect(JSON.parse(parts.payload_json.data).embeds[0].image).toEqual({
+        url: "attachment://after.png",
+      });
+      expect(parts["files[0]"].headers).toContain('filename="after.png"');
+      expect(parts["files[0]"].headers).toContain("Content-Type: image/png");
+      expect(parts["files[0]"].data).toEqual(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47])
+      );
+    });
+
+    test("should send without the image when it cannot be read", async () => {
+      const result = await discordNotifier.sendChangeNotification({
+        ...changeRecord,
+        screenshots: {
+          before: null,
+          after: { path: "/nonexistent/after.png", url: null },
+        },
+      });
+
+      expect(result).toBe(true);
+      expect(axios.post.mock.calls[0][1].embeds[0].fields).toContainEqual({
+        name: "After",
+        value: "/nonexistent/after.png",
+      });
+    });
+
+    test("should skip sending without a webhook URL", async () => {
+      const result = await new DiscordNotifier().sendChangeNotification(
+        changeRecord
+      );
+
+      expect(result).toBe(false);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test("should return false when Discord rejects the message", async () => {
+      axios.post.mockRejectedValue({
+        response: { status: 400, data: { message: "Invalid Form Body" } },
+      });
+
+      const result = await discordNotifier.sendChangeNotification(changeRecord);
+
+      expect(result).toBe(false);
+    });
+  });
+});
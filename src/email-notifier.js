@@ -0,0 +1,476 @@
+const fs = require("fs").promises;
+const path = require("path");
+const nodemailer = require("nodemailer");
+const NotifierBase = require("./notifier-base");
+const changeFormat = require("./change-format");
+
+const DEFAULT_SUBJECT_PREFIX = "[Web Element Monitor]";
+
+// Values are cut to keep emails readable and below common size limits
+const MAX_VALUE_LENGTH = 10000;
+
+const DIFF_STYLES = {
+  removed: "background:#ffebe9;color:#82071e;",
+  added: "background:#dafbe1;color:#116329;",
+  same: "color:#57606a;",
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * EmailNotifier sends change notifications over SMTP, as one email per
+ * change or as one digest email per run, each with an HTML and a plain-text
+ * part rendering the old and new values as a diff
+ */
+class EmailNotifier extends NotifierBase {
+  /**
+   * @param {Object} settings - The email settings of the configuration
+   * @param {string} settings.host - SMTP server host
+   * @param {number} [settings.port] - SMTP server port (default: 465 with secure, else 587)
+   * @param {boolean} [settings.secure] - Use TLS from the start of the connection
+   * @param {boolean} [settings.require_tls] - Fail unless the server supports STARTTLS
+   * @param {Object} [settings.auth] - Credentials {user, pass}; pass defaults to SMTP_PASSWORD
+   * @param {string} settings.from - Sender address
+   * @param {string|string[]} settings.to - Recipient addresses
+   * @param {string} [settings.subject_prefix] - Prefix of the subjects
+   * @param {string} [settings.mode] - "per_change" (default) or "digest"
+   */
+  constructor(settings = {}) {
+    super("Email");
+    this.settings = settings;
+    this.mode = settings.mode || "per_change";
+    this.transporter = null;
+  }
+
+  /**
+   * Get the SMTP transport, creating it on first use
+   * @returns {Object} Nodemailer transport
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, require_tls, auth } = this.settings;
+
+      this.transporter = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure: Boolean(secure),
+        requireTLS: Boolean(require_tls),
+        auth:
+          auth && auth.user
+            ? {
+                user: auth.user,
+                pass:
+                  auth.pass !== undefined
+                    ? auth.pass
+                    : process.env.SMTP_PASSWORD,
+              }
+            : undefined,
+        connectionTimeout: 10000, // 10 second timeouts
+        greetingTimeout: 10000,
+        socketTimeout: 10000,
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send an email about a single change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Promise<boolean>} - True if the email was accepted by the server
+   */
+  async sendChangeNotification(changeRecord) {
+    return this.send("change", changeRecord);
+  }
+
+  /**
+   * Send one email listing all changes of a run, grouped by domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {Object} [options] - Digest options
+   * @param {string} [options.groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<boolean>} - True if the email was accepted by the server
+   */
+  async sendDigest(changes, { groupBy = "domain" } = {}) {
+    return this.send("digest", changes, { groupBy });
+  }
+
+  /**
+   * Send an email that a target broke after failing several runs in a row,
+   * or that it recovered. Status emails are sent right away in digest mode.
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Promise<boolean>} - True if the email was accepted by the server
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
+
+  /**
+   * Format the email about a target status
+   * @param {Object} statusRecord - Target status
+   * @returns {Object} - Message {subject, text, html}
+   */
+  formatTargetStatus(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { title, summary } = changeFormat.describeTargetStatus(statusRecord);
+    const label = statusRecord.status === "broken" ? "broken" : "recovered";
+    const errorLines = error ? changeFormat.formatTargetError(error) : [];
+
+    const rows = [
+      [
+        "URL",
+        `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</a>`,
+      ],
+      [
+        "Selector",
+        `<code>${escapeHtml(changeFormat.describeSelector(entry))}</code>`,
+      ],
+      ["Checked", escapeHtml(new Date(timestamp).toISOString())],
+    ];
+    const table = `<table cellpadding="4">${rows
+      .map(
+        ([name, value]) =>
+          `<tr><th align="left" valign="top">${name}</th><td>${value}</td></tr>`
+      )
+      .join("")}</table>`;
+
+    return {
+      subject: this.formatSubject(`Target ${label}: ${entry.url}`),
+      text: [
+        `${title.replace(/^\S+ /, "")} on ${entry.url}`,
+        `Selector: ${changeFormat.describeSelector(entry)}`,
+        `Checked: ${new Date(timestamp).toISOString()}`,
+        "",
+        summary,
+        ...errorLines,
+      ].join("\n"),
+      html: this.wrapHtml(
+        `<h3>${escapeHtml(title)}</h3>${table}<p>${escapeHtml(
+          summary
+        )}</p>${errorLines
+          .map((line) => `<div>${escapeHtml(line)}</div>`)
+          .join("")}`
+      ),
+    };
+  }
+
+  /**
+   * Format the email about a single change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Promise<Object>} - Message {subject, text, html, attachments}
+   */
+  async formatMessage(changeRecord) {
+    const attachments = await this.loadAttachments(changeRecord, 0);
+
+    return {
+      subject: this.formatSubject(`Change detected: ${changeRecord.entry.url}`),
+      text: this.formatChangeText(changeRecord).join("\n"),
+      html: this.wrapHtml(this.formatChangeHtml(changeRecord, attachments)),
+      attachments,
+    };
+  }
+
+  /**
+   * Format the digest email of a run, with a section per domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {string} [groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<Object>} - Message {subject, text, html, attachments}
+   */
+  async formatDigest(changes, groupBy = "domain") {
+    const attachments = [];
+    const textSections = [];
+    const htmlSections = [];
+    let index = 0;
+
+    for (const group of changeFormat.groupChanges(changes, groupBy)) {
+      const heading = `${group.name} (${changeFormat.pluralize(
+        group.changes.length,
+        "change"
+      )})`;
+      const groupText = [];
+      const groupHtml = [];
+
+      for (const change of group.changes) {
+        const changeAttachments = await this.loadAttachments(change, index++);
+        attachments.push(...changeAttachments);
+        groupText.push(this.formatChangeText(change).join("\n"));
+        groupHtml.push(this.formatChangeHtml(change, changeAttachments));
+      }
+
+      textSections.push(`== ${heading} ==\n\n${groupText.join("\n\n")}`);
+      htmlSections.push(
+        `<h2>${escapeHtml(heading)}</h2>${groupHtml.join("<hr>")}`
+      );
+    }
+
+    const title = `${changeFormat.pluralize(
+      changes.length,
+      "change"
+    )} detected`;
+    const summary = changeFormat.formatDigestSummary(changes, groupBy);
+
+    return {
+      subject: this.formatSubject(title),
+      text: [`${summary}:`, ...textSections].join("\n\n"),
+      html: this.wrapHtml(
+        `<p>${escapeHtml(summary)}:</p>${htmlSections.join("")}`
+      ),
+      attachments,
+    };
+  }
+
+  /**
+   * Format the plain-text lines of a change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string[]} - Text lines
+   */
+  formatChangeText(changeRecord) {
+    const { entry } = changeRecord;
+    const lines = [
+      `Change detected on ${entry.url}`,
+      `Selector: ${changeFormat.describeSelector(entry)}`,
+      `Checked: ${new Date(changeRecord.timestamp).toISOString()}`,
+      ...this.formatDetails(changeRecord),
+      "",
+    ];
+
+    if (!changeRecord.visual) {
+      lines.push(changeFormat.formatDiffText(this.getDiffLines(changeRecord)));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the HTML section of a change
+   * @param {Object} changeRecord - The change detection result
+   * @param {Array<Object>} attachments - Images attached for the change
+   * @returns {string} - HTML
+   */
+  formatChangeHtml(changeRecord, attachments = []) {
+    const { entry } = changeRecord;
+    const rows = [
+      [
+        "URL",
+        `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</a>`,
+      ],
+      [
+        "Selector",
+        `<code>${escapeHtml(changeFormat.describeSelector(entry))}</code>`,
+      ],
+      ["Checked", escapeHtml(new Date(changeRecord.timestamp).toISOString())],
+      ...this.formatDetails(changeRecord).map((line) => {
+        const [label, ...rest] = line.split(": ");
+        return [escapeHtml(label), escapeHtml(rest.join(": "))];
+      }),
+    ];
+
+    const table = `<table cellpadding="4">${rows
+      .map(
+        ([label, value]) =>
+          `<tr><th align="left" valign="top">${label}</th><td>${value}</td></tr>`
+      )
+      .join("")}</table>`;
+
+    const diff = changeRecord.visual
+      ? ""
+      : `<pre style="font-family:monospace;padding:8px;border:1px solid #d0d7de;white-space:pre-wrap;">${this.getDiffLines(
+          changeRecord
+        )
+          .map(
+            ({ type, text }) =>
+              `<div style="${DIFF_STYLES[type]}">${escapeHtml(
+                changeFormat.DIFF_PREFIXES[type] + text
+              )}</div>`
+          )
+          .join("")}</pre>`;
+
+    const images = attachments
+      .map(
+        (attachment) =>
+          `<p>${escapeHtml(attachment.label)}:<br><img src="cid:${
+            attachment.cid
+          }" alt="${escapeHtml(attachment.label)}" style="max-width:100%;"></p>`
+      )
+      .join("");
+
+    return `<h3>Change detected</h3>${table}${diff}${images}`;
+  }
+
+  /**
+   * Format the details of a change besides its values as "Label: value" lines
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string[]} - Detail lines
+   */
+  formatDetails(changeRecord) {
+    const lines = [];
+
+    if (changeRecord.visual) {
+      lines.push(
+        `Visual change: ${changeFormat.formatVisualChange(changeRecord.visual)}`
+      );
+      if (changeRecord.visual.paths) {
+        lines.push(`Diff image: ${changeRecord.visual.paths.diff}`);
+      }
+    }
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      lines.push(
+        `Change: ${changeFormat.formatNumericChange(changeRecord.numeric)}`
+      );
+    }
+    if (changeRecord.listDiff && changeRecord.listDiff.reordered) {
+      lines.push("Order: changed");
+    }
+
+    const screenshots = changeRecord.screenshots;
+    if (screenshots && screenshots.before) {
+      lines.push(
+        `Before: ${screenshots.before.url || screenshots.before.path}`
+      );
+    }
+    if (screenshots && screenshots.after) {
+      lines.push(`After: ${screenshots.after.url || screenshots.after.path}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get the diff of a change, with values shortened to the length shown in
+   * emails
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Array<Object>} - Diff lines {type, text}
+   */
+  getDiffLines(changeRecord) {
+    return changeFormat.getChangeDiff(changeRecord, MAX_VALUE_LENGTH);
+  }
+
+  /**
+   * Collect the images of a change to attach inline: the diff image of a
+   * visual change and the screenshot taken on the change. Images that cannot
+   * be read are skipped.
+   * @param {Object} changeRecord - The change detection result
+   * @param {number} index - Position of the change in the email
+   * @returns {Promise<Array<Object>>} - Nodemailer attachments with a label
+   */
+  async loadAttachments(changeRecord, index) {
+    const images = [];
+    if (changeRecord.visual && changeRecord.visual.paths) {
+      images.push({
+        label: "Diff image",
+        path: changeRecord.visual.paths.diff,
+      });
+    }
+    if (changeRecord.screenshots && changeRecord.screenshots.after) {
+      images.push({
+        label: "Screenshot after the change",
+        path: changeRecord.screenshots.after.path,
+      });
+    }
+
+    const attachments = [];
+    for (const image of images) {
+      try {
+        await fs.access(image.path);
+      } catch (error) {
+        this.logger.warn(
+          `Could not attach image ${image.path} to email: ${error.message}`
+        );
+        continue;
+      }
+      attachments.push({
+        label: image.label,
+        filename: path.basename(image.path),
+        path: image.path,
+        cid: `change-${index}-${attachments.length}@web-element-monitor`,
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Wrap an HTML fragment in an email document
+   * @param {string} content - HTML fragment
+   * @returns {string} - HTML document
+   */
+  wrapHtml(content) {
+    return `<!DOCTYPE html><html><body style="font-family:sans-serif;">${content}</body></html>`;
+  }
+
+  /**
+   * Prepend the configured subject prefix to a subject
+   * @param {string} subject - Subject without prefix
+   * @returns {string} - Subject
+   */
+  formatSubject(subject) {
+    const prefix =
+      this.settings.subject_prefix !== undefined
+        ? this.settings.subject_prefix
+        : DEFAULT_SUBJECT_PREFIX;
+    return prefix ? `${prefix} ${subject}` : subject;
+  }
+
+  /**
+   * Deliver a formatted email
+   * @param {Object} message - Message {subject, text, html, attachments}
+   * @returns {Promise<boolean>} - True once the server accepted the email
+   */
+  async deliver(message) {
+    await this.sendMail(message);
+    return true;
+  }
+
+  /**
+   * Send an email to the configured recipients
+   * @param {Object} message - Message {subject, text, html, attachments}
+   * @returns {Promise<Object>} - Delivery info of the SMTP server
+   * @throws {Error} If the server does not accept the email
+   */
+  async sendMail(message) {
+    const attachments = (message.attachments || []).map(
+      ({ label, ...attachment }) => attachment
+    );
+
+    try {
+      return await this.getTransporter().sendMail({
+        from: this.settings.from,
+        to: this.settings.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments,
+      });
+    } catch (error) {
+      const emailError = new Error(`Email delivery failed: ${error.message}`);
+      this.logger.error(`Email SMTP error: ${error.message}`, {
+        code: error.code,
+        responseCode: error.responseCode,
+      });
+      throw emailError;
+    }
+  }
+
+  /**
+   * Close the SMTP connections
+   */
+  close() {
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+  }
+}
+
+module.exports = EmailNotifier;
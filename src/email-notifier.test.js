@@ -0,0 +1,332 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const EmailNotifier = require("./email-notifier");
+
+describe("EmailNotifier", () => {
+  const settings = {
+    host: "smtp.example.com",
+    port: 587,
+    from: "monitor@example.com",
+    to: ["team@example.com"],
+  };
+  let emailNotifier;
+  let transporter;
+  let changeRecord;
+
+  beforeEach(() => {
+    emailNotifier = new EmailNotifier(settings);
+    transporter = {
+      sendMail: jest.fn().mockResolvedValue({ messageId: "<1@example.com>" }),
+      close: jest.fn(),
+    };
+    emailNotifier.transporter = transporter;
+    changeRecord = {
+      entry: {
+        url: "https://example.com/product",
+        css_selector: "#price",
+      },
+      oldValue: "$19.99",
+      newValue: "$18.49",
+      timestamp: "2025-07-25T15:30:00.000Z",
+    };
+
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  describe("getTransporter", () => {
+    test("should create an SMTP transport from the settings", () => {
+      const createTransport = jest
+        .spyOn(nodemailer, "createTransport")
+        .mockReturnValue(transporter);
+      const notifier = new EmailNotifier({
+        ...settings,
+        port: undefined,
+        secure: true,
+        auth: { user: "monitor", pass: "secret" },
+      });
+
+      expect(notifier.getTransporter()).toBe(transporter);
+      expect(notifier.getTransporter()).toBe(transporter);
+      expect(createTransport).toHaveBeenCalledTimes(1);
+      expect(createTransport.mock.calls[0][0]).toMatchObject({
+        host: "smtp.example.com",
+        port: 465,
+        secure: true,
+        auth: { user: "monitor", pass: "secret" },
+      });
+    });
+
+    test("should read the password from SMTP_PASSWORD", () => {
+      const createTransport = jest
+        .spyOn(nodemailer, "createTransport")
+        .mockReturnValue(transporter);
+      const previous = process.env.SMTP_PASSWORD;
+      process.env.SMTP_PASSWORD = "from-env";
+
+      try {
+        new EmailNotifier({
+          ...settings,
+          auth: { user: "monitor" },
+        }).getTransporter();
+      } finally {
+        if (previous === undefined) {
+          delete process.env.SMTP_PASSWORD;
+        } else {
+          process.env.SMTP_PASSWORD = previous;
+        }
+      }
+
+      expect(createTransport.mock.calls[0][0]).toMatchObject({
+        port: 587,
+        secure: false,
+        auth: { user: "monitor", pass: "from-env" },
+      });
+    });
+  });
+
+  describe("formatMessage", () => {
+    test("should render the change as text and HTML diffs", async () => {
+      const message = await emailNotifier.formatMessage(changeRecord);
+
+      expect(message.subject).toBe(
+        "[Web Element Monitor] Change detected: https://example.com/product"
+      );
+      expect(message.text).toContain("Selector: #price");
+      expect(message.text).toContain("- $19.99\n+ $18.49");
+      expect(message.html).toContain(
+        '<a href="https://example.com/product">https://example.com/product</a>'
+      );
+      expect(message.html).toMatch(/<div style="[^"]*#ffebe9[^"]*">- \$19\.99/);
+      expect(message.html).toMatch(
+        /<div style="[^"]*#dafbe1[^"]*">\+ \$18\.49/
+      );
+      expect(message.attachments).toEqual([]);
+    });
+
+    test("should escape HTML in values", async () => {
+      const message = await emailNotifier.formatMessage({
+        ...changeRecord,
+        newValue: "<script>alert('x')</script>",
+      });
+
+      expect(message.html).not.toContain("<script>");
+      expect(message.html).toContain(
+        "+ &lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;"
+      );
+    });
+
+    test("should keep unchanged lines of multi-line values as context", async () => {
+      const message = await emailNotifier.formatMessage({
+        ...changeRecord,
+        oldValue: "Title\nIn stock",
+        newValue: "Title\nSold out",
+      });
+
+      expect(message.text).toContain("  Title\n- In stock\n+ Sold out");
+    });
+
+    test("should list removed and added items of list targets", async () => {
+      const message = await emailNotifier.formatMessage({
+        ...changeRecord,
+        listDiff: { added: ["Job C"], removed: ["Job A"], reordered: false },
+      });
+
+      expect(message.text).toContain("- Job A\n+ Job C");
+    });
+
+    test("should use the configured subject prefix", async () => {
+      emailNotifier = new EmailNotifier({ ...settings, subject_prefix: "" });
+
+      const message = await emailNotifier.formatMessage(changeRecord);
+
+      expect(message.subject).toBe(
+        "Change detected: https://example.com/product"
+      );
+    });
+  });
+
+  describe("formatDigest", () => {
+    test("should list every change in one email", async () => {
+      const message = await emailNotifier.formatDigest([
+        changeRecord,
+        {
+          ...changeRecord,
+          entry: { url: "https://example.com/jobs", css_selector: ".job" },
+          oldValue: "3 jobs",
+          newValue: "4 jobs",
+        },
+      ]);
+
+      expect(message.subject).toBe("[Web Element Monitor] 2 changes detected");
+      expect(message.text).toContain(
+        "Change detected on https://example.com/product"
+      );
+      expect(message.text).toContain("- 3 jobs\n+ 4 jobs");
+      expect(message.html.match(/<h3>Change detected<\/h3>/g)).toHaveLength(2);
+    });
+
+    test("should group the changes by domain or tag", async () => {
+      const tagged = (tag) => ({
+        ...changeRecord,
+        entry: { ...changeRecord.entry, tag },
+      });
+
+      const message = await emailNotifier.formatDigest(
+        [tagged("pricing"), tagged(undefined), tagged("pricing")],
+        "tag"
+      );
+
+      expect(message.text).toMatch(
+        /^3 changes across 2 tags:\n\n== pricing \(2 changes\) ==\n/
+      );
+      expect(message.text).toContain("== Untagged (1 change) ==");
+      expect(message.html.match(/<h2>/g)).toHaveLength(2);
+    });
+  });
+
+  describe("loadAttachments", () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "email-notifier-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test("should attach screenshots inline and skip missing files", async () => {
+      const screenshot = path.join(tempDir, "after.png");
+      await fs.writeFile(screenshot, Buffer.from("png"));
+
+      const message = await emailNotifier.formatMessage({
+        ...changeRecord,
+        visual: {
+          changedPercent: 2,
+          tolerance: 0,
+          paths: { diff: path.join(tempDir, "missing.png") },
+        },
+        screenshots: { after: { path: screenshot, url: null } },
+      });
+
+      expect(message.attachments).toEqual([
+        {
+          label: "Screenshot after the change",
+          filename: "after.png",
+          path: screenshot,
+          cid: "change-0-0@web-element-monitor",
+        },
+      ]);
+      expect(message.html).toContain(
+        '<img src="cid:change-0-0@web-element-monitor"'
+      );
+      expect(message.text).toContain("Visual change: 2% of pixels changed");
+    });
+  });
+
+  describe("sendChangeNotification", () => {
+    test("should send the email to the configured recipients", async () => {
+      const sent = await emailNotifier.sendChangeNotification(changeRecord);
+
+      expect(sent).toBe(true);
+      expect(transporter.sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          from: "monitor@example.com",
+          to: ["team@example.com"],
+          subject:
+            "[Web Element Monitor] Change detected: https://example.com/product",
+          attachments: [],
+        })
+      );
+    });
+
+    test("should return false when the server rejects the email", async () => {
+      transporter.sendMail.mockRejectedValue(
+        new Error("Message failed: 554 Rejected")
+      );
+
+      expect(await emailNotifier.sendChangeNotification(changeRecord)).toBe(
+        false
+      );
+    });
+  });
+
+  describe("sendDigest", () => {
+    test("should send one email for all changes", async () => {
+      const sent = await emailNotifier.sendDigest([changeRecord, changeRecord]);
+
+      expect(sent).toBe(true);
+      expect(transporter.sendMail).toHaveBeenCalledTimes(1);
+      expect(transporter.sendMail.mock.calls[0][0].subject).toBe(
+        "[Web Element Monitor] 2 changes detected"
+      );
+    });
+
+    test("should not send an empty digest", async () => {
+      expect(await emailNotifier.sendDigest([])).toBe(true);
+      expect(transporter.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("formatTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should format a broken target with its error", () => {
+      const message = emailNotifier.formatTargetStatus(brokenRecord());
+
+      expect(message.subject).toBe(
+        "[Web Element Monitor] Target broken: https://example.com/product"
+      );
+      expect(message.text).toBe(
+        [
+          "Target Broken on https://example.com/product",
+          "Selector: #price",
+          "Checked: 2025-07-25T15:30:00.000Z",
+          "",
+          "Failing for 3 consecutive runs since 2025-07-25T13:30:00.000Z",
+          "Error: The CSS selector did not match any element.",
+          "Details: Element not found: #price",
+          "Suggestions:",
+          "• Verify the CSS selector in your browser",
+        ].join("\n")
+      );
+      expect(message.html).toContain("<code>#price</code>");
+    });
+
+    test("should send the alert", async () => {
+      const sent = await emailNotifier.sendTargetStatus({
+        ...brokenRecord(),
+        status: "recovered",
+        error: undefined,
+      });
+
+      expect(sent).toBe(true);
+      expect(transporter.sendMail.mock.calls[0][0].subject).toBe(
+        "[Web Element Monitor] Target recovered: https://example.com/product"
+      );
+    });
+  });
+
+  test("should close the transport", () => {
+    emailNotifier.close();
+
+    expect(transporter.close).toHaveBeenCalled();
+    expect(emailNotifier.transporter).toBeNull();
+  });
+});
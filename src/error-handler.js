@@ -17,6 +17,7 @@ const ErrorTypes = {
   PERSISTENCE_ERROR: "PERSISTENCE_ERROR",
   WORKFLOW_ERROR: "WORKFLOW_ERROR",
   TARGET_ERROR: "TARGET_ERROR",
+  LOCK_ERROR: "LOCK_ERROR",
 };
 
 /**
@@ -46,6 +47,22 @@ class ErrorHandler {
     const message = error.message || "Unknown error";
     const stack = error.stack || "";
 
+    // Another run holds the state lock
+    if (error.code === "ELOCKED") {
+      return {
+        type: ErrorTypes.LOCK_ERROR,
+        severity: ErrorSeverity.CRITICAL,
+        category: "Concurrent Run",
+        userMessage: "Another monitoring run is still in progress.",
+        technicalMessage: message,
+        suggestions: [
+          "Wait for the running check to finish",
+          "Use --lock-timeout to wait for it instead of exiting",
+          "Space out scheduled runs if checks regularly overlap",
+        ],
+      };
+    }
+
     // Configuration errors
     if (
       message.includes("Configuration") ||
@@ -136,16 +153,21 @@ class ErrorHandler {
       };
     }
 
-    // Slack notification errors
+    // Slack, Discord, Teams, Telegram, email and generic webhook
+    // notification errors
     if (
       message.includes("Slack") ||
+      message.includes("Discord") ||
+      message.includes("Teams") ||
+      message.includes("Telegram") ||
+      message.includes("Email") ||
       message.includes("webhook") ||
       message.includes("notification")
     ) {
       return {
         type: ErrorTypes.NOTIFICATION_ERROR,
         severity: ErrorSeverity.MEDIUM,
-        category: "Slack Notification",
+        category: `${this.getNotificationChannel(message)} Notification`,
         userMessage: this.getNotificationErrorMessage(message),
         technicalMessage: message,
         suggestions: this.getNotificationErrorSuggestions(message),
@@ -326,9 +348,7 @@ class ErrorHandler {
       suggestions.push("Ensure all strings are properly quoted");
     }
     if (message.includes("Missing required field")) {
-      suggestions.push(
-        "Ensure each entry has url, css_selector, and current_value fields"
-      );
+      suggestions.push("Ensure each entry has url and css_selector fields");
     }
 
     return suggestions;
@@ -422,14 +442,76 @@ class ErrorHandler {
     return suggestions;
   }
 
+  getNotificationChannel(message) {
+    if (message.includes("HTTP webhook")) {
+      return "Webhook";
+    }
+    if (message.includes("Discord")) {
+      return "Discord";
+    }
+    if (message.includes("Teams")) {
+      return "Teams";
+    }
+    if (message.includes("Email")) {
+      return "Email";
+    }
+    if (message.includes("Telegram")) {
+      return "Telegram";
+    }
+    return "Slack";
+  }
+
   getNotificationErrorMessage(message) {
+    if (message.includes("Email")) {
+      return "Failed to send email notification. Check the SMTP settings and network connection.";
+    }
+    if (message.includes("Telegram")) {
+      return "Failed to send Telegram notification. Check the bot token, chat ID and network connection.";
+    }
     if (message.includes("webhook")) {
-      return "Failed to send Slack notification. Check webhook URL and network connection.";
+      return `Failed to send ${this.getNotificationChannel(
+        message
+      )} notification. Check webhook URL and network connection.`;
     }
     return "Notification delivery failed.";
   }
 
   getNotificationErrorSuggestions(message) {
+    if (this.getNotificationChannel(message) === "Discord") {
+      return [
+        "Verify the Discord webhook URL is correct and the webhook was not deleted",
+        "Check your internet connection",
+        "Ensure the webhook's channel still exists",
+      ];
+    }
+    if (this.getNotificationChannel(message) === "Email") {
+      return [
+        "Verify the SMTP host, port and TLS settings",
+        "Check the SMTP credentials (email.auth or SMTP_PASSWORD)",
+        "Ensure the server accepts mail from the configured sender",
+      ];
+    }
+    if (this.getNotificationChannel(message) === "Telegram") {
+      return [
+        "Verify the bot token (telegram.bot_token or TELEGRAM_BOT_TOKEN)",
+        "Make sure the bot was added to the chat and the chat ID is correct",
+        "Check your internet connection",
+      ];
+    }
+    if (this.getNotificationChannel(message) === "Webhook") {
+      return [
+        "Verify the webhook URL, method and headers",
+        "Check that the rendered body is what the receiving service expects",
+        "Check your internet connection",
+      ];
+    }
+    if (this.getNotificationChannel(message) === "Teams") {
+      return [
+        "Verify the Teams webhook URL is correct and the connector or workflow is still enabled",
+        "Check your internet connection",
+        "Ensure the channel accepts Adaptive Card messages",
+      ];
+    }
     return [
       "Verify the Slack webhook URL is correct",
       "Check your internet connection",
@@ -439,12 +521,12 @@ class ErrorHandler {
 
   getPersistenceErrorMessage(message) {
     if (message.includes("permission") || message.includes("EACCES")) {
-      return "Permission denied when trying to save configuration file.";
+      return "Permission denied when trying to save the state file.";
     }
     if (message.includes("ENOSPC")) {
-      return "Not enough disk space to save configuration file.";
+      return "Not enough disk space to save the state file.";
     }
-    return "Failed to save configuration changes.";
+    return "Failed to save state changes.";
   }
 
   getPersistenceErrorSuggestions(message) {
@@ -452,9 +534,7 @@ class ErrorHandler {
 
     if (message.includes("permission")) {
       suggestions.push("Check file and directory permissions");
-      suggestions.push(
-        "Ensure you have write access to the configuration file"
-      );
+      suggestions.push("Ensure you have write access to the data directory");
     }
     if (message.includes("ENOSPC")) {
       suggestions.push("Free up disk space");
@@ -0,0 +1,146 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+
+/**
+ * HistoryStore keeps an append-only record of every check in a JSON Lines
+ * file inside the data directory, one JSON object per line.
+ */
+class HistoryStore {
+  /**
+   * @param {string} dataDir - Directory holding the history file
+   * @param {string} [fileName] - Name of the history file (default: history.jsonl)
+   */
+  constructor(dataDir, fileName = "history.jsonl") {
+    if (!dataDir || typeof dataDir !== "string") {
+      throw new Error("History data directory is required");
+    }
+
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, fileName);
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Append check records to the history file
+   * @param {Array<Object>} records - History records to append
+   * @returns {Promise<void>}
+   */
+  async append(records) {
+    if (!Array.isArray(records)) {
+      throw new Error("History records must be an array");
+    }
+    if (records.length === 0) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      const lines = records.map((record) => JSON.stringify(record)).join("\n");
+      await fs.appendFile(this.filePath, `${lines}\n`, "utf8");
+    } catch (error) {
+      const historyError = new Error(
+        `Failed to write history to ${this.filePath}: ${error.message}`
+      );
+      this.errorHandler.handleError(historyError, {
+        type: "persistence",
+        operation: "appendHistory",
+        filePath: this.filePath,
+      });
+      throw historyError;
+    }
+  }
+
+  /**
+   * Read all history records, oldest first. Lines that cannot be parsed,
+   * e.g. a line cut short by a crash, are skipped.
+   * @returns {Promise<Array<Object>>} History records
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(
+        `Failed to read history from ${this.filePath}: ${error.message}`
+      );
+    }
+
+    const records = [];
+    content.split("\n").forEach((line, index) => {
+      if (line.trim().length === 0) {
+        return;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (parseError) {
+        this.logger.warn(
+          `Skipping malformed history line ${index + 1} in ${this.filePath}`
+        );
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Query history records, oldest first
+   * @param {Object} [filter] - Query filter
+   * @param {string} [filter.target_id] - Only records for this target ID
+   * @param {string} [filter.url] - Only records for this URL
+   * @param {string} [filter.css_selector] - Only records for this selector
+   * @param {Date|string} [filter.since] - Only records at or after this time
+   * @param {Date|string} [filter.until] - Only records at or before this time
+   * @param {boolean} [filter.changedOnly] - Only records where a change was detected
+   * @param {boolean} [filter.errorsOnly] - Only records of failed checks
+   * @param {number} [filter.limit] - Only the most recent N matching records
+   * @returns {Promise<Array<Object>>} Matching history records
+   */
+  async query(filter = {}) {
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const until = filter.until ? new Date(filter.until).getTime() : null;
+
+    const records = (await this.readAll()).filter((record) => {
+      const time = new Date(record.timestamp).getTime();
+
+      if (
+        filter.target_id !== undefined &&
+        record.target_id !== filter.target_id
+      ) {
+        return false;
+      }
+      if (filter.url !== undefined && record.url !== filter.url) {
+        return false;
+      }
+      if (
+        filter.css_selector !== undefined &&
+        record.css_selector !== filter.css_selector
+      ) {
+        return false;
+      }
+      if (since !== null && time < since) {
+        return false;
+      }
+      if (until !== null && time > until) {
+        return false;
+      }
+      if (filter.changedOnly && !record.changed) {
+        return false;
+      }
+      if (filter.errorsOnly && !record.error) {
+        return false;
+      }
+      return true;
+    });
+
+    return filter.limit ? records.slice(-filter.limit) : records;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,254 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const HistoryStore = require("./history-store");
+const StateManager = require("./state-manager");
+const { getTargetId } = require("./target-id");
+
+describe("HistoryStore", () => {
+  let tempDir;
+  let historyStore;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "history-store-"));
+    historyStore = new HistoryStore(path.join(tempDir, "data"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const record = (overrides = {}) => ({
+    timestamp: "2025-01-01T00:00:00.000Z",
+    url: "https://example.com",
+    css_selector: "#price",
+    raw_value: "$10",
+    normalized_value: "$10",
+    changed: false,
+    error: null,
+    ...overrides,
+  });
+
+  describe("constructor", () => {
+    test("should require a data directory", () => {
+      expect(() => new HistoryStore()).toThrow(
+        "History data directory is required"
+      );
+    });
+  });
+
+  describe("append", () => {
+    test("should create the data directory and append JSON lines", async () => {
+      await historyStore.append([record()]);
+      await historyStore.append([record({ changed: true }), record()]);
+
+      const content = await fs.readFile(historyStore.filePath, "utf8");
+      const lines = content.trim().split("\n");
+
+      expect(lines).toHaveLength(3);
+      expect(JSON.parse(lines[1]).changed).toBe(true);
+    });
+
+    test("should ignore empty batches", async () => {
+      await historyStore.append([]);
+
+      await expect(fs.access(historyStore.filePath)).rejects.toThrow();
+    });
+  });
+
+  describe("readAll", () => {
+    test("should return an empty history when no file exists", async () => {
+      expect(await historyStore.readAll()).toEqual([]);
+    });
+
+    test("should skip malformed lines", async () => {
+      await historyStore.append([record()]);
+      await fs.appendFile(historyStore.filePath, '{"timestamp": "2025-01\n');
+      await historyStore.append([record({ raw_value: "$11" })]);
+
+      const records = await historyStore.readAll();
+
+      expect(records.map((r) => r.raw_value)).toEqual(["$10", "$11"]);
+    });
+  });
+
+  describe("query", () => {
+    beforeEach(async () => {
+      await historyStore.append([
+        record({ timestamp: "2025-01-01T00:00:00.000Z" }),
+        record({
+          timestamp: "2025-01-02T00:00:00.000Z",
+          changed: true,
+          raw_value: "$12",
+        }),
+        record({
+          timestamp: "2025-01-03T00:00:00.000Z",
+          url: "https://other.com",
+          error: "Navigation timeout",
+          raw_value: null,
+        }),
+        record({
+          timestamp: "2025-01-04T00:00:00.000Z",
+          changed: true,
+          raw_value: "$9",
+        }),
+      ]);
+    });
+
+    test("should filter by target", async () => {
+      const records = await historyStore.query({
+        url: "https://example.com",
+        css_selector: "#price",
+      });
+
+      expect(records).toHaveLength(3);
+    });
+
+    test("should filter by time range", async () => {
+      const records = await historyStore.query({
+        since: "2025-01-02T00:00:00.000Z",
+        until: new Date("2025-01-03T00:00:00.000Z"),
+      });
+
+      expect(records.map((r) => r.timestamp)).toEqual([
+        "2025-01-02T00:00:00.000Z",
+        "2025-01-03T00:00:00.000Z",
+      ]);
+    });
+
+    test("should filter changes and errors", async () => {
+      expect(
+        (await historyStore.query({ changedOnly: true })).map(
+          (r) => r.raw_value
+        )
+      ).toEqual(["$12", "$9"]);
+      expect(await historyStore.query({ errorsOnly: true })).toHaveLength(1);
+    });
+
+    test("should return the most recent records when limited", async () => {
+      const records = await historyStore.query({ limit: 2 });
+
+      expect(records.map((r) => r.timestamp)).toEqual([
+        "2025-01-03T00:00:00.000Z",
+        "2025-01-04T00:00:00.000Z",
+      ]);
+    });
+  });
+
+  describe("StateManager history helpers", () => {
+    let stateManager;
+    const entry = {
+      url: "https://example.com",
+      css_selector: "#price",
+      current_value: "$10",
+    };
+
+    beforeEach(() => {
+      stateManager = new StateManager();
+      stateManager.setDataDir(path.join(tempDir, "data"));
+    });
+
+    test("should record successful, changed and failed checks", async () => {
+      await stateManager.recordChecks([
+        {
+          entry,
+          hasChanged: true,
+          oldValue: "$10",
+          newValue: "$9",
+          rawValue: " $9 ",
+          timestamp: "2025-01-01T00:00:00.000Z",
+        },
+        {
+          entry,
+          hasChanged: false,
+          error: "Navigation timeout",
+          errorType: "TARGET_ERROR",
+          timestamp: "2025-01-02T00:00:00.000Z",
+        },
+      ]);
+
+      const [changed, failed] = await stateManager.getHistory();
+
+      expect(changed).toEqual({
+        timestamp: "2025-01-01T00:00:00.000Z",
+        target_id: getTargetId(entry),
+        url: "https://example.com",
+        css_selector: "#price",
+        raw_value: " $9 ",
+        normalized_value: "$9",
+        previous_value: "$10",
+        changed: true,
+        error: null,
+      });
+      expect(failed).toMatchObject({
+        raw_value: null,
+        normalized_value: null,
+        changed: false,
+        error: "Navigation timeout",
+        error_type: "TARGET_ERROR",
+      });
+    });
+
+    test("should record the path of the change screenshot", async () => {
+      await stateManager.recordChecks([
+        {
+          entry,
+          hasChanged: true,
+          oldValue: "$10",
+          newValue: "$9",
+          screenshots: {
+            before: null,
+            after: { path: "/data/screenshots/abc/changes/1.png", url: null },
+          },
+        },
+      ]);
+
+      const [record] = await stateManager.getHistory();
+
+      expect(record.screenshot).toBe("/data/screenshots/abc/changes/1.png");
+    });
+
+    test("should query changes and the last check of a target", async () => {
+      await stateManager.recordChecks([
+        { entry, hasChanged: true, oldValue: "$10", newValue: "$9" },
+        { entry, hasChanged: false, oldValue: "$9", newValue: "$9" },
+      ]);
+
+      expect(await stateManager.getChangeHistory()).toHaveLength(1);
+      expect((await stateManager.getLastCheck(entry)).changed).toBe(false);
+      expect(
+        await stateManager.getHistory({ target_id: getTargetId(entry) })
+      ).toHaveLength(2);
+      expect(await stateManager.getHistory({ target_id: "other" })).toEqual([]);
+      expect(
+        await stateManager.getLastCheck({ ...entry, url: "https://new.com" })
+      ).toBeNull();
+    });
+
+    test("should tell JSON targets on the same endpoint apart", async () => {
+      const api = { type: "json", url: "https://api.example.com/status" };
+      const version = { ...api, json_path: "$.version" };
+      const status = { ...api, json_path: "$.status" };
+
+      await stateManager.recordChecks([
+        { entry: version, hasChanged: false, newValue: "2.1.0" },
+        { entry: status, hasChanged: false, newValue: "ok" },
+      ]);
+
+      expect(await stateManager.getLastCheck(version)).toMatchObject({
+        target_id: getTargetId(version),
+        json_path: "$.version",
+        normalized_value: "2.1.0",
+      });
+      expect((await stateManager.getLastCheck(status)).normalized_value).toBe(
+        "ok"
+      );
+    });
+
+    test("should require a data directory", async () => {
+      await expect(new StateManager().getHistory()).rejects.toThrow(
+        "Data directory is not set"
+      );
+    });
+  });
+});
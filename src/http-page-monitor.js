@@ -0,0 +1,379 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+const { EXTRACT_TYPES } = require("./page-monitor");
+const { queryJsonPath } = require("./json-path");
+
+/**
+ * User agent of the requests, as some servers reject requests without one
+ */
+const USER_AGENT = "Mozilla/5.0 (compatible; web-element-change-detector)";
+
+/**
+ * Chrome network errors by the error code of a failed request, so requests
+ * fail with the messages of browser navigations
+ */
+const NETWORK_ERRORS = {
+  ECONNREFUSED: "net::ERR_CONNECTION_REFUSED",
+  ECONNRESET: "net::ERR_CONNECTION_RESET",
+  ENOTFOUND: "net::ERR_NAME_NOT_RESOLVED",
+  EAI_AGAIN: "net::ERR_NAME_NOT_RESOLVED",
+  EHOSTUNREACH: "net::ERR_ADDRESS_UNREACHABLE",
+  ENETUNREACH: "net::ERR_INTERNET_DISCONNECTED",
+  CERT_HAS_EXPIRED: "net::ERR_CERT_DATE_INVALID",
+  DEPTH_ZERO_SELF_SIGNED_CERT: "net::ERR_CERT_AUTHORITY_INVALID",
+  SELF_SIGNED_CERT_IN_CHAIN: "net::ERR_CERT_AUTHORITY_INVALID",
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: "net::ERR_CERT_AUTHORITY_INVALID",
+  ERR_TLS_CERT_ALTNAME_INVALID: "net::ERR_CERT_COMMON_NAME_INVALID",
+};
+
+/**
+ * HttpPageMonitor fetches pages over HTTP and applies CSS selectors to the
+ * parsed HTML, without a browser. It supports the extraction modes of
+ * PageMonitor and reports errors with the same messages, so they get the
+ * same error categories. Scripts do not run, so only content present in the
+ * HTML sent by the server can be extracted. JSON API responses are queried
+ * with JSONPath instead.
+ */
+class HttpPageMonitor {
+  constructor() {
+    this.navigationTimeout = 30000; // 30 seconds for the request
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Fetch a URL and extract content from a CSS selector of its HTML
+   * @param {string} url - Target webpage URL
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} options - Optional configuration
+   * @param {number} options.navigationTimeout - Timeout for the request (default: 30000ms)
+   * @param {Object} options.extract - Extraction mode, e.g. {type: "attribute", name: "href"} (default: text content)
+   * @param {boolean} options.multiple - Extract every matching element as an ordered list
+   * @returns {Promise<string|string[]>} - Extracted content (trimmed), or a list when options.multiple is set
+   */
+  async fetchAndExtract(url, selector, options = {}) {
+    const document = await this.fetchDocument(url, options);
+    return this.extractFromDocument(document, url, selector, options);
+  }
+
+  /**
+   * Fetch a URL and parse its HTML, so that several selectors can be
+   * extracted from one request with extractFromDocument()
+   * @param {string} url - Target webpage URL
+   * @param {Object} options - Optional configuration
+   * @param {number} options.navigationTimeout - Timeout for the request (default: 30000ms)
+   * @returns {Promise<CheerioAPI>} - Parsed document
+   */
+  async fetchDocument(url, options = {}) {
+    const html = await this.request(url, {
+      ...options,
+      accept: "text/html,*/*",
+      operation: "fetchDocument",
+    });
+    return cheerio.load(html);
+  }
+
+  /**
+   * Send a request to a JSON API and parse its response
+   * @param {string} url - API endpoint URL
+   * @param {Object} options - Optional configuration
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {Object} options.headers - Request headers
+   * @param {string|Object|Array} options.body - Request body; objects and
+   *   arrays are sent as JSON
+   * @param {number} options.navigationTimeout - Timeout for the request (default: 30000ms)
+   * @returns {Promise<*>} - Parsed response
+   */
+  async fetchJson(url, options = {}) {
+    const text = await this.request(url, {
+      ...options,
+      accept: "application/json",
+      operation: "fetchJson",
+    });
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const parseError = new Error(
+        `JSON extraction error for "${url}": the response is not valid JSON (${error.message})`
+      );
+      this.errorHandler.handleError(parseError, {
+        type: "page",
+        operation: "fetchJson",
+        url,
+      });
+      throw parseError;
+    }
+  }
+
+  /**
+   * Send a request and return the body of the response as text
+   * @param {string} url - URL to request
+   * @param {Object} options - Request options {method, headers, body,
+   *   navigationTimeout, accept, operation}
+   * @returns {Promise<string>} - Response body
+   */
+  async request(url, options) {
+    const timeout = options.navigationTimeout || this.navigationTimeout;
+
+    try {
+      if (!url || typeof url !== "string") {
+        throw new Error("Valid URL is required");
+      }
+
+      this.logger.debug(`Fetching ${url}`, { url, method: options.method });
+
+      const response = await axios.request({
+        url,
+        method: options.method || "GET",
+        data: options.body,
+        timeout,
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: options.accept,
+          ...options.headers,
+        },
+        // Keep the body as text, it is parsed by the caller
+        responseType: "text",
+        transformResponse: (data) => data,
+      });
+
+      this.logger.debug(`Page fetched successfully: ${url}`, {
+        url,
+        status: response.status,
+      });
+
+      return response.data;
+    } catch (error) {
+      const handledError = this.handleFetchError(error, url);
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: options.operation,
+        url,
+      });
+      throw handledError;
+    }
+  }
+
+  /**
+   * Extract content from a CSS selector of a fetched document
+   * @param {CheerioAPI} document - Document returned by fetchDocument()
+   * @param {string} url - URL of the document, for error messages
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} options - Optional configuration
+   * @param {Object} options.extract - Extraction mode, e.g. {type: "attribute", name: "href"} (default: text content)
+   * @param {boolean} options.multiple - Extract every matching element as an ordered list
+   * @returns {string|string[]} - Extracted content (trimmed), or a list when options.multiple is set
+   */
+  extractFromDocument(document, url, selector, options = {}) {
+    try {
+      if (!selector || typeof selector !== "string") {
+        throw new Error("Valid CSS selector is required");
+      }
+
+      const content = options.multiple
+        ? this.extractAllContent(document, selector, options.extract)
+        : this.extractContent(document, selector, options.extract);
+
+      this.logger.debug(`Content extracted successfully from ${url}`, {
+        url,
+        selector,
+        contentLength: content.length,
+      });
+
+      return content;
+    } catch (error) {
+      const handledError = new Error(
+        `Page monitoring error for "${url}" with selector "${selector}": ${error.message}`
+      );
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: "extractFromDocument",
+        url,
+        selector,
+      });
+      throw handledError;
+    }
+  }
+
+  /**
+   * Send a request to a JSON API and extract the value at a JSONPath of its
+   * response
+   * @param {string} url - API endpoint URL
+   * @param {string} jsonPath - JSONPath of the value, e.g. $.data.items[0].price
+   * @param {Object} options - Request options of fetchJson(), and:
+   * @param {boolean} options.multiple - Extract every matching value as an ordered list
+   * @returns {Promise<string|string[]>} - Extracted value, or a list when options.multiple is set
+   */
+  async fetchAndExtractJson(url, jsonPath, options = {}) {
+    const data = await this.fetchJson(url, options);
+    return this.extractJsonPath(data, url, jsonPath, options);
+  }
+
+  /**
+   * Extract the value at a JSONPath of a parsed JSON response. Strings are
+   * trimmed, other values are extracted as JSON, e.g. 12.5 or {"a":1}.
+   * @param {*} data - Parsed response
+   * @param {string} url - URL of the response, for error messages
+   * @param {string} jsonPath - JSONPath of the value
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.multiple - Extract every matching value as an ordered list
+   * @returns {string|string[]} - Extracted value, or a list when options.multiple is set
+   */
+  extractJsonPath(data, url, jsonPath, options = {}) {
+    try {
+      const values = queryJsonPath(data, jsonPath).map((value) =>
+        typeof value === "string" ? value.trim() : JSON.stringify(value)
+      );
+
+      if (options.multiple) {
+        return values;
+      }
+      if (values.length === 0) {
+        throw new Error("no value found");
+      }
+      return values[0];
+    } catch (error) {
+      const handledError = new Error(
+        `JSON extraction error for "${url}" with path "${jsonPath}": ${error.message}`
+      );
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: "extractJsonPath",
+        url,
+        jsonPath,
+      });
+      throw handledError;
+    }
+  }
+
+  /**
+   * Extract content from the first element matching a CSS selector
+   * @param {CheerioAPI} document - Parsed document
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} [extract] - Extraction mode ({type, name}); defaults to text content
+   * @returns {string} - Extracted content (trimmed)
+   */
+  extractContent(document, selector, extract) {
+    const mode = { type: "text", ...extract };
+    const element = this.select(document, selector).first();
+
+    if (element.length === 0) {
+      throw new Error(`Element with selector "${selector}" not found`);
+    }
+
+    const content = this.getContent(document, element, mode);
+    if (content === undefined || content === null) {
+      throw new Error(
+        mode.type === "attribute"
+          ? `No attribute "${mode.name}" found for selector "${selector}"`
+          : `No ${mode.type} found for selector "${selector}"`
+      );
+    }
+
+    return String(content).trim();
+  }
+
+  /**
+   * Extract content from every element matching a CSS selector
+   * @param {CheerioAPI} document - Parsed document
+   * @param {string} selector - CSS selector for target elements
+   * @param {Object} [extract] - Extraction mode ({type, name}); defaults to text content
+   * @returns {string[]} - Extracted content of each element (trimmed), in document order
+   */
+  extractAllContent(document, selector, extract) {
+    const mode = { type: "text", ...extract };
+
+    // Elements without the requested content (e.g. a missing attribute) are skipped
+    return this.select(document, selector)
+      .toArray()
+      .map((element) => this.getContent(document, document(element), mode))
+      .filter((item) => item !== null && item !== undefined)
+      .map((item) => String(item).trim());
+  }
+
+  /**
+   * Select the elements matching a CSS selector
+   * @param {CheerioAPI} document - Parsed document
+   * @param {string} selector - CSS selector
+   * @returns {Cheerio} - Matching elements
+   * @throws {Error} If the selector cannot be parsed
+   */
+  select(document, selector) {
+    try {
+      return document(selector);
+    } catch (error) {
+      throw new Error(`Invalid CSS selector "${selector}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the content of an element according to an extraction mode. Without
+   * a browser there is no layout, so innerText is the text content with
+   * whitespace collapsed.
+   * @param {CheerioAPI} document - Parsed document
+   * @param {Cheerio} element - Element
+   * @param {Object} mode - Extraction mode ({type, name})
+   * @returns {string|undefined} - Content, undefined if the element has none
+   */
+  getContent(document, element, mode) {
+    switch (mode.type) {
+      case "text":
+        return element.text();
+      case "innerText":
+        return element.text().replace(/\s+/g, " ");
+      case "innerHTML":
+        return element.html();
+      case "outerHTML":
+        return document.html(element);
+      case "value":
+        return element.val();
+      case "attribute":
+        return element.attr(mode.name);
+      default:
+        throw new Error(
+          `Unsupported extraction type "${
+            mode.type
+          }". Must be one of: ${EXTRACT_TYPES.join(", ")}`
+        );
+    }
+  }
+
+  /**
+   * Turn request errors into the navigation errors of PageMonitor. Network
+   * errors are reported by their Chrome error name rather than the message
+   * of the request, whose words would make them look like browser errors.
+   * @param {Error} error - Original error
+   * @param {string} url - URL that was being fetched
+   * @returns {Error} - Formatted error with context
+   */
+  handleFetchError(error, url) {
+    const errorMessage = error.message || "Unknown error";
+
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new Error(
+        `Navigation timeout: Failed to load "${url}" within timeout period`
+      );
+    }
+
+    if (error.response) {
+      return new Error(
+        `Network error loading "${url}": HTTP ${error.response.status}`
+      );
+    }
+
+    if (error.code) {
+      return new Error(
+        `Network error loading "${url}": ${
+          NETWORK_ERRORS[error.code] || `net::ERR_FAILED (${error.code})`
+        }`
+      );
+    }
+
+    return new Error(`Page monitoring error for "${url}": ${errorMessage}`);
+  }
+}
+
+module.exports = HttpPageMonitor;
@@ -0,0 +1,254 @@
+const http = require("http");
+const cheerio = require("cheerio");
+const HttpPageMonitor = require("./http-page-monitor");
+const { ErrorHandler, ErrorTypes, ErrorSeverity } = require("./error-handler");
+
+const html = `
+  <html>
+    <body>
+      <h1 id="title">  Product   name </h1>
+      <span class="price">$10</span>
+      <ul>
+        <li><a href="/a">First</a></li>
+        <li><a href="/b">Second</a></li>
+        <li><a>Third</a></li>
+      </ul>
+      <input id="quantity" value="3" />
+      <div id="stock"><b>In</b> stock</div>
+    </body>
+  </html>
+`;
+
+describe("HttpPageMonitor", () => {
+  let monitor;
+  let document;
+  const url = "https://example.com/product";
+
+  beforeEach(() => {
+    monitor = new HttpPageMonitor();
+    document = cheerio.load(html);
+  });
+
+  describe("extractFromDocument", () => {
+    test("should extract the text of the first matching element", () => {
+      expect(monitor.extractFromDocument(document, url, ".price")).toBe("$10");
+      expect(monitor.extractFromDocument(document, url, "li a")).toBe("First");
+    });
+
+    test("should support the extraction modes of the browser", () => {
+      const extract = (type, name) =>
+        monitor.extractFromDocument(document, url, "#stock", {
+          extract: { type, name },
+        });
+
+      expect(extract("innerHTML")).toBe("<b>In</b> stock");
+      expect(extract("outerHTML")).toBe(
+        '<div id="stock"><b>In</b> stock</div>'
+      );
+      expect(
+        monitor.extractFromDocument(document, url, "#title", {
+          extract: { type: "innerText" },
+        })
+      ).toBe("Product name");
+      expect(
+        monitor.extractFromDocument(document, url, "#quantity", {
+          extract: { type: "value" },
+        })
+      ).toBe("3");
+      expect(
+        monitor.extractFromDocument(document, url, "li a", {
+          extract: { type: "attribute", name: "href" },
+        })
+      ).toBe("/a");
+    });
+
+    test("should extract lists, skipping elements without the content", () => {
+      expect(
+        monitor.extractFromDocument(document, url, "li a", {
+          extract: { type: "attribute", name: "href" },
+          multiple: true,
+        })
+      ).toEqual(["/a", "/b"]);
+      expect(
+        monitor.extractFromDocument(document, url, ".missing", {
+          multiple: true,
+        })
+      ).toEqual([]);
+    });
+
+    test("should report missing elements as extraction errors", () => {
+      let error;
+      try {
+        monitor.extractFromDocument(document, url, "#missing");
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).toBe(
+        'Page monitoring error for "https://example.com/product" with selector "#missing": Element with selector "#missing" not found'
+      );
+      expect(new ErrorHandler().categorizeError(error).type).toBe(
+        ErrorTypes.EXTRACTION_ERROR
+      );
+    });
+
+    test("should report missing attributes", () => {
+      expect(() =>
+        monitor.extractFromDocument(document, url, "#title", {
+          extract: { type: "attribute", name: "href" },
+        })
+      ).toThrow('No attribute "href" found for selector "#title"');
+    });
+  });
+
+  describe("extractJsonPath", () => {
+    const response = {
+      version: " 2.1.0 ",
+      items: [
+        { name: "Widget", price: 10.5, tags: ["new"] },
+        { name: "Gadget", price: 12, tags: [] },
+      ],
+    };
+
+    test("should extract strings trimmed and other values as JSON", () => {
+      const extract = (jsonPath) =>
+        monitor.extractJsonPath(response, url, jsonPath);
+
+      expect(extract("$.version")).toBe("2.1.0");
+      expect(extract("$.items[0].price")).toBe("10.5");
+      expect(extract("$.items[0].tags")).toBe('["new"]');
+    });
+
+    test("should extract every match in multiple mode", () => {
+      expect(
+        monitor.extractJsonPath(response, url, "$.items[*].name", {
+          multiple: true,
+        })
+      ).toEqual(["Widget", "Gadget"]);
+    });
+
+    test("should report paths without a value as extraction errors", () => {
+      let error;
+      try {
+        monitor.extractJsonPath(response, url, "$.items[2].price");
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).toBe(
+        'JSON extraction error for "https://example.com/product" with path "$.items[2].price": no value found'
+      );
+      expect(new ErrorHandler().categorizeError(error).type).toBe(
+        ErrorTypes.EXTRACTION_ERROR
+      );
+    });
+  });
+
+  describe("fetchAndExtract", () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((request, response) => {
+        if (request.url === "/product") {
+          response.writeHead(200, { "Content-Type": "text/html" });
+          response.end(html);
+        } else if (request.url === "/api/inventory") {
+          // Echo the request, so tests can check what was sent
+          let body = "";
+          request.on("data", (chunk) => (body += chunk));
+          request.on("end", () => {
+            response.writeHead(200, { "Content-Type": "application/json" });
+            response.end(
+              JSON.stringify({
+                method: request.method,
+                token: request.headers["x-token"] || null,
+                body: body ? JSON.parse(body) : null,
+                stock: [{ sku: "A1", count: 4 }],
+              })
+            );
+          });
+        } else if (request.url === "/api/broken") {
+          response.writeHead(200, { "Content-Type": "application/json" });
+          response.end("{not json");
+        } else {
+          response.writeHead(404);
+          response.end("Not found");
+        }
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test("should fetch the page and extract from its HTML", async () => {
+      await expect(
+        monitor.fetchAndExtract(`${baseUrl}/product`, ".price")
+      ).resolves.toBe("$10");
+    });
+
+    test("should report HTTP errors as page errors", async () => {
+      const fetching = monitor.fetchAndExtract(`${baseUrl}/gone`, ".price");
+
+      await expect(fetching).rejects.toThrow(
+        `Network error loading "${baseUrl}/gone": HTTP 404`
+      );
+      const error = await fetching.catch((caught) => caught);
+      expect(new ErrorHandler().categorizeError(error).type).toBe(
+        ErrorTypes.PAGE_ERROR
+      );
+    });
+
+    test("should send the configured request to JSON APIs", async () => {
+      const apiUrl = `${baseUrl}/api/inventory`;
+      const request = {
+        method: "POST",
+        headers: { "X-Token": "secret" },
+        body: { sku: "A1" },
+      };
+
+      await expect(
+        monitor.fetchAndExtractJson(apiUrl, "$.stock[0].count", request)
+      ).resolves.toBe("4");
+      await expect(monitor.fetchJson(apiUrl, request)).resolves.toMatchObject({
+        method: "POST",
+        token: "secret",
+        body: { sku: "A1" },
+      });
+      await expect(monitor.fetchJson(apiUrl)).resolves.toMatchObject({
+        method: "GET",
+        body: null,
+      });
+    });
+
+    test("should report responses that are not JSON", async () => {
+      await expect(
+        monitor.fetchAndExtractJson(`${baseUrl}/api/broken`, "$.version")
+      ).rejects.toThrow(
+        `JSON extraction error for "${baseUrl}/api/broken": the response is not valid JSON`
+      );
+    });
+
+    test("should report unreachable servers as network errors", async () => {
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+      const closedUrl = `http://127.0.0.1:${closed.address().port}/`;
+      await new Promise((resolve) => closed.close(resolve));
+
+      const fetching = monitor.fetchAndExtract(closedUrl, "h1");
+
+      await expect(fetching).rejects.toThrow(
+        `Network error loading "${closedUrl}": net::ERR_CONNECTION_REFUSED`
+      );
+      // Not a browser connection error, which would stop the run
+      const error = await fetching.catch((caught) => caught);
+      expect(new ErrorHandler().categorizeError(error)).toMatchObject({
+        type: ErrorTypes.PAGE_ERROR,
+        severity: ErrorSeverity.HIGH,
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Pixel comparison of PNG screenshots for visual monitoring targets
+ */
+
+const { PNG } = require("pngjs");
+const pixelmatch = require("pixelmatch");
+
+/**
+ * Default per-pixel color distance (0-1) below which pixels count as equal,
+ * absorbing anti-aliasing and compression noise
+ */
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+/**
+ * Copy an image onto a canvas of the given size, underlaid with the other
+ * image, so both padded images are identical wherever only one of them has
+ * pixels and pixelmatch only reports differences in the overlapping area
+ * @param {PNG} image - Decoded image
+ * @param {PNG} other - Decoded image it is compared to
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {PNG} Image padded to the canvas size
+ */
+function padImage(image, other, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(other, padded, 0, 0, other.width, other.height, 0, 0);
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Mark the pixels covered by only one of the images as changed in the diff
+ * @param {PNG} diff - Diff image of the canvas size
+ * @param {PNG} baseline - Decoded baseline
+ * @param {PNG} current - Decoded current image
+ * @returns {number} Number of pixels covered by only one image
+ */
+function markSizeChange(diff, baseline, current) {
+  let marked = 0;
+  for (let y = 0; y < diff.height; y++) {
+    for (let x = 0; x < diff.width; x++) {
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const inCurrent = x < current.width && y < current.height;
+      if (inBaseline !== inCurrent) {
+        const index = (diff.width * y + x) * 4;
+        diff.data[index] = 255;
+        diff.data[index + 1] = 0;
+        diff.data[index + 2] = 0;
+        diff.data[index + 3] = 255;
+        marked++;
+      }
+    }
+  }
+  return marked;
+}
+
+/**
+ * Compare two PNG images pixel by pixel. Images of different sizes are
+ * compared on a canvas of the larger size, so added or removed area counts
+ * as changed.
+ * @param {Buffer} baselineBuffer - Baseline PNG
+ * @param {Buffer} currentBuffer - Current PNG
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.pixelThreshold] - Per-pixel color distance (0-1) treated as equal
+ * @returns {Object} Diff with changedPixels, totalPixels, changedPercent,
+ *   width, height and diffBuffer (PNG highlighting changed pixels)
+ * @throws {Error} If either buffer is not a valid PNG
+ */
+function diffImages(baselineBuffer, currentBuffer, options = {}) {
+  let baseline;
+  let current;
+  try {
+    baseline = PNG.sync.read(baselineBuffer);
+    current = PNG.sync.read(currentBuffer);
+  } catch (error) {
+    throw new Error(`Failed to decode screenshot: ${error.message}`);
+  }
+
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const diff = new PNG({ width, height });
+
+  const overlapPixels = pixelmatch(
+    padImage(baseline, current, width, height).data,
+    padImage(current, baseline, width, height).data,
+    diff.data,
+    width,
+    height,
+    {
+      threshold:
+        options.pixelThreshold === undefined
+          ? DEFAULT_PIXEL_THRESHOLD
+          : options.pixelThreshold,
+    }
+  );
+
+  const changedPixels = overlapPixels + markSizeChange(diff, baseline, current);
+  const totalPixels = width * height;
+
+  return {
+    changedPixels,
+    totalPixels,
+    changedPercent: totalPixels === 0 ? 0 : (changedPixels / totalPixels) * 100,
+    width,
+    height,
+    diffBuffer: PNG.sync.write(diff),
+  };
+}
+
+module.exports = { DEFAULT_PIXEL_THRESHOLD, diffImages };
@@ -0,0 +1,77 @@
+const { PNG } = require("pngjs");
+const { diffImages } = require("./image-diff");
+
+/**
+ * Create a PNG filled with one color, optionally with a differently colored
+ * square in the top left corner
+ */
+const createPng = (width, height, color, square = null) => {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inSquare = square && x < square.size && y < square.size;
+      const [r, g, b] = inSquare ? square.color : color;
+      const index = (width * y + x) * 4;
+      png.data[index] = r;
+      png.data[index + 1] = g;
+      png.data[index + 2] = b;
+      png.data[index + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+describe("diffImages", () => {
+  test("should report no change for identical images", () => {
+    const image = createPng(10, 10, WHITE);
+
+    const diff = diffImages(image, image);
+
+    expect(diff.changedPixels).toBe(0);
+    expect(diff.changedPercent).toBe(0);
+    expect(diff.totalPixels).toBe(100);
+  });
+
+  test("should count changed pixels and produce a diff image", () => {
+    const baseline = createPng(10, 10, WHITE);
+    const current = createPng(10, 10, WHITE, { size: 5, color: BLACK });
+
+    const diff = diffImages(baseline, current);
+
+    expect(diff.changedPixels).toBe(25);
+    expect(diff.changedPercent).toBe(25);
+    const diffImage = PNG.sync.read(diff.diffBuffer);
+    expect(diffImage.width).toBe(10);
+    expect(diffImage.height).toBe(10);
+  });
+
+  test("should ignore color differences below the pixel threshold", () => {
+    const baseline = createPng(4, 4, WHITE);
+    const current = createPng(4, 4, [250, 250, 250]);
+
+    expect(diffImages(baseline, current).changedPixels).toBe(0);
+    expect(
+      diffImages(baseline, current, { pixelThreshold: 0 }).changedPixels
+    ).toBe(16);
+  });
+
+  test("should count added area as changed when the size differs", () => {
+    const baseline = createPng(10, 5, WHITE);
+    const current = createPng(10, 10, WHITE);
+
+    const diff = diffImages(baseline, current);
+
+    expect(diff.width).toBe(10);
+    expect(diff.height).toBe(10);
+    expect(diff.changedPixels).toBe(50);
+  });
+
+  test("should reject buffers that are not PNG images", () => {
+    expect(() =>
+      diffImages(Buffer.from("not a png"), createPng(1, 1, WHITE))
+    ).toThrow("Failed to decode screenshot");
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * JSONPath queries selecting values of JSON API responses, e.g.
+ * `$.data.items[0].price`. Supported are member names (`.name` or
+ * `['name']`), array indexes (`[0]`, or `[-1]` counting from the end) and
+ * wildcards (`.*` or `[*]`) matching every member or element.
+ */
+
+/**
+ * Parse a JSONPath expression into its segments
+ * @param {string} path - JSONPath expression starting with `$`
+ * @returns {Array<Object>} Segments {type: "member", name}, {type: "index",
+ *   index} or {type: "wildcard"}
+ * @throws {Error} If the expression is invalid or unsupported
+ */
+function parseJsonPath(path) {
+  const fail = (reason) => {
+    throw new Error(`Invalid JSON path "${path}": ${reason}`);
+  };
+
+  if (typeof path !== "string" || !path.startsWith("$")) {
+    fail("it must start with $");
+  }
+
+  const segments = [];
+  let rest = path.slice(1);
+  while (rest.length > 0) {
+    let match;
+    if (rest.startsWith("..")) {
+      fail("recursive descent (..) is not supported");
+    } else if ((match = /^\.\*/.exec(rest)) || (match = /^\[\*\]/.exec(rest))) {
+      segments.push({ type: "wildcard" });
+    } else if ((match = /^\.([^.[\]]+)/.exec(rest))) {
+      segments.push({ type: "member", name: match[1] });
+    } else if ((match = /^\[(-?\d+)\]/.exec(rest))) {
+      segments.push({ type: "index", index: Number(match[1]) });
+    } else if (
+      (match = /^\['((?:[^'\\]|\\.)*)'\]/.exec(rest)) ||
+      (match = /^\["((?:[^"\\]|\\.)*)"\]/.exec(rest))
+    ) {
+      segments.push({
+        type: "member",
+        name: match[1].replace(/\\(.)/g, "$1"),
+      });
+    } else {
+      fail(`unexpected "${rest}"`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return segments;
+}
+
+/**
+ * Select the values a JSONPath expression matches
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSONPath expression
+ * @returns {Array} Matching values, in document order; empty without a match
+ * @throws {Error} If the expression is invalid
+ */
+function queryJsonPath(data, path) {
+  let values = [data];
+
+  for (const segment of parseJsonPath(path)) {
+    values = values.flatMap((value) => {
+      if (value === null || typeof value !== "object") {
+        return [];
+      }
+
+      switch (segment.type) {
+        case "wildcard":
+          return Object.values(value);
+        case "index": {
+          if (!Array.isArray(value)) {
+            return [];
+          }
+          const index =
+            segment.index < 0 ? value.length + segment.index : segment.index;
+          return index >= 0 && index < value.length ? [value[index]] : [];
+        }
+        default:
+          return Object.prototype.hasOwnProperty.call(value, segment.name)
+            ? [value[segment.name]]
+            : [];
+      }
+    });
+  }
+
+  return values;
+}
+
+module.exports = { parseJsonPath, queryJsonPath };
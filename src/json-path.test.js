@@ -0,0 +1,48 @@
+const { parseJsonPath, queryJsonPath } = require("./json-path");
+
+describe("json-path", () => {
+  const data = {
+    data: {
+      items: [
+        { name: "First", price: 10.5 },
+        { name: "Second", price: 12 },
+      ],
+      "release.date": "2025-07-25",
+    },
+  };
+
+  test("should select members and array elements", () => {
+    expect(queryJsonPath(data, "$.data.items[0].price")).toEqual([10.5]);
+    expect(queryJsonPath(data, "$.data.items[-1].name")).toEqual(["Second"]);
+    expect(queryJsonPath(data, "$['data']['release.date']")).toEqual([
+      "2025-07-25",
+    ]);
+    expect(queryJsonPath(data, "$")).toEqual([data]);
+  });
+
+  test("should select every member or element with wildcards", () => {
+    expect(queryJsonPath(data, "$.data.items[*].name")).toEqual([
+      "First",
+      "Second",
+    ]);
+    expect(queryJsonPath(data, "$.data.items[0].*")).toEqual(["First", 10.5]);
+  });
+
+  test("should return nothing for paths without a match", () => {
+    expect(queryJsonPath(data, "$.data.items[5].price")).toEqual([]);
+    expect(queryJsonPath(data, "$.data.missing.price")).toEqual([]);
+    expect(queryJsonPath(data, "$.data.items.name")).toEqual([]);
+  });
+
+  test("should reject invalid and unsupported paths", () => {
+    expect(() => parseJsonPath("data.items")).toThrow(
+      'Invalid JSON path "data.items": it must start with $'
+    );
+    expect(() => parseJsonPath("$..price")).toThrow(
+      "recursive descent (..) is not supported"
+    );
+    expect(() => parseJsonPath("$.items[?(@.price)]")).toThrow(
+      'unexpected "[?(@.price)]"'
+    );
+  });
+});
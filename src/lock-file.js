@@ -0,0 +1,203 @@
+const fs = require("fs").promises;
+const os = require("os");
+const Logger = require("./logger");
+
+const DEFAULT_STALE_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * LockFile is an advisory lock backed by a file that is created exclusively.
+ * The file records the owning process, so a lock left behind by a crashed
+ * run is detected as stale and taken over.
+ */
+class LockFile {
+  /**
+   * @param {string} filePath - Path of the lock file
+   * @param {Object} [options] - Lock options
+   * @param {number} [options.staleMs] - Age after which a lock is considered stale
+   *   even if its process still exists (default: 1 hour)
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath || typeof filePath !== "string") {
+      throw new Error("Lock file path is required");
+    }
+
+    this.filePath = filePath;
+    this.staleMs =
+      options.staleMs === undefined ? DEFAULT_STALE_MS : options.staleMs;
+    this.acquired = false;
+    this.logger = new Logger();
+  }
+
+  /**
+   * Acquire the lock, waiting for another holder to release it if needed
+   * @param {Object} [options] - Acquire options
+   * @param {number} [options.timeout] - Milliseconds to wait for the lock (default: 0, fail immediately)
+   * @param {number} [options.pollInterval] - Milliseconds between attempts (default: 1000)
+   * @returns {Promise<void>}
+   * @throws {Error} With code "ELOCKED" if the lock is still held after the timeout
+   */
+  async acquire(options = {}) {
+    const timeout = options.timeout || 0;
+    const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (await this.tryAcquire()) {
+        return;
+      }
+
+      const holder = await this.readHolder();
+      if (holder && this.isStale(holder)) {
+        this.logger.warn(
+          `Removing stale lock ${this.filePath} held by pid ${holder.pid} since ${holder.created_at}`
+        );
+        await this.removeIfUnchanged(holder);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const lockError = new Error(
+          `Another run holds the lock ${this.filePath}${
+            holder ? ` (pid ${holder.pid} since ${holder.created_at})` : ""
+          }`
+        );
+        lockError.code = "ELOCKED";
+        throw lockError;
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(pollInterval, deadline - Date.now()))
+      );
+    }
+  }
+
+  /**
+   * Try to create the lock file once
+   * @returns {Promise<boolean>} True if the lock was acquired
+   */
+  async tryAcquire() {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, "wx");
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        return false;
+      }
+      throw new Error(
+        `Failed to create lock file ${this.filePath}: ${error.message}`
+      );
+    }
+
+    try {
+      await handle.writeFile(
+        JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname(),
+          created_at: new Date().toISOString(),
+        }),
+        "utf8"
+      );
+    } finally {
+      await handle.close();
+    }
+
+    this.acquired = true;
+    return true;
+  }
+
+  /**
+   * Read the holder recorded in the lock file
+   * @returns {Promise<Object|null>} Holder {pid, hostname, created_at}, or null if
+   *   the lock file is gone. An unreadable lock file yields an empty holder.
+   */
+  async readHolder() {
+    try {
+      const content = await fs.readFile(this.filePath, "utf8");
+      const stats = await fs.stat(this.filePath);
+      try {
+        return { mtimeMs: stats.mtimeMs, ...JSON.parse(content) };
+      } catch (parseError) {
+        // Holder crashed between creating and writing the lock file
+        return { mtimeMs: stats.mtimeMs };
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a lock holder is stale: its process no longer exists on this
+   * host, or the lock is older than the stale age
+   * @param {Object} holder - Holder read from the lock file
+   * @returns {boolean} True if the lock can be taken over
+   */
+  isStale(holder) {
+    const createdAt = holder.created_at
+      ? new Date(holder.created_at).getTime()
+      : holder.mtimeMs;
+    if (Date.now() - createdAt > this.staleMs) {
+      return true;
+    }
+
+    if (!holder.pid || holder.hostname !== os.hostname()) {
+      return false;
+    }
+
+    try {
+      // Signal 0 only checks that the process exists
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === "ESRCH";
+    }
+  }
+
+  /**
+   * Remove a stale lock file, unless another process replaced it meanwhile
+   * @param {Object} holder - Stale holder that was read from the lock file
+   * @returns {Promise<void>}
+   */
+  async removeIfUnchanged(holder) {
+    const current = await this.readHolder();
+    if (
+      current &&
+      current.pid === holder.pid &&
+      current.created_at === holder.created_at
+    ) {
+      await fs.unlink(this.filePath).catch((error) => {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      });
+    }
+  }
+
+  /**
+   * Release the lock if this instance holds it
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (!this.acquired) {
+      return;
+    }
+
+    this.acquired = false;
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Failed to release lock file ${this.filePath}: ${error.message}`
+        );
+      }
+    }
+  }
+}
+
+LockFile.DEFAULT_STALE_MS = DEFAULT_STALE_MS;
+
+module.exports = LockFile;
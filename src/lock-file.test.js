@@ -0,0 +1,141 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const LockFile = require("./lock-file");
+const StateManager = require("./state-manager");
+
+describe("LockFile", () => {
+  let tempDir;
+  let lockPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "lock-file-"));
+    lockPath = path.join(tempDir, "state.lock");
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writeHolder = (holder) =>
+    fs.writeFile(
+      lockPath,
+      JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        created_at: new Date().toISOString(),
+        ...holder,
+      })
+    );
+
+  describe("acquire", () => {
+    test("should create the lock file with the owning process", async () => {
+      const lock = new LockFile(lockPath);
+
+      await lock.acquire();
+
+      const holder = JSON.parse(await fs.readFile(lockPath, "utf8"));
+      expect(holder.pid).toBe(process.pid);
+      expect(holder.hostname).toBe(os.hostname());
+      expect(lock.acquired).toBe(true);
+    });
+
+    test("should fail with ELOCKED while another live process holds the lock", async () => {
+      await writeHolder();
+
+      await expect(new LockFile(lockPath).acquire()).rejects.toMatchObject({
+        code: "ELOCKED",
+        message: expect.stringContaining(`pid ${process.pid}`),
+      });
+    });
+
+    test("should wait for the holder to release the lock", async () => {
+      const first = new LockFile(lockPath);
+      await first.acquire();
+      setTimeout(() => first.release(), 50);
+
+      const second = new LockFile(lockPath);
+      await second.acquire({ timeout: 2000, pollInterval: 10 });
+
+      expect(second.acquired).toBe(true);
+    });
+
+    test("should give up after the timeout", async () => {
+      await writeHolder();
+      const startedAt = Date.now();
+
+      await expect(
+        new LockFile(lockPath).acquire({ timeout: 100, pollInterval: 20 })
+      ).rejects.toMatchObject({ code: "ELOCKED" });
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    });
+
+    test("should take over a lock whose process no longer exists", async () => {
+      // Process IDs are capped well below this value on Linux and macOS
+      await writeHolder({ pid: 2 ** 30 });
+
+      const lock = new LockFile(lockPath);
+      await lock.acquire();
+
+      const holder = JSON.parse(await fs.readFile(lockPath, "utf8"));
+      expect(holder.pid).toBe(process.pid);
+    });
+
+    test("should take over a lock older than the stale age", async () => {
+      await writeHolder({ created_at: "2020-01-01T00:00:00.000Z" });
+
+      const lock = new LockFile(lockPath, { staleMs: 60000 });
+      await lock.acquire();
+
+      expect(lock.acquired).toBe(true);
+    });
+
+    test("should not treat a lock from another host as stale while it is young", async () => {
+      await writeHolder({ pid: 2 ** 30, hostname: "other-host" });
+
+      await expect(new LockFile(lockPath).acquire()).rejects.toMatchObject({
+        code: "ELOCKED",
+      });
+    });
+  });
+
+  describe("release", () => {
+    test("should remove the lock file", async () => {
+      const lock = new LockFile(lockPath);
+      await lock.acquire();
+
+      await lock.release();
+
+      await expect(fs.access(lockPath)).rejects.toMatchObject({
+        code: "ENOENT",
+      });
+    });
+
+    test("should not remove a lock held by another process", async () => {
+      await writeHolder();
+
+      await new LockFile(lockPath).release();
+
+      await expect(fs.access(lockPath)).resolves.toBeUndefined();
+    });
+  });
+
+  describe("StateManager lock helpers", () => {
+    test("should lock the data directory until released", async () => {
+      const dataDir = path.join(tempDir, "data");
+      const first = new StateManager();
+      const second = new StateManager();
+      first.setDataDir(dataDir);
+      second.setDataDir(dataDir);
+
+      await first.acquireLock();
+      await expect(second.acquireLock()).rejects.toMatchObject({
+        code: "ELOCKED",
+      });
+
+      await first.releaseLock();
+      await second.acquireLock();
+      await second.releaseLock();
+    });
+  });
+});
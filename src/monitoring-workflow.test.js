@@ -1,3 +1,7 @@
+const fs = require("fs").promises;
+const http = require("http");
+const os = require("os");
+const path = require("path");
 const MonitoringWorkflow = require("../detect-change").MonitoringWorkflow;
 
 // Mock all dependencies
@@ -34,6 +38,9 @@ describe("MonitoringWorkflow", () => {
     // Create mock instances
     mockConfig = {
       loadConfig: jest.fn(),
+      getTargets: jest.fn((config) => config.targets || config),
+      getSlackWebhook: jest.fn(),
+      getDataDir: jest.fn(() => "/path/to/data"),
     };
     mockChromeLauncher = {
       launch: jest.fn(),
@@ -58,6 +65,11 @@ describe("MonitoringWorkflow", () => {
     };
     mockStateManager = {
       updateAndPersist: jest.fn(),
+      setDataDir: jest.fn(),
+      recordChecks: jest.fn(),
+      loadTargets: jest.fn((targets) => Promise.resolve(targets)),
+      acquireLock: jest.fn(),
+      releaseLock: jest.fn(),
     };
 
     // Mock constructors
@@ -150,7 +162,8 @@ describe("MonitoringWorkflow", () => {
       expect(mockPageMonitor.navigateAndExtract).toHaveBeenCalledWith(
         mockPage,
         "https://example.com",
-        "#test"
+        "#test",
+        { extract: undefined, multiple: undefined }
       );
       expect(mockChangeDetector.processEntry).toHaveBeenCalledWith(
         mockConfigData[0],
@@ -160,7 +173,6 @@ describe("MonitoringWorkflow", () => {
         mockResult
       );
       expect(mockStateManager.updateAndPersist).toHaveBeenCalledWith(
-        "/path/to/config.json",
         mockConfigData,
         [mockResult]
       );
@@ -287,7 +299,6 @@ describe("MonitoringWorkflow", () => {
         mockResult2
       );
       expect(mockStateManager.updateAndPersist).toHaveBeenCalledWith(
-        "/path/to/config.json",
         mockConfigData,
         [mockResult1, mockResult2]
       );
@@ -361,7 +372,6 @@ describe("MonitoringWorkflow", () => {
 
       // Verify state was still updated despite notification failure
       expect(mockStateManager.updateAndPersist).toHaveBeenCalledWith(
-        "/path/to/config.json",
         mockConfigData,
         [mockResult1, mockResult2]
       );
@@ -387,6 +397,1056 @@ describe("MonitoringWorkflow", () => {
     });
   });
 
+  describe("state lock", () => {
+    let stateManager;
+    let chromeLauncher;
+
+    beforeEach(async () => {
+      stateManager = {
+        setDataDir: jest.fn(),
+        acquireLock: jest.fn().mockResolvedValue(),
+        releaseLock: jest.fn().mockResolvedValue(),
+        loadTargets: jest.fn().mockResolvedValue([]),
+      };
+      chromeLauncher = {
+        launch: jest.fn(),
+        isRunning: jest.fn().mockReturnValue(false),
+      };
+
+      await workflow.initialize("/path/to/config.json", undefined, {
+        dataDir: "/data",
+        lockTimeout: 5000,
+      });
+      workflow.configManager = {
+        loadConfig: jest.fn().mockResolvedValue([]),
+        getTargets: jest.fn().mockReturnValue([]),
+        getSlackWebhook: jest.fn().mockReturnValue(null),
+        getDiscordWebhook: jest.fn().mockReturnValue(undefined),
+        getTeamsWebhook: jest.fn().mockReturnValue(undefined),
+        getEmailSettings: jest.fn().mockReturnValue(undefined),
+        getWebhooks: jest.fn().mockReturnValue([]),
+        getTelegramSettings: jest.fn().mockReturnValue(undefined),
+        getNotificationSettings: jest
+          .fn()
+          .mockReturnValue({ mode: "per_change", groupBy: "domain" }),
+        getNotifierDefinitions: jest.fn().mockReturnValue({}),
+        getScreenshotBaseUrl: jest.fn().mockReturnValue(undefined),
+        getFailureThreshold: jest.fn().mockReturnValue(3),
+        getConcurrency: jest
+          .fn()
+          .mockReturnValue({ concurrency: 1, domainConcurrency: 1 }),
+      };
+      workflow.stateManager = stateManager;
+      workflow.chromeLauncher = chromeLauncher;
+      workflow.browserController = {
+        isConnectedToBrowser: jest.fn().mockReturnValue(false),
+      };
+    });
+
+    test("should stop before launching Chrome when another run holds the lock", async () => {
+      const lockError = new Error("Another run holds the lock");
+      lockError.code = "ELOCKED";
+      stateManager.acquireLock.mockRejectedValue(lockError);
+
+      await expect(workflow.execute()).rejects.toBe(lockError);
+
+      expect(stateManager.acquireLock).toHaveBeenCalledWith({ timeout: 5000 });
+      expect(stateManager.loadTargets).not.toHaveBeenCalled();
+      expect(chromeLauncher.launch).not.toHaveBeenCalled();
+      expect(workflow.session.errors[0].type).toBe("LOCK_ERROR");
+    });
+
+    test("should release the state lock during cleanup", async () => {
+      await workflow.cleanup();
+
+      expect(stateManager.releaseLock).toHaveBeenCalled();
+    });
+  });
+
+  describe("alert conditions", () => {
+    test("should persist all changes but only notify triggered alerts", async () => {
+      const targets = [
+        {
+          url: "https://example.com/a",
+          css_selector: "#stock",
+          current_value: "Sold out",
+        },
+        {
+          url: "https://example.com/b",
+          css_selector: "#stock",
+          current_value: "In stock",
+        },
+      ];
+      const triggered = {
+        entry: targets[0],
+        hasChanged: true,
+        shouldNotify: true,
+      };
+      const suppressed = {
+        entry: targets[1],
+        hasChanged: true,
+        shouldNotify: false,
+      };
+      const sendChangeNotification = jest.fn().mockResolvedValue(true);
+      const updateAndPersist = jest.fn().mockResolvedValue(targets);
+      const recordChecks = jest.fn().mockResolvedValue();
+
+      workflow.slackNotifier = { sendChangeNotification };
+      workflow.stateManager = { updateAndPersist, recordChecks };
+      workflow.processMonitoringTarget = jest
+        .fn()
+        .mockResolvedValueOnce(triggered)
+        .mockResolvedValueOnce(suppressed);
+
+      await workflow.processMonitoringTargets(targets);
+
+      expect(sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(sendChangeNotification).toHaveBeenCalledWith(triggered);
+      expect(updateAndPersist).toHaveBeenCalledWith(targets, [
+        triggered,
+        suppressed,
+      ]);
+      expect(recordChecks).toHaveBeenCalledWith([triggered, suppressed]);
+    });
+  });
+
+  describe("concurrency", () => {
+    const targets = [
+      { url: "https://a.example.com/1", css_selector: "#a" },
+      { url: "https://a.example.com/2", css_selector: "#a" },
+      { url: "https://b.example.com/1", css_selector: "#b" },
+    ];
+
+    beforeEach(() => {
+      workflow.stateManager = {
+        recordChecks: jest.fn().mockResolvedValue(),
+        updateFailureStreaks: jest.fn().mockResolvedValue([]),
+      };
+    });
+
+    test("should check targets in parallel, keeping their order and the domain cap", async () => {
+      const running = [];
+      let maxRunning = 0;
+      let maxSameDomain = 0;
+      // The first target finishes last
+      const delays = [30, 5, 5];
+      workflow.session.concurrency = 3;
+      workflow.session.domainConcurrency = 1;
+      workflow.processMonitoringTarget = jest.fn(async (entry) => {
+        running.push(entry.url);
+        maxRunning = Math.max(maxRunning, running.length);
+        maxSameDomain = Math.max(
+          maxSameDomain,
+          running.filter((url) => url.startsWith("https://a.")).length
+        );
+        await new Promise((resolve) =>
+          setTimeout(resolve, delays[targets.indexOf(entry)])
+        );
+        running.splice(running.indexOf(entry.url), 1);
+        return { entry, hasChanged: false };
+      });
+
+      await workflow.processMonitoringTargets(targets);
+
+      expect(maxRunning).toBe(2);
+      expect(maxSameDomain).toBe(1);
+      expect(
+        workflow.session.results.map((result) => result.entry.url)
+      ).toEqual(targets.map((target) => target.url));
+      expect(workflow.stateManager.recordChecks).toHaveBeenCalledWith(
+        workflow.session.results
+      );
+    });
+
+    test("should isolate the errors of targets checked in parallel", async () => {
+      workflow.session.concurrency = 3;
+      workflow.session.domainConcurrency = 2;
+      workflow.processMonitoringTarget = jest.fn(async (entry) => {
+        if (entry === targets[1]) {
+          throw new Error("Element not found");
+        }
+        return { entry, hasChanged: false };
+      });
+
+      await workflow.processMonitoringTargets(targets);
+
+      expect(workflow.processMonitoringTarget).toHaveBeenCalledTimes(3);
+      expect(workflow.session.results[1]).toMatchObject({
+        entry: targets[1],
+        error: "Element not found",
+      });
+      expect(workflow.session.errors).toHaveLength(1);
+    });
+  });
+
+  describe("shared pages", () => {
+    const product = "https://example.com/product";
+    const targets = [
+      { url: product, css_selector: "#price" },
+      { url: "https://example.com/other", css_selector: "#a" },
+      { url: product, css_selector: "#stock" },
+      { url: product, css_selector: "#rating" },
+    ];
+    let page;
+
+    beforeEach(() => {
+      page = { id: "page" };
+      workflow.browserController = {
+        createPage: jest.fn().mockResolvedValue(page),
+        closePage: jest.fn().mockResolvedValue(),
+      };
+      workflow.pageMonitor = {
+        navigate: jest.fn().mockResolvedValue(),
+        extractFromPage: jest.fn(async (loadedPage, url, selector) => {
+          if (loadedPage !== page) {
+            throw new Error("Page instance is required");
+          }
+          if (selector === "#stock") {
+            throw new Error(
+              `Element timeout: Selector "${selector}" not found`
+            );
+          }
+          return `${selector} value`;
+        }),
+        navigateAndExtract: jest.fn().mockResolvedValue("other value"),
+      };
+      workflow.changeDetector = {
+        processEntry: jest.fn((entry, value) => ({
+          entry,
+          hasChanged: false,
+          value,
+        })),
+      };
+      workflow.stateManager = {
+        recordChecks: jest.fn().mockResolvedValue(),
+        updateFailureStreaks: jest.fn().mockResolvedValue([]),
+      };
+    });
+
+    test("should group targets by page, leaving screenshot targets alone", () => {
+      const screenshot = { type: "screenshot", url: product };
+
+      const groups = workflow.groupTargetsByPage([...targets, screenshot]);
+
+      expect(groups.map((group) => group.map(({ index }) => index))).toEqual([
+        [0, 2, 3],
+        [1],
+        [4],
+      ]);
+    });
+
+    test("should load a page once for all of its targets and report them individually", async () => {
+      await workflow.processMonitoringTargets(targets);
+
+      // One page for the product and one for the other target
+      expect(workflow.browserController.createPage).toHaveBeenCalledTimes(2);
+      expect(workflow.pageMonitor.navigate).toHaveBeenCalledTimes(1);
+      expect(workflow.pageMonitor.navigate).toHaveBeenCalledWith(page, product);
+      expect(
+        workflow.pageMonitor.extractFromPage.mock.calls.map(
+          ([loadedPage, , selector]) => [selector, loadedPage]
+        )
+      ).toEqual([
+        ["#price", page],
+        ["#stock", page],
+        ["#rating", page],
+      ]);
+      expect(workflow.browserController.closePage).toHaveBeenCalledWith(page);
+      expect(workflow.pageMonitor.navigateAndExtract).toHaveBeenCalledTimes(1);
+      expect(
+        workflow.session.results.map((result) => result.value || result.error)
+      ).toEqual([
+        "#price value",
+        "other value",
+        'Element timeout: Selector "#stock" not found',
+        "#rating value",
+      ]);
+      expect(workflow.session.errors).toHaveLength(1);
+    });
+
+    test("should report a failed page load for each of its targets", async () => {
+      workflow.pageMonitor.navigate.mockRejectedValue(
+        new Error('Network error loading "https://example.com/product"')
+      );
+
+      await workflow.processMonitoringTargets(targets);
+
+      expect(workflow.pageMonitor.extractFromPage).not.toHaveBeenCalled();
+      expect(workflow.browserController.closePage).toHaveBeenCalledWith(page);
+      expect(
+        workflow.session.errors.map((error) => error.entry.css_selector)
+      ).toEqual(["#price", "#stock", "#rating"]);
+    });
+  });
+
+  describe("http engine", () => {
+    const targets = [
+      { url: "https://example.com/a", css_selector: "#price", engine: "http" },
+      { url: "https://example.com/a", css_selector: "#stock", engine: "http" },
+      { url: "https://example.com/b", css_selector: "#a", engine: "http" },
+    ];
+    const document = { id: "document" };
+
+    beforeEach(() => {
+      workflow.httpPageMonitor = {
+        fetchDocument: jest.fn().mockResolvedValue(document),
+        extractFromDocument: jest.fn(
+          (loaded, url, selector) => `${selector} value`
+        ),
+        fetchAndExtract: jest.fn().mockResolvedValue("b value"),
+      };
+      workflow.browserController = {
+        isConnectedToBrowser: jest.fn().mockReturnValue(false),
+        createPage: jest.fn(),
+      };
+      workflow.changeDetector = {
+        processEntry: jest.fn((entry, value) => ({
+          entry,
+          hasChanged: false,
+          value,
+        })),
+      };
+      workflow.stateManager = {
+        acquireLock: jest.fn().mockResolvedValue(),
+        loadTargets: jest.fn(async (configured) => configured),
+        getOutboxStore: jest.fn(() => ({ load: async () => [] })),
+        recordChecks: jest.fn().mockResolvedValue(),
+        updateFailureStreaks: jest.fn().mockResolvedValue([]),
+      };
+      jest.spyOn(workflow, "connectBrowser").mockResolvedValue();
+    });
+
+    test("should check http targets without launching Chrome", async () => {
+      await workflow.checkTargets(targets);
+
+      expect(workflow.connectBrowser).not.toHaveBeenCalled();
+      expect(workflow.browserController.createPage).not.toHaveBeenCalled();
+      expect(workflow.httpPageMonitor.fetchDocument).toHaveBeenCalledTimes(1);
+      expect(workflow.httpPageMonitor.fetchAndExtract).toHaveBeenCalledWith(
+        "https://example.com/b",
+        "#a",
+        { extract: undefined, multiple: undefined }
+      );
+      expect(workflow.session.results.map((result) => result.value)).toEqual([
+        "#price value",
+        "#stock value",
+        "b value",
+      ]);
+    });
+
+    test("should request JSON APIs once per request, without Chrome", async () => {
+      const api = {
+        type: "json",
+        url: "https://api.example.com/status",
+        method: "post",
+        body: { region: "eu" },
+      };
+      const response = { version: "2.1.0", status: "ok" };
+      workflow.httpPageMonitor.fetchJson = jest
+        .fn()
+        .mockResolvedValue(response);
+      workflow.httpPageMonitor.extractJsonPath = jest.fn(
+        (data, url, jsonPath) => data[jsonPath.slice(2)]
+      );
+
+      await workflow.checkTargets([
+        { ...api, json_path: "$.version" },
+        { ...api, json_path: "$.status" },
+      ]);
+
+      expect(workflow.connectBrowser).not.toHaveBeenCalled();
+      expect(workflow.httpPageMonitor.fetchJson).toHaveBeenCalledTimes(1);
+      expect(workflow.httpPageMonitor.fetchJson).toHaveBeenCalledWith(api.url, {
+        method: "POST",
+        headers: undefined,
+        body: { region: "eu" },
+      });
+      expect(workflow.session.results.map((result) => result.value)).toEqual([
+        "2.1.0",
+        "ok",
+      ]);
+    });
+
+    describe("unreachable servers", () => {
+      const HttpPageMonitor = require("./http-page-monitor");
+      let server;
+      let baseUrl;
+      let closedUrl;
+
+      beforeAll(async () => {
+        server = http.createServer((request, response) => {
+          if (request.url === "/api") {
+            response.writeHead(200, { "Content-Type": "application/json" });
+            response.end(JSON.stringify({ version: "2.1.0" }));
+          } else {
+            response.writeHead(200, { "Content-Type": "text/html" });
+            response.end('<span id="price">$10</span>');
+          }
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const closed = http.createServer();
+        await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+        closedUrl = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise((resolve) => closed.close(resolve));
+      });
+
+      afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+      });
+
+      beforeEach(() => {
+        workflow.httpPageMonitor = new HttpPageMonitor();
+      });
+
+      test("should report a refused connection for its target only", async () => {
+        await workflow.checkTargets([
+          { url: `${closedUrl}/page`, css_selector: "#price", engine: "http" },
+          { url: `${baseUrl}/page`, css_selector: "#price", engine: "http" },
+        ]);
+
+        expect(workflow.session.results.map((result) => result.value)).toEqual([
+          undefined,
+          "$10",
+        ]);
+        expect(workflow.session.errors).toHaveLength(1);
+        expect(workflow.session.errors[0].message).toContain(
+          "net::ERR_CONNECTION_REFUSED"
+        );
+        expect(workflow.stateManager.recordChecks).toHaveBeenCalled();
+      });
+
+      test("should report a refused JSON API for its target only", async () => {
+        await workflow.checkTargets([
+          { type: "json", url: `${closedUrl}/api`, json_path: "$.version" },
+          { type: "json", url: `${baseUrl}/api`, json_path: "$.version" },
+        ]);
+
+        expect(workflow.session.results.map((result) => result.value)).toEqual([
+          undefined,
+          "2.1.0",
+        ]);
+        expect(workflow.session.errors).toHaveLength(1);
+        expect(workflow.stateManager.recordChecks).toHaveBeenCalled();
+      });
+    });
+
+    test("should launch Chrome when a target needs the browser", async () => {
+      workflow.processMonitoringTargets = jest.fn().mockResolvedValue();
+
+      await workflow.checkTargets([
+        ...targets,
+        { url: "https://example.com/c", css_selector: "#c" },
+      ]);
+
+      expect(workflow.connectBrowser).toHaveBeenCalled();
+    });
+  });
+
+  describe("notifier fan-out", () => {
+    const change = {
+      entry: { url: "https://example.com", css_selector: "#a" },
+      hasChanged: true,
+    };
+
+    test("should create a Discord notifier from the options", async () => {
+      await workflow.initialize("/path/to/config.json", undefined, {
+        discordWebhook: "https://discord.com/api/webhooks/1/token",
+      });
+
+      expect(workflow.slackNotifier).toBeNull();
+      expect(workflow.getNotifiers().map(({ name }) => name)).toEqual([
+        "Discord",
+      ]);
+    });
+
+    test("should send every change to every notifier", async () => {
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      const discord = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.discordNotifier = discord;
+
+      await workflow.sendNotificationsForChanges([change, change]);
+
+      expect(slack.sendChangeNotification).toHaveBeenCalledTimes(2);
+      expect(discord.sendChangeNotification).toHaveBeenCalledTimes(2);
+    });
+
+    test("should log each delivered notification once", async () => {
+      const WebhookNotifier = require("./webhook-notifier");
+      const webhook = new WebhookNotifier({
+        name: "ntfy",
+        url: "https://ntfy.sh/alerts",
+      });
+      jest.spyOn(webhook, "sendRequest").mockResolvedValue(true);
+      workflow.webhookNotifiers = [webhook];
+      jest.spyOn(workflow.logger, "success");
+      jest.spyOn(webhook.logger, "success");
+
+      await workflow.sendNotificationsForChanges([
+        {
+          ...change,
+          oldValue: "a",
+          newValue: "b",
+          timestamp: "2025-07-25T15:30:00.000Z",
+        },
+      ]);
+
+      expect([
+        ...workflow.logger.success.mock.calls,
+        ...webhook.logger.success.mock.calls,
+      ]).toEqual([["ntfy notification sent for https://example.com"]]);
+    });
+
+    test("should keep notifying when one channel fails", async () => {
+      const slack = {
+        sendChangeNotification: jest
+          .fn()
+          .mockRejectedValue(new Error("Slack webhook error: boom")),
+      };
+      const discord = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.discordNotifier = discord;
+
+      await workflow.sendNotificationsForChanges([change]);
+
+      expect(discord.sendChangeNotification).toHaveBeenCalledWith(change);
+      expect(workflow.session.errors).toHaveLength(1);
+      expect(workflow.session.errors[0].type).toBe("NOTIFICATION_ERROR");
+    });
+
+    test("should send one digest per run to digest notifiers", async () => {
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      const email = {
+        mode: "digest",
+        sendChangeNotification: jest.fn(),
+        sendDigest: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.emailNotifier = email;
+
+      await workflow.sendNotificationsForChanges([change, change]);
+
+      expect(slack.sendChangeNotification).toHaveBeenCalledTimes(2);
+      expect(email.sendChangeNotification).not.toHaveBeenCalled();
+      expect(email.sendDigest).toHaveBeenCalledWith([change, change], {
+        groupBy: "domain",
+      });
+    });
+
+    test("should send digests to every notifier in digest mode", async () => {
+      const urgentChange = {
+        entry: {
+          url: "https://example.com/b",
+          css_selector: "#b",
+          urgent: true,
+        },
+        hasChanged: true,
+      };
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+        sendDigest: jest.fn().mockResolvedValue(true),
+      };
+      const webhook = {
+        getName: () => "Webhook example.com",
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.webhookNotifiers = [webhook];
+      workflow.session.notificationMode = "digest";
+      workflow.session.digestGroupBy = "tag";
+
+      await workflow.sendNotificationsForChanges([
+        change,
+        urgentChange,
+        change,
+      ]);
+
+      expect(slack.sendDigest).toHaveBeenCalledTimes(1);
+      expect(slack.sendDigest).toHaveBeenCalledWith([change, change], {
+        groupBy: "tag",
+      });
+      expect(slack.sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(slack.sendChangeNotification).toHaveBeenCalledWith(urgentChange);
+      // Notifiers without digests keep sending each change
+      expect(webhook.sendChangeNotification).toHaveBeenCalledTimes(3);
+    });
+
+    test("should route targets with a notify list to named notifiers", async () => {
+      const routedChange = {
+        entry: {
+          url: "https://example.com/price",
+          css_selector: "#price",
+          notify: ["pricing-slack"],
+        },
+        hasChanged: true,
+      };
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      const pricingSlack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      const opsEmail = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.namedNotifiers = [
+        { name: "pricing-slack", notifier: pricingSlack },
+        { name: "ops-email", notifier: opsEmail },
+      ];
+
+      await workflow.sendNotificationsForChanges([change, routedChange]);
+
+      expect(slack.sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(slack.sendChangeNotification).toHaveBeenCalledWith(change);
+      expect(pricingSlack.sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(pricingSlack.sendChangeNotification).toHaveBeenCalledWith(
+        routedChange
+      );
+      expect(opsEmail.sendChangeNotification).not.toHaveBeenCalled();
+      expect(workflow.getNotifiers().map(({ name }) => name)).toEqual([
+        "Slack",
+        "pricing-slack",
+        "ops-email",
+      ]);
+    });
+
+    test("should only send changes a notifier accepts", async () => {
+      const otherChange = {
+        entry: { url: "https://example.com/b", css_selector: "#b" },
+        hasChanged: true,
+      };
+      const telegram = {
+        accepts: jest.fn((record) => record === otherChange),
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.telegramNotifier = telegram;
+
+      await workflow.sendNotificationsForChanges([change, otherChange]);
+
+      expect(telegram.sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(telegram.sendChangeNotification).toHaveBeenCalledWith(otherChange);
+    });
+  });
+
+  describe("watch mode", () => {
+    let configs;
+
+    beforeEach(async () => {
+      configs = [
+        {
+          slack_webhook: "https://hooks.slack.com/services/config",
+          email: { host: "smtp.example.com", from: "a@b.c", to: "d@e.f" },
+          targets: [{ url: "https://example.com", css_selector: "#a" }],
+        },
+        { targets: [{ url: "https://example.com", css_selector: "#b" }] },
+      ];
+      await workflow.initialize("/path/to/config.json", undefined, {
+        discordWebhook: "https://discord.com/api/webhooks/1/cli",
+        dataDir: "/data",
+      });
+      workflow.configManager = {
+        loadConfig: jest.fn(async () => configs.shift()),
+        getTargets: (config) => config.targets,
+        getSlackWebhook: (config) => config.slack_webhook,
+        getDiscordWebhook: () => undefined,
+        getTeamsWebhook: () => undefined,
+        getEmailSettings: (config) => config.email,
+        getTelegramSettings: () => undefined,
+        getWebhooks: () => [],
+        getNotifierDefinitions: () => ({}),
+        getNotificationSettings: () => ({
+          mode: "per_change",
+          groupBy: "domain",
+        }),
+        getFailureThreshold: () => 3,
+        getConcurrency: () => ({ concurrency: 1, domainConcurrency: 1 }),
+        getScreenshotBaseUrl: () => undefined,
+      };
+      workflow.stateManager = { setDataDir: jest.fn() };
+    });
+
+    test("should replace the notifiers of the previous configuration on reload", async () => {
+      await workflow.loadConfiguration();
+      const emailNotifier = workflow.emailNotifier;
+      jest.spyOn(emailNotifier, "close");
+      expect(workflow.slackNotifier).not.toBeNull();
+
+      const { targets } = await workflow.loadConfiguration();
+
+      expect(targets).toEqual([
+        { url: "https://example.com", css_selector: "#b" },
+      ]);
+      expect(emailNotifier.close).toHaveBeenCalled();
+      expect(workflow.emailNotifier).toBeNull();
+      expect(workflow.slackNotifier).toBeNull();
+      // Webhooks from the command line stay
+      expect(workflow.discordNotifier).not.toBeNull();
+      expect(workflow.stateManager.setDataDir).toHaveBeenLastCalledWith(
+        "/data"
+      );
+    });
+
+    test("should keep using a connected browser", async () => {
+      workflow.browserController = {
+        isConnectedToBrowser: jest.fn().mockReturnValue(true),
+        connect: jest.fn(),
+      };
+      workflow.chromeLauncher = {
+        isRunning: jest.fn().mockReturnValue(true),
+        launch: jest.fn().mockResolvedValue("ws://127.0.0.1:9222"),
+        terminate: jest.fn().mockResolvedValue(),
+      };
+
+      await workflow.connectBrowser();
+      expect(workflow.chromeLauncher.launch).not.toHaveBeenCalled();
+
+      // Chrome still running after losing the connection is relaunched
+      workflow.browserController.isConnectedToBrowser.mockReturnValue(false);
+      await workflow.connectBrowser();
+
+      expect(workflow.chromeLauncher.terminate).toHaveBeenCalled();
+      expect(workflow.browserController.connect).toHaveBeenCalledWith(
+        "ws://127.0.0.1:9222"
+      );
+    });
+  });
+
+  describe("notification outbox", () => {
+    const OutboxStore = require("./outbox-store");
+    const change = {
+      entry: { url: "https://example.com", css_selector: "#a" },
+      hasChanged: true,
+      oldValue: "a",
+      newValue: "b",
+    };
+    let tempDir;
+    let outboxStore;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+      outboxStore = new OutboxStore(tempDir);
+      workflow.stateManager = {
+        getOutboxStore: () => outboxStore,
+        recordChecks: jest.fn().mockResolvedValue(),
+        updateAndPersist: jest.fn().mockResolvedValue([]),
+        updateFailureStreaks: jest.fn().mockResolvedValue([]),
+      };
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test("should queue undelivered notifications and still update the state", async () => {
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(false),
+      };
+      const discord = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.discordNotifier = discord;
+      workflow.processMonitoringTarget = jest.fn().mockResolvedValue(change);
+
+      await workflow.processMonitoringTargets([change.entry]);
+
+      const queued = await outboxStore.load();
+      expect(queued).toEqual([
+        {
+          notifier: "Slack",
+          digest: false,
+          changes: [change],
+          queued_at: expect.any(String),
+          attempts: 1,
+        },
+      ]);
+      expect(workflow.stateManager.updateAndPersist).toHaveBeenCalledWith(
+        [change.entry],
+        [change]
+      );
+    });
+
+    test("should not update the state when the outbox cannot be saved", async () => {
+      workflow.slackNotifier = {
+        sendChangeNotification: jest.fn().mockResolvedValue(false),
+      };
+      workflow.processMonitoringTarget = jest.fn().mockResolvedValue(change);
+      jest
+        .spyOn(outboxStore, "add")
+        .mockRejectedValue(new Error("Failed to persist outbox file"));
+
+      await expect(
+        workflow.processMonitoringTargets([change.entry])
+      ).rejects.toThrow("Failed to persist outbox file");
+      expect(workflow.stateManager.updateAndPersist).not.toHaveBeenCalled();
+    });
+
+    test("should retry queued notifications and keep those failing again", async () => {
+      const queuedAt = new Date().toISOString();
+      await outboxStore.save([
+        {
+          notifier: "Slack",
+          digest: false,
+          changes: [change],
+          queued_at: queuedAt,
+          attempts: 1,
+        },
+        {
+          notifier: "Discord",
+          digest: true,
+          group_by: "tag",
+          changes: [change, change],
+          queued_at: queuedAt,
+          attempts: 2,
+        },
+        {
+          notifier: "Teams",
+          digest: false,
+          changes: [change],
+          queued_at: queuedAt,
+          attempts: 1,
+        },
+        {
+          notifier: "Slack",
+          digest: false,
+          changes: [change],
+          queued_at: "2020-01-01T00:00:00.000Z",
+          attempts: 40,
+        },
+      ]);
+      const slack = {
+        sendChangeNotification: jest.fn().mockResolvedValue(true),
+      };
+      const discord = { sendDigest: jest.fn().mockResolvedValue(false) };
+      workflow.slackNotifier = slack;
+      workflow.discordNotifier = discord;
+
+      await workflow.deliverQueuedNotifications();
+
+      expect(slack.sendChangeNotification).toHaveBeenCalledTimes(1);
+      expect(slack.sendChangeNotification).toHaveBeenCalledWith(change);
+      expect(discord.sendDigest).toHaveBeenCalledWith([change, change], {
+        groupBy: "tag",
+      });
+      // Teams is no longer configured and the old Slack message expired
+      expect(await outboxStore.load()).toEqual([
+        expect.objectContaining({ notifier: "Discord", attempts: 3 }),
+      ]);
+    });
+
+    test("should send target status alerts and queue the undelivered ones", async () => {
+      const failed = {
+        entry: { url: "https://example.com/b", notify: ["alerts"] },
+        hasChanged: false,
+        error: "Navigation timeout",
+      };
+      const broken = {
+        status: "broken",
+        entry: failed.entry,
+        failureCount: 3,
+        failingSince: "2025-07-25T13:30:00.000Z",
+        timestamp: "2025-07-25T15:30:00.000Z",
+      };
+      const alerts = {
+        sendChangeNotification: jest.fn(),
+        sendTargetStatus: jest.fn().mockResolvedValue(false),
+      };
+      const slack = {
+        sendChangeNotification: jest.fn(),
+        sendTargetStatus: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      workflow.namedNotifiers = [{ name: "alerts", notifier: alerts }];
+      workflow.processMonitoringTarget = jest.fn().mockResolvedValue(failed);
+      workflow.stateManager.updateFailureStreaks.mockResolvedValue([broken]);
+
+      await workflow.processMonitoringTargets([failed.entry]);
+
+      expect(workflow.stateManager.updateFailureStreaks).toHaveBeenCalledWith(
+        [failed],
+        3
+      );
+      expect(alerts.sendTargetStatus).toHaveBeenCalledWith(broken);
+      // The target only notifies the named notifier
+      expect(slack.sendTargetStatus).not.toHaveBeenCalled();
+      expect(await outboxStore.load()).toEqual([
+        {
+          notifier: "alerts",
+          status: broken,
+          queued_at: expect.any(String),
+          attempts: 1,
+        },
+      ]);
+    });
+
+    test("should retry queued target status alerts", async () => {
+      const recovered = {
+        status: "recovered",
+        entry: { url: "https://example.com/b" },
+        failureCount: 3,
+        failingSince: "2025-07-25T13:30:00.000Z",
+        timestamp: "2025-07-25T15:30:00.000Z",
+      };
+      const queued = {
+        notifier: "Slack",
+        status: recovered,
+        queued_at: new Date().toISOString(),
+        attempts: 1,
+      };
+      await outboxStore.save([queued, { ...queued, notifier: "Discord" }]);
+      const slack = {
+        sendChangeNotification: jest.fn(),
+        sendTargetStatus: jest.fn().mockResolvedValue(true),
+      };
+      workflow.slackNotifier = slack;
+      // Notifiers without status alerts drop them
+      workflow.discordNotifier = { sendChangeNotification: jest.fn() };
+
+      await workflow.deliverQueuedNotifications();
+
+      expect(slack.sendTargetStatus).toHaveBeenCalledWith(recovered);
+      expect(await outboxStore.load()).toEqual([]);
+    });
+
+    test("should move a truncated outbox aside and continue", async () => {
+      await outboxStore.save([
+        {
+          notifier: "Slack",
+          digest: false,
+          changes: [change],
+          queued_at: new Date().toISOString(),
+          attempts: 1,
+        },
+      ]);
+      const content = await fs.readFile(outboxStore.filePath, "utf8");
+      await fs.writeFile(outboxStore.filePath, content.slice(0, 40));
+      jest.spyOn(workflow.logger, "warn");
+
+      await expect(workflow.deliverQueuedNotifications()).resolves.toBe(
+        undefined
+      );
+
+      expect(workflow.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(`${outboxStore.filePath}.corrupt`)
+      );
+      expect(await fs.readFile(`${outboxStore.filePath}.corrupt`, "utf8")).toBe(
+        content.slice(0, 40)
+      );
+      expect(await outboxStore.load()).toEqual([]);
+
+      // Later notifications are queued in a new outbox
+      await outboxStore.add([{ notifier: "Slack" }]);
+      expect(await outboxStore.load()).toEqual([{ notifier: "Slack" }]);
+    });
+
+    test("should leave the outbox alone when it is empty", async () => {
+      jest.spyOn(outboxStore, "save");
+
+      await workflow.deliverQueuedNotifications();
+
+      expect(outboxStore.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("change screenshots", () => {
+    const entry = {
+      url: "https://example.com",
+      css_selector: "#price",
+      current_value: "$10",
+      screenshot_on_change: true,
+    };
+    let tempDir;
+    let page;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "change-shots-"));
+      const RealStateManager = jest.requireActual("./state-manager");
+      const RealChangeDetector = jest.requireActual("./change-detector");
+      workflow.stateManager = new RealStateManager();
+      workflow.stateManager.setDataDir(tempDir);
+      workflow.changeDetector = new RealChangeDetector();
+      page = {};
+      workflow.browserController = {
+        createPage: jest.fn().mockResolvedValue(page),
+        closePage: jest.fn().mockResolvedValue(),
+      };
+      workflow.pageMonitor = {
+        navigateAndExtract: jest.fn().mockResolvedValue("$12"),
+        captureScreenshot: jest.fn().mockResolvedValue(Buffer.from("png")),
+      };
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test("should attach the element screenshot to changed targets", async () => {
+      const result = await workflow.processMonitoringTarget(entry);
+
+      expect(workflow.pageMonitor.captureScreenshot).toHaveBeenCalledWith(
+        page,
+        "#price"
+      );
+      expect(result.screenshots.before).toBeNull();
+      expect(result.screenshots.after.url).toBeNull();
+      expect(await fs.readFile(result.screenshots.after.path, "utf8")).toBe(
+        "png"
+      );
+    });
+
+    test("should pair the screenshot with the one from the previous change", async () => {
+      workflow.session.screenshotBaseUrl = "https://monitor.example.com/data/";
+      const first = await workflow.processMonitoringTarget(entry);
+      workflow.changeDetector.processEntry = jest.fn().mockReturnValue({
+        entry,
+        hasChanged: true,
+        timestamp: new Date(Date.now() + 1000).toISOString(),
+      });
+
+      const second = await workflow.processMonitoringTarget(entry);
+
+      expect(second.screenshots.before.path).toBe(first.screenshots.after.path);
+      expect(second.screenshots.after.url).toMatch(
+        /^https:\/\/monitor\.example\.com\/data\/screenshots\/[0-9a-f]{12}\/changes\/.+\.png$/
+      );
+    });
+
+    test("should not capture unchanged targets or targets without the option", async () => {
+      workflow.pageMonitor.navigateAndExtract.mockResolvedValue("$10");
+      await workflow.processMonitoringTarget(entry);
+
+      workflow.pageMonitor.navigateAndExtract.mockResolvedValue("$12");
+      const { screenshot_on_change, ...plainEntry } = entry;
+      const result = await workflow.processMonitoringTarget(plainEntry);
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.screenshots).toBeUndefined();
+      expect(workflow.pageMonitor.captureScreenshot).not.toHaveBeenCalled();
+    });
+
+    test("should still report the change when the capture fails", async () => {
+      workflow.pageMonitor.captureScreenshot.mockRejectedValue(
+        new Error("Element is not visible")
+      );
+
+      const result = await workflow.processMonitoringTarget(entry);
+
+      expect(result.hasChanged).toBe(true);
+      expect(result.screenshots).toBeNull();
+    });
+  });
+
   describe("session summary", () => {
     test("should provide accurate session summary", () => {
       workflow.session.startTime = new Date("2023-01-01T10:00:00Z");
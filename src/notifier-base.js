@@ -0,0 +1,161 @@
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+
+/**
+ * Kinds of notifications: the operation their errors are reported for, and
+ * how log messages describe them
+ */
+const KINDS = {
+  change: {
+    operation: "sendChangeNotification",
+    describe: (changeRecord) => ({
+      label: "notification",
+      url: getUrl(changeRecord),
+    }),
+  },
+  digest: {
+    operation: "sendDigest",
+    describe: (changes) => ({
+      label: "digest",
+      target: `${changes.length} changes`,
+    }),
+  },
+  status: {
+    operation: "sendTargetStatus",
+    describe: (statusRecord) => ({
+      label: `${statusRecord.status} alert`,
+      url: getUrl(statusRecord),
+    }),
+  },
+};
+
+/**
+ * Get the URL of the target a change or status record is about
+ * @param {Object} record - Change or status record
+ * @returns {string} URL of the target
+ */
+function getUrl(record) {
+  return record?.entry?.url || "unknown URL";
+}
+
+/**
+ * NotifierBase sends notifications the same way for every service: it skips
+ * those the settings leave nowhere to go, formats and delivers the others,
+ * logs the outcome and reports errors, which never reach the caller.
+ *
+ * Notifiers extend it with formatMessage(changeRecord), formatDigest(changes,
+ * groupBy) and formatTargetStatus(statusRecord) for the kinds they support,
+ * deliver(payload, record) sending a formatted payload, and
+ * getMissingSetting(record) when a setting is required.
+ */
+class NotifierBase {
+  /**
+   * @param {string} service - Name of the service in log messages, e.g. "Slack"
+   */
+  constructor(service) {
+    this.service = service;
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+    // Options of request retries, see withRetry
+    this.retryOptions = {};
+  }
+
+  /**
+   * Get the name of the notifier for log messages
+   * @returns {string} - Name of the service
+   */
+  getName() {
+    return this.service;
+  }
+
+  /**
+   * Send a notification
+   * @param {string} kind - "change", "digest" or "status"
+   * @param {Object|Array<Object>} record - Change record, changes of a
+   *   digest, or target status
+   * @param {Object} [options] - Formatting options, e.g. {groupBy} of digests
+   * @returns {Promise<boolean>} - True if the notification was delivered
+   */
+  async send(kind, record, options = {}) {
+    const { operation, describe } = KINDS[kind];
+    const missing = this.getMissingSetting(record);
+
+    if (missing) {
+      this.logger.warn(
+        `No ${this.getName()} ${missing} provided, skipping ${
+          kind === "digest" ? "digest" : "notification"
+        }`
+      );
+      return false;
+    }
+    if (kind === "digest" && record.length === 0) {
+      return true;
+    }
+
+    const { label, url, target = url } = describe(record);
+
+    try {
+      this.logger.debug(`Preparing ${this.getName()} ${label} for ${target}`, {
+        url,
+      });
+
+      const payload = await this.format(kind, record, options);
+      const success = await this.deliver(payload, record);
+
+      if (success) {
+        this.logger.success(`${this.getName()} ${label} sent for ${target}`);
+      } else {
+        this.logger.warn(`${this.getName()} ${label} failed for ${target}`);
+      }
+
+      return success;
+    } catch (error) {
+      this.errorHandler.handleError(error, {
+        type: "notification",
+        operation,
+        url,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Get the setting a notification cannot be sent without, if it is missing
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @returns {string|null} - Description of the setting, e.g. "webhook URL",
+   *   or null when the notification can be sent
+   */
+  getMissingSetting(record) {
+    return null;
+  }
+
+  /**
+   * Format the payload of a notification
+   * @param {string} kind - "change", "digest" or "status"
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @param {Object} options - Formatting options, e.g. {groupBy} of digests
+   * @returns {Promise<*>|*} - Payload to deliver
+   */
+  format(kind, record, { groupBy = "domain" } = {}) {
+    switch (kind) {
+      case "digest":
+        return this.formatDigest(record, groupBy);
+      case "status":
+        return this.formatTargetStatus(record);
+      default:
+        return this.formatMessage(record);
+    }
+  }
+
+  /**
+   * Deliver a formatted payload
+   * @param {*} payload - Payload returned by format()
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @returns {Promise<boolean>} - True if the service accepted it
+   */
+  async deliver(payload, record) {
+    throw new Error(`${this.getName()} notifier cannot deliver notifications`);
+  }
+}
+
+module.exports = NotifierBase;
@@ -0,0 +1,101 @@
+const NotifierBase = require("./notifier-base");
+
+describe("NotifierBase", () => {
+  let notifier;
+  const changeRecord = {
+    entry: { url: "https://example.com/product", css_selector: "#price" },
+    oldValue: "$19.99",
+    newValue: "$18.49",
+  };
+
+  beforeEach(() => {
+    notifier = new NotifierBase("Chat");
+    notifier.formatMessage = jest.fn((record) => `change ${record.newValue}`);
+    notifier.formatDigest = jest.fn(
+      (changes, groupBy) => `${changes.length} by ${groupBy}`
+    );
+    notifier.formatTargetStatus = jest.fn((record) => `${record.status}`);
+    notifier.deliver = jest.fn().mockResolvedValue(true);
+    jest.spyOn(notifier.logger, "success");
+    jest.spyOn(notifier.logger, "warn");
+    jest.spyOn(notifier.errorHandler, "handleError").mockImplementation();
+  });
+
+  test("should format and deliver each kind of notification", async () => {
+    const status = { ...changeRecord, status: "broken" };
+
+    expect(await notifier.send("change", changeRecord)).toBe(true);
+    expect(
+      await notifier.send("digest", [changeRecord], { groupBy: "tag" })
+    ).toBe(true);
+    expect(await notifier.send("status", status)).toBe(true);
+
+    expect(notifier.deliver.mock.calls).toEqual([
+      ["change $18.49", changeRecord],
+      ["1 by tag", [changeRecord]],
+      ["broken", status],
+    ]);
+    expect(notifier.logger.success.mock.calls).toEqual([
+      ["Chat notification sent for https://example.com/product"],
+      ["Chat digest sent for 1 changes"],
+      ["Chat broken alert sent for https://example.com/product"],
+    ]);
+  });
+
+  test("should skip notifications without a required setting", async () => {
+    notifier.getMissingSetting = () => "webhook URL";
+
+    expect(await notifier.send("change", changeRecord)).toBe(false);
+    expect(await notifier.send("digest", [])).toBe(false);
+
+    expect(notifier.deliver).not.toHaveBeenCalled();
+    expect(notifier.logger.warn.mock.calls).toEqual([
+      ["No Chat webhook URL provided, skipping notification"],
+      ["No Chat webhook URL provided, skipping digest"],
+    ]);
+  });
+
+  test("should not send empty digests", async () => {
+    expect(await notifier.send("digest", [])).toBe(true);
+    expect(notifier.deliver).not.toHaveBeenCalled();
+  });
+
+  test("should return false when the delivery fails", async () => {
+    notifier.deliver.mockResolvedValue(false);
+
+    expect(await notifier.send("change", changeRecord)).toBe(false);
+    expect(notifier.logger.warn).toHaveBeenCalledWith(
+      "Chat notification failed for https://example.com/product"
+    );
+  });
+
+  test("should report errors instead of throwing them", async () => {
+    const error = new Error("Chat webhook failed with status 500");
+    notifier.deliver.mockRejectedValue(error);
+    notifier.formatTargetStatus.mockImplementation(() => {
+      throw new Error("Cannot format");
+    });
+
+    expect(await notifier.send("change", changeRecord)).toBe(false);
+    expect(await notifier.send("status", { status: "recovered" })).toBe(false);
+
+    expect(notifier.errorHandler.handleError.mock.calls).toEqual([
+      [
+        error,
+        {
+          type: "notification",
+          operation: "sendChangeNotification",
+          url: "https://example.com/product",
+        },
+      ],
+      [
+        new Error("Cannot format"),
+        {
+          type: "notification",
+          operation: "sendTargetStatus",
+          url: "unknown URL",
+        },
+      ],
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Registry of the notifier types that named notifier definitions of the
+ * configuration can use, e.g. {"pricing-slack": {type: "slack", webhook_url}}
+ */
+
+const SlackNotifier = require("./slack-notifier");
+const DiscordNotifier = require("./discord-notifier");
+const TeamsNotifier = require("./teams-notifier");
+const EmailNotifier = require("./email-notifier");
+const TelegramNotifier = require("./telegram-notifier");
+const WebhookNotifier = require("./webhook-notifier");
+
+/**
+ * Factories creating a notifier from the name and settings of a definition,
+ * by notifier type
+ */
+const NOTIFIER_FACTORIES = {
+  slack: (name, settings) => new SlackNotifier(settings.webhook_url),
+  discord: (name, settings) => new DiscordNotifier(settings.webhook_url),
+  teams: (name, settings) => new TeamsNotifier(settings.webhook_url),
+  email: (name, settings) => new EmailNotifier(settings),
+  telegram: (name, settings) => new TelegramNotifier(settings),
+  webhook: (name, settings) => new WebhookNotifier({ name, ...settings }),
+};
+
+const NOTIFIER_TYPES = Object.keys(NOTIFIER_FACTORIES);
+
+/**
+ * Create the notifier of a named definition
+ * @param {string} name - Name of the notifier
+ * @param {Object} definition - Definition with type and settings of the type
+ * @returns {Object} Notifier
+ * @throws {Error} If the type is unknown
+ */
+function createNotifier(name, definition) {
+  const { type, ...settings } = definition;
+  const factory = NOTIFIER_FACTORIES[type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown notifier type for ${name}: ${type}. Must be one of: ${NOTIFIER_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+  return factory(name, settings);
+}
+
+/**
+ * Create the notifiers of all named definitions
+ * @param {Object} [definitions] - Definitions by notifier name
+ * @returns {Array<Object>} Notifiers {name, notifier}, in definition order
+ */
+function createNotifiers(definitions = {}) {
+  return Object.entries(definitions).map(([name, definition]) => ({
+    name,
+    notifier: createNotifier(name, definition),
+  }));
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  createNotifier,
+  createNotifiers,
+};
@@ -0,0 +1,84 @@
+const SlackNotifier = require("./slack-notifier");
+const EmailNotifier = require("./email-notifier");
+const TelegramNotifier = require("./telegram-notifier");
+const WebhookNotifier = require("./webhook-notifier");
+const {
+  NOTIFIER_TYPES,
+  createNotifier,
+  createNotifiers,
+} = require("./notifier-registry");
+
+describe("notifier-registry", () => {
+  test("should know every notifier type", () => {
+    expect(NOTIFIER_TYPES).toEqual([
+      "slack",
+      "discord",
+      "teams",
+      "email",
+      "telegram",
+      "webhook",
+    ]);
+  });
+
+  test("should create notifiers from their definitions", () => {
+    const slack = createNotifier("pricing-slack", {
+      type: "slack",
+      webhook_url: "https://hooks.slack.com/services/T/B/X",
+    });
+    expect(slack).toBeInstanceOf(SlackNotifier);
+    expect(slack.webhookUrl).toBe("https://hooks.slack.com/services/T/B/X");
+
+    const email = createNotifier("ops-email", {
+      type: "email",
+      host: "smtp.example.com",
+      from: "monitor@example.com",
+      to: "ops@example.com",
+      mode: "digest",
+    });
+    expect(email).toBeInstanceOf(EmailNotifier);
+    expect(email.settings).toEqual({
+      host: "smtp.example.com",
+      from: "monitor@example.com",
+      to: "ops@example.com",
+      mode: "digest",
+    });
+    expect(email.mode).toBe("digest");
+
+    expect(
+      createNotifier("alerts", { type: "telegram", chat_id: 42 })
+    ).toBeInstanceOf(TelegramNotifier);
+  });
+
+  test("should name webhooks after their definition", () => {
+    const webhook = createNotifier("ops-webhook", {
+      type: "webhook",
+      url: "https://ops.example.com/hook",
+    });
+
+    expect(webhook).toBeInstanceOf(WebhookNotifier);
+    expect(webhook.getName()).toBe("ops-webhook");
+    expect(
+      createNotifier("ops-webhook", {
+        type: "webhook",
+        name: "Ops",
+        url: "https://ops.example.com/hook",
+      }).getName()
+    ).toBe("Ops");
+  });
+
+  test("should reject unknown types", () => {
+    expect(() => createNotifier("pager", { type: "pager" })).toThrow(
+      "Unknown notifier type for pager: pager"
+    );
+  });
+
+  test("should create all notifiers in definition order", () => {
+    const notifiers = createNotifiers({
+      b: { type: "slack", webhook_url: "https://hooks.slack.com/b" },
+      a: { type: "teams", webhook_url: "https://x.webhook.office.com/a" },
+    });
+
+    expect(notifiers.map(({ name }) => name)).toEqual(["b", "a"]);
+    expect(createNotifiers()).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Parsing of currency and locale-formatted numbers out of extracted text,
+ * e.g. "$1,299.00", "1.299,00 €", "CHF 1'299.50" or "-12,5 %"
+ */
+
+// A number token: optional minus sign, digits and separators. Spaces are only
+// accepted as thousands separators, i.e. when followed by exactly three digits.
+const NUMBER_TOKEN = /[-−]?\d(?:[\d.,']|[ \u00a0\u202f](?=\d{3}(?!\d)))*/;
+
+/**
+ * Parse the first number found in a piece of text
+ * @param {string} text - Text containing a number
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.decimalSeparator] - Force "." or "," as decimal separator
+ * @returns {number|null} Parsed number, or null if the text contains no number
+ */
+function parseNumber(text, options = {}) {
+  if (text == null) {
+    return null;
+  }
+
+  const match = String(text).match(NUMBER_TOKEN);
+  if (!match) {
+    return null;
+  }
+
+  const negative = /^[-−]/.test(match[0]);
+  const token = match[0]
+    .replace(/^[-−]/, "")
+    .replace(/[ \u00a0\u202f']/g, "")
+    .replace(/[.,]+$/, "");
+
+  const decimalSeparator =
+    options.decimalSeparator || detectDecimalSeparator(token);
+
+  // Drop thousands separators, then use "." for the decimal part
+  const thousandsSeparator = decimalSeparator === "," ? "." : ",";
+  let normalized = token.split(thousandsSeparator).join("");
+  if (decimalSeparator === ",") {
+    normalized = normalized.replace(",", ".");
+  } else if (!decimalSeparator) {
+    normalized = normalized.replace(/[.,]/g, "");
+  }
+
+  const value = Number(normalized);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  return negative ? -value : value;
+}
+
+/**
+ * Guess which separator is the decimal separator of a number token
+ * @param {string} token - Digits with "." and/or "," separators
+ * @returns {string|null} "." or ",", or null if the token has no decimal part
+ */
+function detectDecimalSeparator(token) {
+  const lastDot = token.lastIndexOf(".");
+  const lastComma = token.lastIndexOf(",");
+
+  // Both present: whichever comes last separates the decimals
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? "." : ",";
+  }
+
+  const separator = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null;
+  if (!separator) {
+    return null;
+  }
+
+  // Repeated separator can only group thousands ("1,000,000")
+  if (token.indexOf(separator) !== token.lastIndexOf(separator)) {
+    return separator === "." ? "," : ".";
+  }
+
+  // A single separator followed by exactly three digits groups thousands
+  // ("1,299" or "1.299"), unless the integer part is zero ("0.125")
+  const [integerPart, fraction] = token.split(separator);
+  if (fraction.length === 3 && !/^0*$/.test(integerPart)) {
+    return separator === "." ? "," : ".";
+  }
+
+  return separator;
+}
+
+module.exports = { parseNumber, detectDecimalSeparator };
@@ -0,0 +1,58 @@
+const { parseNumber, detectDecimalSeparator } = require("./number-parser");
+
+describe("number-parser", () => {
+  describe("parseNumber", () => {
+    test("should parse US formatted currency", () => {
+      expect(parseNumber("$1,299.00")).toBe(1299);
+      expect(parseNumber("Price: $19.99 incl. tax")).toBe(19.99);
+    });
+
+    test("should parse European formatted currency", () => {
+      expect(parseNumber("1.299,00 €")).toBe(1299);
+      expect(parseNumber("1 299,50 €")).toBe(1299.5);
+      expect(parseNumber("12,5 %")).toBe(12.5);
+    });
+
+    test("should parse apostrophe thousands separators", () => {
+      expect(parseNumber("CHF 1'299.50")).toBe(1299.5);
+    });
+
+    test("should parse negative numbers", () => {
+      expect(parseNumber("-12.5")).toBe(-12.5);
+      expect(parseNumber("−3,2")).toBe(-3.2);
+    });
+
+    test("should treat a single separator before three digits as thousands", () => {
+      expect(parseNumber("1,299")).toBe(1299);
+      expect(parseNumber("1.299")).toBe(1299);
+      expect(parseNumber("0.125")).toBe(0.125);
+    });
+
+    test("should honor an explicit decimal separator", () => {
+      expect(parseNumber("1,299", { decimalSeparator: "," })).toBe(1.299);
+      expect(parseNumber("1.299", { decimalSeparator: "." })).toBe(1.299);
+    });
+
+    test("should return null when no number is present", () => {
+      expect(parseNumber("Sold out")).toBeNull();
+      expect(parseNumber("")).toBeNull();
+      expect(parseNumber(null)).toBeNull();
+    });
+  });
+
+  describe("detectDecimalSeparator", () => {
+    test("should pick the last separator when both are present", () => {
+      expect(detectDecimalSeparator("1,299.00")).toBe(".");
+      expect(detectDecimalSeparator("1.299,00")).toBe(",");
+    });
+
+    test("should treat repeated separators as thousands separators", () => {
+      expect(detectDecimalSeparator("1,000,000")).toBe(".");
+      expect(detectDecimalSeparator("1.000.000")).toBe(",");
+    });
+
+    test("should return null for integers", () => {
+      expect(detectDecimalSeparator("1299")).toBeNull();
+    });
+  });
+});
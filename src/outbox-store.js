@@ -0,0 +1,164 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+
+const OUTBOX_VERSION = 1;
+
+// Undelivered notifications are given up on after a week
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * OutboxStore keeps the notifications that could not be delivered in a JSON
+ * file inside the data directory, so they are retried by the next run
+ * instead of being lost with the change they report.
+ *
+ * Each notification is {notifier, digest, group_by, changes, queued_at,
+ * attempts}: the name of the notifier, whether the changes are sent as one
+ * digest, and the change records to send. Target status alerts hold the
+ * status record in `status` instead of the changes.
+ */
+class OutboxStore {
+  /**
+   * @param {string} dataDir - Directory holding the outbox file
+   * @param {string} [fileName] - Name of the outbox file (default: outbox.json)
+   */
+  constructor(dataDir, fileName = "outbox.json") {
+    if (!dataDir || typeof dataDir !== "string") {
+      throw new Error("Outbox data directory is required");
+    }
+
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, fileName);
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Load the queued notifications, oldest first. A missing file yields an
+   * empty outbox.
+   * @returns {Promise<Array<Object>>} Queued notifications
+   * @throws {Error} If the outbox file cannot be read or parsed
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(
+        `Failed to read outbox file ${this.filePath}: ${error.message}`
+      );
+    }
+
+    let outbox;
+    try {
+      outbox = JSON.parse(content);
+    } catch (parseError) {
+      throw new Error(
+        `Invalid JSON format in outbox file ${this.filePath}: ${parseError.message}`
+      );
+    }
+
+    if (!outbox || !Array.isArray(outbox.notifications)) {
+      throw new Error(
+        `Invalid outbox file ${this.filePath}: missing notifications`
+      );
+    }
+
+    return outbox.notifications;
+  }
+
+  /**
+   * Replace the queued notifications. The file is written atomically, as a
+   * partial write would lose every queued notification.
+   * @param {Array<Object>} notifications - Notifications to keep queued
+   * @returns {Promise<void>}
+   * @throws {Error} If the outbox file cannot be written
+   */
+  async save(notifications) {
+    if (!Array.isArray(notifications)) {
+      throw new Error("Outbox notifications must be an array");
+    }
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await writeFileAtomic(
+        this.filePath,
+        JSON.stringify({ version: OUTBOX_VERSION, notifications }, null, 2)
+      );
+    } catch (error) {
+      const outboxError = new Error(
+        `Failed to persist outbox file ${this.filePath}: ${error.message}`
+      );
+      this.errorHandler.handleError(outboxError, {
+        type: "persistence",
+        operation: "saveOutbox",
+        filePath: this.filePath,
+      });
+      throw outboxError;
+    }
+  }
+
+  /**
+   * Move an outbox file that cannot be loaded aside, to `<file>.corrupt`, so
+   * that runs continue with an empty outbox while the file is kept for
+   * inspection
+   * @returns {Promise<string>} Path the file was moved to
+   * @throws {Error} If the outbox file cannot be moved
+   */
+  async moveAside() {
+    const corruptPath = `${this.filePath}.corrupt`;
+
+    try {
+      await fs.rename(this.filePath, corruptPath);
+    } catch (error) {
+      const outboxError = new Error(
+        `Failed to move outbox file ${this.filePath} aside: ${error.message}`
+      );
+      this.errorHandler.handleError(outboxError, {
+        type: "persistence",
+        operation: "moveOutboxAside",
+        filePath: this.filePath,
+      });
+      throw outboxError;
+    }
+
+    return corruptPath;
+  }
+
+  /**
+   * Queue notifications after those already in the outbox
+   * @param {Array<Object>} notifications - Undelivered notifications
+   * @returns {Promise<void>}
+   */
+  async add(notifications) {
+    if (!Array.isArray(notifications)) {
+      throw new Error("Outbox notifications must be an array");
+    }
+    if (notifications.length === 0) {
+      return;
+    }
+
+    const queued = await this.load();
+    await this.save([...queued, ...notifications]);
+  }
+
+  /**
+   * Check whether a queued notification is too old to be sent anymore
+   * @param {Object} notification - Queued notification
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} True if it was queued more than a week ago
+   */
+  isExpired(notification, now = Date.now()) {
+    return now - Date.parse(notification.queued_at) > MAX_AGE_MS;
+  }
+}
+
+OutboxStore.OUTBOX_VERSION = OUTBOX_VERSION;
+OutboxStore.MAX_AGE_MS = MAX_AGE_MS;
+
+module.exports = OutboxStore;
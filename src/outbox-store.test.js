@@ -0,0 +1,102 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const OutboxStore = require("./outbox-store");
+
+describe("OutboxStore", () => {
+  let tempDir;
+  let outboxStore;
+
+  const notification = (queuedAt = "2025-07-25T15:30:00.000Z") => ({
+    notifier: "Slack",
+    digest: false,
+    changes: [
+      {
+        entry: { url: "https://example.com", css_selector: "#price" },
+        oldValue: "$10",
+        newValue: "$12",
+      },
+    ],
+    queued_at: queuedAt,
+    attempts: 1,
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-store-"));
+    outboxStore = new OutboxStore(path.join(tempDir, "data"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should require a data directory", () => {
+    expect(() => new OutboxStore()).toThrow(
+      "Outbox data directory is required"
+    );
+  });
+
+  test("should return an empty outbox when the file does not exist", async () => {
+    expect(await outboxStore.load()).toEqual([]);
+  });
+
+  test("should create the data directory and round-trip notifications", async () => {
+    await outboxStore.save([notification()]);
+
+    expect(await outboxStore.load()).toEqual([notification()]);
+    expect(JSON.parse(await fs.readFile(outboxStore.filePath, "utf8"))).toEqual(
+      {
+        version: OutboxStore.OUTBOX_VERSION,
+        notifications: [notification()],
+      }
+    );
+  });
+
+  test("should queue new notifications after the queued ones", async () => {
+    const older = notification("2025-07-24T15:30:00.000Z");
+    await outboxStore.save([older]);
+
+    await outboxStore.add([notification()]);
+    await outboxStore.add([]);
+
+    expect(await outboxStore.load()).toEqual([older, notification()]);
+  });
+
+  test("should reject an invalid outbox file", async () => {
+    await fs.mkdir(outboxStore.dataDir, { recursive: true });
+    await fs.writeFile(outboxStore.filePath, "{ not json");
+    await expect(outboxStore.load()).rejects.toThrow(
+      "Invalid JSON format in outbox file"
+    );
+
+    await fs.writeFile(outboxStore.filePath, JSON.stringify({ version: 1 }));
+    await expect(outboxStore.load()).rejects.toThrow("missing notifications");
+  });
+
+  test("should move an outbox file aside", async () => {
+    await fs.mkdir(outboxStore.dataDir, { recursive: true });
+    await fs.writeFile(outboxStore.filePath, '{"version": 1, "notif');
+
+    const corruptPath = await outboxStore.moveAside();
+
+    expect(corruptPath).toBe(`${outboxStore.filePath}.corrupt`);
+    expect(await fs.readFile(corruptPath, "utf8")).toBe(
+      '{"version": 1, "notif'
+    );
+    expect(await outboxStore.load()).toEqual([]);
+    await expect(outboxStore.moveAside()).rejects.toThrow(
+      "Failed to move outbox file"
+    );
+  });
+
+  test("should expire notifications queued more than a week ago", () => {
+    const now = Date.parse("2025-08-01T15:30:00.000Z");
+
+    expect(
+      outboxStore.isExpired(notification("2025-07-25T15:30:00.000Z"), now)
+    ).toBe(false);
+    expect(
+      outboxStore.isExpired(notification("2025-07-25T15:29:59.000Z"), now)
+    ).toBe(true);
+  });
+});
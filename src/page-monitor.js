@@ -1,6 +1,18 @@
 const Logger = require("./logger");
 const { ErrorHandler } = require("./error-handler");
 
+/**
+ * Supported extraction modes for the `extract` option of a monitoring target
+ */
+const EXTRACT_TYPES = [
+  "text",
+  "innerText",
+  "innerHTML",
+  "outerHTML",
+  "value",
+  "attribute",
+];
+
 class PageMonitor {
   constructor() {
     this.defaultTimeout = 10000; // 10 seconds default timeout
@@ -17,7 +29,9 @@ class PageMonitor {
    * @param {Object} options - Optional configuration
    * @param {number} options.timeout - Timeout for selector wait (default: 10000ms)
    * @param {number} options.navigationTimeout - Timeout for navigation (default: 30000ms)
-   * @returns {Promise<string>} - Extracted text content (trimmed)
+   * @param {Object} options.extract - Extraction mode, e.g. {type: "attribute", name: "href"} (default: text content)
+   * @param {boolean} options.multiple - Extract every matching element as an ordered list
+   * @returns {Promise<string|string[]>} - Extracted content (trimmed), or a list when options.multiple is set
    */
   async navigateAndExtract(page, url, selector, options = {}) {
     const timeout = options.timeout || this.defaultTimeout;
@@ -71,24 +85,92 @@ class PageMonitor {
 
       this.logger.debug(`Page loaded successfully: ${url}`);
 
-      // Wait for the selector to be available
-      await this.waitForSelector(page, selector, timeout);
+      return await this.extractLoadedContent(page, url, selector, {
+        ...options,
+        timeout,
+      });
+    } catch (error) {
+      const handledError = this.handleNavigationError(error, url, selector);
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: "navigateAndExtract",
+        url,
+        selector,
+      });
+      throw handledError;
+    }
+  }
+
+  /**
+   * Navigate to a URL without extracting anything, so that several
+   * selectors can be extracted from the same load with extractFromPage()
+   * @param {Page} page - Playwright page instance
+   * @param {string} url - Target webpage URL
+   * @param {Object} options - Optional configuration
+   * @param {number} options.navigationTimeout - Timeout for navigation (default: 30000ms)
+   * @returns {Promise<void>}
+   */
+  async navigate(page, url, options = {}) {
+    const navigationTimeout =
+      options.navigationTimeout || this.navigationTimeout;
+
+    try {
+      if (!page) {
+        throw new Error("Page instance is required");
+      }
+      if (!url || typeof url !== "string") {
+        throw new Error("Valid URL is required");
+      }
+
+      this.logger.debug(`Navigating to ${url}`, { url });
 
-      // Extract text content
-      const textContent = await this.extractTextContent(page, selector);
+      await page.goto(url, {
+        timeout: navigationTimeout,
+        waitUntil: "domcontentloaded",
+      });
 
-      this.logger.debug(`Content extracted successfully from ${url}`, {
+      this.logger.debug(`Page loaded successfully: ${url}`);
+    } catch (error) {
+      const handledError = this.handleNavigationError(error, url);
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: "navigate",
         url,
-        selector,
-        contentLength: textContent.length,
       });
+      throw handledError;
+    }
+  }
 
-      return textContent;
+  /**
+   * Extract content from a CSS selector of a page already loaded with
+   * navigate()
+   * @param {Page} page - Playwright page instance
+   * @param {string} url - URL of the loaded page, for error messages
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} options - Optional configuration
+   * @param {number} options.timeout - Timeout for selector wait (default: 10000ms)
+   * @param {Object} options.extract - Extraction mode, e.g. {type: "attribute", name: "href"} (default: text content)
+   * @param {boolean} options.multiple - Extract every matching element as an ordered list
+   * @returns {Promise<string|string[]>} - Extracted content (trimmed), or a list when options.multiple is set
+   */
+  async extractFromPage(page, url, selector, options = {}) {
+    try {
+      if (!page) {
+        throw new Error("Page instance is required");
+      }
+      if (!selector || typeof selector !== "string") {
+        throw new Error("Valid CSS selector is required");
+      }
+
+      return await this.extractLoadedContent(page, url, selector, {
+        ...options,
+        timeout: options.timeout || this.defaultTimeout,
+      });
     } catch (error) {
       const handledError = this.handleNavigationError(error, url, selector);
       this.errorHandler.handleError(handledError, {
         type: "page",
-        operation: "navigateAndExtract",
+        operation: "extractFromPage",
         url,
         selector,
       });
@@ -96,6 +178,148 @@ class PageMonitor {
     }
   }
 
+  /**
+   * Wait for a selector on a loaded page and extract its content
+   * @param {Page} page - Playwright page instance
+   * @param {string} url - URL of the loaded page
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} options - Extraction options {timeout, extract, multiple}
+   * @returns {Promise<string|string[]>} - Extracted content
+   */
+  async extractLoadedContent(page, url, selector, options) {
+    // Wait for the selector to be available
+    if (options.multiple) {
+      await this.waitForListItems(page, selector, options.timeout);
+    } else {
+      await this.waitForSelector(page, selector, options.timeout);
+    }
+
+    // Extract content using the configured extraction mode
+    const content = options.multiple
+      ? await this.extractAllContent(page, selector, options.extract)
+      : await this.extractContent(page, selector, options.extract);
+
+    this.logger.debug(`Content extracted successfully from ${url}`, {
+      url,
+      selector,
+      contentLength: content.length,
+    });
+
+    return content;
+  }
+
+  /**
+   * Navigate to a URL and take a PNG screenshot of an element, or of the full
+   * page when no selector is given
+   * @param {Page} page - Playwright page instance
+   * @param {string} url - URL to navigate to
+   * @param {string} [selector] - CSS selector of the element to capture
+   * @param {Object} options - Optional settings
+   * @param {number} options.timeout - Timeout for selector waiting (default: 10000ms)
+   * @param {number} options.navigationTimeout - Timeout for page navigation (default: 30000ms)
+   * @returns {Promise<Buffer>} - PNG screenshot
+   */
+  async navigateAndScreenshot(page, url, selector, options = {}) {
+    const timeout = options.timeout || this.defaultTimeout;
+    const navigationTimeout =
+      options.navigationTimeout || this.navigationTimeout;
+
+    try {
+      if (!page) {
+        throw new Error("Page instance is required");
+      }
+      if (!url || typeof url !== "string") {
+        throw new Error("Valid URL is required");
+      }
+
+      this.logger.debug(`Navigating to ${url} for a screenshot`, {
+        url,
+        selector,
+      });
+
+      await page.goto(url, {
+        timeout: navigationTimeout,
+        waitUntil: "load",
+      });
+
+      if (selector) {
+        await this.waitForSelector(page, selector, timeout);
+      }
+      const screenshot = await this.captureScreenshot(page, selector, {
+        timeout,
+      });
+
+      this.logger.debug(`Screenshot taken of ${url}`, {
+        url,
+        selector,
+        size: screenshot.length,
+      });
+
+      return screenshot;
+    } catch (error) {
+      const handledError = this.handleNavigationError(
+        error,
+        url,
+        selector || "full page"
+      );
+      this.errorHandler.handleError(handledError, {
+        type: "page",
+        operation: "navigateAndScreenshot",
+        url,
+        selector,
+      });
+      throw handledError;
+    }
+  }
+
+  /**
+   * Take a PNG screenshot of the first element matching a selector on the
+   * already loaded page, or of the full page without a selector
+   * @param {Page} page - Playwright page instance
+   * @param {string} [selector] - CSS selector of the element
+   * @param {Object} [options] - Screenshot options
+   * @param {number} [options.timeout] - Timeout for the element to become visible
+   * @returns {Promise<Buffer>} PNG image
+   */
+  async captureScreenshot(page, selector, options = {}) {
+    // Disable animations so that identical pages give identical images
+    const screenshotOptions = { type: "png", animations: "disabled" };
+
+    if (!selector) {
+      return page.screenshot({ ...screenshotOptions, fullPage: true });
+    }
+
+    return page
+      .locator(selector)
+      .first()
+      .screenshot({
+        ...screenshotOptions,
+        timeout: options.timeout || this.defaultTimeout,
+      });
+  }
+
+  /**
+   * Wait for the items of a list to be available on the page. A list can
+   * become empty, so a timeout means it has no items instead of an error
+   * @param {Page} page - Playwright page instance
+   * @param {string} selector - CSS selector of the list items
+   * @param {number} timeout - Timeout in milliseconds (default: 10000)
+   * @returns {Promise<void>}
+   */
+  async waitForListItems(page, selector, timeout = this.defaultTimeout) {
+    try {
+      await page.waitForSelector(selector, { timeout, state: "attached" });
+    } catch (error) {
+      if (error.name !== "TimeoutError") {
+        throw error;
+      }
+      this.logger.debug(`No list items found for selector: ${selector}`, {
+        selector,
+        timeout,
+      });
+    }
+  }
+
   /**
    * Wait for a CSS selector to be available on the page
    * @param {Page} page - Playwright page instance
@@ -184,11 +408,137 @@ class PageMonitor {
     }
   }
 
+  /**
+   * Extract content from an element according to an extraction mode
+   * @param {Page} page - Playwright page instance
+   * @param {string} selector - CSS selector for target element
+   * @param {Object} [extract] - Extraction mode ({type, name}); defaults to text content
+   * @returns {Promise<string>} - Extracted content (trimmed)
+   */
+  async extractContent(page, selector, extract) {
+    const type = (extract && extract.type) || "text";
+
+    if (type === "text") {
+      return this.extractTextContent(page, selector);
+    }
+
+    try {
+      if (!page) {
+        throw new Error("Page instance is required");
+      }
+      if (!selector || typeof selector !== "string") {
+        throw new Error("Valid CSS selector is required");
+      }
+
+      let content;
+      switch (type) {
+        case "innerText":
+          content = await page.innerText(selector);
+          break;
+        case "innerHTML":
+          content = await page.innerHTML(selector);
+          break;
+        case "outerHTML":
+          content = await page.$eval(selector, (element) => element.outerHTML);
+          break;
+        case "value":
+          content = await page.inputValue(selector);
+          break;
+        case "attribute":
+          if (!extract.name || typeof extract.name !== "string") {
+            throw new Error("Attribute extraction requires an attribute name");
+          }
+          content = await page.getAttribute(selector, extract.name);
+          if (content === null) {
+            throw new Error(
+              `No attribute "${extract.name}" found for selector "${selector}"`
+            );
+          }
+          break;
+        default:
+          throw new Error(`Unsupported extraction type "${type}"`);
+      }
+
+      return String(content).trim();
+    } catch (error) {
+      const extractionError = new Error(
+        `Failed to extract ${type} from selector "${selector}": ${error.message}`
+      );
+      this.logger.warn(`Content extraction failed: ${selector}`, {
+        selector,
+        type,
+        error: error.message,
+      });
+      throw extractionError;
+    }
+  }
+
+  /**
+   * Extract content from every element matching a CSS selector
+   * @param {Page} page - Playwright page instance
+   * @param {string} selector - CSS selector for target elements
+   * @param {Object} [extract] - Extraction mode ({type, name}); defaults to text content
+   * @returns {Promise<string[]>} - Extracted content of each element (trimmed), in document order
+   */
+  async extractAllContent(page, selector, extract) {
+    const mode = { type: "text", ...extract };
+
+    try {
+      if (!page) {
+        throw new Error("Page instance is required");
+      }
+      if (!selector || typeof selector !== "string") {
+        throw new Error("Valid CSS selector is required");
+      }
+      if (!EXTRACT_TYPES.includes(mode.type)) {
+        throw new Error(`Unsupported extraction type "${mode.type}"`);
+      }
+
+      // Runs in the browser, so it cannot reference anything from this module
+      const items = await page.$$eval(
+        selector,
+        (elements, { type, name }) =>
+          elements.map((element) => {
+            switch (type) {
+              case "innerText":
+                return element.innerText;
+              case "innerHTML":
+                return element.innerHTML;
+              case "outerHTML":
+                return element.outerHTML;
+              case "value":
+                return element.value;
+              case "attribute":
+                return element.getAttribute(name);
+              default:
+                return element.textContent;
+            }
+          }),
+        mode
+      );
+
+      // Elements without the requested content (e.g. a missing attribute) are skipped
+      return items
+        .filter((item) => item !== null && item !== undefined)
+        .map((item) => String(item).trim());
+    } catch (error) {
+      const extractionError = new Error(
+        `Failed to extract ${mode.type} list from selector "${selector}": ${error.message}`
+      );
+      this.logger.warn(`List extraction failed: ${selector}`, {
+        selector,
+        type: mode.type,
+        error: error.message,
+      });
+      throw extractionError;
+    }
+  }
+
   /**
    * Handle navigation and extraction errors with appropriate error types
    * @param {Error} error - Original error
    * @param {string} url - URL that was being accessed
-   * @param {string} selector - CSS selector that was being used
+   * @param {string} [selector] - CSS selector that was being used, if any
    * @returns {Error} - Formatted error with context
    */
   handleNavigationError(error, url, selector) {
@@ -224,6 +574,9 @@ class PageMonitor {
     }
 
     // Generic error with context
+    if (!selector) {
+      return new Error(`Page monitoring error for "${url}": ${errorMessage}`);
+    }
     return new Error(
       `Page monitoring error for "${url}" with selector "${selector}": ${errorMessage}`
     );
@@ -268,4 +621,6 @@ class PageMonitor {
   }
 }
 
+PageMonitor.EXTRACT_TYPES = EXTRACT_TYPES;
+
 module.exports = PageMonitor;
@@ -1,10 +1,19 @@
 const PageMonitor = require("./page-monitor");
+const ChangeDetector = require("./change-detector");
 
 // Mock Playwright page object
 const createMockPage = () => ({
   goto: jest.fn(),
   waitForSelector: jest.fn(),
   textContent: jest.fn(),
+  innerText: jest.fn(),
+  innerHTML: jest.fn(),
+  inputValue: jest.fn(),
+  getAttribute: jest.fn(),
+  $eval: jest.fn(),
+  $$eval: jest.fn(),
+  screenshot: jest.fn(),
+  locator: jest.fn(),
   isClosed: jest.fn(() => false),
 });
 
@@ -135,6 +144,50 @@ describe("PageMonitor", () => {
     });
   });
 
+  describe("navigate and extractFromPage", () => {
+    const url = "https://example.com/product";
+
+    it("should extract several selectors from one load", async () => {
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector.mockResolvedValue(createMockElement());
+      mockPage.textContent
+        .mockResolvedValueOnce(" $10 ")
+        .mockResolvedValueOnce("In stock");
+
+      await pageMonitor.navigate(mockPage, url);
+      const price = await pageMonitor.extractFromPage(mockPage, url, "#price");
+      const stock = await pageMonitor.extractFromPage(mockPage, url, "#stock");
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(1);
+      expect(mockPage.goto).toHaveBeenCalledWith(url, {
+        timeout: 30000,
+        waitUntil: "domcontentloaded",
+      });
+      expect([price, stock]).toEqual(["$10", "In stock"]);
+    });
+
+    it("should report navigation errors without a selector", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation failed"));
+
+      await expect(pageMonitor.navigate(mockPage, url)).rejects.toThrow(
+        'Page monitoring error for "https://example.com/product": Navigation failed'
+      );
+    });
+
+    it("should name the selector in extraction errors", async () => {
+      const timeoutError = new Error("Timeout");
+      timeoutError.name = "TimeoutError";
+      mockPage.waitForSelector.mockRejectedValue(timeoutError);
+
+      await expect(
+        pageMonitor.extractFromPage(mockPage, url, "#price")
+      ).rejects.toThrow(
+        'Page monitoring error for "https://example.com/product" with selector "#price": Timeout waiting for selector "#price" after 10000ms'
+      );
+      expect(mockPage.goto).not.toHaveBeenCalled();
+    });
+  });
+
   describe("waitForSelector", () => {
     it("should successfully wait for selector", async () => {
       const selector = "#test-element";
@@ -276,6 +329,270 @@ describe("PageMonitor", () => {
     });
   });
 
+  describe("extractContent", () => {
+    it("should default to text content extraction", async () => {
+      mockPage.textContent.mockResolvedValue("  Hello  ");
+
+      const result = await pageMonitor.extractContent(mockPage, "#title");
+
+      expect(mockPage.textContent).toHaveBeenCalledWith("#title");
+      expect(result).toBe("Hello");
+    });
+
+    it("should extract an attribute value", async () => {
+      mockPage.getAttribute.mockResolvedValue(" /downloads/v2.1.zip ");
+
+      const result = await pageMonitor.extractContent(mockPage, "a.download", {
+        type: "attribute",
+        name: "href",
+      });
+
+      expect(mockPage.getAttribute).toHaveBeenCalledWith("a.download", "href");
+      expect(result).toBe("/downloads/v2.1.zip");
+    });
+
+    it("should throw error when the attribute is missing", async () => {
+      mockPage.getAttribute.mockResolvedValue(null);
+
+      await expect(
+        pageMonitor.extractContent(mockPage, "img", {
+          type: "attribute",
+          name: "src",
+        })
+      ).rejects.toThrow(
+        'Failed to extract attribute from selector "img": No attribute "src" found for selector "img"'
+      );
+    });
+
+    it("should extract innerText, innerHTML and input values", async () => {
+      mockPage.innerText.mockResolvedValue("Visible text");
+      mockPage.innerHTML.mockResolvedValue("<b>Bold</b>");
+      mockPage.inputValue.mockResolvedValue("42");
+
+      expect(
+        await pageMonitor.extractContent(mockPage, "#a", { type: "innerText" })
+      ).toBe("Visible text");
+      expect(
+        await pageMonitor.extractContent(mockPage, "#b", { type: "innerHTML" })
+      ).toBe("<b>Bold</b>");
+      expect(
+        await pageMonitor.extractContent(mockPage, "#c", { type: "value" })
+      ).toBe("42");
+    });
+
+    it("should extract outerHTML", async () => {
+      mockPage.$eval.mockResolvedValue('<span id="d">Text</span>');
+
+      const result = await pageMonitor.extractContent(mockPage, "#d", {
+        type: "outerHTML",
+      });
+
+      expect(mockPage.$eval).toHaveBeenCalledWith("#d", expect.any(Function));
+      expect(result).toBe('<span id="d">Text</span>');
+    });
+
+    it("should pass the extraction mode through navigateAndExtract", async () => {
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector.mockResolvedValue(createMockElement());
+      mockPage.getAttribute.mockResolvedValue("product, sale");
+
+      const result = await pageMonitor.navigateAndExtract(
+        mockPage,
+        "https://example.com",
+        'meta[name="keywords"]',
+        { extract: { type: "attribute", name: "content" } }
+      );
+
+      expect(mockPage.getAttribute).toHaveBeenCalledWith(
+        'meta[name="keywords"]',
+        "content"
+      );
+      expect(mockPage.textContent).not.toHaveBeenCalled();
+      expect(result).toBe("product, sale");
+    });
+
+    it("should reject unsupported extraction types", async () => {
+      await expect(
+        pageMonitor.extractContent(mockPage, "#a", { type: "pixels" })
+      ).rejects.toThrow('Unsupported extraction type "pixels"');
+    });
+  });
+
+  describe("extractAllContent", () => {
+    it("should extract every matching element in order", async () => {
+      mockPage.$$eval.mockResolvedValue([" Release 1.2 ", "Release 1.1"]);
+
+      const result = await pageMonitor.extractAllContent(mockPage, ".release");
+
+      expect(mockPage.$$eval).toHaveBeenCalledWith(
+        ".release",
+        expect.any(Function),
+        { type: "text" }
+      );
+      expect(result).toEqual(["Release 1.2", "Release 1.1"]);
+    });
+
+    it("should skip elements without the requested attribute", async () => {
+      mockPage.$$eval.mockResolvedValue(["/a.png", null, "/c.png"]);
+
+      const result = await pageMonitor.extractAllContent(mockPage, "img", {
+        type: "attribute",
+        name: "src",
+      });
+
+      expect(result).toEqual(["/a.png", "/c.png"]);
+    });
+
+    it("should return a list from navigateAndExtract in multiple mode", async () => {
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector.mockResolvedValue(createMockElement());
+      mockPage.$$eval.mockResolvedValue(["Job A", "Job B"]);
+
+      const result = await pageMonitor.navigateAndExtract(
+        mockPage,
+        "https://example.com/jobs",
+        ".job",
+        { multiple: true }
+      );
+
+      expect(result).toEqual(["Job A", "Job B"]);
+      expect(mockPage.textContent).not.toHaveBeenCalled();
+    });
+
+    it("should report every item removed when a list becomes empty", async () => {
+      const timeoutError = new Error("Timeout 10000ms exceeded");
+      timeoutError.name = "TimeoutError";
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector
+        .mockResolvedValueOnce(createMockElement())
+        .mockRejectedValueOnce(timeoutError);
+      mockPage.$$eval
+        .mockResolvedValueOnce(["Job A", "Job B"])
+        .mockResolvedValueOnce([]);
+
+      const extract = () =>
+        pageMonitor.navigateAndExtract(
+          mockPage,
+          "https://example.com/jobs",
+          ".job",
+          { multiple: true }
+        );
+      const before = await extract();
+      const after = await extract();
+
+      expect(after).toEqual([]);
+      expect(new ChangeDetector().diffLists(before, after)).toEqual({
+        added: [],
+        removed: ["Job A", "Job B"],
+        reordered: false,
+      });
+    });
+
+    it("should still report other errors while waiting for list items", async () => {
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector.mockRejectedValue(
+        new Error("Target page, context or browser has been closed")
+      );
+
+      await expect(
+        pageMonitor.navigateAndExtract(
+          mockPage,
+          "https://example.com/jobs",
+          ".job",
+          { multiple: true }
+        )
+      ).rejects.toThrow("Target page, context or browser has been closed");
+      expect(mockPage.$$eval).not.toHaveBeenCalled();
+    });
+
+    it("should wrap extraction errors", async () => {
+      mockPage.$$eval.mockRejectedValue(
+        new Error("Execution context destroyed")
+      );
+
+      await expect(
+        pageMonitor.extractAllContent(mockPage, ".job")
+      ).rejects.toThrow(
+        'Failed to extract text list from selector ".job": Execution context destroyed'
+      );
+    });
+  });
+
+  describe("navigateAndScreenshot", () => {
+    const png = Buffer.from("png");
+
+    it("should capture the first matching element", async () => {
+      const elementScreenshot = jest.fn().mockResolvedValue(png);
+      mockPage.goto.mockResolvedValue();
+      mockPage.waitForSelector.mockResolvedValue(createMockElement());
+      mockPage.locator.mockReturnValue({
+        first: () => ({ screenshot: elementScreenshot }),
+      });
+
+      const result = await pageMonitor.navigateAndScreenshot(
+        mockPage,
+        "https://example.com",
+        "#banner"
+      );
+
+      expect(result).toBe(png);
+      expect(mockPage.locator).toHaveBeenCalledWith("#banner");
+      expect(elementScreenshot).toHaveBeenCalledWith({
+        type: "png",
+        animations: "disabled",
+        timeout: 10000,
+      });
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+    });
+
+    it("should capture the full page without a selector", async () => {
+      mockPage.goto.mockResolvedValue();
+      mockPage.screenshot.mockResolvedValue(png);
+
+      const result = await pageMonitor.navigateAndScreenshot(
+        mockPage,
+        "https://example.com"
+      );
+
+      expect(result).toBe(png);
+      expect(mockPage.waitForSelector).not.toHaveBeenCalled();
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: "png",
+        animations: "disabled",
+        fullPage: true,
+      });
+    });
+
+    it("should wrap navigation errors", async () => {
+      const error = new Error("net::ERR_NAME_NOT_RESOLVED");
+      mockPage.goto.mockRejectedValue(error);
+
+      await expect(
+        pageMonitor.navigateAndScreenshot(mockPage, "https://invalid.test")
+      ).rejects.toThrow('Network error loading "https://invalid.test"');
+    });
+  });
+
+  describe("captureScreenshot", () => {
+    it("should capture the element on the loaded page without navigating", async () => {
+      const elementScreenshot = jest.fn().mockResolvedValue(Buffer.from("png"));
+      mockPage.locator.mockReturnValue({
+        first: () => ({ screenshot: elementScreenshot }),
+      });
+
+      await pageMonitor.captureScreenshot(mockPage, "#price", {
+        timeout: 500,
+      });
+
+      expect(mockPage.goto).not.toHaveBeenCalled();
+      expect(elementScreenshot).toHaveBeenCalledWith({
+        type: "png",
+        animations: "disabled",
+        timeout: 500,
+      });
+    });
+  });
+
   describe("handleNavigationError", () => {
     it("should handle navigation timeout errors", () => {
       const error = new Error("Navigation timeout");
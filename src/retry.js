@@ -0,0 +1,141 @@
+/**
+ * Retries of HTTP requests with exponential backoff. Network errors, rate
+ * limits (429) and server errors (5xx) are retried; a Retry-After answer is
+ * honored instead of the backoff, unless it asks to wait longer than the
+ * longest backoff, in which case the request fails right away.
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a failed axios request may succeed when sent again
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx answers
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  return Boolean(error.request);
+}
+
+/**
+ * Get how long the server asked to wait before the next request, from the
+ * Retry-After header in seconds or as a date, or from the retry_after
+ * parameter of the Telegram Bot API
+ * @param {Error} error - Error thrown by axios
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null if not given
+ */
+function getRetryAfter(error, now = Date.now()) {
+  const response = error.response;
+  if (!response) {
+    return null;
+  }
+
+  const header = response.headers && response.headers["retry-after"];
+  if (header !== undefined && header !== null && header !== "") {
+    const value = String(header).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const parameters = response.data && response.data.parameters;
+  if (parameters && typeof parameters.retry_after === "number") {
+    return parameters.retry_after * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Get the delay before the next attempt: the Retry-After of the answer, or
+ * the exponential backoff with jitter, so concurrent runs spread out
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @param {Object} options - Retry options with minDelay and maxDelay
+ * @returns {number|null} Milliseconds to wait, or null if the server asked
+ *   to wait longer than maxDelay
+ */
+function getRetryDelay(error, attempt, { minDelay, maxDelay }) {
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) {
+    return retryAfter <= maxDelay ? retryAfter : null;
+  }
+
+  const backoff = Math.min(maxDelay, minDelay * 2 ** attempt);
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+/**
+ * Run a request, retrying it with backoff while it fails with a retryable
+ * error
+ * @param {Function} request - Sends the request, e.g. () => axios.post(...)
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.minDelay=1000] - Backoff before the first retry, in ms
+ * @param {number} [options.maxDelay=30000] - Longest wait before a retry, in ms
+ * @param {Function} [options.onRetry] - Called with (error, retry, delay)
+ *   before each retry
+ * @param {Function} [options.sleep] - Waits the given milliseconds
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} Error of the last attempt
+ */
+async function withRetry(request, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, sleep, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= settings.retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, settings);
+      if (delay === null) {
+        throw error;
+      }
+      if (settings.onRetry) {
+        settings.onRetry(error, attempt + 1, delay);
+      }
+      await settings.sleep(delay);
+    }
+  }
+}
+
+/**
+ * Describe why a request is retried, for log messages
+ * @param {Error} error - Error thrown by axios
+ * @returns {string} E.g. "status 429" or "network error"
+ */
+function describeRetryReason(error) {
+  return error.response ? `status ${error.response.status}` : "network error";
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  isRetryableError,
+  getRetryAfter,
+  getRetryDelay,
+  withRetry,
+  describeRetryReason,
+};
@@ -0,0 +1,136 @@
+const {
+  isRetryableError,
+  getRetryAfter,
+  getRetryDelay,
+  withRetry,
+} = require("./retry");
+
+describe("retry", () => {
+  const httpError = (status, headers = {}, data = "") => ({
+    response: { status, headers, data },
+  });
+
+  describe("isRetryableError", () => {
+    test("should retry network errors, rate limits and server errors", () => {
+      expect(isRetryableError({ request: {} })).toBe(true);
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+    });
+
+    test("should not retry client errors or errors before sending", () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(new Error("Invalid URL"))).toBe(false);
+    });
+  });
+
+  describe("getRetryAfter", () => {
+    test("should read Retry-After in seconds or as a date", () => {
+      const now = Date.parse("2025-07-25T15:30:00Z");
+
+      expect(getRetryAfter(httpError(429, { "retry-after": "30" }))).toBe(
+        30000
+      );
+      expect(
+        getRetryAfter(
+          httpError(503, { "retry-after": "Fri, 25 Jul 2025 15:30:05 GMT" }),
+          now
+        )
+      ).toBe(5000);
+    });
+
+    test("should read the retry_after parameter of the Telegram Bot API", () => {
+      const error = httpError(429, {}, { parameters: { retry_after: 3 } });
+
+      expect(getRetryAfter(error)).toBe(3000);
+    });
+
+    test("should return null without a wait time", () => {
+      expect(getRetryAfter(httpError(429))).toBeNull();
+      expect(
+        getRetryAfter(httpError(429, { "retry-after": "soon" }))
+      ).toBeNull();
+      expect(getRetryAfter({ request: {} })).toBeNull();
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    const options = { minDelay: 1000, maxDelay: 30000 };
+
+    test("should double the backoff with each attempt, up to maxDelay", () => {
+      jest.spyOn(Math, "random").mockReturnValue(1);
+
+      expect(getRetryDelay({ request: {} }, 0, options)).toBe(1000);
+      expect(getRetryDelay({ request: {} }, 2, options)).toBe(4000);
+      expect(getRetryDelay({ request: {} }, 10, options)).toBe(30000);
+
+      Math.random.mockReturnValue(0);
+      expect(getRetryDelay({ request: {} }, 2, options)).toBe(2000);
+
+      Math.random.mockRestore();
+    });
+
+    test("should honor Retry-After up to maxDelay", () => {
+      expect(
+        getRetryDelay(httpError(429, { "retry-after": "10" }), 0, options)
+      ).toBe(10000);
+      expect(
+        getRetryDelay(httpError(429, { "retry-after": "3600" }), 0, options)
+      ).toBeNull();
+    });
+  });
+
+  describe("withRetry", () => {
+    test("should retry until the request succeeds", async () => {
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce({ request: {} })
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValue({ status: 200 });
+      const sleep = jest.fn();
+      const onRetry = jest.fn();
+
+      await expect(withRetry(request, { sleep, onRetry })).resolves.toEqual({
+        status: 200,
+      });
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenNthCalledWith(
+        2,
+        httpError(502),
+        2,
+        expect.any(Number)
+      );
+    });
+
+    test("should give up after the configured retries", async () => {
+      const error = httpError(500);
+      const request = jest.fn().mockRejectedValue(error);
+
+      await expect(
+        withRetry(request, { retries: 2, sleep: jest.fn() })
+      ).rejects.toBe(error);
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    test("should not retry client errors", async () => {
+      const error = httpError(404);
+      const request = jest.fn().mockRejectedValue(error);
+      const sleep = jest.fn();
+
+      await expect(withRetry(request, { sleep })).rejects.toBe(error);
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test("should give up when Retry-After exceeds maxDelay", async () => {
+      const error = httpError(429, { "retry-after": "120" });
+      const request = jest.fn().mockRejectedValue(error);
+
+      await expect(
+        withRetry(request, { maxDelay: 60000, sleep: jest.fn() })
+      ).rejects.toBe(error);
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+  });
+});
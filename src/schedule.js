@@ -0,0 +1,100 @@
+/**
+ * Check schedules of the watch mode: fixed intervals such as "15m", or cron
+ * expressions such as "0 7-22 * * *" evaluated in the local time zone.
+ */
+
+const cronParser = require("cron-parser");
+
+// Interval of targets without an interval or cron expression of their own
+const DEFAULT_INTERVAL = "1h";
+
+// Longest random delay added to each scheduled check, so that targets
+// sharing a schedule do not all load at the same moment
+const DEFAULT_JITTER = "30s";
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as "30s", "15m", "6h" or "1d"
+ * @param {*} value - Duration to parse
+ * @returns {number|null} Milliseconds, or null if the value is not a duration
+ */
+function parseDuration(value) {
+  const match =
+    typeof value === "string" && /^(\d+)\s*([smhd])$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Parse a cron expression with five fields, or six with seconds first
+ * @param {string} expression - Cron expression, e.g. "0 7-22 * * *"
+ * @param {Date} [currentDate] - Time the occurrences are counted from
+ * @returns {Object} cron-parser iterator over the occurrences
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression, currentDate = new Date()) {
+  if (typeof expression !== "string" || expression.trim().length === 0) {
+    throw new Error("Cron expression must be a non-empty string");
+  }
+
+  try {
+    return cronParser.parseExpression(expression, { currentDate });
+  } catch (error) {
+    throw new Error(
+      `Invalid cron expression "${expression}": ${error.message}`
+    );
+  }
+}
+
+/**
+ * Create the schedule of a target
+ * @param {Object} settings - Schedule {interval} or {cron}; the cron
+ *   expression wins if both are given
+ * @returns {Object} Schedule {key, first(now), next(after)}: key identifies
+ *   the schedule, first returns the time of the first check after starting,
+ *   next the time of the check following a check
+ */
+function createSchedule({ interval, cron }) {
+  if (cron) {
+    parseCron(cron);
+    const next = (after) => parseCron(cron, after).next().toDate();
+    return { key: `cron ${cron}`, first: next, next };
+  }
+
+  const ms = parseDuration(interval || DEFAULT_INTERVAL);
+  if (!ms) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  // Intervals start with a check right away
+  return {
+    key: `every ${interval || DEFAULT_INTERVAL}`,
+    first: (now) => now,
+    next: (after) => new Date(after.getTime() + ms),
+  };
+}
+
+/**
+ * Get a random delay for a check
+ * @param {number} maxJitter - Longest delay in milliseconds
+ * @returns {number} Delay between 0 and maxJitter milliseconds
+ */
+function getJitter(maxJitter) {
+  return Math.round(Math.random() * maxJitter);
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  DEFAULT_JITTER,
+  parseDuration,
+  parseCron,
+  createSchedule,
+  getJitter,
+};
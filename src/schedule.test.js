@@ -0,0 +1,72 @@
+const {
+  parseDuration,
+  parseCron,
+  createSchedule,
+  getJitter,
+} = require("./schedule");
+
+describe("schedule", () => {
+  describe("parseDuration", () => {
+    test("should parse seconds, minutes, hours and days", () => {
+      expect(parseDuration("30s")).toBe(30000);
+      expect(parseDuration("15m")).toBe(900000);
+      expect(parseDuration("6h")).toBe(21600000);
+      expect(parseDuration("1d")).toBe(86400000);
+      expect(parseDuration("0s")).toBe(0);
+    });
+
+    test("should return null for anything else", () => {
+      expect(parseDuration("15")).toBeNull();
+      expect(parseDuration("1.5h")).toBeNull();
+      expect(parseDuration("2w")).toBeNull();
+      expect(parseDuration(900)).toBeNull();
+    });
+  });
+
+  describe("parseCron", () => {
+    test("should name the expression and the problem when invalid", () => {
+      expect(() => parseCron("61 * * * *")).toThrow(
+        'Invalid cron expression "61 * * * *"'
+      );
+      expect(() => parseCron("")).toThrow(
+        "Cron expression must be a non-empty string"
+      );
+    });
+  });
+
+  describe("createSchedule", () => {
+    const now = new Date(2025, 6, 25, 10, 30);
+
+    test("should check intervals right away and then every interval", () => {
+      const schedule = createSchedule({ interval: "15m" });
+
+      expect(schedule.key).toBe("every 15m");
+      expect(schedule.first(now)).toBe(now);
+      expect(schedule.next(now)).toEqual(new Date(2025, 6, 25, 10, 45));
+    });
+
+    test("should check cron schedules at their next occurrence", () => {
+      const schedule = createSchedule({ cron: "0 7,12,18 * * *" });
+
+      expect(schedule.key).toBe("cron 0 7,12,18 * * *");
+      expect(schedule.first(now)).toEqual(new Date(2025, 6, 25, 12, 0));
+      expect(schedule.next(new Date(2025, 6, 25, 18, 0))).toEqual(
+        new Date(2025, 6, 26, 7, 0)
+      );
+    });
+
+    test("should default to an hourly interval", () => {
+      expect(createSchedule({}).key).toBe("every 1h");
+    });
+  });
+
+  test("should keep the jitter within its maximum", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.999);
+    expect(getJitter(30000)).toBe(29970);
+
+    Math.random.mockReturnValue(0);
+    expect(getJitter(30000)).toBe(0);
+
+    Math.random.mockRestore();
+  });
+});
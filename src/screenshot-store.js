@@ -0,0 +1,214 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { writeFileAtomic } = require("./atomic-write");
+const { diffImages } = require("./image-diff");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+
+/**
+ * ScreenshotStore keeps the screenshots of visual monitoring targets in the
+ * data directory, one directory per target ID holding the accepted
+ * baseline.png, the latest current.png and the diff.png between them. Text
+ * targets with screenshot_on_change keep the element screenshots taken when
+ * their value changed in the changes/ directory of the target.
+ */
+class ScreenshotStore {
+  /**
+   * @param {string} dataDir - Data directory
+   * @param {string} [dirName] - Name of the screenshot directory (default: screenshots)
+   */
+  constructor(dataDir, dirName = "screenshots") {
+    if (!dataDir || typeof dataDir !== "string") {
+      throw new Error("Screenshot data directory is required");
+    }
+
+    this.dataDir = dataDir;
+    this.rootDir = path.join(dataDir, dirName);
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Get the screenshot paths of a target
+   * @param {string} targetId - Target ID
+   * @returns {Object} Paths of the baseline, current and diff images
+   */
+  getPaths(targetId) {
+    const targetDir = path.join(this.rootDir, targetId);
+    return {
+      baseline: path.join(targetDir, "baseline.png"),
+      current: path.join(targetDir, "current.png"),
+      diff: path.join(targetDir, "diff.png"),
+    };
+  }
+
+  /**
+   * Hash an image, identifying it in the state file and history
+   * @param {Buffer} buffer - PNG image
+   * @returns {string} Hash, e.g. "sha256:9f86d0..."
+   */
+  hashImage(buffer) {
+    return `sha256:${crypto.createHash("sha256").update(buffer).digest("hex")}`;
+  }
+
+  /**
+   * Store a new screenshot as current.png and compare it to the baseline
+   * @param {string} targetId - Target ID
+   * @param {Buffer} screenshot - Newly captured PNG
+   * @param {Object} [options] - Comparison options (see diffImages)
+   * @returns {Promise<Object>} Comparison with hasBaseline, changedPixels,
+   *   totalPixels, changedPercent, baselineHash, currentHash and paths
+   */
+  async compare(targetId, screenshot, options = {}) {
+    const paths = this.getPaths(targetId);
+
+    try {
+      await fs.mkdir(path.dirname(paths.current), { recursive: true });
+      await writeFileAtomic(paths.current, screenshot);
+
+      let baseline;
+      try {
+        baseline = await fs.readFile(paths.baseline);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+        return {
+          hasBaseline: false,
+          changedPixels: null,
+          totalPixels: null,
+          changedPercent: null,
+          baselineHash: null,
+          currentHash: this.hashImage(screenshot),
+          paths,
+        };
+      }
+
+      const { diffBuffer, ...diff } = diffImages(baseline, screenshot, options);
+      await writeFileAtomic(paths.diff, diffBuffer);
+
+      return {
+        hasBaseline: true,
+        changedPixels: diff.changedPixels,
+        totalPixels: diff.totalPixels,
+        changedPercent: diff.changedPercent,
+        baselineHash: this.hashImage(baseline),
+        currentHash: this.hashImage(screenshot),
+        paths,
+      };
+    } catch (error) {
+      const screenshotError = new Error(
+        `Failed to compare screenshot for target ${targetId}: ${error.message}`
+      );
+      this.errorHandler.handleError(screenshotError, {
+        type: "persistence",
+        operation: "compareScreenshot",
+        targetId,
+      });
+      throw screenshotError;
+    }
+  }
+
+  /**
+   * Make the current screenshot of a target its new baseline
+   * @param {string} targetId - Target ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the target has no current screenshot
+   */
+  async acceptCurrent(targetId) {
+    const paths = this.getPaths(targetId);
+
+    try {
+      const current = await fs.readFile(paths.current);
+      await writeFileAtomic(paths.baseline, current);
+    } catch (error) {
+      throw new Error(
+        `Failed to update screenshot baseline for target ${targetId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the directory holding the change screenshots of a target
+   * @param {string} targetId - Target ID
+   * @returns {string} Directory path
+   */
+  getChangesDir(targetId) {
+    return path.join(this.rootDir, targetId, "changes");
+  }
+
+  /**
+   * Store the screenshot taken when a target's value changed
+   * @param {string} targetId - Target ID
+   * @param {Buffer} screenshot - PNG image
+   * @param {string} timestamp - ISO timestamp of the check, used as file name
+   * @returns {Promise<string>} Path of the stored screenshot
+   */
+  async saveChangeScreenshot(targetId, screenshot, timestamp) {
+    const changesDir = this.getChangesDir(targetId);
+    // Colons are not allowed in Windows file names
+    const filePath = path.join(
+      changesDir,
+      `${timestamp.replace(/[:.]/g, "-")}.png`
+    );
+
+    try {
+      await fs.mkdir(changesDir, { recursive: true });
+      await writeFileAtomic(filePath, screenshot);
+      return filePath;
+    } catch (error) {
+      throw new Error(
+        `Failed to save change screenshot for target ${targetId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the most recent change screenshot of a target
+   * @param {string} targetId - Target ID
+   * @returns {Promise<string|null>} Path of the screenshot, or null if none exists
+   */
+  async getLatestChangeScreenshot(targetId) {
+    const changesDir = this.getChangesDir(targetId);
+
+    let fileNames;
+    try {
+      fileNames = await fs.readdir(changesDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+
+    // Timestamp file names sort chronologically
+    const latest = fileNames
+      .filter((fileName) => fileName.endsWith(".png"))
+      .sort()
+      .pop();
+    return latest ? path.join(changesDir, latest) : null;
+  }
+
+  /**
+   * Get the URL of a stored screenshot when the data directory is served by
+   * a web server
+   * @param {string} filePath - Path of a screenshot inside the data directory
+   * @param {string} [baseUrl] - URL the data directory is served from
+   * @returns {string|null} Screenshot URL, or null without a base URL
+   */
+  getPublicUrl(filePath, baseUrl) {
+    if (!baseUrl) {
+      return null;
+    }
+
+    const relativePath = path
+      .relative(this.dataDir, filePath)
+      .split(path.sep)
+      .map(encodeURIComponent)
+      .join("/");
+    return `${baseUrl.replace(/\/+$/, "")}/${relativePath}`;
+  }
+}
+
+module.exports = ScreenshotStore;
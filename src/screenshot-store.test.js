@@ -0,0 +1,124 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { PNG } = require("pngjs");
+const ScreenshotStore = require("./screenshot-store");
+
+const createPng = (width, height, gray) => {
+  const png = new PNG({ width, height });
+  png.data.fill(gray);
+  for (let index = 3; index < png.data.length; index += 4) {
+    png.data[index] = 255;
+  }
+  return PNG.sync.write(png);
+};
+
+describe("ScreenshotStore", () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "screenshot-store-"));
+    store = new ScreenshotStore(path.join(tempDir, "data"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("should require a data directory", () => {
+    expect(() => new ScreenshotStore()).toThrow(
+      "Screenshot data directory is required"
+    );
+  });
+
+  test("should keep one directory per target", () => {
+    expect(store.getPaths("abc123")).toEqual({
+      baseline: path.join(
+        tempDir,
+        "data",
+        "screenshots",
+        "abc123",
+        "baseline.png"
+      ),
+      current: path.join(
+        tempDir,
+        "data",
+        "screenshots",
+        "abc123",
+        "current.png"
+      ),
+      diff: path.join(tempDir, "data", "screenshots", "abc123", "diff.png"),
+    });
+  });
+
+  test("should store the first screenshot without a baseline", async () => {
+    const image = createPng(4, 4, 255);
+
+    const comparison = await store.compare("abc123", image);
+
+    expect(comparison.hasBaseline).toBe(false);
+    expect(comparison.changedPercent).toBeNull();
+    expect(comparison.currentHash).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(await fs.readFile(comparison.paths.current)).toEqual(image);
+  });
+
+  test("should compare against the accepted baseline", async () => {
+    const white = createPng(4, 4, 255);
+    const black = createPng(4, 4, 0);
+
+    await store.compare("abc123", white);
+    await store.acceptCurrent("abc123");
+
+    const unchanged = await store.compare("abc123", white);
+    expect(unchanged.hasBaseline).toBe(true);
+    expect(unchanged.changedPercent).toBe(0);
+    expect(unchanged.baselineHash).toBe(unchanged.currentHash);
+
+    const changed = await store.compare("abc123", black);
+    expect(changed.changedPercent).toBe(100);
+    expect(changed.baselineHash).not.toBe(changed.currentHash);
+    await expect(fs.access(changed.paths.diff)).resolves.toBeUndefined();
+
+    // The baseline only moves when the change is accepted
+    expect(await fs.readFile(changed.paths.baseline)).toEqual(white);
+    await store.acceptCurrent("abc123");
+    expect(await fs.readFile(changed.paths.baseline)).toEqual(black);
+  });
+
+  test("should keep the screenshots taken on changes", async () => {
+    expect(await store.getLatestChangeScreenshot("abc123")).toBeNull();
+
+    const first = await store.saveChangeScreenshot(
+      "abc123",
+      createPng(2, 2, 255),
+      "2025-01-01T09:00:00.000Z"
+    );
+    const second = await store.saveChangeScreenshot(
+      "abc123",
+      createPng(2, 2, 0),
+      "2025-01-02T09:00:00.000Z"
+    );
+
+    expect(path.basename(first)).toBe("2025-01-01T09-00-00-000Z.png");
+    expect(path.dirname(second)).toBe(store.getChangesDir("abc123"));
+    expect(await store.getLatestChangeScreenshot("abc123")).toBe(second);
+  });
+
+  test("should build screenshot URLs relative to the data directory", () => {
+    const filePath = path.join(store.getChangesDir("abc123"), "shot 1.png");
+
+    expect(store.getPublicUrl(filePath)).toBeNull();
+    expect(
+      store.getPublicUrl(filePath, "https://monitor.example.com/data/")
+    ).toBe(
+      "https://monitor.example.com/data/screenshots/abc123/changes/shot%201.png"
+    );
+  });
+
+  test("should fail to accept a target without a current screenshot", async () => {
+    await expect(store.acceptCurrent("missing")).rejects.toThrow(
+      "Failed to update screenshot baseline for target missing"
+    );
+  });
+});
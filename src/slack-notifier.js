@@ -1,15 +1,139 @@
 const axios = require("axios");
-const Logger = require("./logger");
-const { ErrorHandler } = require("./error-handler");
+const NotifierBase = require("./notifier-base");
+const { withRetry, describeRetryReason } = require("./retry");
+const changeFormat = require("./change-format");
+
+// Block Kit limits: blocks per message and characters of a section text
+const MAX_BLOCKS = 50;
+const MAX_SECTION_LENGTH = 3000;
+
+// Values longer than this are cut, noting how many characters were left out
+const MAX_VALUE_LENGTH = 500;
+
+// URLs and selectors of digest lines are cut to keep one line per change
+const MAX_DIGEST_VALUE_LENGTH = 200;
+
+/**
+ * Escape the characters Slack's mrkdwn uses for links and mentions
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escape the URL of a mrkdwn link, which must not contain <, > or |
+ * @param {string} url - URL to escape
+ * @returns {string} Escaped URL
+ */
+function escapeLinkUrl(url) {
+  return String(url).replace(/[<>|]/g, (char) => encodeURIComponent(char));
+}
+
+/**
+ * Shorten a value to MAX_VALUE_LENGTH characters, noting how many characters
+ * were left out, e.g. "Lorem ipsum… 1200 more chars"
+ * @param {*} value - Value to shorten
+ * @returns {string} Shortened value
+ */
+function truncateValue(value) {
+  const text = String(value);
+  if (text.length <= MAX_VALUE_LENGTH) {
+    return text;
+  }
+  return `${text.slice(0, MAX_VALUE_LENGTH)}… ${
+    text.length - MAX_VALUE_LENGTH
+  } more chars`;
+}
+
+/**
+ * Format a value as escaped mrkdwn, shortened to MAX_VALUE_LENGTH characters
+ * and followed by a note of the characters left out
+ * @param {*} value - Value to format
+ * @param {Function} [wrap] - Formatting applied to the shown, escaped text
+ * @returns {string} Formatted value
+ */
+function formatValue(value, wrap = (text) => text) {
+  const text = String(value);
+  if (text.length <= MAX_VALUE_LENGTH) {
+    return wrap(escapeText(text));
+  }
+  return `${wrap(escapeText(text.slice(0, MAX_VALUE_LENGTH)))} _… ${
+    text.length - MAX_VALUE_LENGTH
+  } more chars_`;
+}
+
+/**
+ * Pack lines into section blocks of at most MAX_SECTION_LENGTH characters.
+ * Lines that do not fit into the available blocks are counted in a closing
+ * context block.
+ * @param {string[]} lines - Lines to pack
+ * @param {number} maxBlocks - Number of blocks available
+ * @param {string} noun - What a line is, e.g. "line" or "change"
+ * @returns {Object[]} Blocks
+ */
+function packSections(lines, maxBlocks, noun) {
+  const sections = [];
+  for (const line of lines) {
+    const text = changeFormat.truncate(line, MAX_SECTION_LENGTH);
+    const last = sections[sections.length - 1];
+    if (last && last.text.length + 1 + text.length <= MAX_SECTION_LENGTH) {
+      last.text += `\n${text}`;
+      last.count += 1;
+    } else {
+      sections.push({ text, count: 1 });
+    }
+  }
+
+  if (sections.length <= maxBlocks) {
+    return sections.map((section) => mrkdwnSection(section.text));
+  }
+
+  const shown = sections.slice(0, Math.max(maxBlocks - 1, 0));
+  const omitted =
+    lines.length - shown.reduce((sum, section) => sum + section.count, 0);
+  return [
+    ...shown.map((section) => mrkdwnSection(section.text)),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_… ${changeFormat.pluralize(omitted, `more ${noun}`)}_`,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Create a section block with mrkdwn text
+ * @param {string} text - Section text
+ * @returns {Object} Block
+ */
+function mrkdwnSection(text) {
+  return { type: "section", text: { type: "mrkdwn", text } };
+}
 
 /**
  * SlackNotifier handles sending change notifications to Slack via webhooks
  */
-class SlackNotifier {
+class SlackNotifier extends NotifierBase {
   constructor(webhookUrl) {
+    super("Slack");
     this.webhookUrl = webhookUrl;
-    this.logger = new Logger();
-    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Get the setting notifications cannot be sent without, if it is missing
+   * @returns {string|null} - "webhook URL" without one, else null
+   */
+  getMissingSetting() {
+    return this.webhookUrl ? null : "webhook URL";
   }
 
   /**
@@ -22,46 +146,242 @@ class SlackNotifier {
    * @returns {Promise<boolean>} - True if notification sent successfully
    */
   async sendChangeNotification(changeRecord) {
-    if (!this.webhookUrl) {
-      this.logger.warn("No Slack webhook URL provided, skipping notification");
-      return false;
-    }
+    return this.send("change", changeRecord);
+  }
 
-    const url = changeRecord?.entry?.url || "unknown URL";
+  /**
+   * Send one message listing all changes of a run, grouped by domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {Object} [options] - Digest options
+   * @param {string} [options.groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<boolean>} - True if the digest was sent successfully
+   */
+  async sendDigest(changes, { groupBy = "domain" } = {}) {
+    return this.send("digest", changes, { groupBy });
+  }
 
-    try {
-      this.logger.debug(`Preparing Slack notification for ${url}`, { url });
+  /**
+   * Send a notification that a target broke after failing several runs in a
+   * row, or that it recovered
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
 
-      const message = this.formatMessage(changeRecord);
-      const success = await this.sendWebhook(message);
+  /**
+   * Format a target status into a Block Kit message: a header, the target,
+   * the failure streak and, for broken targets, the error with suggestions
+   * @param {Object} statusRecord - Target status
+   * @returns {Object} - Formatted Slack message payload
+   */
+  formatTargetStatus(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { title, summary } = changeFormat.describeTargetStatus(statusRecord);
 
-      if (success) {
-        this.logger.success(`Slack notification sent for ${url}`);
-      } else {
-        this.logger.warn(`Slack notification failed for ${url}`);
-      }
+    const blocks = [
+      {
+        type: "header",
+        text: { type: "plain_text", text: title, emoji: true },
+      },
+      mrkdwnSection(
+        `*URL:* <${escapeLinkUrl(entry.url)}|${formatValue(entry.url)}>`
+      ),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `*Selector:* ${formatValue(
+              changeFormat.describeSelector(entry),
+              (text) => `\`${text}\``
+            )}`,
+          },
+          { type: "mrkdwn", text: `*Checked:* ${this.formatTime(timestamp)}` },
+        ],
+      },
+      mrkdwnSection(escapeText(summary)),
+    ];
 
-      return success;
-    } catch (error) {
-      this.errorHandler.handleError(error, {
-        type: "notification",
-        operation: "sendChangeNotification",
-        url,
-      });
-      return false;
+    if (error) {
+      blocks.push(
+        mrkdwnSection(
+          changeFormat.truncate(
+            changeFormat
+              .formatTargetError(error)
+              .map((line) => escapeText(line).replace(/^([^:•]+):/, "*$1:*"))
+              .join("\n"),
+            MAX_SECTION_LENGTH
+          )
+        )
+      );
     }
+
+    return {
+      text: `${title}: ${entry.url}\n${summary}`,
+      blocks,
+      username: "Web Element Monitor",
+      icon_emoji: ":mag:",
+    };
   }
 
   /**
-   * Format a change record into a structured Slack message
+   * Format a change record into a Block Kit message: a header, the URL, the
+   * selector and time, and the diff with removed text struck through and added
+   * text in bold. The message text is the fallback shown in notifications.
    * @param {Object} changeRecord - The change detection result
    * @returns {Object} - Formatted Slack message payload
    */
   formatMessage(changeRecord) {
-    const { entry, oldValue, newValue, timestamp } = changeRecord;
+    const { entry, timestamp } = changeRecord;
+    const displayTime = this.formatTime(timestamp);
 
-    // Format timestamp for display
-    const displayTime = new Date(timestamp).toLocaleString("en-US", {
+    const blocks = [
+      {
+        type: "header",
+        text: { type: "plain_text", text: "🔔 Change Detected", emoji: true },
+      },
+      mrkdwnSection(
+        `*URL:* <${escapeLinkUrl(entry.url)}|${formatValue(entry.url)}>`
+      ),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `*Selector:* ${formatValue(
+              changeFormat.describeSelector(entry),
+              (text) => `\`${text}\``
+            )}`,
+          },
+          { type: "mrkdwn", text: `*Checked:* ${displayTime}` },
+        ],
+      },
+    ];
+
+    const details = this.formatDetails(changeRecord);
+    if (details.length > 0) {
+      blocks.push(mrkdwnSection(details.join("\n")));
+    }
+
+    const screenshotBlocks = this.formatScreenshotBlocks(
+      changeRecord.screenshots
+    );
+    blocks.push(
+      ...this.formatDiffBlocks(
+        changeRecord,
+        MAX_BLOCKS - blocks.length - screenshotBlocks.length
+      ),
+      ...screenshotBlocks
+    );
+
+    return {
+      text: this.formatText(changeRecord, displayTime),
+      blocks,
+      username: "Web Element Monitor",
+      icon_emoji: ":mag:",
+    };
+  }
+
+  /**
+   * Format the changes of a run into one Block Kit message: a summary count,
+   * then the changes of each domain or tag on one line each
+   * @param {Array<Object>} changes - Change detection results
+   * @param {string} [groupBy="domain"] - "domain" or "tag"
+   * @returns {Object} - Formatted Slack message payload
+   */
+  formatDigest(changes, groupBy = "domain") {
+    const groups = changeFormat.groupChanges(changes, groupBy);
+    const summary = changeFormat.formatDigestSummary(changes, groupBy);
+
+    const lines = [];
+    for (const group of groups) {
+      group.changes.forEach((change, index) => {
+        const line = this.formatDigestLine(change);
+        lines.push(
+          index === 0
+            ? `*${escapeText(group.name)}* (${group.changes.length})\n${line}`
+            : line
+        );
+      });
+    }
+
+    const blocks = [
+      {
+        type: "header",
+        text: { type: "plain_text", text: "🔔 Change Digest", emoji: true },
+      },
+      mrkdwnSection(`*${escapeText(summary)}*`),
+    ];
+    const footer = {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `*Checked:* ${this.formatTime(
+            changes[changes.length - 1].timestamp
+          )}`,
+        },
+      ],
+    };
+    blocks.push(
+      ...packSections(lines, MAX_BLOCKS - blocks.length - 1, "change"),
+      footer
+    );
+
+    const text = [
+      `🔔 Change Digest: ${summary}`,
+      ...groups.map(
+        (group) =>
+          `• ${group.name}: ${changeFormat.pluralize(
+            group.changes.length,
+            "change"
+          )}`
+      ),
+    ].join("\n");
+
+    return {
+      text,
+      blocks,
+      username: "Web Element Monitor",
+      icon_emoji: ":mag:",
+    };
+  }
+
+  /**
+   * Format a change as one digest line: the URL as a link, the selector and
+   * a summary of the change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string} - Formatted line
+   */
+  formatDigestLine(changeRecord) {
+    const { entry } = changeRecord;
+    const label = escapeText(
+      changeFormat.truncate(entry.url, MAX_DIGEST_VALUE_LENGTH)
+    );
+    const selector = escapeText(
+      changeFormat.truncate(
+        changeFormat.describeSelector(entry),
+        MAX_DIGEST_VALUE_LENGTH
+      )
+    );
+
+    return `• <${escapeLinkUrl(
+      entry.url
+    )}|${label}> \`${selector}\`: ${escapeText(
+      changeFormat.summarizeChange(changeRecord)
+    )}`;
+  }
+
+  /**
+   * Format the time of a check for display
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - Formatted time, e.g. "07/25/2025, 03:30 PM"
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString("en-US", {
       year: "numeric",
       month: "2-digit",
       day: "2-digit",
@@ -69,21 +389,266 @@ class SlackNotifier {
       minute: "2-digit",
       hour12: true,
     });
+  }
 
-    const text = [
+  /**
+   * Format the numeric delta, raw value and visual change of a change as
+   * mrkdwn lines
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string[]} - Message lines
+   */
+  formatDetails(changeRecord) {
+    const lines = [];
+
+    if (changeRecord.visual) {
+      lines.push(
+        `*Visual change:* ${escapeText(
+          changeFormat.formatVisualChange(changeRecord.visual)
+        )}`
+      );
+      if (changeRecord.visual.paths) {
+        lines.push(
+          `*Diff image:* ${formatValue(
+            changeRecord.visual.paths.diff,
+            (text) => `\`${text}\``
+          )}`
+        );
+      }
+    }
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      lines.push(
+        `*Change:* ${escapeText(
+          this.formatNumericChange(changeRecord.numeric)
+        )}`
+      );
+    }
+    if (
+      !changeRecord.listDiff &&
+      !changeRecord.visual &&
+      changeRecord.rawValue !== undefined &&
+      changeRecord.rawValue !== changeRecord.newValue
+    ) {
+      lines.push(`*Raw:* ${formatValue(changeRecord.rawValue)}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the diff of a change as section blocks within Slack's limits
+   * @param {Object} changeRecord - The change detection result
+   * @param {number} maxBlocks - Number of blocks available to the diff
+   * @returns {Object[]} - Blocks
+   */
+  formatDiffBlocks(changeRecord, maxBlocks) {
+    if (changeRecord.visual) {
+      return [];
+    }
+
+    const lines = changeFormat
+      .getChangeDiff(changeRecord)
+      .map((line) => this.formatDiffLine(line));
+
+    if (lines.length === 0) {
+      return changeRecord.listDiff && changeRecord.listDiff.reordered
+        ? [mrkdwnSection("_Order changed (no items added or removed)_")]
+        : [];
+    }
+
+    return packSections(lines, maxBlocks, "line");
+  }
+
+  /**
+   * Format a diff line as mrkdwn: removed text struck through, added text in
+   * bold and unchanged text as is
+   * @param {Object} line - Diff line {type, text}
+   * @returns {string} - Formatted line
+   */
+  formatDiffLine({ type, text }) {
+    if (type === "same") {
+      return formatValue(text);
+    }
+    if (String(text).trim() === "") {
+      return "_(empty)_";
+    }
+
+    const marker = type === "removed" ? "~" : "*";
+    return formatValue(text, (value) => {
+      // Slack only applies formatting that is not padded with spaces
+      const [, leading, content, trailing] = value.match(/^(\s*)(.*?)(\s*)$/s);
+      return `${leading}${marker}${content}${marker}${trailing}`;
+    });
+  }
+
+  /**
+   * Format the before and after screenshots of a change as blocks: a context
+   * linking them or, if the data directory is not served, naming their paths,
+   * and the image after the change if Slack can fetch it
+   * @param {Object} [screenshots] - Screenshots with before and after {path, url}
+   * @returns {Object[]} - Blocks
+   */
+  formatScreenshotBlocks(screenshots) {
+    if (!screenshots || (!screenshots.before && !screenshots.after)) {
+      return [];
+    }
+
+    const elements = [];
+    for (const [label, screenshot] of [
+      ["Before", screenshots.before],
+      ["After", screenshots.after],
+    ]) {
+      if (screenshot) {
+        elements.push({
+          type: "mrkdwn",
+          text: screenshot.url
+            ? `*${label}:* <${escapeLinkUrl(screenshot.url)}|Screenshot>`
+            : `*${label}:* ${formatValue(
+                screenshot.path,
+                (path) => `\`${path}\``
+              )}`,
+        });
+      }
+    }
+
+    const blocks = [{ type: "context", elements }];
+    if (screenshots.after && screenshots.after.url) {
+      blocks.push({
+        type: "image",
+        image_url: screenshots.after.url,
+        alt_text: "Screenshot after the change",
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Format the fallback text of a change, shown in notifications and by
+   * clients that cannot display blocks
+   * @param {Object} changeRecord - The change detection result
+   * @param {string} displayTime - Formatted time of the check
+   * @returns {string} - Message text
+   */
+  formatText(changeRecord, displayTime) {
+    const { entry, oldValue, newValue } = changeRecord;
+
+    const valueLines = changeRecord.visual
+      ? this.formatVisualChange(changeRecord.visual)
+      : changeRecord.listDiff
+      ? this.formatListDiff(changeRecord.listDiff)
+      : [
+          `• Was: ${truncateValue(oldValue)}`,
+          `• Now: ${truncateValue(newValue)}`,
+        ];
+
+    if (
+      !changeRecord.listDiff &&
+      !changeRecord.visual &&
+      changeRecord.rawValue !== undefined &&
+      changeRecord.rawValue !== newValue
+    ) {
+      valueLines.push(`• Raw: ${truncateValue(changeRecord.rawValue)}`);
+    }
+
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      valueLines.push(
+        `• Change: ${this.formatNumericChange(changeRecord.numeric)}`
+      );
+    }
+
+    if (changeRecord.screenshots) {
+      valueLines.push(...this.formatScreenshots(changeRecord.screenshots));
+    }
+
+    return [
       "🔔 Change Detected!",
       `• URL: ${entry.url}`,
-      `• Selector: ${entry.css_selector}`,
-      `• Was: ${oldValue}`,
-      `• Now: ${newValue}`,
+      `• Selector: ${changeFormat.describeSelector(entry)}`,
+      ...valueLines,
       `• Checked: ${displayTime}`,
     ].join("\n");
+  }
 
-    return {
-      text,
-      username: "Web Element Monitor",
-      icon_emoji: ":mag:",
-    };
+  /**
+   * Format the added and removed items of a list change as message lines
+   * @param {Object} listDiff - Diff with added, removed and reordered fields
+   * @returns {string[]} - Message lines
+   */
+  formatListDiff(listDiff) {
+    const lines = [];
+
+    if (listDiff.added.length > 0) {
+      lines.push(`• Added (${listDiff.added.length}):`);
+      listDiff.added.forEach((item) =>
+        lines.push(`    + ${truncateValue(item)}`)
+      );
+    }
+    if (listDiff.removed.length > 0) {
+      lines.push(`• Removed (${listDiff.removed.length}):`);
+      listDiff.removed.forEach((item) =>
+        lines.push(`    - ${truncateValue(item)}`)
+      );
+    }
+    if (lines.length === 0 && listDiff.reordered) {
+      lines.push("• Order changed (no items added or removed)");
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the changed-pixel percentage and image paths of a visual change
+   * @param {Object} visual - Visual details with changedPercent, tolerance and paths
+   * @returns {string[]} - Message lines
+   */
+  formatVisualChange(visual) {
+    const lines = [
+      `• Visual change: ${changeFormat.formatVisualChange(visual)}`,
+    ];
+
+    if (visual.paths) {
+      lines.push(`• Diff image: ${visual.paths.diff}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the before and after screenshots of a change as message lines,
+   * linking their URLs or, if the data directory is not served, their paths
+   * @param {Object} screenshots - Screenshots with before and after {path, url}
+   * @returns {string[]} - Message lines
+   */
+  formatScreenshots(screenshots) {
+    const lines = [];
+
+    if (screenshots.before) {
+      lines.push(
+        `• Before: ${screenshots.before.url || screenshots.before.path}`
+      );
+    }
+    if (screenshots.after) {
+      lines.push(`• After: ${screenshots.after.url || screenshots.after.path}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the delta of a numeric change, e.g. "↓ 12.3% (-160)"
+   * @param {Object} numeric - Numeric details with delta and percentChange
+   * @returns {string} - Formatted change
+   */
+  formatNumericChange(numeric) {
+    return changeFormat.formatNumericChange(numeric);
+  }
+
+  /**
+   * Deliver a formatted message
+   * @param {Object} message - The formatted message payload
+   * @returns {Promise<boolean>} - True if webhook sent successfully
+   */
+  deliver(message) {
+    return this.sendWebhook(message);
   }
 
   /**
@@ -93,12 +658,24 @@ class SlackNotifier {
    */
   async sendWebhook(message) {
     try {
-      const response = await axios.post(this.webhookUrl, message, {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 10000, // 10 second timeout
-      });
+      const response = await withRetry(
+        () =>
+          axios.post(this.webhookUrl, message, {
+            headers: {
+              "Content-Type": "application/json",
+            },
+            timeout: 10000, // 10 second timeout
+          }),
+        {
+          ...this.retryOptions,
+          onRetry: (error, retry, delay) =>
+            this.logger.warn(
+              `Slack webhook failed with ${describeRetryReason(
+                error
+              )}, retry ${retry} in ${delay}ms`
+            ),
+        }
+      );
 
       // Slack webhooks return 200 for success
       return response.status === 200;
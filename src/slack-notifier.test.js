@@ -54,6 +54,7 @@ describe("SlackNotifier", () => {
 
       expect(message).toEqual({
         text: expect.stringContaining("🔔 Change Detected!"),
+        blocks: expect.any(Array),
         username: "Web Element Monitor",
         icon_emoji: ":mag:",
       });
@@ -99,6 +100,467 @@ describe("SlackNotifier", () => {
       expect(message.text).toContain("• Was: ");
       expect(message.text).toContain("• Now: New value");
     });
+
+    it("should show only added and removed items for list changes", () => {
+      const changeRecord = {
+        ...mockChangeRecord,
+        oldValue: ["Engineer", "Designer"],
+        newValue: ["Engineer", "Product Manager"],
+        listDiff: {
+          added: ["Product Manager"],
+          removed: ["Designer"],
+          reordered: false,
+        },
+      };
+
+      const message = slackNotifier.formatMessage(changeRecord);
+
+      expect(message.text).toContain("• Added (1):\n    + Product Manager");
+      expect(message.text).toContain("• Removed (1):\n    - Designer");
+      expect(message.text).not.toContain("Engineer");
+      expect(message.text).not.toContain("• Was:");
+    });
+
+    it("should mention reordering when no items were added or removed", () => {
+      const changeRecord = {
+        ...mockChangeRecord,
+        listDiff: { added: [], removed: [], reordered: true },
+      };
+
+      const message = slackNotifier.formatMessage(changeRecord);
+
+      expect(message.text).toContain("• Order changed");
+    });
+
+    it("should include the raw value when it differs from the normalized value", () => {
+      const changeRecord = {
+        ...mockChangeRecord,
+        newValue: "other news",
+        rawValue: "Other News  (2 minutes ago)",
+      };
+
+      const message = slackNotifier.formatMessage(changeRecord);
+
+      expect(message.text).toContain("• Now: other news");
+      expect(message.text).toContain("• Raw: Other News  (2 minutes ago)");
+    });
+
+    it("should include the numeric delta for number targets", () => {
+      const changeRecord = {
+        ...mockChangeRecord,
+        oldValue: "$1,000.00",
+        newValue: "$877.00",
+        numeric: {
+          oldNumber: 1000,
+          newNumber: 877,
+          delta: -123,
+          percentChange: -12.3,
+        },
+      };
+
+      const message = slackNotifier.formatMessage(changeRecord);
+
+      expect(message.text).toContain("• Change: ↓ 12.3% (-123)");
+    });
+
+    it("should reference the change screenshots by path", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        screenshots: {
+          before: { path: "/data/changes/1.png", url: null },
+          after: { path: "/data/changes/2.png", url: null },
+        },
+      });
+
+      expect(message.text).toContain("• Before: /data/changes/1.png");
+      expect(message.text).toContain("• After: /data/changes/2.png");
+      expect(message.blocks.slice(-1)).toEqual([
+        {
+          type: "context",
+          elements: [
+            { type: "mrkdwn", text: "*Before:* `/data/changes/1.png`" },
+            { type: "mrkdwn", text: "*After:* `/data/changes/2.png`" },
+          ],
+        },
+      ]);
+    });
+
+    it("should link and attach served change screenshots", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        screenshots: {
+          before: null,
+          after: {
+            path: "/data/changes/2.png",
+            url: "https://monitor.example.com/changes/2.png",
+          },
+        },
+      });
+
+      expect(message.text).not.toContain("• Before:");
+      expect(message.text).toContain(
+        "• After: https://monitor.example.com/changes/2.png"
+      );
+      expect(message.blocks.slice(-2)).toEqual([
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: "*After:* <https://monitor.example.com/changes/2.png|Screenshot>",
+            },
+          ],
+        },
+        {
+          type: "image",
+          image_url: "https://monitor.example.com/changes/2.png",
+          alt_text: "Screenshot after the change",
+        },
+      ]);
+    });
+
+    it("should describe visual changes instead of image hashes", () => {
+      const changeRecord = {
+        ...mockChangeRecord,
+        entry: { url: "https://example.com", type: "screenshot" },
+        oldValue: "sha256:aaa",
+        newValue: "sha256:bbb",
+        visual: {
+          changedPercent: 3.14159,
+          tolerance: 0.5,
+          paths: { diff: "/data/screenshots/abc/diff.png" },
+        },
+      };
+
+      const message = slackNotifier.formatMessage(changeRecord);
+
+      expect(message.text).toContain("• Selector: (full page)");
+      expect(message.text).toContain(
+        "• Visual change: 3.14% of pixels changed (tolerance 0.5%)"
+      );
+      expect(message.text).toContain(
+        "• Diff image: /data/screenshots/abc/diff.png"
+      );
+      expect(message.text).not.toContain("sha256");
+    });
+  });
+
+  describe("formatMessage blocks", () => {
+    const sectionTexts = (message) =>
+      message.blocks
+        .filter((block) => block.type === "section")
+        .map((block) => block.text.text);
+
+    it("should lay out header, URL, context and diff blocks", () => {
+      const message = slackNotifier.formatMessage(mockChangeRecord);
+
+      expect(message.blocks).toEqual([
+        {
+          type: "header",
+          text: { type: "plain_text", text: "🔔 Change Detected", emoji: true },
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "*URL:* <https://example.com/product|https://example.com/product>",
+          },
+        },
+        {
+          type: "context",
+          elements: [
+            { type: "mrkdwn", text: "*Selector:* `#price`" },
+            {
+              type: "mrkdwn",
+              text: expect.stringMatching(/^\*Checked:\* \d{2}\/\d{2}\/\d{4}/),
+            },
+          ],
+        },
+        {
+          type: "section",
+          text: { type: "mrkdwn", text: "~$19.99~\n*$18.49*" },
+        },
+      ]);
+    });
+
+    it("should escape values and keep formatting next to the text", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: "Special & chars <test>",
+        newValue: "  indented <b>",
+      });
+
+      expect(sectionTexts(message)).toContain(
+        "~Special &amp; chars &lt;test&gt;~\n  *indented &lt;b&gt;*"
+      );
+    });
+
+    it("should diff multi-line values line by line", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: "Intro\nOld line\nOutro",
+        newValue: "Intro\nNew line\nOutro",
+      });
+
+      expect(sectionTexts(message)).toContain(
+        "Intro\n~Old line~\n*New line*\nOutro"
+      );
+    });
+
+    it("should mark empty values", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: "",
+        newValue: "New value",
+      });
+
+      expect(sectionTexts(message)).toContain("_(empty)_\n*New value*");
+    });
+
+    it("should show removed and added list items", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        listDiff: {
+          added: ["Product Manager"],
+          removed: ["Designer"],
+          reordered: false,
+        },
+      });
+
+      expect(sectionTexts(message)).toContain("~Designer~\n*Product Manager*");
+
+      const reordered = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        listDiff: { added: [], removed: [], reordered: true },
+      });
+      expect(sectionTexts(reordered)).toContain(
+        "_Order changed (no items added or removed)_"
+      );
+    });
+
+    it("should show numeric deltas, raw values and visual changes", () => {
+      const numeric = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        rawValue: "$18.49 <sale>",
+        numeric: { delta: -1.5, percentChange: -7.5 },
+      });
+      expect(sectionTexts(numeric)).toContain(
+        "*Change:* ↓ 7.5% (-1.5)\n*Raw:* $18.49 &lt;sale&gt;"
+      );
+
+      const visual = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: "sha256:aaa",
+        newValue: "sha256:bbb",
+        visual: {
+          changedPercent: 2.5,
+          tolerance: 0,
+          paths: { diff: "/data/diff.png" },
+        },
+      });
+      expect(sectionTexts(visual)).toEqual([
+        expect.stringContaining("*URL:*"),
+        "*Visual change:* 2.5% of pixels changed\n*Diff image:* `/data/diff.png`",
+      ]);
+    });
+
+    it("should truncate long values with a note", () => {
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: "a".repeat(1200),
+        newValue: "b",
+      });
+
+      expect(sectionTexts(message)).toContain(
+        `~${"a".repeat(500)}~ _… 700 more chars_\n*b*`
+      );
+      expect(message.text).toContain(
+        `• Was: ${"a".repeat(500)}… 700 more chars`
+      );
+    });
+
+    it("should stay within Slack's block limits", () => {
+      const lines = (prefix) =>
+        Array.from(
+          { length: 2000 },
+          (_, i) => `${prefix} ${i} ${"&".repeat(490)}`
+        );
+      const message = slackNotifier.formatMessage({
+        ...mockChangeRecord,
+        oldValue: lines("old").join("\n"),
+        newValue: lines("new").join("\n"),
+        screenshots: {
+          before: null,
+          after: { path: "/data/a.png", url: "https://cdn.test/a.png" },
+        },
+      });
+
+      expect(message.blocks).toHaveLength(50);
+      for (const text of sectionTexts(message)) {
+        expect(text.length).toBeLessThanOrEqual(3000);
+      }
+      expect(message.blocks[message.blocks.length - 3]).toEqual({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: expect.stringMatching(/^_… \d+ more lines_$/),
+          },
+        ],
+      });
+      expect(message.blocks[message.blocks.length - 1].type).toBe("image");
+    });
+  });
+
+  describe("formatDigest", () => {
+    const digestChanges = () => [
+      mockChangeRecord,
+      {
+        ...mockChangeRecord,
+        entry: { url: "https://shop.test/a?x=1&y=2", css_selector: ".stock" },
+        oldValue: "In stock",
+        newValue: "Sold <out>",
+      },
+      {
+        ...mockChangeRecord,
+        entry: { url: "https://example.com/jobs", css_selector: ".job" },
+        listDiff: { added: ["Designer"], removed: [], reordered: false },
+      },
+    ];
+
+    it("should group the changes of a run under a summary", () => {
+      const message = slackNotifier.formatDigest(digestChanges());
+
+      expect(message.blocks[0].text.text).toBe("🔔 Change Digest");
+      expect(message.blocks[1].text.text).toBe("*3 changes across 2 domains*");
+      expect(message.blocks[2].text.text).toBe(
+        [
+          "*example.com* (2)",
+          "• <https://example.com/product|https://example.com/product> `#price`: $19.99 → $18.49",
+          "• <https://example.com/jobs|https://example.com/jobs> `.job`: 1 added",
+          "*shop.test* (1)",
+          "• <https://shop.test/a?x=1&y=2|https://shop.test/a?x=1&amp;y=2> `.stock`: In stock → Sold &lt;out&gt;",
+        ].join("\n")
+      );
+      expect(message.blocks[3].type).toBe("context");
+      expect(message.text).toBe(
+        "🔔 Change Digest: 3 changes across 2 domains\n" +
+          "• example.com: 2 changes\n" +
+          "• shop.test: 1 change"
+      );
+    });
+
+    it("should group by tag", () => {
+      const message = slackNotifier.formatDigest(
+        [
+          {
+            ...mockChangeRecord,
+            entry: { ...mockChangeRecord.entry, tag: "pricing" },
+          },
+        ],
+        "tag"
+      );
+
+      expect(message.blocks[1].text.text).toBe("*1 change across 1 tag*");
+      expect(message.blocks[2].text.text).toMatch(/^\*pricing\* \(1\)\n/);
+    });
+
+    it("should stay within Slack's block limits", () => {
+      const many = Array.from({ length: 2000 }, (_, index) => ({
+        ...mockChangeRecord,
+        entry: {
+          url: `https://site${index % 40}.test/${"p".repeat(150)}`,
+          css_selector: "#price",
+        },
+      }));
+
+      const message = slackNotifier.formatDigest(many);
+
+      expect(message.blocks.length).toBeLessThanOrEqual(50);
+      for (const block of message.blocks) {
+        if (block.type === "section") {
+          expect(block.text.text.length).toBeLessThanOrEqual(3000);
+        }
+      }
+      expect(
+        message.blocks[message.blocks.length - 2].elements[0].text
+      ).toMatch(/^_… \d+ more changes_$/);
+    });
+  });
+
+  describe("formatTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should format a broken target with its error", () => {
+      const message = slackNotifier.formatTargetStatus(brokenRecord());
+
+      expect(message.text).toBe(
+        "🚨 Target Broken: https://example.com/product\nFailing for 3 consecutive runs since 2025-07-25T13:30:00.000Z"
+      );
+      expect(message.blocks[0].text.text).toBe("🚨 Target Broken");
+      expect(message.blocks[message.blocks.length - 1].text.text).toBe(
+        [
+          "*Error:* The CSS selector did not match any element.",
+          "*Details:* Element not found: #price",
+          "*Suggestions:*",
+          "• Verify the CSS selector in your browser",
+        ].join("\n")
+      );
+    });
+
+    test("should send the alert to the webhook", async () => {
+      jest.spyOn(slackNotifier, "sendWebhook").mockResolvedValue(true);
+
+      const sent = await slackNotifier.sendTargetStatus({
+        ...brokenRecord(),
+        status: "recovered",
+        error: undefined,
+      });
+
+      expect(sent).toBe(true);
+      expect(slackNotifier.sendWebhook.mock.calls[0][0].text).toMatch(
+        /^✅ Target Recovered/
+      );
+    });
+  });
+
+  describe("sendDigest", () => {
+    it("should send one message for all changes", async () => {
+      const sendWebhook = jest
+        .spyOn(slackNotifier, "sendWebhook")
+        .mockResolvedValue(true);
+
+      const sent = await slackNotifier.sendDigest(
+        [mockChangeRecord, mockChangeRecord],
+        { groupBy: "tag" }
+      );
+
+      expect(sent).toBe(true);
+      expect(sendWebhook).toHaveBeenCalledTimes(1);
+      expect(sendWebhook.mock.calls[0][0].text).toContain(
+        "2 changes across 1 tag"
+      );
+    });
+
+    it("should return false when the digest cannot be sent", async () => {
+      jest
+        .spyOn(slackNotifier, "sendWebhook")
+        .mockRejectedValue(new Error("Slack webhook error: boom"));
+
+      expect(await slackNotifier.sendDigest([mockChangeRecord])).toBe(false);
+    });
   });
 
   describe("sendWebhook", () => {
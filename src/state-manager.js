@@ -1,23 +1,399 @@
 const fs = require("fs").promises;
 const { constants: fsConstants } = require("fs");
 const path = require("path");
-const ConfigurationManager = require("./config");
+const HistoryStore = require("./history-store");
+const StateStore = require("./state-store");
+const OutboxStore = require("./outbox-store");
+const LockFile = require("./lock-file");
+const ScreenshotStore = require("./screenshot-store");
+const { getTargetId } = require("./target-id");
+const { normalizeValue } = require("./text-normalizer");
 const Logger = require("./logger");
 const { ErrorHandler } = require("./error-handler");
 
 /**
- * StateManager handles updating configuration values in memory and persisting
- * changes back to the configuration file.
+ * Get the current_value seed of a target, normalized like the extracted
+ * values it is compared with, so an unchanged page matches its seed
+ * @param {Object} entry - Monitoring target from the configuration
+ * @returns {string|string[]|undefined} Normalized seed
+ */
+function getSeedValue(entry) {
+  return normalizeValue(entry.current_value, entry.normalize);
+}
+
+/**
+ * StateManager handles the observed values of monitoring targets, persisting
+ * them to the state file in the data directory and recording the check
+ * history. The user-authored configuration file is never rewritten.
  */
 class StateManager {
   constructor() {
-    this.configManager = new ConfigurationManager();
     this.logger = new Logger();
     this.errorHandler = new ErrorHandler();
+    this.dataDir = null;
+    this.historyStore = null;
+    this.stateStore = null;
+    this.screenshotStore = null;
+    this.outboxStore = null;
+    this.state = null;
+    this.lockFile = null;
   }
 
   /**
-   * Update current_value fields in the configuration based on detected changes
+   * Set the data directory holding the state file, check history,
+   * screenshots and undelivered notifications
+   * @param {string} dataDir - Path to the data directory
+   */
+  setDataDir(dataDir) {
+    this.dataDir = dataDir;
+    this.historyStore = new HistoryStore(dataDir);
+    this.stateStore = new StateStore(dataDir);
+    this.screenshotStore = new ScreenshotStore(dataDir);
+    this.outboxStore = new OutboxStore(dataDir);
+  }
+
+  /**
+   * Get the state store, failing if no data directory was set
+   * @returns {StateStore} State store for the data directory
+   */
+  getStateStore() {
+    if (!this.stateStore) {
+      throw new Error("Data directory is not set. Call setDataDir() first.");
+    }
+    return this.stateStore;
+  }
+
+  /**
+   * Get the screenshot store, failing if no data directory was set
+   * @returns {ScreenshotStore} Screenshot store for the data directory
+   */
+  getScreenshotStore() {
+    if (!this.screenshotStore) {
+      throw new Error("Data directory is not set. Call setDataDir() first.");
+    }
+    return this.screenshotStore;
+  }
+
+  /**
+   * Get the outbox store, failing if no data directory was set
+   * @returns {OutboxStore} Outbox of undelivered notifications
+   */
+  getOutboxStore() {
+    if (!this.outboxStore) {
+      throw new Error("Data directory is not set. Call setDataDir() first.");
+    }
+    return this.outboxStore;
+  }
+
+  /**
+   * Acquire the advisory lock on the data directory, so overlapping runs
+   * cannot update the state file concurrently. Stale locks left behind by
+   * crashed runs are taken over.
+   * @param {Object} [options] - Lock options
+   * @param {number} [options.timeout] - Milliseconds to wait for a running
+   *   run to finish (default: 0, fail immediately)
+   * @param {number} [options.staleMs] - Age after which a lock is considered stale
+   * @returns {Promise<void>}
+   * @throws {Error} With code "ELOCKED" if another run holds the lock
+   */
+  async acquireLock(options = {}) {
+    const stateStore = this.getStateStore();
+    await fs.mkdir(stateStore.dataDir, { recursive: true });
+
+    const lockFile = new LockFile(path.join(stateStore.dataDir, "state.lock"), {
+      staleMs: options.staleMs,
+    });
+    await lockFile.acquire({ timeout: options.timeout });
+
+    this.lockFile = lockFile;
+    this.logger.debug(`Acquired state lock ${lockFile.filePath}`);
+  }
+
+  /**
+   * Release the advisory lock, if held
+   * @returns {Promise<void>}
+   */
+  async releaseLock() {
+    if (!this.lockFile) {
+      return;
+    }
+
+    const lockFile = this.lockFile;
+    this.lockFile = null;
+    await lockFile.release();
+  }
+
+  /**
+   * Create the initial state from the current_value seeds in the configuration
+   * @param {Array} targets - Monitoring targets from the configuration
+   * @returns {Object} State with an entry for every seeded target
+   */
+  createSeedState(targets) {
+    const state = this.getStateStore().createEmptyState();
+    const now = new Date().toISOString();
+
+    targets.forEach((entry) => {
+      if (entry.current_value !== undefined) {
+        state.targets[getTargetId(entry)] = {
+          url: entry.url,
+          css_selector: entry.css_selector,
+          current_value: getSeedValue(entry),
+          updated_at: now,
+        };
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Apply stored values to the configured targets. Targets without a stored
+   * value keep the current_value seed from the configuration, if any.
+   * @param {Array} targets - Monitoring targets from the configuration
+   * @param {Object} state - Loaded state
+   * @returns {Array} Copy of the targets with current_value from the state
+   */
+  applyState(targets, state) {
+    const appliedTargets = JSON.parse(JSON.stringify(targets));
+
+    appliedTargets.forEach((entry) => {
+      const stored = state.targets[getTargetId(entry)];
+      if (stored && stored.current_value !== undefined) {
+        entry.current_value = stored.current_value;
+      } else if (entry.current_value !== undefined) {
+        entry.current_value = getSeedValue(entry);
+      }
+    });
+
+    return appliedTargets;
+  }
+
+  /**
+   * Load the stored values for the configured targets. When no state file
+   * exists yet, it is created from the current_value fields of the
+   * configuration, migrating configs from before the state file existed.
+   * @param {Array} targets - Monitoring targets from the configuration
+   * @returns {Promise<Array>} Copy of the targets with their stored current_value
+   */
+  async loadTargets(targets) {
+    if (!Array.isArray(targets)) {
+      throw new Error("Targets must be an array");
+    }
+
+    const stateStore = this.getStateStore();
+
+    try {
+      let state;
+      if (await stateStore.exists()) {
+        state = await stateStore.load();
+      } else {
+        state = this.createSeedState(targets);
+        await this.persistState(state);
+        this.logger.info(
+          `Created state file ${stateStore.filePath} with ${
+            Object.keys(state.targets).length
+          } seed value(s) from the configuration`
+        );
+      }
+
+      this.state = state;
+      return this.applyState(targets, state);
+    } catch (error) {
+      const loadError = new Error(`Failed to load state: ${error.message}`);
+      this.errorHandler.handleError(loadError, {
+        type: "persistence",
+        operation: "loadTargets",
+        filePath: stateStore.filePath,
+      });
+      throw loadError;
+    }
+  }
+
+  /**
+   * Get the history store, failing if no data directory was set
+   * @returns {HistoryStore} History store for the data directory
+   */
+  getHistoryStore() {
+    if (!this.historyStore) {
+      throw new Error("Data directory is not set. Call setDataDir() first.");
+    }
+    return this.historyStore;
+  }
+
+  /**
+   * Convert a monitoring result into a history record
+   * @param {Object} result - Change detection or error result for a target
+   * @returns {Object} History record
+   */
+  createHistoryRecord(result) {
+    const entry = result.entry || {};
+    const failed = Boolean(result.error);
+
+    return {
+      timestamp: result.timestamp || new Date().toISOString(),
+      target_id: getTargetId(entry),
+      url: entry.url,
+      css_selector: entry.css_selector,
+      json_path: entry.json_path,
+      raw_value: failed
+        ? null
+        : result.rawValue !== undefined
+        ? result.rawValue
+        : result.newValue,
+      normalized_value: failed ? null : result.newValue,
+      previous_value: result.hasChanged ? result.oldValue : undefined,
+      changed: Boolean(result.hasChanged),
+      error: failed ? result.error : null,
+      error_type: failed ? result.errorType : undefined,
+      screenshot: result.screenshots
+        ? result.screenshots.after.path
+        : undefined,
+    };
+  }
+
+  /**
+   * Append the results of a monitoring run to the check history
+   * @param {Array} results - Change detection and error results of the run
+   * @returns {Promise<void>}
+   */
+  async recordChecks(results) {
+    if (!Array.isArray(results)) {
+      throw new Error("Results must be an array");
+    }
+
+    await this.getHistoryStore().append(
+      results.map((result) => this.createHistoryRecord(result))
+    );
+  }
+
+  /**
+   * Query the check history, oldest first
+   * @param {Object} [filter] - Query filter (see HistoryStore.query)
+   * @returns {Promise<Array<Object>>} Matching history records
+   */
+  async getHistory(filter = {}) {
+    return this.getHistoryStore().query(filter);
+  }
+
+  /**
+   * Query only the checks that detected a change, oldest first
+   * @param {Object} [filter] - Query filter (see HistoryStore.query)
+   * @returns {Promise<Array<Object>>} Matching change records
+   */
+  async getChangeHistory(filter = {}) {
+    return this.getHistoryStore().query({ ...filter, changedOnly: true });
+  }
+
+  /**
+   * Get the most recent check of a monitoring target, by its target ID
+   * @param {Object} entry - Monitoring target
+   * @returns {Promise<Object|null>} Latest history record, or null if never checked
+   */
+  async getLastCheck(entry) {
+    const [record] = await this.getHistoryStore().query({
+      target_id: getTargetId(entry),
+      limit: 1,
+    });
+    return record || null;
+  }
+
+  /**
+   * Track the consecutive failed runs of the checked targets in the state: a
+   * failed check extends the failure streak of its target, a successful one
+   * ends it. A target is reported as broken once per streak, when the streak
+   * reaches its failure threshold, and as recovered when a check of a broken
+   * target succeeds again. The state file is saved if any streak changed.
+   * @param {Array} results - Change detection and error results of the run
+   * @param {number} threshold - Failed runs after which a target is broken,
+   *   unless the target sets its own failure_threshold; 0 never reports it
+   * @returns {Promise<Array<Object>>} Target statuses {status, entry,
+   *   failureCount, failingSince, error, timestamp}; status is "broken" or
+   *   "recovered"
+   */
+  async updateFailureStreaks(results, threshold) {
+    if (!Array.isArray(results)) {
+      throw new Error("Results must be an array");
+    }
+
+    const state = this.state
+      ? JSON.parse(JSON.stringify(this.state))
+      : this.getStateStore().createEmptyState();
+    const statusRecords = [];
+    let modified = false;
+
+    results.forEach((result) => {
+      const entry = result.entry;
+      if (!entry) {
+        return;
+      }
+
+      const targetId = getTargetId(entry);
+      const stored = state.targets[targetId];
+      const streak = stored && stored.failure_streak;
+      const timestamp = result.timestamp || new Date().toISOString();
+
+      if (!result.error) {
+        if (streak) {
+          if (streak.alerted) {
+            statusRecords.push({
+              status: "recovered",
+              entry,
+              failureCount: streak.count,
+              failingSince: streak.since,
+              timestamp,
+            });
+          }
+          delete stored.failure_streak;
+          modified = true;
+        }
+        return;
+      }
+
+      const next = streak
+        ? { ...streak, count: streak.count + 1 }
+        : { count: 1, since: timestamp, alerted: false };
+      next.last_error = result.error;
+      next.error_type = result.errorType;
+
+      const limit =
+        entry.failure_threshold !== undefined
+          ? entry.failure_threshold
+          : threshold;
+      if (limit > 0 && next.count >= limit && !next.alerted) {
+        next.alerted = true;
+        statusRecords.push({
+          status: "broken",
+          entry,
+          failureCount: next.count,
+          failingSince: next.since,
+          error: {
+            type: result.errorType,
+            message: result.error,
+            userMessage: result.userMessage,
+            suggestions: result.suggestions || [],
+          },
+          timestamp,
+        });
+      }
+
+      // Targets failing before their first value only have a streak
+      state.targets[targetId] = {
+        ...(stored || { url: entry.url, css_selector: entry.css_selector }),
+        failure_streak: next,
+      };
+      modified = true;
+    });
+
+    if (modified) {
+      await this.persistState(state);
+      this.state = state;
+    }
+
+    return statusRecords;
+  }
+
+  /**
+   * Update current_value fields of the targets based on detected changes
    * @param {Array} targets - Array of monitoring targets
    * @param {Array} changes - Array of change records with new values
    * @returns {Array} Updated targets array with new current_value fields
@@ -41,13 +417,12 @@ class StateManager {
         return; // Skip non-changes or invalid change records
       }
 
-      const key = `${change.entry.url}|${change.entry.css_selector}`;
-      changeMap.set(key, change.newValue);
+      changeMap.set(getTargetId(change.entry), change.newValue);
     });
 
     // Update target entries with new values
-    updatedTargets.forEach((entry, index) => {
-      const key = `${entry.url}|${entry.css_selector}`;
+    updatedTargets.forEach((entry) => {
+      const key = getTargetId(entry);
       if (changeMap.has(key)) {
         entry.current_value = changeMap.get(key);
       }
@@ -57,26 +432,27 @@ class StateManager {
   }
 
   /**
-   * Persist updated configuration back to the JSON file
-   * @param {string} filePath - Path to the configuration file
-   * @param {Object} updatedConfig - Updated configuration object to save
+   * Persist the state to the state file in the data directory
+   * @param {Object} state - State to save
    * @throws {Error} If file cannot be written or permissions are insufficient
    */
-  async persistConfig(filePath, updatedConfig) {
+  async persistState(state) {
+    const stateStore = this.getStateStore();
+
     try {
-      // Validate write permissions before attempting to save
-      await this.validateWritePermissions(filePath);
+      // Create the data directory and validate write permissions before saving
+      await fs.mkdir(stateStore.dataDir, { recursive: true });
+      await this.validateWritePermissions(stateStore.filePath);
 
-      // Use ConfigurationManager to save the updated configuration
-      await this.configManager.saveConfig(filePath, updatedConfig);
+      await stateStore.save(state);
     } catch (error) {
       const persistError = new Error(
-        `Failed to persist configuration: ${error.message}`
+        `Failed to persist state: ${error.message}`
       );
       this.errorHandler.handleError(persistError, {
         type: "persistence",
-        operation: "persistConfig",
-        filePath,
+        operation: "persistState",
+        filePath: stateStore.filePath,
       });
       throw persistError;
     }
@@ -137,38 +513,59 @@ class StateManager {
   }
 
   /**
-   * Update configuration values and persist changes in a single operation
-   * @param {string} filePath - Path to the configuration file
+   * Update target values and persist them to the state file in a single
+   * operation
    * @param {Array} targets - Array of monitoring targets
    * @param {Array} changes - Array of change records with new values
    * @returns {Array} Updated targets array that was persisted
    */
-  async updateAndPersist(filePath, targets, changes) {
+  async updateAndPersist(targets, changes) {
     try {
       // Update target values in memory
       const updatedTargets = this.updateConfigValues(targets, changes);
 
-      // Load the original configuration to preserve other fields like slack_webhook
-      const originalConfig = await this.configManager.loadConfig(filePath);
+      // Start from the loaded state to keep values of targets not checked in
+      // this run, e.g. targets temporarily removed from the configuration
+      const state = this.state
+        ? JSON.parse(JSON.stringify(this.state))
+        : this.getStateStore().createEmptyState();
+      const now = new Date().toISOString();
 
-      // Create updated configuration object
-      const updatedConfig = {
-        ...originalConfig,
-        targets: updatedTargets,
-      };
+      changes.forEach((change) => {
+        if (!change.entry || !change.hasChanged) {
+          return;
+        }
+        state.targets[getTargetId(change.entry)] = {
+          url: change.entry.url,
+          css_selector: change.entry.css_selector,
+          current_value: change.newValue,
+          updated_at: now,
+        };
+      });
 
-      // Persist the updated configuration
-      await this.persistConfig(filePath, updatedConfig);
+      // Visual targets compare against their baseline image, which moves
+      // along with the stored value
+      for (const change of changes) {
+        if (change.entry && change.hasChanged && change.visual) {
+          await this.getScreenshotStore().acceptCurrent(
+            getTargetId(change.entry)
+          );
+        }
+      }
+
+      // Persist the updated state
+      await this.persistState(state);
+      this.state = state;
 
       return updatedTargets;
     } catch (error) {
       const updateError = new Error(
-        `Failed to update and persist configuration: ${error.message}`
+        `Failed to update and persist state: ${error.message}`
       );
       this.errorHandler.handleError(updateError, {
         type: "persistence",
         operation: "updateAndPersist",
-        filePath,
+        filePath: this.stateStore ? this.stateStore.filePath : undefined,
       });
       throw updateError;
     }
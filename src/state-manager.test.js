@@ -1,15 +1,10 @@
-const fs = require("fs").promises;
-const { constants: fsConstants } = require("fs");
-const path = require("path");
-const StateManager = require("./state-manager");
-const ConfigurationManager = require("./config");
-
 // Mock the fs module
 jest.mock("fs", () => ({
   promises: {
     access: jest.fn(),
     writeFile: jest.fn(),
     readFile: jest.fn(),
+    mkdir: jest.fn(),
   },
   constants: {
     W_OK: 2,
@@ -19,25 +14,29 @@ jest.mock("fs", () => ({
   },
 }));
 
-// Mock the ConfigurationManager
-jest.mock("./config");
+const fs = require("fs").promises;
+const { constants: fsConstants } = require("fs");
+const path = require("path");
+const StateManager = require("./state-manager");
+const { getTargetId } = require("./target-id");
 
 describe("StateManager", () => {
   let stateManager;
-  let mockConfigManager;
+  let mockStateStore;
 
   beforeEach(() => {
     jest.clearAllMocks();
 
-    // Create mock ConfigurationManager instance
-    mockConfigManager = {
-      saveConfig: jest.fn(),
-      validateConfig: jest.fn(),
+    // Stub the state store instead of touching the data directory
+    mockStateStore = {
+      dataDir: "/data",
+      filePath: "/data/state.json",
+      save: jest.fn(),
+      createEmptyState: () => ({ version: 1, targets: {} }),
     };
 
-    ConfigurationManager.mockImplementation(() => mockConfigManager);
-
     stateManager = new StateManager();
+    stateManager.stateStore = mockStateStore;
   });
 
   describe("updateConfigValues", () => {
@@ -291,30 +290,30 @@ describe("StateManager", () => {
     });
   });
 
-  describe("persistConfig", () => {
-    const testFilePath = "/test/config.json";
-    const testConfig = [
-      {
-        url: "https://example.com",
-        css_selector: "#test",
-        current_value: "test value",
+  describe("persistState", () => {
+    const testState = {
+      version: 1,
+      targets: {
+        abc123: {
+          url: "https://example.com",
+          css_selector: "#test",
+          current_value: "test value",
+        },
       },
-    ];
+    };
 
-    it("should persist configuration successfully", async () => {
+    it("should persist state successfully", async () => {
       // Mock successful permission validation
       jest.spyOn(stateManager, "validateWritePermissions").mockResolvedValue();
-      mockConfigManager.saveConfig.mockResolvedValue();
+      mockStateStore.save.mockResolvedValue();
 
-      await stateManager.persistConfig(testFilePath, testConfig);
+      await stateManager.persistState(testState);
 
+      expect(fs.mkdir).toHaveBeenCalledWith("/data", { recursive: true });
       expect(stateManager.validateWritePermissions).toHaveBeenCalledWith(
-        testFilePath
-      );
-      expect(mockConfigManager.saveConfig).toHaveBeenCalledWith(
-        testFilePath,
-        testConfig
+        "/data/state.json"
       );
+      expect(mockStateStore.save).toHaveBeenCalledWith(testState);
     });
 
     it("should throw error if permission validation fails", async () => {
@@ -323,26 +322,32 @@ describe("StateManager", () => {
         .spyOn(stateManager, "validateWritePermissions")
         .mockRejectedValue(permissionError);
 
-      await expect(
-        stateManager.persistConfig(testFilePath, testConfig)
-      ).rejects.toThrow("Failed to persist configuration: Permission denied");
+      await expect(stateManager.persistState(testState)).rejects.toThrow(
+        "Failed to persist state: Permission denied"
+      );
 
-      expect(mockConfigManager.saveConfig).not.toHaveBeenCalled();
+      expect(mockStateStore.save).not.toHaveBeenCalled();
     });
 
-    it("should throw error if saveConfig fails", async () => {
+    it("should throw error if saving the state file fails", async () => {
       jest.spyOn(stateManager, "validateWritePermissions").mockResolvedValue();
-      const saveError = new Error("Save failed");
-      mockConfigManager.saveConfig.mockRejectedValue(saveError);
+      mockStateStore.save.mockRejectedValue(new Error("Save failed"));
 
-      await expect(
-        stateManager.persistConfig(testFilePath, testConfig)
-      ).rejects.toThrow("Failed to persist configuration: Save failed");
+      await expect(stateManager.persistState(testState)).rejects.toThrow(
+        "Failed to persist state: Save failed"
+      );
+    });
+
+    it("should throw error if no data directory was set", async () => {
+      stateManager.stateStore = null;
+
+      await expect(stateManager.persistState(testState)).rejects.toThrow(
+        "Data directory is not set"
+      );
     });
   });
 
   describe("updateAndPersist", () => {
-    const testFilePath = "/test/config.json";
     const testConfig = [
       {
         url: "https://example.com/product1",
@@ -363,25 +368,65 @@ describe("StateManager", () => {
       },
     ];
 
-    it("should update and persist configuration successfully", async () => {
-      jest.spyOn(stateManager, "validateWritePermissions").mockResolvedValue();
-      mockConfigManager.saveConfig.mockResolvedValue();
+    it("should update targets and persist the state file", async () => {
+      jest.spyOn(stateManager, "persistState").mockResolvedValue();
 
       const result = await stateManager.updateAndPersist(
-        testFilePath,
         testConfig,
         testChanges
       );
 
       expect(result).toHaveLength(1);
       expect(result[0].current_value).toBe("$18.49");
-      expect(stateManager.validateWritePermissions).toHaveBeenCalledWith(
-        testFilePath
-      );
-      expect(mockConfigManager.saveConfig).toHaveBeenCalledWith(
-        testFilePath,
-        result
+
+      const [savedState] = stateManager.persistState.mock.calls[0];
+      const stored = savedState.targets[getTargetId(testConfig[0])];
+      expect(stored).toMatchObject({
+        url: "https://example.com/product1",
+        css_selector: "#price",
+        current_value: "$18.49",
+      });
+      expect(typeof stored.updated_at).toBe("string");
+    });
+
+    it("should keep stored values of targets without changes", async () => {
+      jest.spyOn(stateManager, "persistState").mockResolvedValue();
+      stateManager.state = {
+        version: 1,
+        targets: { other: { current_value: "kept" } },
+      };
+
+      await stateManager.updateAndPersist(testConfig, testChanges);
+
+      const [savedState] = stateManager.persistState.mock.calls[0];
+      expect(savedState.targets.other.current_value).toBe("kept");
+      expect(stateManager.state).toBe(savedState);
+    });
+
+    it("should make the current screenshot the baseline of changed visual targets", async () => {
+      jest.spyOn(stateManager, "persistState").mockResolvedValue();
+      const acceptCurrent = jest.fn().mockResolvedValue();
+      stateManager.screenshotStore = { acceptCurrent };
+      const entry = {
+        type: "screenshot",
+        url: "https://example.com",
+        css_selector: "#chart",
+      };
+
+      await stateManager.updateAndPersist(
+        [entry],
+        [
+          {
+            entry,
+            hasChanged: true,
+            oldValue: "sha256:old",
+            newValue: "sha256:new",
+            visual: { changedPercent: 5 },
+          },
+        ]
       );
+
+      expect(acceptCurrent).toHaveBeenCalledWith(getTargetId(entry));
     });
 
     it("should throw error if updateConfigValues fails", async () => {
@@ -390,21 +435,238 @@ describe("StateManager", () => {
       });
 
       await expect(
-        stateManager.updateAndPersist(testFilePath, testConfig, testChanges)
-      ).rejects.toThrow(
-        "Failed to update and persist configuration: Update failed"
-      );
+        stateManager.updateAndPersist(testConfig, testChanges)
+      ).rejects.toThrow("Failed to update and persist state: Update failed");
     });
 
-    it("should throw error if persistConfig fails", async () => {
+    it("should throw error if persistState fails", async () => {
       jest.spyOn(stateManager, "validateWritePermissions").mockResolvedValue();
-      const persistError = new Error("Persist failed");
-      mockConfigManager.saveConfig.mockRejectedValue(persistError);
+      mockStateStore.save.mockRejectedValue(new Error("Persist failed"));
 
       await expect(
-        stateManager.updateAndPersist(testFilePath, testConfig, testChanges)
+        stateManager.updateAndPersist(testConfig, testChanges)
       ).rejects.toThrow(
-        "Failed to update and persist configuration: Failed to persist configuration: Persist failed"
+        "Failed to update and persist state: Failed to persist state: Persist failed"
+      );
+    });
+  });
+
+  describe("updateFailureStreaks", () => {
+    const entry = { url: "https://example.com/a", css_selector: "#price" };
+    const failed = (timestamp) => ({
+      entry,
+      hasChanged: false,
+      error: "Element not found: #price",
+      errorType: "EXTRACTION_ERROR",
+      userMessage: "The CSS selector did not match any element.",
+      suggestions: ["Verify the CSS selector in your browser"],
+      timestamp,
+    });
+    const succeeded = { entry, hasChanged: false, newValue: "$10" };
+
+    beforeEach(() => {
+      jest.spyOn(stateManager, "persistState").mockResolvedValue();
+      stateManager.state = { version: 1, targets: {} };
+    });
+
+    it("should report a target as broken once its streak reaches the threshold", async () => {
+      expect(
+        await stateManager.updateFailureStreaks(
+          [failed("2025-07-25T10:00:00.000Z")],
+          2
+        )
+      ).toEqual([]);
+      const [broken] = await stateManager.updateFailureStreaks(
+        [failed("2025-07-25T11:00:00.000Z")],
+        2
+      );
+      const later = await stateManager.updateFailureStreaks(
+        [failed("2025-07-25T12:00:00.000Z")],
+        2
+      );
+
+      expect(broken).toEqual({
+        status: "broken",
+        entry,
+        failureCount: 2,
+        failingSince: "2025-07-25T10:00:00.000Z",
+        error: {
+          type: "EXTRACTION_ERROR",
+          message: "Element not found: #price",
+          userMessage: "The CSS selector did not match any element.",
+          suggestions: ["Verify the CSS selector in your browser"],
+        },
+        timestamp: "2025-07-25T11:00:00.000Z",
+      });
+      expect(later).toEqual([]);
+      expect(
+        stateManager.state.targets[getTargetId(entry)].failure_streak
+      ).toMatchObject({
+        count: 3,
+        since: "2025-07-25T10:00:00.000Z",
+        alerted: true,
+        last_error: "Element not found: #price",
+      });
+      expect(stateManager.persistState).toHaveBeenCalledTimes(3);
+    });
+
+    it("should report a broken target as recovered and end its streak", async () => {
+      stateManager.state.targets[getTargetId(entry)] = {
+        ...entry,
+        current_value: "$10",
+        failure_streak: {
+          count: 4,
+          since: "2025-07-25T10:00:00.000Z",
+          alerted: true,
+        },
+      };
+
+      const statusRecords = await stateManager.updateFailureStreaks(
+        [succeeded],
+        3
+      );
+
+      expect(statusRecords).toEqual([
+        expect.objectContaining({
+          status: "recovered",
+          failureCount: 4,
+          failingSince: "2025-07-25T10:00:00.000Z",
+        }),
+      ]);
+      expect(stateManager.state.targets[getTargetId(entry)]).toEqual({
+        ...entry,
+        current_value: "$10",
+      });
+    });
+
+    it("should end streaks below the threshold silently and skip saving unchanged state", async () => {
+      await stateManager.updateFailureStreaks([failed()], 3);
+      expect(await stateManager.updateFailureStreaks([succeeded], 3)).toEqual(
+        []
+      );
+      await stateManager.updateFailureStreaks([succeeded], 3);
+
+      expect(stateManager.persistState).toHaveBeenCalledTimes(2);
+    });
+
+    it("should use the threshold of the target, where 0 never reports it", async () => {
+      const strict = { ...failed(), entry: { ...entry, failure_threshold: 1 } };
+      const muted = {
+        ...failed(),
+        entry: { url: "https://example.com/b", failure_threshold: 0 },
+      };
+
+      const statusRecords = await stateManager.updateFailureStreaks(
+        [strict, muted, muted],
+        5
+      );
+
+      expect(statusRecords.map(({ entry: { url } }) => url)).toEqual([
+        "https://example.com/a",
+      ]);
+    });
+  });
+
+  describe("loadTargets", () => {
+    const targets = [
+      {
+        url: "https://example.com/product1",
+        css_selector: "#price",
+        current_value: "$19.99",
+      },
+      { id: "title", url: "https://example.com/product2", css_selector: "h1" },
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(stateManager, "persistState").mockResolvedValue();
+    });
+
+    it("should seed the state file from the configuration on first run", async () => {
+      mockStateStore.exists = jest.fn().mockResolvedValue(false);
+
+      const result = await stateManager.loadTargets(targets);
+
+      expect(result).toEqual(targets);
+      expect(result).not.toBe(targets);
+      const [savedState] = stateManager.persistState.mock.calls[0];
+      expect(Object.keys(savedState.targets)).toEqual([
+        getTargetId(targets[0]),
+      ]);
+      expect(savedState.targets[getTargetId(targets[0])].current_value).toBe(
+        "$19.99"
+      );
+    });
+
+    it("should prefer stored values over configuration seeds", async () => {
+      mockStateStore.exists = jest.fn().mockResolvedValue(true);
+      mockStateStore.load = jest.fn().mockResolvedValue({
+        version: 1,
+        targets: {
+          [getTargetId(targets[0])]: { current_value: "$17.00" },
+          title: { current_value: "Product Name" },
+        },
+      });
+
+      const result = await stateManager.loadTargets(targets);
+
+      expect(result[0].current_value).toBe("$17.00");
+      expect(result[1].current_value).toBe("Product Name");
+      expect(targets[0].current_value).toBe("$19.99");
+      expect(stateManager.persistState).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to the configuration seed for new targets", async () => {
+      mockStateStore.exists = jest.fn().mockResolvedValue(true);
+      mockStateStore.load = jest
+        .fn()
+        .mockResolvedValue({ version: 1, targets: {} });
+
+      const result = await stateManager.loadTargets(targets);
+
+      expect(result[0].current_value).toBe("$19.99");
+      expect(result[1].current_value).toBeUndefined();
+    });
+
+    it("should normalize seeds like extracted values", async () => {
+      const normalized = {
+        url: "https://example.com/blog",
+        css_selector: ".latest-post",
+        current_value: "  New   Release Notes 5 minutes ago ",
+        normalize: [
+          { type: "ignore", patterns: ["\\d+ (minutes|hours) ago"] },
+          { type: "collapse_whitespace" },
+          { type: "lowercase" },
+        ],
+      };
+      mockStateStore.exists = jest.fn().mockResolvedValue(false);
+
+      const result = await stateManager.loadTargets([normalized]);
+
+      const [savedState] = stateManager.persistState.mock.calls[0];
+      expect(savedState.targets[getTargetId(normalized)].current_value).toBe(
+        "new release notes"
+      );
+      expect(result[0].current_value).toBe("new release notes");
+
+      // Seeds of targets added after the state file was created too
+      mockStateStore.exists = jest.fn().mockResolvedValue(true);
+      mockStateStore.load = jest
+        .fn()
+        .mockResolvedValue({ version: 1, targets: {} });
+      const [added] = await stateManager.loadTargets([
+        { ...normalized, multiple: true, current_value: ["  A  B ", "C"] },
+      ]);
+      expect(added.current_value).toEqual(["a b", "c"]);
+    });
+
+    it("should throw error for an unreadable state file", async () => {
+      mockStateStore.exists = jest.fn().mockResolvedValue(true);
+      mockStateStore.load = jest
+        .fn()
+        .mockRejectedValue(new Error("Invalid JSON format"));
+
+      await expect(stateManager.loadTargets(targets)).rejects.toThrow(
+        "Failed to load state: Invalid JSON format"
       );
     });
   });
@@ -0,0 +1,112 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+
+const STATE_VERSION = 1;
+
+/**
+ * StateStore keeps the observed values of monitoring targets in a dedicated
+ * JSON file inside the data directory, keyed by target ID, so the
+ * user-authored configuration file is never rewritten.
+ */
+class StateStore {
+  /**
+   * @param {string} dataDir - Directory holding the state file
+   * @param {string} [fileName] - Name of the state file (default: state.json)
+   */
+  constructor(dataDir, fileName = "state.json") {
+    if (!dataDir || typeof dataDir !== "string") {
+      throw new Error("State data directory is required");
+    }
+
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, fileName);
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Create an empty state object
+   * @returns {Object} Empty state
+   */
+  createEmptyState() {
+    return { version: STATE_VERSION, targets: {} };
+  }
+
+  /**
+   * Check whether the state file exists
+   * @returns {Promise<boolean>} True if the state file exists
+   */
+  async exists() {
+    try {
+      await fs.access(this.filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the state file. A missing file yields an empty state.
+   * @returns {Promise<Object>} State with a targets map keyed by target ID
+   * @throws {Error} If the state file cannot be read or parsed
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return this.createEmptyState();
+      }
+      throw new Error(
+        `Failed to read state file ${this.filePath}: ${error.message}`
+      );
+    }
+
+    let state;
+    try {
+      state = JSON.parse(content);
+    } catch (parseError) {
+      throw new Error(
+        `Invalid JSON format in state file ${this.filePath}: ${parseError.message}`
+      );
+    }
+
+    if (!state || typeof state !== "object" || !state.targets) {
+      throw new Error(`Invalid state file ${this.filePath}: missing targets`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Save the state file atomically, so a crash mid-write leaves the previous
+   * state intact
+   * @param {Object} state - State to save
+   * @returns {Promise<void>}
+   * @throws {Error} If the state file cannot be written
+   */
+  async save(state) {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await writeFileAtomic(this.filePath, JSON.stringify(state, null, 2));
+    } catch (error) {
+      const stateError = new Error(
+        `Failed to persist state file ${this.filePath}: ${error.message}`
+      );
+      this.errorHandler.handleError(stateError, {
+        type: "persistence",
+        operation: "saveState",
+        filePath: this.filePath,
+      });
+      throw stateError;
+    }
+  }
+}
+
+StateStore.STATE_VERSION = STATE_VERSION;
+
+module.exports = StateStore;
@@ -0,0 +1,104 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const StateStore = require("./state-store");
+
+describe("StateStore", () => {
+  let tempDir;
+  let stateStore;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "state-store-"));
+    stateStore = new StateStore(path.join(tempDir, "data"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("constructor", () => {
+    test("should require a data directory", () => {
+      expect(() => new StateStore()).toThrow(
+        "State data directory is required"
+      );
+    });
+
+    test("should place the state file in the data directory", () => {
+      expect(stateStore.filePath).toBe(
+        path.join(tempDir, "data", "state.json")
+      );
+    });
+  });
+
+  describe("load", () => {
+    test("should return an empty state when the file does not exist", async () => {
+      expect(await stateStore.exists()).toBe(false);
+      expect(await stateStore.load()).toEqual({
+        version: StateStore.STATE_VERSION,
+        targets: {},
+      });
+    });
+
+    test("should reject invalid JSON", async () => {
+      await fs.mkdir(stateStore.dataDir, { recursive: true });
+      await fs.writeFile(stateStore.filePath, "{ not json");
+
+      await expect(stateStore.load()).rejects.toThrow(
+        "Invalid JSON format in state file"
+      );
+    });
+
+    test("should reject a state file without targets", async () => {
+      await fs.mkdir(stateStore.dataDir, { recursive: true });
+      await fs.writeFile(stateStore.filePath, JSON.stringify({ version: 1 }));
+
+      await expect(stateStore.load()).rejects.toThrow("missing targets");
+    });
+  });
+
+  describe("save", () => {
+    test("should create the data directory and round-trip the state", async () => {
+      const state = {
+        version: 1,
+        targets: {
+          abc123: {
+            url: "https://example.com",
+            css_selector: "#price",
+            current_value: "$10",
+            updated_at: "2025-01-01T00:00:00.000Z",
+          },
+        },
+      };
+
+      await stateStore.save(state);
+
+      expect(await stateStore.exists()).toBe(true);
+      expect(await stateStore.load()).toEqual(state);
+    });
+
+    test("should keep the previous state when a write fails", async () => {
+      const previous = stateStore.createEmptyState();
+      await stateStore.save(previous);
+      jest
+        .spyOn(fs, "rename")
+        .mockRejectedValueOnce(new Error("ENOSPC: no space left on device"));
+
+      await expect(
+        stateStore.save({ ...previous, targets: { abc123: {} } })
+      ).rejects.toThrow("Failed to persist state file");
+
+      expect(await stateStore.load()).toEqual(previous);
+      expect(await fs.readdir(stateStore.dataDir)).toEqual(["state.json"]);
+    });
+
+    test("should wrap write errors", async () => {
+      const blocker = path.join(tempDir, "blocker");
+      await fs.writeFile(blocker, "");
+      const blockedStore = new StateStore(path.join(blocker, "data"));
+
+      await expect(
+        blockedStore.save(blockedStore.createEmptyState())
+      ).rejects.toThrow("Failed to persist state file");
+    });
+  });
+});
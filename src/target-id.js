@@ -0,0 +1,33 @@
+/**
+ * Stable identifiers for monitoring targets, used to key stored state
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Get the stable ID of a monitoring target. An explicit `id` in the
+ * configuration wins; otherwise the ID is derived from the URL and selector,
+ * or JSON path, so it survives reordering targets or editing other fields.
+ * @param {Object} entry - Monitoring target
+ * @returns {string} Target ID
+ */
+function getTargetId(entry) {
+  if (entry.id) {
+    return entry.id;
+  }
+
+  // Text targets keep the plain url/selector key, so their IDs stay stable;
+  // other target types are keyed by type too
+  const parts = [entry.url, entry.css_selector || entry.json_path || ""];
+  if (entry.type && entry.type !== "text") {
+    parts.unshift(entry.type);
+  }
+
+  return crypto
+    .createHash("sha1")
+    .update(parts.join("\n"))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+module.exports = { getTargetId };
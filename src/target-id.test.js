@@ -0,0 +1,46 @@
+const { getTargetId } = require("./target-id");
+
+describe("getTargetId", () => {
+  test("should use an explicit id", () => {
+    expect(
+      getTargetId({
+        id: "price",
+        url: "https://example.com",
+        css_selector: "#p",
+      })
+    ).toBe("price");
+  });
+
+  test("should derive a stable id from url and selector", () => {
+    const entry = { url: "https://example.com", css_selector: "#price" };
+    const id = getTargetId(entry);
+
+    expect(id).toMatch(/^[0-9a-f]{12}$/);
+    expect(getTargetId({ ...entry, current_value: "$10" })).toBe(id);
+    expect(getTargetId({ ...entry, css_selector: "#title" })).not.toBe(id);
+    expect(getTargetId({ ...entry, type: "text" })).toBe(id);
+  });
+
+  test("should distinguish screenshot targets on the same element", () => {
+    const entry = { url: "https://example.com", css_selector: "#price" };
+
+    expect(getTargetId({ ...entry, type: "screenshot" })).not.toBe(
+      getTargetId(entry)
+    );
+    expect(
+      getTargetId({ type: "screenshot", url: "https://example.com" })
+    ).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test("should derive the id of JSON targets from their JSON path", () => {
+    const entry = {
+      type: "json",
+      url: "https://api.example.com/status",
+      json_path: "$.version",
+    };
+
+    expect(getTargetId(entry)).not.toBe(
+      getTargetId({ ...entry, json_path: "$.status" })
+    );
+  });
+});
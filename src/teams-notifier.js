@@ -0,0 +1,418 @@
+const axios = require("axios");
+const NotifierBase = require("./notifier-base");
+const { withRetry, describeRetryReason } = require("./retry");
+const changeFormat = require("./change-format");
+
+// Teams rejects messages above 28 KB, so long values are shortened
+const MAX_VALUE_LENGTH = 2000;
+const MAX_DIGEST_LENGTH = 20000;
+
+/**
+ * TeamsNotifier handles sending change notifications to Microsoft Teams via
+ * incoming webhooks or workflow webhooks, as Adaptive Cards
+ */
+class TeamsNotifier extends NotifierBase {
+  constructor(webhookUrl) {
+    super("Teams");
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Get the setting notifications cannot be sent without, if it is missing
+   * @returns {string|null} - "webhook URL" without one, else null
+   */
+  getMissingSetting() {
+    return this.webhookUrl ? null : "webhook URL";
+  }
+
+  /**
+   * Send a change notification to Teams
+   * @param {Object} changeRecord - The change detection result
+   * @param {Object} changeRecord.entry - Original configuration entry
+   * @param {string} changeRecord.oldValue - Previous stored value
+   * @param {string} changeRecord.newValue - Newly extracted value
+   * @param {string} changeRecord.timestamp - ISO timestamp of detection
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendChangeNotification(changeRecord) {
+    return this.send("change", changeRecord);
+  }
+
+  /**
+   * Send one message listing all changes of a run, grouped by domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {Object} [options] - Digest options
+   * @param {string} [options.groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<boolean>} - True if the digest was sent successfully
+   */
+  async sendDigest(changes, { groupBy = "domain" } = {}) {
+    return this.send("digest", changes, { groupBy });
+  }
+
+  /**
+   * Send a notification that a target broke after failing several runs in a
+   * row, or that it recovered
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
+
+  /**
+   * Format a target status into a Teams message carrying an Adaptive Card:
+   * the target as facts, the failure streak and, for broken targets, the
+   * error with suggestions
+   * @param {Object} statusRecord - Target status
+   * @returns {Object} - Teams webhook payload
+   */
+  formatTargetStatus(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { title, summary } = changeFormat.describeTargetStatus(statusRecord);
+
+    const body = [
+      {
+        type: "TextBlock",
+        text: title,
+        weight: "Bolder",
+        size: "Medium",
+        color: statusRecord.status === "broken" ? "Attention" : "Good",
+        wrap: true,
+      },
+      {
+        type: "FactSet",
+        facts: [
+          { title: "URL", value: entry.url },
+          { title: "Selector", value: changeFormat.describeSelector(entry) },
+          { title: "Checked", value: new Date(timestamp).toISOString() },
+        ],
+      },
+      { type: "TextBlock", text: summary, wrap: true },
+    ];
+
+    if (error) {
+      body.push({
+        type: "TextBlock",
+        text: changeFormat.truncate(
+          changeFormat.formatTargetError(error).join("\n\n"),
+          MAX_VALUE_LENGTH
+        ),
+        wrap: true,
+      });
+    }
+
+    return {
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          contentUrl: null,
+          content: {
+            $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+            type: "AdaptiveCard",
+            version: "1.4",
+            msteams: { width: "Full" },
+            body,
+            actions: [
+              { type: "Action.OpenUrl", title: "Open page", url: entry.url },
+            ],
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Format the changes of a run into a Teams message carrying an Adaptive
+   * Card that lists the changes of each domain or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {string} [groupBy="domain"] - "domain" or "tag"
+   * @returns {Object} - Teams webhook payload
+   */
+  formatDigest(changes, groupBy = "domain") {
+    const entries = [];
+    for (const group of changeFormat.groupChanges(changes, groupBy)) {
+      group.changes.forEach((change, index) => {
+        const { url, css_selector, json_path } = change.entry;
+        const line = `- [${changeFormat.truncate(url, 200)}](${url}) (${
+          css_selector || json_path || "full page"
+        }): ${changeFormat.summarizeChange(change)}`;
+        entries.push(
+          index === 0
+            ? `**${group.name}** (${group.changes.length})\n\n${line}`
+            : line
+        );
+      });
+    }
+
+    const card = {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      msteams: { width: "Full" },
+      body: [
+        {
+          type: "TextBlock",
+          text: "🔔 Change Digest",
+          weight: "Bolder",
+          size: "Medium",
+          wrap: true,
+        },
+        {
+          type: "TextBlock",
+          text: changeFormat.formatDigestSummary(changes, groupBy),
+          wrap: true,
+          spacing: "None",
+        },
+        {
+          type: "TextBlock",
+          text: changeFormat.joinEntries(
+            entries,
+            MAX_DIGEST_LENGTH,
+            undefined,
+            "\n\n"
+          ),
+          wrap: true,
+        },
+      ],
+    };
+
+    return {
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          contentUrl: null,
+          content: card,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Format a change record into a Teams message carrying an Adaptive Card
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Object} - Teams webhook payload
+   */
+  formatMessage(changeRecord) {
+    const card = this.formatCard(changeRecord);
+
+    return {
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          contentUrl: null,
+          content: card,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Build the Adaptive Card of a change: the target as facts, the old and
+   * new values color-coded, and an action opening the page
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Object} - Adaptive Card
+   */
+  formatCard(changeRecord) {
+    const { entry, timestamp } = changeRecord;
+
+    const facts = [
+      { title: "URL", value: entry.url },
+      { title: "Selector", value: changeFormat.describeSelector(entry) },
+    ];
+
+    if (changeRecord.visual) {
+      facts.push({
+        title: "Visual change",
+        value: changeFormat.formatVisualChange(changeRecord.visual),
+      });
+    }
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      facts.push({
+        title: "Change",
+        value: changeFormat.formatNumericChange(changeRecord.numeric),
+      });
+    }
+    facts.push({ title: "Checked", value: new Date(timestamp).toISOString() });
+
+    const body = [
+      {
+        type: "TextBlock",
+        text: "🔔 Change Detected",
+        weight: "Bolder",
+        size: "Medium",
+        wrap: true,
+      },
+      { type: "FactSet", facts },
+      ...this.formatValueBlocks(changeRecord),
+    ];
+
+    const actions = [
+      { type: "Action.OpenUrl", title: "Open page", url: entry.url },
+    ];
+
+    const screenshots = changeRecord.screenshots;
+    if (screenshots) {
+      if (screenshots.before) {
+        facts.push({
+          title: "Before",
+          value: screenshots.before.url || screenshots.before.path,
+        });
+      }
+      if (screenshots.after && screenshots.after.url) {
+        body.push({
+          type: "Image",
+          url: screenshots.after.url,
+          altText: "Screenshot after the change",
+        });
+        actions.push({
+          type: "Action.OpenUrl",
+          title: "Open screenshot",
+          url: screenshots.after.url,
+        });
+      } else if (screenshots.after) {
+        facts.push({ title: "After", value: screenshots.after.path });
+      }
+    }
+
+    return {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      msteams: { width: "Full" },
+      body,
+      actions,
+    };
+  }
+
+  /**
+   * Build the card elements showing the old value in red and the new value
+   * in green, or the removed and added items of a list change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Array<Object>} - Adaptive Card elements
+   */
+  formatValueBlocks(changeRecord) {
+    if (changeRecord.visual) {
+      return [];
+    }
+
+    const blocks = [];
+    const addSection = (label, value, color) => {
+      blocks.push(
+        {
+          type: "TextBlock",
+          text: label,
+          weight: "Bolder",
+          spacing: "Medium",
+        },
+        {
+          type: "TextBlock",
+          text: changeFormat.truncate(value, MAX_VALUE_LENGTH),
+          color,
+          wrap: true,
+          spacing: "None",
+        }
+      );
+    };
+
+    if (changeRecord.listDiff) {
+      const { added, removed, reordered } = changeRecord.listDiff;
+      if (added.length > 0) {
+        addSection(`Added (${added.length})`, added.join("\n\n"), "Good");
+      }
+      if (removed.length > 0) {
+        addSection(
+          `Removed (${removed.length})`,
+          removed.join("\n\n"),
+          "Attention"
+        );
+      }
+      if (blocks.length === 0 && reordered) {
+        blocks.push({
+          type: "TextBlock",
+          text: "Order changed (no items added or removed)",
+          wrap: true,
+        });
+      }
+      return blocks;
+    }
+
+    addSection("Was", changeRecord.oldValue, "Attention");
+    addSection("Now", changeRecord.newValue, "Good");
+    return blocks;
+  }
+
+  /**
+   * Deliver a formatted message
+   * @param {Object} message - The formatted message payload
+   * @returns {Promise<boolean>} - True if webhook sent successfully
+   */
+  deliver(message) {
+    return this.sendWebhook(message);
+  }
+
+  /**
+   * Send a webhook request to Teams
+   * @param {Object} message - The formatted message payload
+   * @returns {Promise<boolean>} - True if webhook sent successfully
+   */
+  async sendWebhook(message) {
+    try {
+      const response = await withRetry(
+        () =>
+          axios.post(this.webhookUrl, message, {
+            headers: {
+              "Content-Type": "application/json",
+            },
+            timeout: 10000, // 10 second timeout
+          }),
+        {
+          ...this.retryOptions,
+          onRetry: (error, retry, delay) =>
+            this.logger.warn(
+              `Teams webhook failed with ${describeRetryReason(
+                error
+              )}, retry ${retry} in ${delay}ms`
+            ),
+        }
+      );
+
+      // Incoming webhooks return 200, workflow webhooks 202 Accepted
+      return response.status >= 200 && response.status < 300;
+    } catch (error) {
+      if (error.response) {
+        // HTTP error response
+        const httpError = new Error(
+          `Teams webhook failed with status ${
+            error.response.status
+          }: ${JSON.stringify(error.response.data)}`
+        );
+        this.logger.error(
+          `Teams webhook HTTP error: ${error.response.status}`,
+          {
+            status: error.response.status,
+            data: error.response.data,
+          }
+        );
+        throw httpError;
+      } else if (error.request) {
+        // Network error
+        const networkError = new Error("Network error sending Teams webhook");
+        this.logger.error("Teams webhook network error", {
+          request: error.request,
+        });
+        throw networkError;
+      } else {
+        // Other error
+        const webhookError = new Error(`Teams webhook error: ${error.message}`);
+        this.logger.error(`Teams webhook general error: ${error.message}`);
+        throw webhookError;
+      }
+    }
+  }
+}
+
+module.exports = TeamsNotifier;
@@ -0,0 +1,246 @@
+const axios = require("axios");
+const TeamsNotifier = require("./teams-notifier");
+
+describe("TeamsNotifier", () => {
+  const webhookUrl = "https://contoso.webhook.office.com/webhookb2/abc";
+  let teamsNotifier;
+  let changeRecord;
+
+  const getCard = (message) => message.attachments[0].content;
+  const getTexts = (card) =>
+    card.body
+      .filter((element) => element.type === "TextBlock")
+      .map(({ text, color }) => ({ text, color }));
+
+  beforeEach(() => {
+    teamsNotifier = new TeamsNotifier(webhookUrl);
+    changeRecord = {
+      entry: {
+        url: "https://example.com/product",
+        css_selector: "#price",
+      },
+      oldValue: "$19.99",
+      newValue: "$18.49",
+      timestamp: "2025-07-25T15:30:00.000Z",
+    };
+
+    jest.spyOn(axios, "post").mockResolvedValue({ status: 200 });
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  describe("formatMessage", () => {
+    test("should wrap an Adaptive Card in a message", () => {
+      const message = teamsNotifier.formatMessage(changeRecord);
+
+      expect(message.type).toBe("message");
+      expect(message.attachments).toHaveLength(1);
+      expect(message.attachments[0].contentType).toBe(
+        "application/vnd.microsoft.card.adaptive"
+      );
+      expect(getCard(message)).toMatchObject({
+        type: "AdaptiveCard",
+        version: "1.4",
+      });
+    });
+
+    test("should show the target, color-coded values and an open action", () => {
+      const card = getCard(teamsNotifier.formatMessage(changeRecord));
+
+      const factSet = card.body.find((element) => element.type === "FactSet");
+      expect(factSet.facts).toEqual([
+        { title: "URL", value: "https://example.com/product" },
+        { title: "Selector", value: "#price" },
+        { title: "Checked", value: "2025-07-25T15:30:00.000Z" },
+      ]);
+      expect(getTexts(card)).toEqual([
+        { text: "🔔 Change Detected", color: undefined },
+        { text: "Was", color: undefined },
+        { text: "$19.99", color: "Attention" },
+        { text: "Now", color: undefined },
+        { text: "$18.49", color: "Good" },
+      ]);
+      expect(card.actions).toEqual([
+        {
+          type: "Action.OpenUrl",
+          title: "Open page",
+          url: "https://example.com/product",
+        },
+      ]);
+    });
+
+    test("should list added and removed items of list targets", () => {
+      const card = getCard(
+        teamsNotifier.formatMessage({
+          ...changeRecord,
+          listDiff: {
+            added: ["Job C", "Job D"],
+            removed: ["Job A"],
+            reordered: false,
+          },
+        })
+      );
+
+      expect(getTexts(card).slice(1)).toEqual([
+        { text: "Added (2)", color: undefined },
+        { text: "Job C\n\nJob D", color: "Good" },
+        { text: "Removed (1)", color: undefined },
+        { text: "Job A", color: "Attention" },
+      ]);
+    });
+
+    test("should add numeric, visual and screenshot details", () => {
+      const card = getCard(
+        teamsNotifier.formatMessage({
+          ...changeRecord,
+          entry: { url: "https://example.com", type: "screenshot" },
+          visual: { changedPercent: 12.5, tolerance: 0 },
+          screenshots: {
+            before: null,
+            after: {
+              path: "/data/after.png",
+              url: "https://monitor.example.com/after.png",
+            },
+          },
+        })
+      );
+
+      const factSet = card.body.find((element) => element.type === "FactSet");
+      expect(factSet.facts).toContainEqual({
+        title: "Selector",
+        value: "(full page)",
+      });
+      expect(factSet.facts).toContainEqual({
+        title: "Visual change",
+        value: "12.5% of pixels changed",
+      });
+      expect(card.body).toContainEqual({
+        type: "Image",
+        url: "https://monitor.example.com/after.png",
+        altText: "Screenshot after the change",
+      });
+      expect(card.actions[1].title).toBe("Open screenshot");
+    });
+
+    test("should shorten long values", () => {
+      const card = getCard(
+        teamsNotifier.formatMessage({
+          ...changeRecord,
+          newValue: "x".repeat(5000),
+        })
+      );
+
+      expect(getTexts(card)[4].text).toHaveLength(2000);
+    });
+  });
+
+  describe("formatDigest", () => {
+    test("should list the changes of each tag in one card", () => {
+      const card = getCard(
+        teamsNotifier.formatDigest(
+          [
+            { ...changeRecord, entry: { ...changeRecord.entry, tag: "shop" } },
+            changeRecord,
+          ],
+          "tag"
+        )
+      );
+
+      expect(getTexts(card).map(({ text }) => text)).toEqual([
+        "🔔 Change Digest",
+        "2 changes across 2 tags",
+        [
+          "**shop** (1)",
+          "",
+          "- [https://example.com/product](https://example.com/product) (#price): $19.99 → $18.49",
+          "",
+          "**Untagged** (1)",
+          "",
+          "- [https://example.com/product](https://example.com/product) (#price): $19.99 → $18.49",
+        ].join("\n"),
+      ]);
+    });
+
+    test("should send the digest as one webhook request", async () => {
+      expect(await teamsNotifier.sendDigest([changeRecord, changeRecord])).toBe(
+        true
+      );
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("formatTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should format a broken target as an Adaptive Card", () => {
+      const { body, actions } = teamsNotifier.formatTargetStatus(brokenRecord())
+        .attachments[0].content;
+
+      expect(body[0]).toMatchObject({
+        text: "🚨 Target Broken",
+        color: "Attention",
+      });
+      expect(body[1].facts).toEqual([
+        { title: "URL", value: "https://example.com/product" },
+        { title: "Selector", value: "#price" },
+        { title: "Checked", value: "2025-07-25T15:30:00.000Z" },
+      ]);
+      expect(body[3].text).toContain(
+        "Error: The CSS selector did not match any element."
+      );
+      expect(actions[0].url).toBe("https://example.com/product");
+    });
+
+    test("should send the alert to the webhook", async () => {
+      const sent = await teamsNotifier.sendTargetStatus(brokenRecord());
+
+      expect(sent).toBe(true);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("sendChangeNotification", () => {
+    test("should post the card", async () => {
+      const result = await teamsNotifier.sendChangeNotification(changeRecord);
+
+      expect(result).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(
+        webhookUrl,
+        teamsNotifier.formatMessage(changeRecord),
+        expect.objectContaining({ timeout: 10000 })
+      );
+    });
+
+    test("should skip sending without a webhook URL", async () => {
+      const result = await new TeamsNotifier().sendChangeNotification(
+        changeRecord
+      );
+
+      expect(result).toBe(false);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test("should return false when Teams rejects the message", async () => {
+      axios.post.mockRejectedValue({
+        response: { status: 400, data: "Bad payload" },
+      });
+
+      expect(await teamsNotifier.sendChangeNotification(changeRecord)).toBe(
+        false
+      );
+    });
+  });
+});
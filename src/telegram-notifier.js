@@ -0,0 +1,436 @@
+const axios = require("axios");
+const NotifierBase = require("./notifier-base");
+const { withRetry, describeRetryReason } = require("./retry");
+const changeFormat = require("./change-format");
+
+const DEFAULT_API_URL = "https://api.telegram.org";
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Escape text for MarkdownV2, where all of _*[]()~`>#+-=|{}.! are reserved
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+}
+
+/**
+ * Escape text for a MarkdownV2 code block, where only ` and \ are reserved
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeCode(value) {
+  return String(value).replace(/[`\\]/g, "\\$&");
+}
+
+/**
+ * Escape the URL of a MarkdownV2 link, where only ) and \ are reserved
+ * @param {string} url - URL to escape
+ * @returns {string} Escaped URL
+ */
+function escapeLinkUrl(url) {
+  return String(url).replace(/[)\\]/g, "\\$&");
+}
+
+/**
+ * TelegramNotifier sends change notifications to Telegram chats via the Bot
+ * API, formatted as MarkdownV2. Targets can override the chat and bot of the
+ * configuration.
+ */
+class TelegramNotifier extends NotifierBase {
+  /**
+   * @param {Object} settings - The telegram settings of the configuration
+   * @param {string} [settings.bot_token] - Bot token; defaults to TELEGRAM_BOT_TOKEN
+   * @param {string|number} [settings.chat_id] - Chat of targets without their own
+   * @param {string} [settings.api_url] - Bot API server (default: https://api.telegram.org)
+   */
+  constructor(settings = {}) {
+    super("Telegram");
+    this.settings = settings;
+  }
+
+  /**
+   * Get the chat and bot token a target notifies, the target's own settings
+   * taking precedence over the configuration
+   * @param {Object} entry - Configuration entry
+   * @returns {Object} - Destination {chatId, botToken}; either may be undefined
+   */
+  getDestination(entry) {
+    const targetSettings = (entry && entry.telegram) || {};
+
+    return {
+      chatId:
+        targetSettings.chat_id !== undefined
+          ? targetSettings.chat_id
+          : this.settings.chat_id,
+      botToken:
+        targetSettings.bot_token ||
+        this.settings.bot_token ||
+        process.env.TELEGRAM_BOT_TOKEN,
+    };
+  }
+
+  /**
+   * Get the destination of a notification. The changes of a digest share
+   * their destination.
+   * @param {Object|Array<Object>} record - Change or status record, or
+   *   changes of a digest
+   * @returns {Object} - Destination {chatId, botToken}
+   */
+  getRecordDestination(record) {
+    const first = Array.isArray(record) ? record[0] : record;
+    return this.getDestination(first && first.entry);
+  }
+
+  /**
+   * Get the setting a notification cannot be sent without, if it is missing
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @returns {string|null} - "bot token" or "chat ID" when missing, else null
+   */
+  getMissingSetting(record) {
+    const { chatId, botToken } = this.getRecordDestination(record);
+
+    if (!botToken) {
+      return "bot token";
+    }
+    return chatId === undefined ? "chat ID" : null;
+  }
+
+  /**
+   * Check whether a change has a chat to go to
+   * @param {Object} changeRecord - The change detection result
+   * @returns {boolean} - True if a chat is configured for the target
+   */
+  accepts(changeRecord) {
+    return this.getDestination(changeRecord.entry).chatId !== undefined;
+  }
+
+  /**
+   * Send a change notification to the target's Telegram chat
+   * @param {Object} changeRecord - The change detection result
+   * @param {Object} changeRecord.entry - Original configuration entry
+   * @param {string} changeRecord.oldValue - Previous stored value
+   * @param {string} changeRecord.newValue - Newly extracted value
+   * @param {string} changeRecord.timestamp - ISO timestamp of detection
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendChangeNotification(changeRecord) {
+    return this.send("change", changeRecord);
+  }
+
+  /**
+   * Send a notification to the target's Telegram chat that it broke after
+   * failing several runs in a row, or that it recovered
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
+
+  /**
+   * Format a target status into a MarkdownV2 message, with all values escaped
+   * @param {Object} statusRecord - Target status
+   * @returns {string} - Message text
+   */
+  formatTargetStatus(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { title, summary } = changeFormat.describeTargetStatus(statusRecord);
+    const field = (label, value) => `*${escapeMarkdown(label)}:* ${value}`;
+
+    const lines = [
+      `*${escapeMarkdown(title)}*`,
+      "",
+      field(
+        "URL",
+        `[${escapeMarkdown(entry.url)}](${escapeLinkUrl(entry.url)})`
+      ),
+      field(
+        "Selector",
+        `\`${escapeCode(changeFormat.describeSelector(entry))}\``
+      ),
+      field("Checked", escapeMarkdown(new Date(timestamp).toISOString())),
+      "",
+      escapeMarkdown(summary),
+    ];
+    if (error) {
+      lines.push(
+        ...changeFormat
+          .formatTargetError(error)
+          .map((line) => escapeMarkdown(line))
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Send one message per chat listing all changes of a run, grouped by domain
+   * or tag
+   * @param {Array<Object>} changes - Change detection results
+   * @param {Object} [options] - Digest options
+   * @param {string} [options.groupBy="domain"] - "domain" or "tag"
+   * @returns {Promise<boolean>} - True if every digest was sent successfully
+   */
+  async sendDigest(changes, { groupBy = "domain" } = {}) {
+    // Targets can notify different chats, so each chat gets its own digest
+    const digests = new Map();
+    for (const change of changes) {
+      const { chatId, botToken } = this.getDestination(change.entry);
+      const key = `${botToken}\n${chatId}`;
+      if (!digests.has(key)) {
+        digests.set(key, []);
+      }
+      digests.get(key).push(change);
+    }
+
+    let success = true;
+    for (const chatChanges of digests.values()) {
+      const sent = await this.send("digest", chatChanges, { groupBy });
+      success = success && sent;
+    }
+
+    return success;
+  }
+
+  /**
+   * Format the changes of a run into a MarkdownV2 message listing the
+   * changes of each domain or tag, within the Telegram message limit
+   * @param {Array<Object>} changes - Change detection results
+   * @param {string} [groupBy="domain"] - "domain" or "tag"
+   * @returns {string} - Message text
+   */
+  formatDigest(changes, groupBy = "domain") {
+    const header = [
+      "*🔔 Change Digest*",
+      escapeMarkdown(changeFormat.formatDigestSummary(changes, groupBy)),
+    ].join("\n");
+
+    const entries = [];
+    for (const group of changeFormat.groupChanges(changes, groupBy)) {
+      group.changes.forEach((change, index) => {
+        const line = this.formatDigestLine(change);
+        entries.push(
+          index === 0
+            ? `\n*${escapeMarkdown(group.name)}* ${escapeMarkdown(
+                `(${group.changes.length})`
+              )}\n${line}`
+            : line
+        );
+      });
+    }
+
+    return `${header}\n${changeFormat.joinEntries(
+      entries,
+      MAX_MESSAGE_LENGTH - header.length - 1,
+      (count) =>
+        escapeMarkdown(`… ${changeFormat.pluralize(count, "more change")}`)
+    )}`;
+  }
+
+  /**
+   * Format a change as one digest line: the URL as a link, the selector and
+   * a summary of the change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string} - Formatted line
+   */
+  formatDigestLine(changeRecord) {
+    const { entry } = changeRecord;
+
+    return `• [${escapeMarkdown(
+      changeFormat.truncate(entry.url, 200)
+    )}](${escapeLinkUrl(entry.url)}) \`${escapeCode(
+      changeFormat.truncate(changeFormat.describeSelector(entry), 200)
+    )}\`: ${escapeMarkdown(changeFormat.summarizeChange(changeRecord))}`;
+  }
+
+  /**
+   * Format a change record into a MarkdownV2 message, with all values escaped
+   * @param {Object} changeRecord - The change detection result
+   * @returns {string} - Message text
+   */
+  formatMessage(changeRecord) {
+    const { entry, timestamp } = changeRecord;
+    const field = (label, value) => `*${escapeMarkdown(label)}:* ${value}`;
+
+    const lines = [
+      "*🔔 Change Detected*",
+      "",
+      field(
+        "URL",
+        `[${escapeMarkdown(entry.url)}](${escapeLinkUrl(entry.url)})`
+      ),
+      field(
+        "Selector",
+        `\`${escapeCode(changeFormat.describeSelector(entry))}\``
+      ),
+    ];
+
+    if (changeRecord.visual) {
+      lines.push(
+        field(
+          "Visual change",
+          escapeMarkdown(changeFormat.formatVisualChange(changeRecord.visual))
+        )
+      );
+    }
+    if (changeRecord.numeric && changeRecord.numeric.delta !== null) {
+      lines.push(
+        field(
+          "Change",
+          escapeMarkdown(changeFormat.formatNumericChange(changeRecord.numeric))
+        )
+      );
+    }
+    lines.push(
+      field("Checked", escapeMarkdown(new Date(timestamp).toISOString()))
+    );
+
+    const screenshots = changeRecord.screenshots;
+    for (const [label, screenshot] of [
+      ["Before", screenshots && screenshots.before],
+      ["After", screenshots && screenshots.after],
+    ]) {
+      if (screenshot) {
+        lines.push(
+          field(
+            label,
+            screenshot.url
+              ? `[Screenshot](${escapeLinkUrl(screenshot.url)})`
+              : `\`${escapeCode(screenshot.path)}\``
+          )
+        );
+      }
+    }
+
+    const header = lines.join("\n");
+    if (changeRecord.visual) {
+      return header;
+    }
+
+    const diff = changeFormat.getChangeDiff(changeRecord);
+    if (diff.length === 0 && changeRecord.listDiff?.reordered) {
+      return `${header}\n\n${escapeMarkdown(
+        "Order changed (no items added or removed)"
+      )}`;
+    }
+
+    return `${header}\n\n${this.formatDiffBlock(
+      changeFormat.formatDiffText(diff),
+      MAX_MESSAGE_LENGTH - header.length - 2
+    )}`;
+  }
+
+  /**
+   * Wrap a diff in a code block tagged as diff, shortening it to a maximum
+   * length
+   * @param {string} diffText - Diff lines starting with "- " or "+ "
+   * @param {number} maxLength - Maximum length of the block
+   * @returns {string} - Code block
+   */
+  formatDiffBlock(diffText, maxLength) {
+    const wrap = (text) => `\`\`\`diff\n${escapeCode(text)}\n\`\`\``;
+
+    // Escaping lengthens the text, so shorten it until the block fits
+    let limit = maxLength;
+    let block = wrap(diffText);
+    while (block.length > maxLength && limit > 1) {
+      limit -= block.length - maxLength;
+      block = wrap(changeFormat.truncate(diffText, Math.max(limit, 1)));
+    }
+    return block;
+  }
+
+  /**
+   * Deliver a formatted message to the chat of its record
+   * @param {string} text - MarkdownV2 message text
+   * @param {Object|Array<Object>} record - Record of the notification
+   * @returns {Promise<boolean>} - True if Telegram accepted the message
+   */
+  deliver(text, record) {
+    const { chatId, botToken } = this.getRecordDestination(record);
+    return this.sendMessage(botToken, chatId, text);
+  }
+
+  /**
+   * Send a message via the Bot API
+   * @param {string} botToken - Bot token
+   * @param {string|number} chatId - Chat to send to
+   * @param {string} text - MarkdownV2 message text
+   * @returns {Promise<boolean>} - True if Telegram accepted the message
+   */
+  async sendMessage(botToken, chatId, text) {
+    const apiUrl = (this.settings.api_url || DEFAULT_API_URL).replace(
+      /\/+$/,
+      ""
+    );
+
+    try {
+      const response = await withRetry(
+        () =>
+          axios.post(
+            `${apiUrl}/bot${botToken}/sendMessage`,
+            {
+              chat_id: chatId,
+              text,
+              parse_mode: "MarkdownV2",
+              disable_web_page_preview: true,
+            },
+            {
+              headers: {
+                "Content-Type": "application/json",
+              },
+              timeout: 10000, // 10 second timeout
+            }
+          ),
+        {
+          ...this.retryOptions,
+          onRetry: (error, retry, delay) =>
+            this.logger.warn(
+              `Telegram API failed with ${describeRetryReason(
+                error
+              )}, retry ${retry} in ${delay}ms`
+            ),
+        }
+      );
+
+      return Boolean(response.data && response.data.ok);
+    } catch (error) {
+      // The request URL contains the bot token, so errors never log it
+      if (error.response) {
+        // HTTP error response, described by the Bot API
+        const description =
+          (error.response.data && error.response.data.description) ||
+          JSON.stringify(error.response.data);
+        const httpError = new Error(
+          `Telegram API failed with status ${error.response.status}: ${description}`
+        );
+        this.logger.error(`Telegram API HTTP error: ${error.response.status}`, {
+          status: error.response.status,
+          description,
+        });
+        throw httpError;
+      } else if (error.request) {
+        // Network error
+        const networkError = new Error(
+          "Network error sending Telegram message"
+        );
+        this.logger.error("Telegram API network error", { code: error.code });
+        throw networkError;
+      } else {
+        // Other error
+        const apiError = new Error(`Telegram API error: ${error.message}`);
+        this.logger.error(`Telegram API general error: ${error.message}`);
+        throw apiError;
+      }
+    }
+  }
+}
+
+TelegramNotifier.escapeMarkdown = escapeMarkdown;
+
+module.exports = TelegramNotifier;
@@ -0,0 +1,328 @@
+const axios = require("axios");
+const TelegramNotifier = require("./telegram-notifier");
+
+describe("TelegramNotifier", () => {
+  const settings = { bot_token: "123456:ABC-DEF", chat_id: -1001234 };
+  let telegramNotifier;
+  let changeRecord;
+
+  beforeEach(() => {
+    telegramNotifier = new TelegramNotifier(settings);
+    changeRecord = {
+      entry: {
+        url: "https://example.com/product",
+        css_selector: "#price",
+      },
+      oldValue: "$19.99",
+      newValue: "$18.49",
+      timestamp: "2025-07-25T15:30:00.000Z",
+    };
+
+    jest
+      .spyOn(axios, "post")
+      .mockResolvedValue({ status: 200, data: { ok: true } });
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  describe("escapeMarkdown", () => {
+    test("should escape every reserved MarkdownV2 character", () => {
+      expect(TelegramNotifier.escapeMarkdown("_*[]()~`>#+-=|{}.!\\")).toBe(
+        "\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\"
+      );
+      expect(TelegramNotifier.escapeMarkdown("Price: 5")).toBe("Price: 5");
+    });
+  });
+
+  describe("getDestination", () => {
+    test("should prefer the chat and bot of the target", () => {
+      expect(
+        telegramNotifier.getDestination({
+          telegram: { chat_id: "@alerts", bot_token: "987:XYZ" },
+        })
+      ).toEqual({ chatId: "@alerts", botToken: "987:XYZ" });
+      expect(telegramNotifier.getDestination({})).toEqual({
+        chatId: -1001234,
+        botToken: "123456:ABC-DEF",
+      });
+    });
+
+    test("should read the bot token from TELEGRAM_BOT_TOKEN", () => {
+      const previous = process.env.TELEGRAM_BOT_TOKEN;
+      process.env.TELEGRAM_BOT_TOKEN = "555:ENV";
+
+      try {
+        expect(
+          new TelegramNotifier({ chat_id: 1 }).getDestination({}).botToken
+        ).toBe("555:ENV");
+      } finally {
+        if (previous === undefined) {
+          delete process.env.TELEGRAM_BOT_TOKEN;
+        } else {
+          process.env.TELEGRAM_BOT_TOKEN = previous;
+        }
+      }
+    });
+
+    test("should only accept changes of targets with a chat", () => {
+      const notifier = new TelegramNotifier({ bot_token: "123456:ABC-DEF" });
+
+      expect(notifier.accepts(changeRecord)).toBe(false);
+      expect(
+        notifier.accepts({
+          ...changeRecord,
+          entry: { ...changeRecord.entry, telegram: { chat_id: 42 } },
+        })
+      ).toBe(true);
+    });
+  });
+
+  describe("formatMessage", () => {
+    test("should format the change with a diff block", () => {
+      expect(telegramNotifier.formatMessage(changeRecord)).toBe(
+        [
+          "*🔔 Change Detected*",
+          "",
+          "*URL:* [https://example\\.com/product](https://example.com/product)",
+          "*Selector:* `#price`",
+          "*Checked:* 2025\\-07\\-25T15:30:00\\.000Z",
+          "",
+          "```diff",
+          "- $19.99",
+          "+ $18.49",
+          "```",
+        ].join("\n")
+      );
+    });
+
+    test("should escape extracted values in code blocks and links", () => {
+      const message = telegramNotifier.formatMessage({
+        ...changeRecord,
+        entry: {
+          url: "https://example.com/a_(b)",
+          css_selector: "a[href*=`x`]",
+        },
+        oldValue: "```",
+        newValue: "C:\\temp",
+      });
+
+      expect(message).toContain(
+        "[https://example\\.com/a\\_\\(b\\)](https://example.com/a_(b\\))"
+      );
+      expect(message).toContain("*Selector:* `a[href*=\\`x\\`]`");
+      expect(message).toContain("- \\`\\`\\`\n+ C:\\\\temp");
+    });
+
+    test("should include numeric deltas, visual changes and screenshots", () => {
+      const numeric = telegramNotifier.formatMessage({
+        ...changeRecord,
+        numeric: { delta: -1.5, percentChange: -7.5 },
+        screenshots: {
+          before: { path: "/data/before.png", url: null },
+          after: { path: "/data/after.png", url: "https://cdn.test/a.png" },
+        },
+      });
+      expect(numeric).toContain("*Change:* ↓ 7\\.5% \\(\\-1\\.5\\)");
+      expect(numeric).toContain("*Before:* `/data/before.png`");
+      expect(numeric).toContain(
+        "*After:* [Screenshot](https://cdn.test/a.png)"
+      );
+
+      const visual = telegramNotifier.formatMessage({
+        ...changeRecord,
+        visual: { changedPercent: 2.5, tolerance: 0 },
+      });
+      expect(visual).toContain("*Visual change:* 2\\.5% of pixels changed");
+      expect(visual).not.toContain("```");
+    });
+
+    test("should stay within the Telegram message limit", () => {
+      const message = telegramNotifier.formatMessage({
+        ...changeRecord,
+        oldValue: "`".repeat(5000),
+        newValue: "x".repeat(5000),
+      });
+
+      expect(message.length).toBeLessThanOrEqual(4096);
+      expect(message.endsWith("\n```")).toBe(true);
+    });
+  });
+
+  describe("sendChangeNotification", () => {
+    test("should send a MarkdownV2 message to the chat", async () => {
+      const sent = await telegramNotifier.sendChangeNotification(changeRecord);
+
+      expect(sent).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(
+        "https://api.telegram.org/bot123456:ABC-DEF/sendMessage",
+        {
+          chat_id: -1001234,
+          text: telegramNotifier.formatMessage(changeRecord),
+          parse_mode: "MarkdownV2",
+          disable_web_page_preview: true,
+        },
+        expect.objectContaining({ timeout: 10000 })
+      );
+    });
+
+    test("should use the configured API server", async () => {
+      telegramNotifier = new TelegramNotifier({
+        ...settings,
+        api_url: "http://localhost:8081/",
+      });
+
+      await telegramNotifier.sendChangeNotification(changeRecord);
+
+      expect(axios.post.mock.calls[0][0]).toBe(
+        "http://localhost:8081/bot123456:ABC-DEF/sendMessage"
+      );
+    });
+
+    test("should skip targets without a bot token", async () => {
+      const previous = process.env.TELEGRAM_BOT_TOKEN;
+      delete process.env.TELEGRAM_BOT_TOKEN;
+
+      try {
+        const sent = await new TelegramNotifier({
+          chat_id: 1,
+        }).sendChangeNotification(changeRecord);
+        expect(sent).toBe(false);
+      } finally {
+        if (previous !== undefined) {
+          process.env.TELEGRAM_BOT_TOKEN = previous;
+        }
+      }
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test("should return false when the Bot API rejects the message", async () => {
+      axios.post.mockRejectedValue({
+        response: {
+          status: 400,
+          data: {
+            ok: false,
+            error_code: 400,
+            description: "Bad Request: chat not found",
+          },
+        },
+      });
+
+      expect(await telegramNotifier.sendChangeNotification(changeRecord)).toBe(
+        false
+      );
+    });
+  });
+
+  describe("sendDigest", () => {
+    test("should format the changes of each domain as MarkdownV2", () => {
+      expect(
+        telegramNotifier.formatDigest([
+          changeRecord,
+          { ...changeRecord, newValue: "$17.99" },
+        ])
+      ).toBe(
+        [
+          "*🔔 Change Digest*",
+          "2 changes across 1 domain",
+          "",
+          "*example\\.com* \\(2\\)",
+          "• [https://example\\.com/product](https://example.com/product) `#price`: $19\\.99 → $18\\.49",
+          "• [https://example\\.com/product](https://example.com/product) `#price`: $19\\.99 → $17\\.99",
+        ].join("\n")
+      );
+    });
+
+    test("should stay within the Telegram message limit", () => {
+      const message = telegramNotifier.formatDigest(
+        Array.from({ length: 200 }, () => changeRecord)
+      );
+
+      expect(message.length).toBeLessThanOrEqual(4096);
+      expect(message).toMatch(/… \d+ more changes$/);
+    });
+
+    test("should send one digest per chat", async () => {
+      const otherChat = {
+        ...changeRecord,
+        entry: { ...changeRecord.entry, telegram: { chat_id: "@alerts" } },
+      };
+
+      const sent = await telegramNotifier.sendDigest([
+        changeRecord,
+        otherChat,
+        changeRecord,
+      ]);
+
+      expect(sent).toBe(true);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls.map(([, body]) => body.chat_id)).toEqual([
+        -1001234,
+        "@alerts",
+      ]);
+      expect(axios.post.mock.calls[0][1].text).toContain(
+        "2 changes across 1 domain"
+      );
+    });
+  });
+
+  describe("sendTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should format a broken target as MarkdownV2", () => {
+      expect(telegramNotifier.formatTargetStatus(brokenRecord())).toBe(
+        [
+          "*🚨 Target Broken*",
+          "",
+          "*URL:* [https://example\\.com/product](https://example.com/product)",
+          "*Selector:* `#price`",
+          "*Checked:* 2025\\-07\\-25T15:30:00\\.000Z",
+          "",
+          "Failing for 3 consecutive runs since 2025\\-07\\-25T13:30:00\\.000Z",
+          "Error: The CSS selector did not match any element\\.",
+          "Details: Element not found: \\#price",
+          "Suggestions:",
+          "• Verify the CSS selector in your browser",
+        ].join("\n")
+      );
+    });
+
+    test("should send the alert to the chat of the target", async () => {
+      const record = brokenRecord();
+      record.entry.telegram = { chat_id: "@alerts" };
+
+      expect(await telegramNotifier.sendTargetStatus(record)).toBe(true);
+      expect(axios.post.mock.calls[0][1].chat_id).toBe("@alerts");
+    });
+  });
+
+  describe("sendMessage", () => {
+    test("should describe Bot API errors without the token", async () => {
+      axios.post.mockRejectedValue({
+        response: {
+          status: 401,
+          data: { ok: false, error_code: 401, description: "Unauthorized" },
+        },
+      });
+
+      await expect(
+        telegramNotifier.sendMessage("123456:SECRET", 1, "text")
+      ).rejects.toThrow("Telegram API failed with status 401: Unauthorized");
+      expect(console.error).not.toHaveBeenCalledWith(
+        expect.stringContaining("SECRET")
+      );
+    });
+  });
+});
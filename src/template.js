@@ -0,0 +1,65 @@
+/**
+ * Placeholder templates such as "Change on {{url}}", used for the URL,
+ * headers and body of generic webhooks
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+/**
+ * Find the placeholder names used in a template
+ * @param {*} template - String, or object or array containing strings
+ * @returns {string[]} Placeholder names, without duplicates
+ */
+function findPlaceholders(template) {
+  const names = new Set();
+
+  const visit = (value) => {
+    if (typeof value === "string") {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(template);
+
+  return [...names];
+}
+
+/**
+ * Replace the placeholders of a template with values. Strings inside objects
+ * and arrays are rendered one by one, so values inserted into a JSON body
+ * never need escaping; other values are kept as they are.
+ * @param {*} template - String, or object or array containing strings
+ * @param {Object} values - Values by placeholder name; missing values render empty
+ * @param {Function} [encode] - Encoding applied to each value, e.g. encodeURIComponent
+ * @returns {*} Rendered template of the same shape
+ */
+function renderTemplate(template, values, encode = (value) => value) {
+  if (typeof template === "string") {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? "" : encode(String(value));
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, values, encode));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderTemplate(value, values, encode),
+      ])
+    );
+  }
+  return template;
+}
+
+module.exports = {
+  findPlaceholders,
+  renderTemplate,
+};
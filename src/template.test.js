@@ -0,0 +1,48 @@
+const { findPlaceholders, renderTemplate } = require("./template");
+
+describe("template", () => {
+  const values = {
+    url: "https://example.com/a?b=1",
+    newValue: 'Say "hi"',
+    oldValue: null,
+  };
+
+  test("should replace placeholders in strings", () => {
+    expect(renderTemplate("Changed: {{url}} -> {{ newValue }}", values)).toBe(
+      'Changed: https://example.com/a?b=1 -> Say "hi"'
+    );
+  });
+
+  test("should render missing values as empty", () => {
+    expect(renderTemplate("[{{oldValue}}][{{diff}}]", values)).toBe("[][]");
+  });
+
+  test("should render strings inside objects and arrays", () => {
+    expect(
+      renderTemplate(
+        { text: "{{newValue}}", tags: ["{{url}}", "monitor"], priority: 4 },
+        values
+      )
+    ).toEqual({
+      text: 'Say "hi"',
+      tags: ["https://example.com/a?b=1", "monitor"],
+      priority: 4,
+    });
+  });
+
+  test("should encode values when asked", () => {
+    expect(
+      renderTemplate("https://x.test/?u={{url}}", values, encodeURIComponent)
+    ).toBe("https://x.test/?u=https%3A%2F%2Fexample.com%2Fa%3Fb%3D1");
+  });
+
+  test("should find placeholder names", () => {
+    expect(
+      findPlaceholders([
+        "{{url}}",
+        { title: "{{ newValue }} {{url}}", nested: ["{{diff}}"] },
+        42,
+      ])
+    ).toEqual(["url", "newValue", "diff"]);
+  });
+});
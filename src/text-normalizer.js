@@ -0,0 +1,80 @@
+/**
+ * Configurable normalization pipeline applied to extracted values before they
+ * are compared and stored, to stop targets from flapping on timestamps,
+ * counters or whitespace reflow
+ */
+
+/**
+ * Supported step types for the `normalize` option of a monitoring target
+ */
+const NORMALIZE_STEP_TYPES = [
+  "collapse_whitespace",
+  "lowercase",
+  "strip_digits",
+  "replace",
+  "extract",
+  "ignore",
+];
+
+/**
+ * Apply a single normalization step to a string
+ * @param {string} text - Text to normalize
+ * @param {Object} step - Normalization step, e.g. {type: "replace", pattern: "\\d+", replacement: "#"}
+ * @returns {string} Normalized text
+ * @throws {Error} If an extract step does not match
+ */
+function applyStep(text, step) {
+  switch (step.type) {
+    case "collapse_whitespace":
+      return text.replace(/\s+/g, " ");
+    case "lowercase":
+      return text.toLowerCase();
+    case "strip_digits":
+      return text.replace(/\d/g, "");
+    case "replace":
+      return text.replace(
+        new RegExp(step.pattern, step.flags === undefined ? "g" : step.flags),
+        step.replacement || ""
+      );
+    case "extract": {
+      const match = text.match(new RegExp(step.pattern, step.flags));
+      const group = step.group === undefined ? 1 : step.group;
+      if (!match || match[group] === undefined) {
+        throw new Error(
+          `Failed to extract pattern /${step.pattern}/ from value "${text}"`
+        );
+      }
+      return match[group];
+    }
+    case "ignore":
+      return step.patterns.reduce(
+        (result, pattern) => result.replace(new RegExp(pattern, "g"), ""),
+        text
+      );
+    default:
+      throw new Error(`Unsupported normalization step "${step.type}"`);
+  }
+}
+
+/**
+ * Run an extracted value through an ordered list of normalization steps.
+ * Lists are normalized item by item. The result is always trimmed.
+ * @param {string|string[]} value - Extracted value or list of values
+ * @param {Object[]} [steps] - Normalization steps, applied in order
+ * @returns {string|string[]} Normalized value
+ */
+function normalizeValue(value, steps = []) {
+  if (value == null || steps.length === 0) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeValue(item, steps));
+  }
+
+  return steps
+    .reduce((text, step) => applyStep(text, step), String(value))
+    .trim();
+}
+
+module.exports = { NORMALIZE_STEP_TYPES, normalizeValue };
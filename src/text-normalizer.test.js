@@ -0,0 +1,82 @@
+const { normalizeValue } = require("./text-normalizer");
+
+describe("text-normalizer", () => {
+  describe("normalizeValue", () => {
+    test("should return the value unchanged without steps", () => {
+      expect(normalizeValue("  Mixed Case  ")).toBe("  Mixed Case  ");
+      expect(normalizeValue(null, [{ type: "lowercase" }])).toBeNull();
+    });
+
+    test("should collapse whitespace and trim", () => {
+      expect(
+        normalizeValue("  Breaking\n\n  news \t today ", [
+          { type: "collapse_whitespace" },
+        ])
+      ).toBe("Breaking news today");
+    });
+
+    test("should lowercase and strip digits", () => {
+      expect(
+        normalizeValue("Viewed 1234 Times", [
+          { type: "lowercase" },
+          { type: "strip_digits" },
+          { type: "collapse_whitespace" },
+        ])
+      ).toBe("viewed times");
+    });
+
+    test("should replace every match by default", () => {
+      expect(
+        normalizeValue("2024-01-01 and 2024-02-02", [
+          {
+            type: "replace",
+            pattern: "\\d{4}-\\d{2}-\\d{2}",
+            replacement: "DATE",
+          },
+        ])
+      ).toBe("DATE and DATE");
+    });
+
+    test("should extract a capture group", () => {
+      expect(
+        normalizeValue("Latest version: v3.2.1 (released today)", [
+          { type: "extract", pattern: "v(\\d+\\.\\d+\\.\\d+)" },
+        ])
+      ).toBe("3.2.1");
+      expect(
+        normalizeValue("Latest version: v3.2.1", [
+          { type: "extract", pattern: "v\\d+", group: 0 },
+        ])
+      ).toBe("v3");
+    });
+
+    test("should throw when an extract pattern does not match", () => {
+      expect(() =>
+        normalizeValue("No version", [{ type: "extract", pattern: "v(\\d+)" }])
+      ).toThrow('Failed to extract pattern /v(\\d+)/ from value "No version"');
+    });
+
+    test("should remove ignored patterns", () => {
+      expect(
+        normalizeValue("Posted 5 minutes ago: Hello", [
+          { type: "ignore", patterns: ["Posted \\d+ minutes ago:"] },
+        ])
+      ).toBe("Hello");
+    });
+
+    test("should apply steps in order", () => {
+      const steps = [
+        { type: "lowercase" },
+        { type: "replace", pattern: "SALE", replacement: "" },
+      ];
+
+      expect(normalizeValue("SALE item", steps)).toBe("sale item");
+    });
+
+    test("should normalize list items individually", () => {
+      expect(
+        normalizeValue([" Job A ", "JOB B"], [{ type: "lowercase" }])
+      ).toEqual(["job a", "job b"]);
+    });
+  });
+});
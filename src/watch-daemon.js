@@ -0,0 +1,321 @@
+const fs = require("fs");
+const Logger = require("./logger");
+const { ErrorHandler } = require("./error-handler");
+const { getTargetId } = require("./target-id");
+const { createSchedule, getJitter } = require("./schedule");
+const { pluralize } = require("./change-format");
+
+// Longest single wait, as setTimeout cannot wait longer than about 24 days
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+// How often the configuration file is checked for changes
+const CONFIG_POLL_INTERVAL_MS = 2000;
+
+/**
+ * WatchDaemon keeps running and checks each target on its own schedule, an
+ * interval or a cron expression, with a random delay of up to the jitter of
+ * the configuration. Targets due at the same time are checked together, as
+ * one run of the workflow, and Chrome keeps running between runs. The
+ * configuration file is reloaded when it changes.
+ */
+class WatchDaemon {
+  /**
+   * @param {Object} workflow - Initialized MonitoringWorkflow running the
+   *   checks
+   * @param {Object} [options] - Optional settings
+   * @param {Function} [options.now] - Returns the current time in
+   *   milliseconds
+   */
+  constructor(workflow, options = {}) {
+    this.workflow = workflow;
+    this.now = options.now || Date.now;
+    // Scheduled targets by target ID, as {entry, schedule, nextRun}
+    this.scheduled = new Map();
+    this.jitter = 0;
+    this.running = false;
+    this.reloadRequested = false;
+    this.wakeUp = null;
+    this.logger = new Logger();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  /**
+   * Load the configuration and check the targets as they are due, until
+   * stop() is called
+   * @returns {Promise<void>} Resolves once stopped
+   * @throws {Error} If the configuration cannot be loaded at start
+   */
+  async start() {
+    await this.loadConfiguration();
+    this.logger.info(
+      `Watching ${pluralize(
+        this.scheduled.size,
+        "target"
+      )}, next check at ${this.formatTime(this.getNextRun())}`
+    );
+
+    this.watchConfig();
+    this.running = true;
+    try {
+      while (this.running) {
+        if (this.reloadRequested) {
+          this.reloadRequested = false;
+          await this.reload();
+          continue;
+        }
+
+        const delay = this.getNextRun() - this.now();
+        if (delay > 0) {
+          await this.wait(Math.min(delay, MAX_WAIT_MS));
+          continue;
+        }
+
+        await this.runDueChecks();
+      }
+    } finally {
+      this.unwatchConfig();
+      await this.workflow.cleanup();
+    }
+  }
+
+  /**
+   * Stop after the checks in progress, if any
+   */
+  stop() {
+    this.running = false;
+    this.interrupt();
+  }
+
+  /**
+   * Reload the configuration before the next checks
+   */
+  requestReload() {
+    this.reloadRequested = true;
+    this.interrupt();
+  }
+
+  /**
+   * Load the configuration through the workflow and schedule its targets
+   * @returns {Promise<void>}
+   */
+  async loadConfiguration() {
+    const { config, targets } = await this.workflow.loadConfiguration();
+    const settings = this.workflow.configManager.getWatchSettings(config);
+
+    this.jitter = settings.jitter;
+    this.scheduleTargets(targets, settings);
+  }
+
+  /**
+   * Reload the configuration, keeping the previous one if the new one is
+   * invalid, e.g. while it is being edited
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    this.logger.info("Configuration file changed, reloading...");
+
+    try {
+      await this.loadConfiguration();
+      this.logger.success(
+        `Configuration reloaded, watching ${pluralize(
+          this.scheduled.size,
+          "target"
+        )}`
+      );
+    } catch (error) {
+      const reloadError = new Error(
+        `Configuration reload failed: ${error.message}`
+      );
+      this.errorHandler.handleError(reloadError, {
+        type: "config",
+        operation: "reload",
+        configPath: this.workflow.session.configPath,
+      });
+      this.logger.failure(
+        `${reloadError.message}. Keeping the previous configuration.`
+      );
+    }
+  }
+
+  /**
+   * Schedule the targets of a configuration. Targets that were already
+   * scheduled with the same schedule keep their next check.
+   * @param {Array<Object>} targets - Targets of the configuration
+   * @param {Object} defaults - Schedule {interval, cron} of targets without
+   *   their own
+   */
+  scheduleTargets(targets, defaults) {
+    const now = this.now();
+    const scheduled = new Map();
+
+    for (const entry of targets) {
+      const targetId = getTargetId(entry);
+      const schedule = createSchedule(
+        entry.interval || entry.cron ? entry : defaults
+      );
+      const previous = this.scheduled.get(targetId);
+
+      scheduled.set(targetId, {
+        entry,
+        schedule,
+        nextRun:
+          previous && previous.schedule.key === schedule.key
+            ? previous.nextRun
+            : this.addJitter(schedule.first(new Date(now))),
+      });
+    }
+
+    this.scheduled = scheduled;
+  }
+
+  /**
+   * Get the time of the next check of any target
+   * @returns {number} Time in milliseconds, Infinity without targets
+   */
+  getNextRun() {
+    let nextRun = Infinity;
+    for (const target of this.scheduled.values()) {
+      nextRun = Math.min(nextRun, target.nextRun);
+    }
+    return nextRun;
+  }
+
+  /**
+   * Get the targets whose check is due
+   * @returns {Array<Object>} Scheduled targets {entry, schedule, nextRun}
+   */
+  getDueTargets() {
+    const now = this.now();
+    return [...this.scheduled.values()].filter(
+      (target) => target.nextRun <= now
+    );
+  }
+
+  /**
+   * Check the due targets as one run of the workflow, then schedule their
+   * next checks. Failed runs are logged and leave the daemon running; after
+   * an error outside the checks of single targets, Chrome is relaunched by
+   * the next run.
+   * @returns {Promise<void>}
+   */
+  async runDueChecks() {
+    const due = this.getDueTargets();
+    const session = this.workflow.session;
+
+    // Sessions summarize one run
+    session.startTime = new Date(this.now());
+    session.endTime = null;
+    session.results = [];
+    session.errors = [];
+
+    this.logger.info(`Checking ${pluralize(due.length, "due target")}...`);
+    try {
+      await this.workflow.checkTargets(due.map(({ entry }) => entry));
+
+      const changes = session.results.filter(
+        (result) => result.hasChanged
+      ).length;
+      this.logger.success(
+        `Checked ${pluralize(due.length, "target")}: ${pluralize(
+          changes,
+          "change"
+        )}, ${pluralize(session.errors.length, "error")}`
+      );
+    } catch (error) {
+      if (error.code === "ELOCKED") {
+        this.logger.warn(`Skipping checks: ${error.message}`);
+      } else {
+        const categorizedError = this.errorHandler.handleError(error, {
+          type: "workflow",
+          operation: "runDueChecks",
+        });
+        this.logger.failure(`Checks failed: ${categorizedError.userMessage}`);
+        await this.workflow.closeBrowser();
+      }
+    } finally {
+      try {
+        await this.workflow.stateManager.releaseLock();
+      } catch (error) {
+        this.logger.warn(`Error releasing state lock: ${error.message}`);
+      }
+      session.endTime = new Date(this.now());
+    }
+
+    // Schedule from the end of the run, so slow runs never pile up
+    const finished = new Date(this.now());
+    for (const target of due) {
+      target.nextRun = this.addJitter(target.schedule.next(finished));
+    }
+    this.logger.info(`Next check at ${this.formatTime(this.getNextRun())}`);
+  }
+
+  /**
+   * Add a random delay of up to the jitter to the time of a check
+   * @param {Date} time - Scheduled time
+   * @returns {number} Time in milliseconds
+   */
+  addJitter(time) {
+    return time.getTime() + getJitter(this.jitter);
+  }
+
+  /**
+   * Format the time of a check for log messages
+   * @param {number} time - Time in milliseconds
+   * @returns {string} ISO time, or "never" without targets
+   */
+  formatTime(time) {
+    return Number.isFinite(time) ? new Date(time).toISOString() : "never";
+  }
+
+  /**
+   * Wait until a time has passed, or until stopped or asked to reload
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.interrupt(), ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * End the current wait, if any
+   */
+  interrupt() {
+    if (this.wakeUp) {
+      const wakeUp = this.wakeUp;
+      this.wakeUp = null;
+      wakeUp();
+    }
+  }
+
+  /**
+   * Reload the configuration whenever the file changes. The file is polled,
+   * as watching it for events misses files replaced by editors or mounted
+   * into containers.
+   */
+  watchConfig() {
+    fs.watchFile(
+      this.workflow.session.configPath,
+      { interval: CONFIG_POLL_INTERVAL_MS },
+      (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.requestReload();
+        }
+      }
+    );
+  }
+
+  /**
+   * Stop watching the configuration file
+   */
+  unwatchConfig() {
+    fs.unwatchFile(this.workflow.session.configPath);
+  }
+}
+
+module.exports = WatchDaemon;
@@ -0,0 +1,192 @@
+const WatchDaemon = require("./watch-daemon");
+
+describe("WatchDaemon", () => {
+  const start = new Date(2025, 6, 25, 10, 30).getTime();
+  const minutes = (count) => count * 60 * 1000;
+  let now;
+  let workflow;
+  let daemon;
+  let config;
+
+  const hourly = { url: "https://example.com/hourly", css_selector: "#a" };
+  const quarterly = {
+    url: "https://example.com/quarterly",
+    css_selector: "#b",
+    interval: "15m",
+  };
+  const noon = {
+    url: "https://example.com/noon",
+    css_selector: "#c",
+    cron: "0 12 * * *",
+  };
+
+  beforeEach(() => {
+    now = start;
+    config = { targets: [hourly, quarterly, noon] };
+    workflow = {
+      session: { configPath: "/config.json", results: [], errors: [] },
+      loadConfiguration: jest.fn(async () => ({
+        config,
+        targets: config.targets,
+      })),
+      configManager: {
+        getWatchSettings: jest
+          .fn()
+          .mockReturnValue({ interval: "1h", jitter: 0 }),
+      },
+      checkTargets: jest.fn().mockResolvedValue(),
+      closeBrowser: jest.fn().mockResolvedValue(),
+      cleanup: jest.fn().mockResolvedValue(),
+      stateManager: { releaseLock: jest.fn().mockResolvedValue() },
+    };
+    daemon = new WatchDaemon(workflow, { now: () => now });
+  });
+
+  const nextRuns = () =>
+    [...daemon.scheduled.values()].map(({ entry, nextRun }) => [
+      entry.url,
+      (nextRun - start) / minutes(1),
+    ]);
+
+  test("should check intervals right away and cron schedules when due", async () => {
+    await daemon.loadConfiguration();
+
+    expect(nextRuns()).toEqual([
+      ["https://example.com/hourly", 0],
+      ["https://example.com/quarterly", 0],
+      ["https://example.com/noon", 90],
+    ]);
+    expect(daemon.getDueTargets().map(({ entry }) => entry)).toEqual([
+      hourly,
+      quarterly,
+    ]);
+  });
+
+  test("should check the due targets together and schedule them again", async () => {
+    await daemon.loadConfiguration();
+    workflow.checkTargets.mockImplementation(async () => {
+      now += minutes(2);
+    });
+
+    await daemon.runDueChecks();
+
+    expect(workflow.checkTargets).toHaveBeenCalledWith([hourly, quarterly]);
+    expect(workflow.stateManager.releaseLock).toHaveBeenCalled();
+    // Next checks count from the end of the run
+    expect(nextRuns()).toEqual([
+      ["https://example.com/hourly", 62],
+      ["https://example.com/quarterly", 17],
+      ["https://example.com/noon", 90],
+    ]);
+  });
+
+  test("should add a random delay of up to the jitter", async () => {
+    workflow.configManager.getWatchSettings.mockReturnValue({
+      interval: "1h",
+      jitter: 30000,
+    });
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+    await daemon.loadConfiguration();
+    Math.random.mockRestore();
+
+    expect(daemon.getNextRun()).toBe(start + 15000);
+  });
+
+  test("should keep running and relaunch Chrome after failed checks", async () => {
+    await daemon.loadConfiguration();
+    workflow.checkTargets.mockRejectedValue(new Error("Chrome crashed"));
+
+    await daemon.runDueChecks();
+
+    expect(workflow.closeBrowser).toHaveBeenCalled();
+    expect(workflow.stateManager.releaseLock).toHaveBeenCalled();
+    expect(daemon.getNextRun()).toBe(start + minutes(15));
+  });
+
+  test("should skip the checks while another run holds the lock", async () => {
+    await daemon.loadConfiguration();
+    const lockError = new Error("Another run holds the lock");
+    lockError.code = "ELOCKED";
+    workflow.checkTargets.mockRejectedValue(lockError);
+    jest.spyOn(daemon.logger, "warn");
+
+    await daemon.runDueChecks();
+
+    expect(workflow.closeBrowser).not.toHaveBeenCalled();
+    expect(daemon.logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Skipping checks: Another run holds the lock")
+    );
+  });
+
+  test("should keep the next checks of unchanged targets on reload", async () => {
+    await daemon.loadConfiguration();
+    await daemon.runDueChecks();
+    now += minutes(5);
+    config = {
+      targets: [
+        hourly,
+        { ...quarterly, interval: "30m" },
+        { url: "https://example.com/new", css_selector: "#d" },
+      ],
+    };
+
+    await daemon.reload();
+
+    expect(nextRuns()).toEqual([
+      ["https://example.com/hourly", 60],
+      ["https://example.com/quarterly", 5],
+      ["https://example.com/new", 5],
+    ]);
+  });
+
+  test("should keep the previous configuration when the new one is invalid", async () => {
+    await daemon.loadConfiguration();
+    workflow.loadConfiguration.mockRejectedValue(
+      new Error("Invalid JSON format in configuration file")
+    );
+    jest.spyOn(daemon.logger, "failure");
+
+    await daemon.reload();
+
+    expect(daemon.scheduled.size).toBe(3);
+    expect(daemon.logger.failure).toHaveBeenCalledWith(
+      expect.stringContaining(
+        "Configuration reload failed: Invalid JSON format in configuration file"
+      )
+    );
+  });
+
+  test("should run until stopped and clean up", async () => {
+    jest.spyOn(daemon, "watchConfig").mockImplementation();
+    jest.spyOn(daemon, "unwatchConfig").mockImplementation();
+    workflow.checkTargets.mockImplementation(async () => {
+      now += minutes(1);
+    });
+    jest.spyOn(daemon, "wait").mockImplementation(async (ms) => {
+      if (workflow.checkTargets.mock.calls.length === 2) {
+        daemon.stop();
+      }
+      now += ms;
+    });
+
+    await daemon.start();
+
+    expect(workflow.checkTargets.mock.calls).toEqual([
+      [[hourly, quarterly]],
+      [[quarterly]],
+    ]);
+    expect(daemon.wait).toHaveBeenCalledWith(minutes(15));
+    expect(daemon.unwatchConfig).toHaveBeenCalled();
+    expect(workflow.cleanup).toHaveBeenCalled();
+  });
+
+  test("should end a wait when asked to reload", async () => {
+    const waiting = daemon.wait(minutes(60));
+
+    daemon.requestReload();
+
+    await expect(waiting).resolves.toBeUndefined();
+    expect(daemon.reloadRequested).toBe(true);
+  });
+});
@@ -0,0 +1,290 @@
+const axios = require("axios");
+const NotifierBase = require("./notifier-base");
+const { withRetry, describeRetryReason } = require("./retry");
+const changeFormat = require("./change-format");
+const { renderTemplate } = require("./template");
+
+/**
+ * HTTP methods generic webhooks can use
+ */
+const METHODS = ["GET", "POST", "PUT", "PATCH"];
+
+/**
+ * Placeholders available in the URL, headers and body templates
+ */
+const PLACEHOLDERS = [
+  "event",
+  "url",
+  "css_selector",
+  "oldValue",
+  "newValue",
+  "timestamp",
+  "diff",
+];
+
+/**
+ * Body sent when no body template is configured
+ */
+const DEFAULT_BODY = Object.fromEntries(
+  PLACEHOLDERS.map((name) => [name, `{{${name}}}`])
+);
+
+/**
+ * Make a value inserted into a header fit on the header line: line breaks
+ * become spaces, and characters HTTP headers cannot hold, such as control
+ * characters and characters outside Latin-1, are removed
+ * @param {string} value - Placeholder value, e.g. text of the page
+ * @returns {string} - Value safe to send in a header
+ */
+function encodeHeaderValue(value) {
+  return value.replace(/[\r\n]+/g, " ").replace(/[^\t\x20-\x7e\x80-\xff]/g, "");
+}
+
+/**
+ * Get the name of a webhook, which routes its notifications and the outbox
+ * entries of those that could not be delivered
+ * @param {Object} settings - Webhook settings {name, url}
+ * @returns {string} - Configured name, or "Webhook" followed by the host
+ */
+function getWebhookName(settings) {
+  if (settings.name) {
+    return settings.name;
+  }
+  try {
+    return `Webhook ${new URL(settings.url).host}`;
+  } catch (error) {
+    // Placeholders in the host make it unparseable
+    return "Webhook";
+  }
+}
+
+/**
+ * WebhookNotifier sends change notifications to any HTTP endpoint, rendering
+ * the configured URL, headers and body templates for each change
+ */
+class WebhookNotifier extends NotifierBase {
+  /**
+   * @param {Object} settings - One entry of the webhooks configuration
+   * @param {string} [settings.name] - Name shown in logs
+   * @param {string} settings.url - URL template
+   * @param {string} [settings.method] - HTTP method (default: POST)
+   * @param {Object} [settings.headers] - Header templates by header name
+   * @param {string|Object|Array} [settings.body] - Body template; strings are
+   *   sent as text, objects and arrays as JSON
+   */
+  constructor(settings = {}) {
+    super("Webhook");
+    this.settings = settings;
+  }
+
+  /**
+   * Get the name of the webhook for log messages
+   * @returns {string} - Configured name, or "Webhook" followed by the host
+   */
+  getName() {
+    return getWebhookName(this.settings);
+  }
+
+  /**
+   * Send a change notification to the webhook
+   * @param {Object} changeRecord - The change detection result
+   * @param {Object} changeRecord.entry - Original configuration entry
+   * @param {string} changeRecord.oldValue - Previous stored value
+   * @param {string} changeRecord.newValue - Newly extracted value
+   * @param {string} changeRecord.timestamp - ISO timestamp of detection
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendChangeNotification(changeRecord) {
+    return this.send("change", changeRecord);
+  }
+
+  /**
+   * Get the values of the placeholders for a change
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Object} - Values by placeholder name
+   */
+  getValues(changeRecord) {
+    const { entry, oldValue, newValue, timestamp } = changeRecord;
+
+    return {
+      event: "change",
+      url: entry.url,
+      css_selector: entry.css_selector || "",
+      oldValue,
+      newValue,
+      timestamp: new Date(timestamp).toISOString(),
+      diff: changeRecord.visual
+        ? changeFormat.formatVisualChange(changeRecord.visual)
+        : changeFormat.formatDiffText(changeFormat.getChangeDiff(changeRecord)),
+    };
+  }
+
+  /**
+   * Get the values of the placeholders for a target status: the event is
+   * "broken" or "recovered", the diff describes the failure streak and error,
+   * and the old and new values are empty
+   * @param {Object} statusRecord - Target status {status, entry, failureCount,
+   *   failingSince, error, timestamp}
+   * @returns {Object} - Values by placeholder name
+   */
+  getStatusValues(statusRecord) {
+    const { entry, error, timestamp } = statusRecord;
+    const { summary } = changeFormat.describeTargetStatus(statusRecord);
+
+    return {
+      event: statusRecord.status,
+      url: entry.url,
+      css_selector: entry.css_selector || "",
+      oldValue: "",
+      newValue: "",
+      timestamp: new Date(timestamp).toISOString(),
+      diff: [
+        summary,
+        ...(error ? changeFormat.formatTargetError(error) : []),
+      ].join("\n"),
+    };
+  }
+
+  /**
+   * Send a notification that a target broke after failing several runs in a
+   * row, or that it recovered, rendering the same templates as changes
+   * @param {Object} statusRecord - Target status
+   * @returns {Promise<boolean>} - True if notification sent successfully
+   */
+  async sendTargetStatus(statusRecord) {
+    return this.send("status", statusRecord);
+  }
+
+  /**
+   * Render the request of a notification: changes and target statuses
+   * render the same templates
+   * @param {string} kind - "change" or "status"
+   * @param {Object} record - Change or status record
+   * @returns {Object} - Request {method, url, headers, data}
+   */
+  format(kind, record) {
+    return kind === "status"
+      ? this.renderRequest(this.getStatusValues(record))
+      : this.formatRequest(record);
+  }
+
+  /**
+   * Deliver a rendered request
+   * @param {Object} request - Request {method, url, headers, data}
+   * @returns {Promise<boolean>} - True if the endpoint answered with 2xx
+   */
+  deliver(request) {
+    return this.sendRequest(request);
+  }
+
+  /**
+   * Render the request of a change from the templates
+   * @param {Object} changeRecord - The change detection result
+   * @returns {Object} - Request {method, url, headers, data}
+   */
+  formatRequest(changeRecord) {
+    return this.renderRequest(this.getValues(changeRecord));
+  }
+
+  /**
+   * Render the request templates with placeholder values
+   * @param {Object} values - Values by placeholder name
+   * @returns {Object} - Request {method, url, headers, data}
+   */
+  renderRequest(values) {
+    const method = (this.settings.method || "POST").toUpperCase();
+    // Values of the page may span lines, which a header cannot
+    const headers = renderTemplate(
+      this.settings.headers || {},
+      values,
+      encodeHeaderValue
+    );
+
+    const request = {
+      method,
+      // Values inserted into the URL are encoded, e.g. for query parameters
+      url: renderTemplate(this.settings.url, values, encodeURIComponent),
+      headers,
+    };
+
+    if (method === "GET") {
+      return request;
+    }
+
+    const body =
+      this.settings.body !== undefined ? this.settings.body : DEFAULT_BODY;
+    request.data = renderTemplate(body, values);
+
+    const hasContentType = Object.keys(headers).some(
+      (name) => name.toLowerCase() === "content-type"
+    );
+    if (!hasContentType) {
+      headers["Content-Type"] =
+        typeof request.data === "string"
+          ? "text/plain; charset=utf-8"
+          : "application/json";
+    }
+
+    return request;
+  }
+
+  /**
+   * Send a rendered request to the webhook
+   * @param {Object} request - Request {method, url, headers, data}
+   * @returns {Promise<boolean>} - True if the endpoint answered with 2xx
+   */
+  async sendRequest(request) {
+    try {
+      const response = await withRetry(
+        () =>
+          axios.request({
+            ...request,
+            timeout: 10000, // 10 second timeout
+          }),
+        {
+          ...this.retryOptions,
+          onRetry: (error, retry, delay) =>
+            this.logger.warn(
+              `HTTP webhook failed with ${describeRetryReason(
+                error
+              )}, retry ${retry} in ${delay}ms`
+            ),
+        }
+      );
+
+      return response.status >= 200 && response.status < 300;
+    } catch (error) {
+      if (error.response) {
+        // HTTP error response
+        const httpError = new Error(
+          `HTTP webhook failed with status ${
+            error.response.status
+          }: ${JSON.stringify(error.response.data)}`
+        );
+        this.logger.error(`HTTP webhook error: ${error.response.status}`, {
+          status: error.response.status,
+          data: error.response.data,
+        });
+        throw httpError;
+      } else if (error.request) {
+        // Network error
+        const networkError = new Error("Network error sending HTTP webhook");
+        this.logger.error("HTTP webhook network error", {
+          request: error.request,
+        });
+        throw networkError;
+      } else {
+        // Other error
+        const webhookError = new Error(`HTTP webhook error: ${error.message}`);
+        this.logger.error(`HTTP webhook general error: ${error.message}`);
+        throw webhookError;
+      }
+    }
+  }
+}
+
+WebhookNotifier.METHODS = METHODS;
+WebhookNotifier.PLACEHOLDERS = PLACEHOLDERS;
+WebhookNotifier.getWebhookName = getWebhookName;
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,281 @@
+const http = require("http");
+const axios = require("axios");
+const WebhookNotifier = require("./webhook-notifier");
+
+describe("WebhookNotifier", () => {
+  let changeRecord;
+
+  beforeEach(() => {
+    changeRecord = {
+      entry: {
+        url: "https://example.com/product",
+        css_selector: "#price",
+      },
+      oldValue: "$19.99",
+      newValue: "$18.49",
+      timestamp: "2025-07-25T15:30:00.000Z",
+    };
+
+    jest.spyOn(axios, "request").mockResolvedValue({ status: 200 });
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  describe("getName", () => {
+    test("should use the configured name or the host", () => {
+      expect(
+        new WebhookNotifier({
+          name: "ntfy",
+          url: "https://ntfy.sh/x",
+        }).getName()
+      ).toBe("ntfy");
+      expect(
+        new WebhookNotifier({ url: "https://ntfy.sh/alerts" }).getName()
+      ).toBe("Webhook ntfy.sh");
+    });
+  });
+
+  describe("formatRequest", () => {
+    test("should send all values as JSON by default", () => {
+      const notifier = new WebhookNotifier({ url: "https://n8n.test/hook" });
+
+      expect(notifier.formatRequest(changeRecord)).toEqual({
+        method: "POST",
+        url: "https://n8n.test/hook",
+        headers: { "Content-Type": "application/json" },
+        data: {
+          event: "change",
+          url: "https://example.com/product",
+          css_selector: "#price",
+          oldValue: "$19.99",
+          newValue: "$18.49",
+          timestamp: "2025-07-25T15:30:00.000Z",
+          diff: "- $19.99\n+ $18.49",
+        },
+      });
+    });
+
+    test("should render a text body and header templates", () => {
+      const notifier = new WebhookNotifier({
+        url: "https://ntfy.sh/alerts",
+        method: "put",
+        headers: { Title: "Change on {{url}}", Tags: "bell" },
+        body: "{{css_selector}} is now {{newValue}}",
+      });
+
+      expect(notifier.formatRequest(changeRecord)).toEqual({
+        method: "PUT",
+        url: "https://ntfy.sh/alerts",
+        headers: {
+          Title: "Change on https://example.com/product",
+          Tags: "bell",
+          "Content-Type": "text/plain; charset=utf-8",
+        },
+        data: "#price is now $18.49",
+      });
+    });
+
+    test("should put multi-line values on one header line", () => {
+      const notifier = new WebhookNotifier({
+        url: "https://ntfy.sh/alerts",
+        headers: { Title: "Now {{newValue}}", "X-Diff": "{{diff}}" },
+        body: "{{newValue}}",
+      });
+
+      const request = notifier.formatRequest({
+        ...changeRecord,
+        newValue: "In stock\r\nShips today\u0000 \u2705",
+      });
+
+      expect(request.headers).toEqual({
+        Title: "Now In stock Ships today ",
+        "X-Diff": "- $19.99 + In stock + Ships today ",
+        "Content-Type": "text/plain; charset=utf-8",
+      });
+      expect(request.data).toBe("In stock\r\nShips today\u0000 \u2705");
+    });
+
+    test("should render JSON body templates and keep the content type", () => {
+      const notifier = new WebhookNotifier({
+        url: "https://chat.test/hooks/abc",
+        headers: { "content-type": "application/vnd.api+json" },
+        body: { text: "{{newValue}}", props: { card: "{{diff}}" } },
+      });
+
+      const request = notifier.formatRequest({
+        ...changeRecord,
+        newValue: 'He said "hi"',
+      });
+
+      expect(request.headers).toEqual({
+        "content-type": "application/vnd.api+json",
+      });
+      expect(request.data).toEqual({
+        text: 'He said "hi"',
+        props: { card: '- $19.99\n+ He said "hi"' },
+      });
+    });
+
+    test("should encode values in the URL and send no body with GET", () => {
+      const notifier = new WebhookNotifier({
+        url: "https://ha.test/api/webhook/x?page={{url}}",
+        method: "GET",
+      });
+
+      expect(notifier.formatRequest(changeRecord)).toEqual({
+        method: "GET",
+        url: "https://ha.test/api/webhook/x?page=https%3A%2F%2Fexample.com%2Fproduct",
+        headers: {},
+      });
+    });
+
+    test("should describe visual changes and list changes in the diff", () => {
+      const notifier = new WebhookNotifier({ url: "https://n8n.test/hook" });
+
+      expect(
+        notifier.formatRequest({
+          ...changeRecord,
+          visual: { changedPercent: 4.5, tolerance: 0 },
+        }).data.diff
+      ).toBe("4.5% of pixels changed");
+      expect(
+        notifier.formatRequest({
+          ...changeRecord,
+          listDiff: { added: ["Job C"], removed: ["Job A"], reordered: false },
+        }).data.diff
+      ).toBe("- Job A\n+ Job C");
+    });
+  });
+
+  describe("sendChangeNotification", () => {
+    test("should send the rendered request", async () => {
+      const notifier = new WebhookNotifier({
+        url: "https://n8n.test/hook",
+        body: { text: "{{newValue}}" },
+      });
+
+      const sent = await notifier.sendChangeNotification(changeRecord);
+
+      expect(sent).toBe(true);
+      expect(axios.request).toHaveBeenCalledWith({
+        method: "POST",
+        url: "https://n8n.test/hook",
+        headers: { "Content-Type": "application/json" },
+        data: { text: "$18.49" },
+        timeout: 10000,
+      });
+    });
+
+    test("should send page values spanning lines in headers", async () => {
+      // Send to a local server, as invalid headers only fail in Node's client
+      axios.request.mockRestore();
+      const received = [];
+      const server = http.createServer((request, response) => {
+        received.push(request.headers.title);
+        response.writeHead(204);
+        response.end();
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      let sent;
+      try {
+        const notifier = new WebhookNotifier({
+          url: `http://127.0.0.1:${server.address().port}/hook`,
+          headers: { Title: "{{newValue}}" },
+        });
+        sent = await notifier.sendChangeNotification({
+          ...changeRecord,
+          newValue: "In stock\nShips today",
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+
+      expect(sent).toBe(true);
+      expect(received).toEqual(["In stock Ships today"]);
+    });
+
+    test("should return false when the endpoint fails", async () => {
+      axios.request.mockRejectedValue({
+        response: { status: 500, data: "boom" },
+      });
+      const notifier = new WebhookNotifier({ url: "https://n8n.test/hook" });
+      notifier.retryOptions = { sleep: jest.fn() };
+
+      expect(await notifier.sendChangeNotification(changeRecord)).toBe(false);
+      expect(axios.request).toHaveBeenCalledTimes(4);
+    });
+
+    test("should retry server errors and honor Retry-After", async () => {
+      axios.request.mockRejectedValueOnce({
+        response: {
+          status: 429,
+          headers: { "retry-after": "2" },
+          data: "slow down",
+        },
+      });
+      const notifier = new WebhookNotifier({ url: "https://n8n.test/hook" });
+      const sleep = jest.fn();
+      notifier.retryOptions = { sleep };
+
+      expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+      expect(sleep).toHaveBeenCalledWith(2000);
+      expect(axios.request).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("sendTargetStatus", () => {
+    const brokenRecord = () => ({
+      status: "broken",
+      entry: { url: "https://example.com/product", css_selector: "#price" },
+      failureCount: 3,
+      failingSince: "2025-07-25T13:30:00.000Z",
+      error: {
+        type: "EXTRACTION_ERROR",
+        message: "Element not found: #price",
+        userMessage: "The CSS selector did not match any element.",
+        suggestions: ["Verify the CSS selector in your browser"],
+      },
+      timestamp: "2025-07-25T15:30:00.000Z",
+    });
+
+    test("should render the status into the templates", async () => {
+      const notifier = new WebhookNotifier({
+        url: "https://n8n.test/hook",
+        body: { event: "{{event}}", text: "{{diff}}" },
+      });
+
+      expect(await notifier.sendTargetStatus(brokenRecord())).toBe(true);
+      expect(axios.request.mock.calls[0][0].data).toEqual({
+        event: "broken",
+        text: [
+          "Failing for 3 consecutive runs since 2025-07-25T13:30:00.000Z",
+          "Error: The CSS selector did not match any element.",
+          "Details: Element not found: #price",
+          "Suggestions:",
+          "• Verify the CSS selector in your browser",
+        ].join("\n"),
+      });
+    });
+  });
+
+  describe("sendRequest", () => {
+    test("should describe HTTP and network errors", async () => {
+      const notifier = new WebhookNotifier({ url: "https://n8n.test/hook" });
+      notifier.retryOptions = { retries: 0 };
+
+      axios.request.mockRejectedValueOnce({
+        response: { status: 404, data: { error: "not found" } },
+      });
+      await expect(notifier.sendRequest({})).rejects.toThrow(
+        'HTTP webhook failed with status 404: {"error":"not found"}'
+      );
+
+      axios.request.mockRejectedValueOnce({ request: {} });
+      await expect(notifier.sendRequest({})).rejects.toThrow(
+        "Network error sending HTTP webhook"
+      );
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Bounded worker pool running tasks concurrently, with an optional cap on
+ * the tasks sharing a key, such as the targets of one domain.
+ */
+
+/**
+ * Run a worker for every item, with at most `concurrency` workers at a time
+ * and at most `keyConcurrency` of them for items with the same key. Items
+ * start in order, except that items whose key is at its cap are passed over
+ * until a worker of that key finishes.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function (item, index) returning the
+ *   result of an item
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=1] - Workers running at a time
+ * @param {Function} [options.getKey] - Returns the key of an item; without
+ *   it, items are only limited by concurrency
+ * @param {number} [options.keyConcurrency=Infinity] - Workers running at a
+ *   time for items with the same key
+ * @returns {Promise<Array>} Results in the order of the items
+ * @throws {Error} First error thrown by a worker, once the running workers
+ *   have finished; no further items are started after it
+ */
+function runPool(items, worker, options = {}) {
+  const {
+    concurrency = 1,
+    getKey = () => null,
+    keyConcurrency = Infinity,
+  } = options;
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => index);
+  const activeByKey = new Map();
+  let active = 0;
+  let failure = null;
+
+  return new Promise((resolve, reject) => {
+    const startNext = () => {
+      let i = 0;
+      while (!failure && active < concurrency && i < pending.length) {
+        const index = pending[i];
+        const key = getKey(items[index]);
+        if ((activeByKey.get(key) || 0) >= keyConcurrency) {
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        start(index, key);
+      }
+
+      if (active === 0) {
+        if (failure) {
+          reject(failure.error);
+        } else {
+          resolve(results);
+        }
+      }
+    };
+
+    const start = (index, key) => {
+      active++;
+      activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+      Promise.resolve()
+        .then(() => worker(items[index], index))
+        .then(
+          (result) => {
+            results[index] = result;
+          },
+          (error) => {
+            failure = failure || { error };
+          }
+        )
+        .then(() => {
+          active--;
+          activeByKey.set(key, activeByKey.get(key) - 1);
+          startNext();
+        });
+    };
+
+    startNext();
+  });
+}
+
+module.exports = { runPool };
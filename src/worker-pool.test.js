@@ -0,0 +1,111 @@
+const { runPool } = require("./worker-pool");
+
+describe("runPool", () => {
+  // Worker resolving when its item is released, recording what runs
+  const createWorker = () => {
+    const running = [];
+    const releases = new Map();
+    const worker = jest.fn(
+      (item) =>
+        new Promise((resolve, reject) => {
+          running.push(item.name);
+          releases.set(item.name, { resolve, reject });
+        })
+    );
+    const release = async (name, error) => {
+      running.splice(running.indexOf(name), 1);
+      if (error) {
+        releases.get(name).reject(error);
+      } else {
+        releases.get(name).resolve(`${name} done`);
+      }
+      // Let the pool start the next workers
+      await new Promise((resolve) => setImmediate(resolve));
+    };
+    return { worker, running, release };
+  };
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+  const item = (name, domain) => ({ name, domain });
+
+  test("should return the results in the order of the items", async () => {
+    const results = await runPool(
+      [30, 10, 20],
+      (ms) => new Promise((resolve) => setTimeout(() => resolve(ms), ms)),
+      { concurrency: 3 }
+    );
+
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  test("should run at most `concurrency` workers at a time", async () => {
+    const { worker, running, release } = createWorker();
+    const items = ["a", "b", "c", "d"].map((name) => item(name));
+
+    const done = runPool(items, worker, { concurrency: 2 });
+    await flush();
+    expect(running).toEqual(["a", "b"]);
+
+    await release("b");
+    expect(running).toEqual(["a", "c"]);
+    await release("a");
+    await release("c");
+    await release("d");
+
+    await expect(done).resolves.toEqual([
+      "a done",
+      "b done",
+      "c done",
+      "d done",
+    ]);
+  });
+
+  test("should pass over items whose key is at its cap", async () => {
+    const { worker, running, release } = createWorker();
+    const items = [
+      item("a1", "a.com"),
+      item("a2", "a.com"),
+      item("b1", "b.com"),
+      item("a3", "a.com"),
+      item("c1", "c.com"),
+    ];
+
+    const done = runPool(items, worker, {
+      concurrency: 3,
+      getKey: ({ domain }) => domain,
+      keyConcurrency: 1,
+    });
+    await flush();
+    expect(running).toEqual(["a1", "b1", "c1"]);
+
+    await release("b1");
+    expect(running).toEqual(["a1", "c1"]);
+    await release("a1");
+    expect(running).toEqual(["c1", "a2"]);
+    await release("a2");
+    await release("c1");
+    await release("a3");
+
+    expect(await done).toHaveLength(5);
+  });
+
+  test("should stop starting workers after an error and reject once idle", async () => {
+    const { worker, running, release } = createWorker();
+    const items = ["a", "b", "c", "d"].map((name) => item(name));
+    const error = new Error("Critical failure");
+
+    const done = runPool(items, worker, { concurrency: 2 });
+    const outcome = done.catch((reason) => reason);
+    await flush();
+
+    await release("a", error);
+    expect(running).toEqual(["b"]);
+    await release("b");
+
+    expect(await outcome).toBe(error);
+    expect(worker).toHaveBeenCalledTimes(2);
+  });
+
+  test("should resolve right away without items", async () => {
+    await expect(runPool([], jest.fn())).resolves.toEqual([]);
+  });
+});
@@ -1,7 +1,7 @@
 #!/bin/bash
 
-# Ensure logs directory exists
-mkdir -p logs
+# Ensure logs and data directories exist
+mkdir -p logs data
 
 # Ensure config.json exists as a file
 if [ -d "config.json" ]; then
@@ -26,7 +26,8 @@ echo "Starting Docker container with config.json mounted as file..."
 docker run -d --name change-detector \
   --env-file .env \
   -v $(pwd)/logs:/app/logs \
-  -v $(pwd)/config.json:/app/config.json \
+  -v $(pwd)/data:/app/data \
+  -v $(pwd)/config.json:/app/config.json:ro \
   website-change-detector
 
 echo "Container started successfully!"
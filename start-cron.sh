@@ -1,7 +1,18 @@
 #!/bin/bash
 
+# In watch mode the daemon schedules the checks of each target itself and
+# keeps Chrome running between them, instead of cron starting a run
+if [ "$DETECT_CHANGE_MODE" = "watch" ]; then
+  cd /app
+  exec node detect-change.js watch >> /app/logs/detect-change.log 2>&1
+fi
+
 # Create crontab with current environment variables
 echo "SLACK_WEBHOOK_URL=$SLACK_WEBHOOK_URL" > /etc/cron.d/detect-change
+echo "DISCORD_WEBHOOK_URL=$DISCORD_WEBHOOK_URL" >> /etc/cron.d/detect-change
+echo "TEAMS_WEBHOOK_URL=$TEAMS_WEBHOOK_URL" >> /etc/cron.d/detect-change
+echo "SMTP_PASSWORD=$SMTP_PASSWORD" >> /etc/cron.d/detect-change
+echo "TELEGRAM_BOT_TOKEN=$TELEGRAM_BOT_TOKEN" >> /etc/cron.d/detect-change
 echo "PATH=$PATH" >> /etc/cron.d/detect-change
 echo "" >> /etc/cron.d/detect-change
 echo "0 0,7,12,14,16,18,20,22 * * * root /app/run-detect-change-docker.sh" >> /etc/cron.d/detect-change
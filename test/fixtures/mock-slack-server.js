@@ -184,6 +184,22 @@ class MockSlackServer {
       errors.push("text field must be a string");
     }
 
+    // Check the Block Kit limits Slack enforces
+    if (payload.blocks) {
+      if (!Array.isArray(payload.blocks) || payload.blocks.length > 50) {
+        errors.push("blocks must be an array of at most 50 blocks");
+      } else {
+        payload.blocks.forEach((block, index) => {
+          const maxLength = block.type === "header" ? 150 : 3000;
+          if (block.text && !block.text.text) {
+            errors.push(`Block ${index} has empty text`);
+          } else if (block.text && block.text.text.length > maxLength) {
+            errors.push(`Block ${index} text exceeds ${maxLength} characters`);
+          }
+        });
+      }
+    }
+
     // Check for change detection specific content
     if (payload.text) {
       const requiredPatterns = [
@@ -208,6 +224,13 @@ class MockSlackServer {
     return errors;
   }
 
+  /**
+   * Validate a webhook payload, overridden by mock servers of other services
+   */
+  validatePayload(request) {
+    return this.validateSlackPayload(request);
+  }
+
   /**
    * Get summary of all webhook interactions
    */
@@ -221,7 +244,7 @@ class MockSlackServer {
       successfulRequests: webhookRequests.filter((req) => !req.error).length,
       errors: webhookRequests.filter((req) => req.error).length,
       validPayloads: webhookRequests.filter((req) => {
-        const errors = this.validateSlackPayload(req);
+        const errors = this.validatePayload(req);
         return errors.length === 0;
       }).length,
       isRunning: this.isRunning,
@@ -0,0 +1,429 @@
+/**
+ * Mock SMTP server for testing email notifications
+ */
+
+const net = require("net");
+
+class MockSmtpServer {
+  constructor(port = 2525) {
+    this.port = port;
+    this.server = null;
+    this.sockets = new Set();
+    this.messages = [];
+    this.credentials = null;
+    this.rejectedRecipients = new Set();
+    this.dataResponse = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the mock server
+   */
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => {
+        this.handleConnection(socket);
+      });
+
+      this.server.once("error", reject);
+      this.server.listen(this.port, () => {
+        this.isRunning = true;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the mock server
+   */
+  async stop() {
+    return new Promise((resolve) => {
+      if (this.server && this.isRunning) {
+        this.sockets.forEach((socket) => socket.destroy());
+        this.server.close(() => {
+          this.isRunning = false;
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Handle an SMTP session
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.on("close", () => this.sockets.delete(socket));
+    socket.on("error", () => {});
+
+    const session = {
+      authenticated: false,
+      authStep: null,
+      authUser: null,
+      from: null,
+      to: [],
+      dataLines: null,
+    };
+    let buffer = "";
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 mock.smtp ESMTP ready");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        this.handleLine(session, line, reply, socket);
+      }
+    });
+  }
+
+  /**
+   * Handle one line of an SMTP session
+   */
+  handleLine(session, line, reply, socket) {
+    if (session.dataLines) {
+      if (line === ".") {
+        this.handleMessage(session, reply);
+      } else {
+        // Remove dot-stuffing
+        session.dataLines.push(line.startsWith("..") ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    if (session.authStep) {
+      this.handleAuthLine(session, line, reply);
+      return;
+    }
+
+    const [command, ...args] = line.split(" ");
+    const argument = args.join(" ");
+
+    switch (command.toUpperCase()) {
+      case "EHLO":
+        reply("250-mock.smtp");
+        reply("250-AUTH PLAIN LOGIN");
+        reply("250-8BITMIME");
+        reply("250 SIZE 10485760");
+        break;
+      case "HELO":
+        reply("250 mock.smtp");
+        break;
+      case "AUTH":
+        this.handleAuth(session, argument, reply);
+        break;
+      case "MAIL":
+        if (this.credentials && !session.authenticated) {
+          reply("530 Authentication required");
+          break;
+        }
+        session.from = this.parseAddress(argument);
+        session.to = [];
+        reply("250 OK");
+        break;
+      case "RCPT": {
+        const recipient = this.parseAddress(argument);
+        if (this.rejectedRecipients.has(recipient)) {
+          reply("550 Mailbox unavailable");
+        } else {
+          session.to.push(recipient);
+          reply("250 OK");
+        }
+        break;
+      }
+      case "DATA":
+        if (session.to.length === 0) {
+          reply("554 No valid recipients");
+          break;
+        }
+        session.dataLines = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+        break;
+      case "RSET":
+        session.from = null;
+        session.to = [];
+        reply("250 OK");
+        break;
+      case "NOOP":
+        reply("250 OK");
+        break;
+      case "QUIT":
+        reply("221 Bye");
+        socket.end();
+        break;
+      default:
+        reply("502 Command not implemented");
+    }
+  }
+
+  /**
+   * Handle the AUTH command
+   */
+  handleAuth(session, argument, reply) {
+    const [mechanism, initialResponse] = argument.split(" ");
+
+    if (mechanism.toUpperCase() === "PLAIN") {
+      if (initialResponse) {
+        this.checkPlainCredentials(session, initialResponse, reply);
+      } else {
+        session.authStep = "plain";
+        reply("334 ");
+      }
+    } else if (mechanism.toUpperCase() === "LOGIN") {
+      session.authStep = "login-user";
+      reply(`334 ${Buffer.from("Username:").toString("base64")}`);
+    } else {
+      reply("504 Unrecognized authentication type");
+    }
+  }
+
+  /**
+   * Handle a continuation line of the AUTH command
+   */
+  handleAuthLine(session, line, reply) {
+    const decoded = Buffer.from(line, "base64").toString("utf8");
+
+    if (session.authStep === "plain") {
+      session.authStep = null;
+      this.checkPlainCredentials(session, line, reply);
+    } else if (session.authStep === "login-user") {
+      session.authUser = decoded;
+      session.authStep = "login-pass";
+      reply(`334 ${Buffer.from("Password:").toString("base64")}`);
+    } else {
+      session.authStep = null;
+      this.checkCredentials(session, session.authUser, decoded, reply);
+    }
+  }
+
+  /**
+   * Check AUTH PLAIN credentials, encoded as "\0user\0pass"
+   */
+  checkPlainCredentials(session, encoded, reply) {
+    const [, user, pass] = Buffer.from(encoded, "base64")
+      .toString("utf8")
+      .split("\0");
+    this.checkCredentials(session, user, pass, reply);
+  }
+
+  /**
+   * Check credentials against the configured ones
+   */
+  checkCredentials(session, user, pass, reply) {
+    if (
+      !this.credentials ||
+      (user === this.credentials.user && pass === this.credentials.pass)
+    ) {
+      session.authenticated = true;
+      reply("235 Authentication successful");
+    } else {
+      reply("535 Authentication failed");
+    }
+  }
+
+  /**
+   * Store a received message
+   */
+  handleMessage(session, reply) {
+    const raw = session.dataLines.join("\r\n");
+    session.dataLines = null;
+
+    if (this.dataResponse) {
+      reply(this.dataResponse);
+      return;
+    }
+
+    this.messages.push({
+      from: session.from,
+      to: [...session.to],
+      raw,
+      ...this.parseMessage(raw),
+      timestamp: new Date().toISOString(),
+    });
+    reply(`250 OK queued as ${this.messages.length}`);
+  }
+
+  /**
+   * Parse the address of a MAIL FROM or RCPT TO argument
+   */
+  parseAddress(argument) {
+    const match = argument.match(/<([^>]*)>/);
+    return match ? match[1] : argument.split(":")[1];
+  }
+
+  /**
+   * Parse a MIME message into its headers and decoded text, HTML and
+   * attachment parts
+   */
+  parseMessage(raw) {
+    const result = { headers: {}, text: null, html: null, attachments: [] };
+    const { headers, body } = this.splitPart(raw);
+    result.headers = headers;
+    result.subject = this.decodeHeader(headers.subject || "");
+    this.collectParts(headers, body, result);
+    return result;
+  }
+
+  /**
+   * Split a MIME part into lower-cased headers and body
+   */
+  splitPart(raw) {
+    const separator = raw.indexOf("\r\n\r\n");
+    const headerText = separator === -1 ? raw : raw.slice(0, separator);
+    const body = separator === -1 ? "" : raw.slice(separator + 4);
+
+    const headers = {};
+    headerText
+      .replace(/\r\n[ \t]+/g, " ")
+      .split("\r\n")
+      .forEach((line) => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          headers[line.slice(0, colon).trim().toLowerCase()] = line
+            .slice(colon + 1)
+            .trim();
+        }
+      });
+
+    return { headers, body };
+  }
+
+  /**
+   * Walk the MIME tree, decoding text, HTML and attachment parts
+   */
+  collectParts(headers, body, result) {
+    const contentType = headers["content-type"] || "text/plain";
+    const boundary = contentType.match(/boundary="?([^";]+)"?/i);
+
+    if (/^multipart\//i.test(contentType) && boundary) {
+      body
+        .split(`--${boundary[1]}`)
+        .slice(1)
+        .filter((part) => !part.startsWith("--"))
+        .forEach((part) => {
+          const child = this.splitPart(part.replace(/^\r\n/, ""));
+          this.collectParts(child.headers, child.body, result);
+        });
+      return;
+    }
+
+    const content = this.decodeBody(body, headers["content-transfer-encoding"]);
+    const disposition = headers["content-disposition"] || "";
+
+    if (/^image\//i.test(contentType) || /attachment/i.test(disposition)) {
+      const fileName = (disposition + contentType).match(
+        /(?:file)?name="?([^";]+)"?/i
+      );
+      result.attachments.push({
+        contentType: contentType.split(";")[0],
+        fileName: fileName ? fileName[1] : null,
+        contentId: (headers["content-id"] || "").replace(/[<>]/g, ""),
+        size: content.length,
+      });
+    } else if (/^text\/html/i.test(contentType)) {
+      result.html = content.toString("utf8").replace(/\r\n/g, "\n");
+    } else if (/^text\/plain/i.test(contentType)) {
+      result.text = content.toString("utf8").replace(/\r\n/g, "\n");
+    }
+  }
+
+  /**
+   * Decode a part body according to its transfer encoding
+   */
+  decodeBody(body, encoding = "7bit") {
+    const trimmed = body.replace(/\r\n$/, "");
+    switch (encoding.toLowerCase()) {
+      case "base64":
+        return Buffer.from(trimmed.replace(/\s+/g, ""), "base64");
+      case "quoted-printable":
+        return Buffer.from(
+          trimmed
+            .replace(/=\r\n/g, "")
+            .replace(/=([0-9A-F]{2})/gi, (match, hex) =>
+              String.fromCharCode(parseInt(hex, 16))
+            ),
+          "latin1"
+        );
+      default:
+        return Buffer.from(trimmed, "utf8");
+    }
+  }
+
+  /**
+   * Decode RFC 2047 encoded words of a header
+   */
+  decodeHeader(value) {
+    return value
+      .replace(
+        /=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi,
+        (match, charset, encoding, text) =>
+          encoding.toUpperCase() === "B"
+            ? Buffer.from(text, "base64").toString("utf8")
+            : this.decodeBody(
+                text.replace(/_/g, " "),
+                "quoted-printable"
+              ).toString("utf8")
+      )
+      .replace(/\?=\s+=\?/g, "");
+  }
+
+  /**
+   * Require SMTP authentication with the given credentials
+   */
+  requireAuth(user, pass) {
+    this.credentials = { user, pass };
+  }
+
+  /**
+   * Reject a recipient address
+   */
+  rejectRecipient(address) {
+    this.rejectedRecipients.add(address);
+  }
+
+  /**
+   * Answer DATA with an error instead of accepting messages, e.g.
+   * "451 Temporary failure"; null accepts messages again
+   */
+  setDataResponse(response) {
+    this.dataResponse = response;
+  }
+
+  /**
+   * Get all received messages
+   */
+  getMessages() {
+    return [...this.messages];
+  }
+
+  /**
+   * Clear received messages and simulated failures
+   */
+  reset() {
+    this.messages = [];
+    this.credentials = null;
+    this.rejectedRecipients.clear();
+    this.dataResponse = null;
+  }
+
+  /**
+   * Get the email settings for this mock server
+   */
+  getEmailSettings(overrides = {}) {
+    return {
+      host: "127.0.0.1",
+      port: this.port,
+      secure: false,
+      from: "monitor@example.com",
+      to: "team@example.com",
+      ...overrides,
+    };
+  }
+}
+
+module.exports = MockSmtpServer;
@@ -0,0 +1,88 @@
+/**
+ * Mock Microsoft Teams webhook server for testing notifications
+ */
+
+const MockSlackServer = require("./mock-slack-server");
+
+class MockTeamsServer extends MockSlackServer {
+  constructor(port = 3005) {
+    super(port);
+  }
+
+  /**
+   * Simulate a Power Automate workflow webhook, which accepts messages with
+   * 202 Accepted instead of 200
+   */
+  simulateWorkflow(path) {
+    this.setResponse(path, 202, "");
+  }
+
+  /**
+   * Validate Teams webhook payload format: a message with an Adaptive Card
+   */
+  validateTeamsPayload(request) {
+    const errors = [];
+
+    if (!request.jsonBody) {
+      errors.push("Missing JSON body");
+      return errors;
+    }
+
+    const payload = request.jsonBody;
+
+    if (payload.type !== "message") {
+      errors.push('type field must be "message"');
+    }
+    if (
+      !Array.isArray(payload.attachments) ||
+      payload.attachments.length !== 1
+    ) {
+      errors.push("attachments must contain exactly one card");
+      return errors;
+    }
+
+    const [attachment] = payload.attachments;
+    if (attachment.contentType !== "application/vnd.microsoft.card.adaptive") {
+      errors.push("Attachment is not an Adaptive Card");
+    }
+
+    const card = attachment.content || {};
+    if (card.type !== "AdaptiveCard") {
+      errors.push('Card type must be "AdaptiveCard"');
+    }
+    if (!card.version) {
+      errors.push("Missing card version");
+    }
+    if (!Array.isArray(card.body) || card.body.length === 0) {
+      errors.push("Card body must not be empty");
+    }
+
+    // Check for change detection specific content
+    const text = JSON.stringify(card.body || []);
+    const requiredPatterns = [/Change Detected/i, /"URL"/, /"Selector"/];
+    const missingPatterns = requiredPatterns.filter(
+      (pattern) => !pattern.test(text)
+    );
+    if (missingPatterns.length > 0) {
+      errors.push(
+        `Missing expected content patterns: ${missingPatterns.length} patterns not found`
+      );
+    }
+
+    const openPage = (card.actions || []).find(
+      (action) =>
+        action.type === "Action.OpenUrl" && action.title === "Open page"
+    );
+    if (!openPage) {
+      errors.push('Missing "Open page" action');
+    }
+
+    return errors;
+  }
+
+  validatePayload(request) {
+    return this.validateTeamsPayload(request);
+  }
+}
+
+module.exports = MockTeamsServer;
@@ -0,0 +1,228 @@
+/**
+ * Mock Telegram Bot API server for testing notifications
+ */
+
+const MockSlackServer = require("./mock-slack-server");
+
+// Characters MarkdownV2 reserves outside of code and link URLs
+const RESERVED_CHARACTERS = "_*[]()~`>#+-=|{}.!";
+
+class MockTelegramServer extends MockSlackServer {
+  constructor(port = 3007) {
+    super(port);
+    this.tokens = new Set(["123456:TEST-TOKEN"]);
+    this.missingChats = new Set();
+    this.messages = [];
+  }
+
+  /**
+   * Answer Bot API calls like Telegram does: 401 for unknown bots, 400 for
+   * unknown chats and messages that are not valid MarkdownV2
+   */
+  handleRequest(req, res) {
+    let body = "";
+
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", () => {
+      const match = req.url.match(/^\/bot([^/]+)\/(\w+)/);
+      const request = {
+        method: req.method,
+        url: req.url,
+        path: match ? `/bot<token>/${match[2]}` : req.url,
+        token: match ? match[1] : null,
+        apiMethod: match ? match[2] : null,
+        headers: req.headers,
+        body,
+        timestamp: new Date().toISOString(),
+      };
+      try {
+        request.jsonBody = JSON.parse(body);
+      } catch (e) {
+        request.parseError = e.message;
+      }
+      this.requests.push(request);
+
+      const [status, response] = this.answer(request);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  }
+
+  /**
+   * Build the Bot API answer of a request
+   */
+  answer(request) {
+    const error = (status, description) => [
+      status,
+      { ok: false, error_code: status, description },
+    ];
+
+    if (!this.tokens.has(request.token)) {
+      return error(401, "Unauthorized");
+    }
+    if (request.apiMethod !== "sendMessage") {
+      return error(404, "Not Found");
+    }
+
+    const payload = request.jsonBody || {};
+    if (payload.chat_id === undefined || !payload.text) {
+      return error(400, "Bad Request: chat_id and text are required");
+    }
+    if (this.missingChats.has(String(payload.chat_id))) {
+      return error(400, "Bad Request: chat not found");
+    }
+    if (payload.text.length > 4096) {
+      return error(400, "Bad Request: message is too long");
+    }
+    if (payload.parse_mode === "MarkdownV2") {
+      const problem = this.validateMarkdownV2(payload.text);
+      if (problem) {
+        return error(400, `Bad Request: can't parse entities: ${problem}`);
+      }
+    }
+
+    const message = {
+      message_id: this.messages.length + 1,
+      chat: { id: payload.chat_id },
+      text: payload.text,
+      parse_mode: payload.parse_mode,
+      token: request.token,
+    };
+    this.messages.push(message);
+    return [200, { ok: true, result: message }];
+  }
+
+  /**
+   * Check MarkdownV2 text the way the Bot API parses it: reserved characters
+   * must be escaped outside of entities, code blocks and link URLs may only
+   * contain escaped ` and \, and entities must be closed
+   * @returns {string|null} Description of the first problem, or null
+   */
+  validateMarkdownV2(text) {
+    const open = new Set();
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (char === "\\") {
+        if (i + 1 >= text.length) {
+          return "Character '\\' must be followed by a character";
+        }
+        i += 2;
+      } else if (char === "`") {
+        const fence = text.startsWith("```", i) ? "```" : "`";
+        const end = this.findClosing(text, i + fence.length, fence);
+        if (end === -1) {
+          return `Can't find end of the entity starting at offset ${i}`;
+        }
+        i = end + fence.length;
+      } else if (char === "[") {
+        const textEnd = this.findClosing(text, i + 1, "]", true);
+        if (textEnd === -1 || text[textEnd + 1] !== "(") {
+          return `Character '[' is reserved and must be escaped with the preceding '\\'`;
+        }
+        const problem = this.validateMarkdownV2(text.slice(i + 1, textEnd));
+        if (problem) {
+          return problem;
+        }
+        const urlEnd = this.findClosing(text, textEnd + 2, ")");
+        if (urlEnd === -1) {
+          return `Can't find end of the URL starting at offset ${textEnd + 2}`;
+        }
+        i = urlEnd + 1;
+      } else if ("*_~|".includes(char)) {
+        const marker =
+          (char === "_" && text[i + 1] === "_") ||
+          (char === "|" && text[i + 1] === "|")
+            ? char + char
+            : char;
+        if (marker === "|") {
+          return "Character '|' is reserved and must be escaped with the preceding '\\'";
+        }
+        if (open.has(marker)) {
+          open.delete(marker);
+        } else {
+          open.add(marker);
+        }
+        i += marker.length;
+      } else if (RESERVED_CHARACTERS.includes(char)) {
+        return `Character '${char}' is reserved and must be escaped with the preceding '\\'`;
+      } else {
+        i += 1;
+      }
+    }
+
+    if (open.size > 0) {
+      return `Can't find end of ${[...open].join(", ")} entity`;
+    }
+    return null;
+  }
+
+  /**
+   * Find the closing marker of an entity, skipping escaped characters
+   * @returns {number} Offset of the marker, or -1
+   */
+  findClosing(text, start, marker, allowNested = false) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === "\\") {
+        i++;
+      } else if (allowNested && text[i] === "[") {
+        depth++;
+      } else if (text.startsWith(marker, i)) {
+        if (depth === 0) {
+          return i;
+        }
+        depth--;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Accept messages of another bot token
+   */
+  addToken(token) {
+    this.tokens.add(token);
+  }
+
+  /**
+   * Answer messages to a chat with "chat not found"
+   */
+  simulateMissingChat(chatId) {
+    this.missingChats.add(String(chatId));
+  }
+
+  /**
+   * Get the messages accepted by the server
+   */
+  getMessages() {
+    return [...this.messages];
+  }
+
+  /**
+   * Clear recorded requests, messages and simulated failures
+   */
+  reset() {
+    this.clearRequests();
+    this.messages = [];
+    this.missingChats.clear();
+  }
+
+  /**
+   * Get the telegram settings for this mock server
+   */
+  getTelegramSettings(overrides = {}) {
+    return {
+      api_url: `http://localhost:${this.port}`,
+      bot_token: "123456:TEST-TOKEN",
+      ...overrides,
+    };
+  }
+}
+
+module.exports = MockTelegramServer;
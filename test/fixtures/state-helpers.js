@@ -0,0 +1,32 @@
+/**
+ * Helpers for inspecting the state file written by integration test runs
+ */
+
+const fs = require("fs").promises;
+const StateStore = require("../../src/state-store");
+const { getTargetId } = require("../../src/target-id");
+
+/**
+ * Read the stored value of each target from the state file
+ * @param {string} dataDir - Data directory of the test run
+ * @param {Array} targets - Monitoring targets, in configuration order
+ * @returns {Promise<Array>} Stored current_value per target (undefined if none)
+ */
+async function readStoredValues(dataDir, targets) {
+  const state = await new StateStore(dataDir).load();
+
+  return targets.map((entry) => {
+    const stored = state.targets[getTargetId(entry)];
+    return stored ? stored.current_value : undefined;
+  });
+}
+
+/**
+ * Remove the data directory so the next test starts from the config seeds
+ * @param {string} dataDir - Data directory of the test run
+ */
+async function clearDataDir(dataDir) {
+  await fs.rm(dataDir, { recursive: true, force: true });
+}
+
+module.exports = { readStoredValues, clearDataDir };
@@ -0,0 +1,137 @@
+/**
+ * Integration tests for email notifications
+ * Delivers emails over SMTP to a local mock SMTP server
+ */
+
+const { MonitoringWorkflow } = require("../../detect-change");
+const EmailNotifier = require("../../src/email-notifier");
+const MockSmtpServer = require("../fixtures/mock-smtp-server");
+
+describe("Email Notifier Integration Tests", () => {
+  let mockSmtpServer;
+  let notifier;
+
+  const changeRecord = {
+    entry: {
+      url: "https://example.com/product",
+      css_selector: "#price",
+    },
+    hasChanged: true,
+    oldValue: "$19.99",
+    newValue: "$18.49",
+    timestamp: "2025-07-25T15:30:00.000Z",
+  };
+
+  beforeAll(async () => {
+    mockSmtpServer = new MockSmtpServer(2526);
+    await mockSmtpServer.start();
+  });
+
+  afterAll(async () => {
+    if (mockSmtpServer) {
+      await mockSmtpServer.stop();
+    }
+  });
+
+  beforeEach(() => {
+    mockSmtpServer.reset();
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  afterEach(() => {
+    if (notifier) {
+      notifier.close();
+      notifier = null;
+    }
+  });
+
+  test("should deliver an HTML and plain-text email per change", async () => {
+    notifier = new EmailNotifier(
+      mockSmtpServer.getEmailSettings({
+        to: ["team@example.com", "ops@example.com"],
+      })
+    );
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+
+    const messages = mockSmtpServer.getMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].from).toBe("monitor@example.com");
+    expect(messages[0].to).toEqual(["team@example.com", "ops@example.com"]);
+    expect(messages[0].subject).toBe(
+      "[Web Element Monitor] Change detected: https://example.com/product"
+    );
+    expect(messages[0].text).toContain("- $19.99\n+ $18.49");
+    expect(messages[0].html).toContain("- $19.99</div>");
+    expect(messages[0].html).toContain("+ $18.49</div>");
+  });
+
+  test("should deliver one digest for several changes", async () => {
+    notifier = new EmailNotifier(
+      mockSmtpServer.getEmailSettings({ mode: "digest" })
+    );
+
+    const sent = await notifier.sendDigest([
+      changeRecord,
+      { ...changeRecord, oldValue: "$18.49", newValue: "$17.99" },
+    ]);
+
+    expect(sent).toBe(true);
+    const messages = mockSmtpServer.getMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe(
+      "[Web Element Monitor] 2 changes detected"
+    );
+    expect(messages[0].text).toContain("- $18.49\n+ $17.99");
+  });
+
+  test("should authenticate with the configured credentials", async () => {
+    mockSmtpServer.requireAuth("monitor", "secret");
+    notifier = new EmailNotifier(
+      mockSmtpServer.getEmailSettings({
+        auth: { user: "monitor", pass: "secret" },
+      })
+    );
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+    expect(mockSmtpServer.getMessages()).toHaveLength(1);
+  });
+
+  test("should report rejected credentials and messages", async () => {
+    mockSmtpServer.requireAuth("monitor", "secret");
+    notifier = new EmailNotifier(
+      mockSmtpServer.getEmailSettings({
+        auth: { user: "monitor", pass: "wrong" },
+      })
+    );
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(false);
+
+    notifier.close();
+    mockSmtpServer.reset();
+    mockSmtpServer.setDataResponse("554 Message rejected");
+    notifier = new EmailNotifier(mockSmtpServer.getEmailSettings());
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(false);
+    expect(mockSmtpServer.getMessages()).toHaveLength(0);
+  });
+
+  test("should send a digest from the workflow notification step", async () => {
+    const workflow = new MonitoringWorkflow();
+    await workflow.initialize("/path/to/config.json");
+    workflow.emailNotifier = new EmailNotifier(
+      mockSmtpServer.getEmailSettings({ mode: "digest" })
+    );
+    notifier = workflow.emailNotifier;
+
+    await workflow.sendNotificationsForChanges([changeRecord, changeRecord]);
+
+    const messages = mockSmtpServer.getMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe(
+      "[Web Element Monitor] 2 changes detected"
+    );
+  });
+});
@@ -8,6 +8,7 @@ const path = require("path");
 const { MonitoringWorkflow } = require("../../detect-change");
 const MockSlackServer = require("../fixtures/mock-slack-server");
 const { validConfigs, mockWebPages } = require("../fixtures/test-configs");
+const { clearDataDir } = require("../fixtures/state-helpers");
 
 describe("End-to-End Integration Tests", () => {
   let mockSlackServer;
@@ -85,6 +86,11 @@ describe("End-to-End Integration Tests", () => {
     } catch (error) {
       // File might not exist
     }
+
+    // Clean up the state file and history next to the config
+    if (tempDir) {
+      await clearDataDir(path.join(tempDir, "data"));
+    }
   });
 
   describe("Real Browser Automation", () => {
@@ -331,15 +337,8 @@ describe("End-to-End Integration Tests", () => {
         expect(workflow.browserController.isConnectedToBrowser()).toBe(false);
         expect(workflow.chromeLauncher.isRunning()).toBe(false);
 
-        // Update config for next iteration
-        const updatedConfig = JSON.parse(
-          await fs.readFile(tempConfigPath, "utf8")
-        );
-        updatedConfig[0].current_value = "old value"; // Reset for next test
-        await fs.writeFile(
-          tempConfigPath,
-          JSON.stringify(updatedConfig, null, 2)
-        );
+        // Reset the stored value so the next iteration detects the change again
+        await clearDataDir(path.join(tempDir, "data"));
 
         // Clear notifications for next iteration
         mockSlackServer.clearRequests();
@@ -12,6 +12,7 @@ const {
   invalidConfigs,
   mockWebPages,
 } = require("../fixtures/test-configs");
+const { readStoredValues, clearDataDir } = require("../fixtures/state-helpers");
 
 describe("Error Scenarios Integration Tests", () => {
   let mockSlackServer;
@@ -62,6 +63,9 @@ describe("Error Scenarios Integration Tests", () => {
     } catch (error) {
       // File might not exist
     }
+
+    // Clean up the state file and history next to the config
+    await clearDataDir(path.join(tempDir, "data"));
   });
 
   describe("Network Failure Scenarios", () => {
@@ -192,11 +196,12 @@ describe("Error Scenarios Integration Tests", () => {
       expect(session.errors).toHaveLength(1);
       expect(session.errors[0].type).toBe("NOTIFICATION_ERROR");
 
-      // Verify configuration was still updated despite notification failure
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the state file was still updated despite notification failure
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(updatedConfig[0].current_value).toBe("test value");
+      expect(storedValues[0]).toBe("test value");
 
       // Restart server for cleanup
       await mockSlackServer.start();
@@ -337,14 +342,14 @@ describe("Error Scenarios Integration Tests", () => {
 
       const session = await workflow.execute();
 
-      // Should be able to read but not write
+      // A read-only configuration is fine, observed values go to the state file
       expect(session.results).toHaveLength(1);
 
       // Restore permissions for cleanup
       await fs.chmod(tempConfigPath, 0o644);
     }, 30000);
 
-    test("should handle disk space issues during config save", async () => {
+    test("should handle disk space issues during state save", async () => {
       const config = [
         {
           url: `data:text/html,${encodeURIComponent(mockWebPages.simple)}`,
@@ -361,8 +366,8 @@ describe("Error Scenarios Integration Tests", () => {
       );
 
       // Mock state manager to simulate disk space error
-      const originalPersist = workflow.stateManager.persistConfig;
-      workflow.stateManager.persistConfig = jest
+      const originalPersist = workflow.stateManager.persistState;
+      workflow.stateManager.persistState = jest
         .fn()
         .mockRejectedValue(new Error("ENOSPC: no space left on device"));
 
@@ -375,7 +380,7 @@ describe("Error Scenarios Integration Tests", () => {
       expect(session.errors[0].type).toBe("PERSISTENCE_ERROR");
 
       // Restore original method
-      workflow.stateManager.persistConfig = originalPersist;
+      workflow.stateManager.persistState = originalPersist;
     }, 30000);
   });
 
@@ -539,13 +544,14 @@ describe("Error Scenarios Integration Tests", () => {
       const webhookRequests = mockSlackServer.getRequestsForPath("/webhook");
       expect(webhookRequests).toHaveLength(1);
 
-      // Should update config for successful target only
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Should update state for successful target only
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(updatedConfig[0].current_value).toBe("old value"); // Unchanged due to error
-      expect(updatedConfig[1].current_value).toBe("old value"); // Unchanged due to error
-      expect(updatedConfig[2].current_value).toBe("test value"); // Updated
+      expect(storedValues[0]).toBe("old value"); // Unchanged due to error
+      expect(storedValues[1]).toBe("old value"); // Unchanged due to error
+      expect(storedValues[2]).toBe("test value"); // Updated
     }, 45000);
 
     test("should ensure cleanup on unexpected errors", async () => {
@@ -8,6 +8,7 @@ const path = require("path");
 const { MonitoringWorkflow } = require("../../detect-change");
 const MockSlackServer = require("../fixtures/mock-slack-server");
 const { validConfigs, mockWebPages } = require("../fixtures/test-configs");
+const { readStoredValues, clearDataDir } = require("../fixtures/state-helpers");
 
 describe("Monitoring Workflow Integration Tests", () => {
   let mockSlackServer;
@@ -58,6 +59,9 @@ describe("Monitoring Workflow Integration Tests", () => {
     } catch (error) {
       // File might not exist
     }
+
+    // Clean up the state file and history next to the config
+    await clearDataDir(path.join(tempDir, "data"));
   });
 
   describe("Complete Workflow Execution", () => {
@@ -94,11 +98,12 @@ describe("Monitoring Workflow Integration Tests", () => {
       expect(webhookRequests[0].jsonBody.text).toContain("old value");
       expect(webhookRequests[0].jsonBody.text).toContain("test value");
 
-      // Verify configuration was updated
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the state file was updated
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(updatedConfig[0].current_value).toBe("test value");
+      expect(storedValues[0]).toBe("test value");
     }, 30000);
 
     test("should handle multiple targets with mixed results", async () => {
@@ -141,13 +146,14 @@ describe("Monitoring Workflow Integration Tests", () => {
       const webhookRequests = mockSlackServer.getRequestsForPath("/webhook");
       expect(webhookRequests).toHaveLength(2);
 
-      // Verify configuration was updated for changed values only
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the state file was updated for changed values only
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(updatedConfig[0].current_value).toBe("test value");
-      expect(updatedConfig[1].current_value).toBe("$19.99"); // Unchanged
-      expect(updatedConfig[2].current_value).toBe("new test value");
+      expect(storedValues[0]).toBe("test value");
+      expect(storedValues[1]).toBe("$19.99"); // Unchanged seed
+      expect(storedValues[2]).toBe("new test value");
     }, 30000);
 
     test("should handle complex CSS selectors correctly", async () => {
@@ -249,11 +255,12 @@ describe("Monitoring Workflow Integration Tests", () => {
       expect(session.errors).toHaveLength(1);
       expect(session.errors[0].type).toBe("NOTIFICATION_ERROR");
 
-      // Verify configuration was still updated despite notification failure
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the state file was still updated despite notification failure
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(updatedConfig[0].current_value).toBe("test value");
+      expect(storedValues[0]).toBe("test value");
     }, 30000);
 
     test("should handle invalid URLs gracefully", async () => {
@@ -406,15 +413,16 @@ describe("Monitoring Workflow Integration Tests", () => {
       expect(session.results[0].hasChanged).toBe(true);
       expect(session.results[1].hasChanged).toBe(false);
 
-      // Verify configuration structure was preserved
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the configuration file was left untouched
+      const savedConfig = await fs.readFile(tempConfigPath, "utf8");
+      expect(savedConfig).toBe(JSON.stringify(originalConfig, null, 2));
+
+      // Verify observed values went to the state file instead
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        originalConfig
       );
-      expect(updatedConfig).toHaveLength(2);
-      expect(updatedConfig[0].current_value).toBe("test value");
-      expect(updatedConfig[0].metadata).toBe("should be preserved");
-      expect(updatedConfig[1].current_value).toBe("$19.99");
-      expect(updatedConfig[1].custom_field).toBe("custom data");
+      expect(storedValues).toEqual(["test value", "$19.99"]);
     }, 30000);
 
     test("should handle concurrent access to configuration file", async () => {
@@ -452,9 +460,12 @@ describe("Monitoring Workflow Integration Tests", () => {
       );
       expect(successfulSessions.length).toBeGreaterThan(0);
 
-      // Verify final configuration state is consistent
-      const finalConfig = JSON.parse(await fs.readFile(tempConfigPath, "utf8"));
-      expect(finalConfig[0].current_value).toBe("test value");
+      // Verify final state is consistent
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
+      );
+      expect(storedValues[0]).toBe("test value");
     }, 45000);
   });
 
@@ -8,6 +8,7 @@ const path = require("path");
 const { MonitoringWorkflow } = require("../../detect-change");
 const MockSlackServer = require("../fixtures/mock-slack-server");
 const { validConfigs, mockWebPages } = require("../fixtures/test-configs");
+const { readStoredValues, clearDataDir } = require("../fixtures/state-helpers");
 
 describe("Performance Integration Tests", () => {
   let mockSlackServer;
@@ -58,6 +59,9 @@ describe("Performance Integration Tests", () => {
     } catch (error) {
       // File might not exist
     }
+
+    // Clean up the state file and history next to the config
+    await clearDataDir(path.join(tempDir, "data"));
   });
 
   describe("Multiple Entry Performance", () => {
@@ -457,13 +461,12 @@ describe("Performance Integration Tests", () => {
       const avgTimePerEntry = duration / 10;
       expect(avgTimePerEntry).toBeLessThan(5000); // Should still complete reasonably quickly
 
-      // Verify configuration was still updated
-      const updatedConfig = JSON.parse(
-        await fs.readFile(tempConfigPath, "utf8")
+      // Verify the state file was still updated
+      const storedValues = await readStoredValues(
+        path.join(tempDir, "data"),
+        config
       );
-      expect(
-        updatedConfig.every((entry) => entry.current_value === "test value")
-      ).toBe(true);
+      expect(storedValues.every((value) => value === "test value")).toBe(true);
 
       console.log(
         `Failure handling performance: ${duration.toFixed(
@@ -0,0 +1,86 @@
+/**
+ * Integration tests for Microsoft Teams notifications
+ * Sends Adaptive Cards to a local mock Teams webhook server
+ */
+
+const { MonitoringWorkflow } = require("../../detect-change");
+const TeamsNotifier = require("../../src/teams-notifier");
+const MockTeamsServer = require("../fixtures/mock-teams-server");
+
+describe("Teams Notifier Integration Tests", () => {
+  let mockTeamsServer;
+
+  const changeRecord = {
+    entry: {
+      url: "https://example.com/product",
+      css_selector: "#price",
+    },
+    hasChanged: true,
+    oldValue: "$19.99",
+    newValue: "$18.49",
+    timestamp: "2025-07-25T15:30:00.000Z",
+  };
+
+  beforeAll(async () => {
+    mockTeamsServer = new MockTeamsServer(3005);
+    await mockTeamsServer.start();
+  });
+
+  afterAll(async () => {
+    if (mockTeamsServer) {
+      await mockTeamsServer.stop();
+    }
+  });
+
+  beforeEach(() => {
+    mockTeamsServer.clearRequests();
+    mockTeamsServer.setResponse("/webhook", 200, "1");
+  });
+
+  test("should post a valid Adaptive Card", async () => {
+    const notifier = new TeamsNotifier(mockTeamsServer.getWebhookUrl());
+
+    const sent = await notifier.sendChangeNotification(changeRecord);
+
+    expect(sent).toBe(true);
+    const requests = mockTeamsServer.getRequestsForPath("/webhook");
+    expect(requests).toHaveLength(1);
+    expect(mockTeamsServer.validateTeamsPayload(requests[0])).toEqual([]);
+
+    const card = requests[0].jsonBody.attachments[0].content;
+    expect(card.actions[0]).toEqual({
+      type: "Action.OpenUrl",
+      title: "Open page",
+      url: "https://example.com/product",
+    });
+  });
+
+  test("should accept workflow webhooks answering 202", async () => {
+    mockTeamsServer.simulateWorkflow("/workflow");
+    const notifier = new TeamsNotifier(
+      mockTeamsServer.getWebhookUrl("/workflow")
+    );
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+  });
+
+  test("should report failed deliveries", async () => {
+    mockTeamsServer.simulateError("/webhook", "server_error");
+    const notifier = new TeamsNotifier(mockTeamsServer.getWebhookUrl());
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(false);
+  });
+
+  test("should be notified by the workflow notification step", async () => {
+    const workflow = new MonitoringWorkflow();
+    await workflow.initialize("/path/to/config.json", undefined, {
+      teamsWebhook: mockTeamsServer.getWebhookUrl(),
+    });
+
+    await workflow.sendNotificationsForChanges([changeRecord]);
+
+    const summary = mockTeamsServer.getSummary();
+    expect(summary.webhookRequests).toBe(1);
+    expect(summary.validPayloads).toBe(1);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Integration tests for Telegram notifications
+ * Sends MarkdownV2 messages to a local mock Bot API server
+ */
+
+const { MonitoringWorkflow } = require("../../detect-change");
+const TelegramNotifier = require("../../src/telegram-notifier");
+const MockTelegramServer = require("../fixtures/mock-telegram-server");
+
+describe("Telegram Notifier Integration Tests", () => {
+  let mockTelegramServer;
+
+  const changeRecord = {
+    entry: {
+      url: "https://example.com/product?id=1&ref=(home)",
+      css_selector: "div.price > span[data-x='1']",
+    },
+    hasChanged: true,
+    oldValue: "Was *$19.99* - 10% off! [sale]",
+    newValue: "Now `$18.49` | _limited_ {C:\\deals}",
+    timestamp: "2025-07-25T15:30:00.000Z",
+  };
+
+  beforeAll(async () => {
+    mockTelegramServer = new MockTelegramServer(3007);
+    await mockTelegramServer.start();
+  });
+
+  afterAll(async () => {
+    if (mockTelegramServer) {
+      await mockTelegramServer.stop();
+    }
+  });
+
+  beforeEach(() => {
+    mockTelegramServer.reset();
+    jest.spyOn(console, "log").mockImplementation();
+    jest.spyOn(console, "warn").mockImplementation();
+    jest.spyOn(console, "error").mockImplementation();
+  });
+
+  test("should send values full of reserved characters as valid MarkdownV2", async () => {
+    const notifier = new TelegramNotifier(
+      mockTelegramServer.getTelegramSettings({ chat_id: -1001234 })
+    );
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+
+    const messages = mockTelegramServer.getMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].chat.id).toBe(-1001234);
+    expect(messages[0].parse_mode).toBe("MarkdownV2");
+  });
+
+  test("should detect unescaped text with the stand-in", () => {
+    expect(mockTelegramServer.validateMarkdownV2("Price: $19.99")).toMatch(
+      "Character '.' is reserved"
+    );
+    expect(mockTelegramServer.validateMarkdownV2("*bold")).toMatch(
+      "Can't find end"
+    );
+    expect(
+      mockTelegramServer.validateMarkdownV2(
+        "*Price:* 19\\.99 `a.b` [link](https://x.test/a_(b\\))"
+      )
+    ).toBeNull();
+  });
+
+  test("should report unknown chats and bots", async () => {
+    mockTelegramServer.simulateMissingChat("@missing");
+    const missingChat = new TelegramNotifier(
+      mockTelegramServer.getTelegramSettings({ chat_id: "@missing" })
+    );
+    expect(await missingChat.sendChangeNotification(changeRecord)).toBe(false);
+
+    const unknownBot = new TelegramNotifier(
+      mockTelegramServer.getTelegramSettings({
+        chat_id: 1,
+        bot_token: "999:UNKNOWN",
+      })
+    );
+    expect(await unknownBot.sendChangeNotification(changeRecord)).toBe(false);
+    expect(mockTelegramServer.getMessages()).toHaveLength(0);
+  });
+
+  test("should send changes to the chats of their targets", async () => {
+    mockTelegramServer.addToken("777:OTHER-BOT");
+    const workflow = new MonitoringWorkflow();
+    await workflow.initialize("/path/to/config.json");
+    workflow.telegramNotifier = new TelegramNotifier(
+      mockTelegramServer.getTelegramSettings()
+    );
+
+    await workflow.sendNotificationsForChanges([
+      changeRecord,
+      {
+        ...changeRecord,
+        entry: { ...changeRecord.entry, telegram: { chat_id: 42 } },
+      },
+      {
+        ...changeRecord,
+        entry: {
+          ...changeRecord.entry,
+          telegram: { chat_id: "@team", bot_token: "777:OTHER-BOT" },
+        },
+      },
+    ]);
+
+    const messages = mockTelegramServer.getMessages();
+    expect(messages.map(({ chat, token }) => [chat.id, token])).toEqual([
+      [42, "123456:TEST-TOKEN"],
+      ["@team", "777:OTHER-BOT"],
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Integration tests for generic webhook notifications
+ * Sends rendered requests to a local mock HTTP server
+ */
+
+const { MonitoringWorkflow } = require("../../detect-change");
+const WebhookNotifier = require("../../src/webhook-notifier");
+const MockSlackServer = require("../fixtures/mock-slack-server");
+
+describe("Webhook Notifier Integration Tests", () => {
+  let mockServer;
+
+  const changeRecord = {
+    entry: {
+      url: "https://example.com/product",
+      css_selector: "#price",
+    },
+    hasChanged: true,
+    oldValue: "$19.99",
+    newValue: "$18.49",
+    timestamp: "2025-07-25T15:30:00.000Z",
+  };
+
+  beforeAll(async () => {
+    mockServer = new MockSlackServer(3006);
+    await mockServer.start();
+  });
+
+  afterAll(async () => {
+    if (mockServer) {
+      await mockServer.stop();
+    }
+  });
+
+  beforeEach(() => {
+    mockServer.clearRequests();
+    mockServer.setResponse("/hook", 200, "ok");
+  });
+
+  test("should post a rendered JSON body", async () => {
+    const notifier = new WebhookNotifier({
+      url: mockServer.getWebhookUrl("/hook"),
+      headers: { Authorization: "Bearer token" },
+      body: {
+        title: "Change on {{url}}",
+        message: "{{diff}}",
+      },
+    });
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+
+    const requests = mockServer.getRequestsForPath("/hook");
+    expect(requests).toHaveLength(1);
+    expect(requests[0].method).toBe("POST");
+    expect(requests[0].headers.authorization).toBe("Bearer token");
+    expect(requests[0].jsonBody).toEqual({
+      title: "Change on https://example.com/product",
+      message: "- $19.99\n+ $18.49",
+    });
+  });
+
+  test("should send text bodies and templated query parameters", async () => {
+    const notifier = new WebhookNotifier({
+      url: `${mockServer.getWebhookUrl("/hook")}?page={{url}}`,
+      method: "PUT",
+      body: "{{newValue}}",
+    });
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(true);
+
+    const [request] = mockServer.getRequestsForPath("/hook");
+    expect(request.method).toBe("PUT");
+    expect(request.query.page).toBe("https://example.com/product");
+    expect(request.headers["content-type"]).toBe("text/plain; charset=utf-8");
+    expect(request.body).toBe("$18.49");
+  });
+
+  test("should report failed deliveries", async () => {
+    mockServer.setResponse("/hook", 500, { error: "boom" });
+    const notifier = new WebhookNotifier({
+      url: mockServer.getWebhookUrl("/hook"),
+    });
+
+    expect(await notifier.sendChangeNotification(changeRecord)).toBe(false);
+  });
+
+  test("should be notified by the workflow notification step", async () => {
+    const workflow = new MonitoringWorkflow();
+    await workflow.initialize("/path/to/config.json");
+    workflow.webhookNotifiers = [
+      new WebhookNotifier({ url: mockServer.getWebhookUrl("/hook") }),
+    ];
+
+    await workflow.sendNotificationsForChanges([changeRecord, changeRecord]);
+
+    expect(mockServer.getRequestsForPath("/hook")).toHaveLength(2);
+  });
+});